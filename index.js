@@ -10,6 +10,16 @@ import statusRoutes from './routes/status.js';
 import questionRoutes from './routes/questions.js';
 import reportRoutes from './routes/reports.js';
 import excelimportRoutes from './routes/excelImport.js'
+import apiKeyRoutes from './routes/apiKeys.js';
+import auditRoutes from './routes/audit.js';
+import notificationRoutes from './routes/notifications.js';
+import webhookRoutes from './routes/webhooks.js';
+import chatRoutes from './routes/chat.js';
+import leaveRoutes from './routes/leave.js';
+import holidayRoutes from './routes/holidays.js';
+import { createReminderScheduler } from './utils/reminders.js';
+import { createDigestScheduler } from './utils/digest.js';
+import { createWebhookDispatcher } from './utils/webhooks.js';
 
 // Load environment variables
 dotenv.config();
@@ -22,11 +32,33 @@ app.use(cors({
   origin: 'http://localhost:5173', // Vite's default port
   credentials: true
 }));
+// Chat commands are signed over the raw body, so that router parses bodies itself
+app.use('/api/chat', chatRoutes);
 app.use(express.json());
 
 // Connect to MongoDB
 mongoose.connect(process.env.MONGODB_URI)
-  .then(() => console.log('Connected to MongoDB'))
+  .then(() => {
+    console.log('Connected to MongoDB');
+
+    // Missing-status reminders. Runs are claimed in MongoDB, so every instance can run the
+    // scheduler without anything being sent twice; REMINDER_SCHEDULER=off turns it off.
+    if (process.env.REMINDER_SCHEDULER !== 'off') {
+      createReminderScheduler({
+        intervalMs: parseInt(process.env.REMINDER_INTERVAL_MS, 10) || undefined
+      }).start();
+    }
+
+    // Manager digest emails, claimed the same way; DIGEST_SCHEDULER=off turns them off
+    if (process.env.DIGEST_SCHEDULER !== 'off') {
+      createDigestScheduler({
+        intervalMs: parseInt(process.env.DIGEST_INTERVAL_MS, 10) || undefined
+      }).start();
+    }
+
+    // Outgoing webhooks: queues deliveries for events and retries failed ones
+    createWebhookDispatcher().start();
+  })
   .catch(err => console.error('Could not connect to MongoDB', err));
 
 // Routes
@@ -38,6 +70,12 @@ app.use('/api/status', statusRoutes);
 app.use('/api/questions', questionRoutes);
 app.use('/api/reports', reportRoutes);
 app.use('/api/import', excelimportRoutes);
+app.use('/api/api-keys', apiKeyRoutes);
+app.use('/api/audit', auditRoutes);
+app.use('/api/notifications', notificationRoutes);
+app.use('/api/webhooks', webhookRoutes);
+app.use('/api/leave', leaveRoutes);
+app.use('/api/holidays', holidayRoutes);
 
 // Error handling middleware
 app.use((err, req, res, next) => {
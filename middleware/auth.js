@@ -1,9 +1,17 @@
 import jwt from 'jsonwebtoken';
 import User from '../models/User.js';
+import RefreshToken from '../models/RefreshToken.js';
+import ApiKey from '../models/ApiKey.js';
+import { hashToken } from '../utils/tokens.js';
+import { holdsPermission } from '../utils/permissions.js';
 
 // Middleware to authenticate user
 const auth = async (req, res, next) => {
   try {
+    if (req.header('Authorization')?.startsWith('ApiKey ')) {
+      return res.status(403).json({ message: 'API keys cannot be used for this endpoint' });
+    }
+    
     const token = req.header('Authorization')?.replace('Bearer ', '');
     
     if (!token) {
@@ -11,82 +19,138 @@ const auth = async (req, res, next) => {
     }
     
     const decoded = jwt.verify(token, process.env.JWT_SECRET);
+    
+    // Login challenge and setup tokens are not access tokens
+    if (decoded.purpose || !decoded.sid) {
+      return res.status(401).json({ message: 'Invalid token' });
+    }
+    
     const user = await User.findById(decoded.userId);
     
     if (!user) {
       return res.status(401).json({ message: 'User not found' });
     }
     
+    // Reject tokens issued before the user was logged out everywhere
+    if ((decoded.tokenVersion || 0) !== (user.tokenVersion || 0)) {
+      return res.status(401).json({ message: 'Token has been revoked' });
+    }
+    
+    // Reject tokens whose login session was ended through logout
+    const sessionActive = await RefreshToken.exists({
+      family: decoded.sid,
+      revokedAt: null
+    });
+    if (!sessionActive) {
+      return res.status(401).json({ message: 'Token has been revoked' });
+    }
+    
     req.user = user;
     req.token = token;
+    req.sessionId = decoded.sid;
     next();
   } catch (error) {
     res.status(401).json({ message: 'Invalid token' });
   }
 };
 
-// Middleware to check if user is admin
-const isAdmin = (req, res, next) => {
-  if (req.user && req.user.role === 'admin') {
-    next();
-  } else {
-    res.status(403).json({ message: 'Admin access required' });
-  }
-};
-
-// Middleware to check if user is manager
-const isManager = (req, res, next) => {
-  if (req.user && (req.user.role === 'manager' || req.user.role === 'admin')) {
-    next();
-  } else {
-    res.status(403).json({ message: 'Manager access required' });
+// Middleware factory accepting a user's JWT or an API key carrying `scope`.
+// Requests made with a key act as the key's owner; req.apiKey holds the key so
+// routes can apply its team/project restriction.
+const authWithScope = (scope) => async (req, res, next) => {
+  const header = req.header('Authorization') || '';
+  
+  if (!header.startsWith('ApiKey ')) {
+    return auth(req, res, next);
   }
-};
-
-// Middleware to check if user is manager of specific project
-const isProjectManager = async (req, res, next) => {
+  
   try {
-    const projectId = req.params.projectId || req.body.projectId;
+    const key = header.slice('ApiKey '.length).trim();
+    const apiKey = await ApiKey.findOne({ keyHash: hashToken(key) }).populate('owner');
     
-    if (!projectId) {
-      return res.status(400).json({ message: 'Project ID required' });
+    if (!apiKey || !apiKey.isActive() || !apiKey.owner) {
+      return res.status(401).json({ message: 'Invalid or expired API key' });
     }
     
-    if (req.user.role === 'admin') {
-      return next();
+    if (!apiKey.hasScope(scope)) {
+      return res.status(403).json({ message: `API key is missing the ${scope} scope` });
     }
     
-    if (req.user.role === 'manager' && req.user.projects.includes(projectId)) {
-      return next();
-    }
+    // Record usage without holding up the request
+    ApiKey.updateOne({ _id: apiKey._id }, { $set: { lastUsedAt: new Date() } })
+      .catch(err => console.error('Failed to record API key usage:', err.message));
     
-    res.status(403).json({ message: 'Not authorized for this project' });
+    req.user = apiKey.owner;
+    req.apiKey = apiKey;
+    next();
+  } catch (error) {
+    res.status(401).json({ message: 'Invalid API key' });
+  }
+};
+
+// Re-run the checks behind auth/authWithScope for a request that has already
+// been let in, for long-lived responses such as the status stream. False once
+// the access token has expired or been revoked, or the API key was revoked.
+const isStillAuthorized = async (req) => {
+  try {
+    if (req.apiKey) {
+      const apiKey = await ApiKey.findById(req.apiKey._id);
+      return Boolean(apiKey && apiKey.isActive());
+    }
+
+    const decoded = jwt.verify(req.token, process.env.JWT_SECRET);
+    const user = await User.findById(decoded.userId).select('tokenVersion');
+    if (!user || (decoded.tokenVersion || 0) !== (user.tokenVersion || 0)) return false;
+
+    return Boolean(await RefreshToken.exists({ family: decoded.sid, revokedAt: null }));
   } catch (error) {
-    res.status(500).json({ message: error.message });
+    return false;
   }
 };
 
-// Middleware to check if user is member of specific team
-const isTeamMember = async (req, res, next) => {
+// Middleware for two-factor enrollment: accepts a normal access token or the
+// setup token handed out at login when the user's role requires 2FA
+const authForTwoFactorSetup = async (req, res, next) => {
   try {
-    const teamId = req.params.teamId || req.body.teamId;
+    const token = req.header('Authorization')?.replace('Bearer ', '');
     
-    if (!teamId) {
-      return res.status(400).json({ message: 'Team ID required' });
+    if (!token) {
+      return res.status(401).json({ message: 'Authentication required' });
     }
     
-    if (req.user.role === 'admin') {
-      return next();
+    const decoded = jwt.verify(token, process.env.JWT_SECRET);
+    
+    if (decoded.purpose !== '2fa-setup') {
+      return auth(req, res, next);
     }
     
-    if (req.user.teams.includes(teamId)) {
-      return next();
+    const user = await User.findById(decoded.userId);
+    
+    if (!user) {
+      return res.status(401).json({ message: 'User not found' });
     }
     
-    res.status(403).json({ message: 'Not authorized for this team' });
+    req.user = user;
+    req.twoFactorSetup = true;
+    next();
   } catch (error) {
-    res.status(500).json({ message: error.message });
+    res.status(401).json({ message: 'Invalid token' });
   }
 };
 
-export { auth, isAdmin, isManager, isProjectManager, isTeamMember };
\ No newline at end of file
+// Middleware factory gating a route on a named permission (held in any scope).
+// Resource-level checks happen in the route through can() once the resource is loaded.
+const requirePermission = (permission, message = 'Not authorized to perform this action') =>
+  async (req, res, next) => {
+    try {
+      if (req.user && await holdsPermission(req.user, permission)) {
+        return next();
+      }
+      res.status(403).json({ message });
+    } catch (err) {
+      console.error(err.message);
+      res.status(500).send('Server error');
+    }
+  };
+
+export { auth, authWithScope, authForTwoFactorSetup, requirePermission, isStillAuthorized };
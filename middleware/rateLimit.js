@@ -0,0 +1,54 @@
+import SecurityEvent from '../models/SecurityEvent.js';
+
+// Middleware factory for simple fixed-window rate limiting per client IP.
+// Counters are kept in memory, so limits apply per server process.
+const createRateLimiter = ({ windowMs, max, name, message = 'Too many requests, please try again later' }) => {
+  const hits = new Map();
+
+  // Drop expired windows so the map doesn't grow without bound
+  const cleanup = setInterval(() => {
+    const now = Date.now();
+    for (const [ip, entry] of hits.entries()) {
+      if (entry.resetAt <= now) hits.delete(ip);
+    }
+  }, windowMs);
+  cleanup.unref();
+
+  return async (req, res, next) => {
+    const now = Date.now();
+    const ip = req.ip;
+    let entry = hits.get(ip);
+
+    if (!entry || entry.resetAt <= now) {
+      entry = { count: 0, resetAt: now + windowMs, recorded: false };
+      hits.set(ip, entry);
+    }
+
+    entry.count++;
+
+    if (entry.count <= max) {
+      return next();
+    }
+
+    // Record the first rejection of each window
+    if (!entry.recorded) {
+      entry.recorded = true;
+      try {
+        await SecurityEvent.create({
+          type: 'ip_rate_limited',
+          ip,
+          email: typeof req.body?.email === 'string' ? req.body.email : undefined,
+          details: `${name || req.baseUrl}: more than ${max} requests in ${Math.round(windowMs / 1000)}s`
+        });
+      } catch (err) {
+        console.error('Failed to record rate limit event:', err.message);
+      }
+    }
+
+    const retryAfter = Math.ceil((entry.resetAt - now) / 1000);
+    res.set('Retry-After', String(retryAfter));
+    res.status(429).json({ message, retryAfter });
+  };
+};
+
+export { createRateLimiter };
@@ -0,0 +1,102 @@
+import mongoose from 'mongoose';
+
+const API_KEY_SCOPES = ['status:read', 'status:write', 'reports:read'];
+
+const ApiKeySchema = new mongoose.Schema({
+  name: {
+    type: String,
+    required: true,
+    trim: true
+  },
+  // First characters of the key, shown in listings so keys can be told apart
+  prefix: {
+    type: String,
+    required: true
+  },
+  // SHA-256 of the full key; the key itself is only shown once at creation
+  keyHash: {
+    type: String,
+    required: true,
+    unique: true,
+    select: false
+  },
+  // Requests made with the key act as this user
+  owner: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  scopes: [{
+    type: String,
+    enum: API_KEY_SCOPES
+  }],
+  // Optional restriction; empty means every team/project the owner can access
+  teams: [{
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Team'
+  }],
+  projects: [{
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Project'
+  }],
+  expiresAt: {
+    type: Date
+  },
+  lastUsedAt: {
+    type: Date
+  },
+  revokedAt: {
+    type: Date
+  },
+  createdBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  createdAt: {
+    type: Date,
+    default: Date.now
+  }
+});
+
+ApiKeySchema.index({ owner: 1 });
+
+// Method to check if key can still be used
+ApiKeySchema.methods.isActive = function() {
+  return !this.revokedAt && (!this.expiresAt || this.expiresAt > new Date());
+};
+
+ApiKeySchema.methods.hasScope = function(scope) {
+  return this.scopes.includes(scope);
+};
+
+ApiKeySchema.methods.isRestricted = function() {
+  return this.teams.length > 0 || this.projects.length > 0;
+};
+
+// Method to check if a team (with its project id or populated project) is within the key's restriction
+ApiKeySchema.methods.allowsTeam = function(teamId, projectId) {
+  if (!this.isRestricted()) return true;
+
+  const team = teamId?._id || teamId;
+  const project = projectId?._id || projectId;
+
+  return this.teams.some(t => t.toString() === team?.toString()) ||
+    this.projects.some(p => p.toString() === project?.toString());
+};
+
+// Query condition limiting team-scoped documents (statuses) to the key's restriction
+ApiKeySchema.methods.getScopeFilter = function() {
+  if (!this.isRestricted()) return null;
+
+  return {
+    $or: [
+      { team: { $in: this.teams } },
+      { project: { $in: this.projects } }
+    ]
+  };
+};
+
+const ApiKey = mongoose.model('ApiKey', ApiKeySchema);
+
+export { API_KEY_SCOPES };
+export default ApiKey;
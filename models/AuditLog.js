@@ -0,0 +1,55 @@
+import mongoose from 'mongoose';
+
+const AUDIT_ENTITY_TYPES = ['user', 'project', 'team', 'question', 'status', 'import', 'webhook', 'leaveAllowance', 'leaveRequest', 'holidayCalendar'];
+
+// Append-only record of who changed what; entries are never updated or deleted
+const AuditLogSchema = new mongoose.Schema({
+  actor: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  // Set when the actor acted through one of their API keys
+  apiKey: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'ApiKey'
+  },
+  // Dotted verb such as 'create', 'update', 'delete', 'member.add' or 'invite.revoke'
+  action: {
+    type: String,
+    required: true,
+    trim: true
+  },
+  entityType: {
+    type: String,
+    enum: AUDIT_ENTITY_TYPES,
+    required: true
+  },
+  entityId: {
+    type: mongoose.Schema.Types.ObjectId
+  },
+  // Changed fields only: { field: { before, after } }
+  diff: {
+    type: mongoose.Schema.Types.Mixed,
+    default: {}
+  },
+  details: {
+    type: mongoose.Schema.Types.Mixed
+  },
+  ip: {
+    type: String
+  },
+  createdAt: {
+    type: Date,
+    default: Date.now,
+    immutable: true
+  }
+}, { minimize: false });
+
+AuditLogSchema.index({ createdAt: -1 });
+AuditLogSchema.index({ actor: 1, createdAt: -1 });
+AuditLogSchema.index({ entityType: 1, entityId: 1, createdAt: -1 });
+
+const AuditLog = mongoose.model('AuditLog', AuditLogSchema);
+
+export { AUDIT_ENTITY_TYPES };
+export default AuditLog;
@@ -0,0 +1,53 @@
+import mongoose from 'mongoose';
+
+// One digest email for a manager. The unique index makes each digest go out
+// once, even across restarts or several server processes.
+const DigestRunSchema = new mongoose.Schema({
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  frequency: {
+    type: String,
+    enum: ['daily', 'weekly'],
+    required: true
+  },
+  // Calendar date ('YYYY-MM-DD') the digest was due on, in the manager's timezone
+  day: {
+    type: String,
+    required: true
+  },
+  // Calendar dates the digest covers
+  periodStart: {
+    type: String
+  },
+  periodEnd: {
+    type: String
+  },
+  state: {
+    type: String,
+    enum: ['running', 'completed', 'skipped', 'failed'],
+    default: 'running'
+  },
+  attempts: {
+    type: Number,
+    default: 0
+  },
+  error: {
+    type: String
+  },
+  startedAt: {
+    type: Date,
+    default: Date.now
+  },
+  completedAt: {
+    type: Date
+  }
+});
+
+DigestRunSchema.index({ user: 1, frequency: 1, day: 1 }, { unique: true });
+
+const DigestRun = mongoose.model('DigestRun', DigestRunSchema);
+
+export default DigestRun;
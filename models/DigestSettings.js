@@ -0,0 +1,35 @@
+import mongoose from 'mongoose';
+import { TIME_OF_DAY_PATTERN } from '../utils/dates.js';
+
+const DIGEST_FREQUENCIES = ['daily', 'weekly'];
+
+// Embedded in User: opt-in summary email of the projects a manager looks after,
+// sent in the manager's own timezone. A daily digest covers the previous working
+// day, a weekly one the seven days before the day it is sent.
+const DigestSettingsSchema = new mongoose.Schema({
+  enabled: {
+    type: Boolean,
+    default: false
+  },
+  frequency: {
+    type: String,
+    enum: DIGEST_FREQUENCIES,
+    default: 'daily'
+  },
+  // 'HH:mm' the digest goes out at
+  time: {
+    type: String,
+    match: TIME_OF_DAY_PATTERN,
+    default: '08:00'
+  },
+  // Weekly digests only: day of the week (0 = Sunday ... 6 = Saturday)
+  weekday: {
+    type: Number,
+    min: 0,
+    max: 6,
+    default: 1
+  }
+}, { _id: false });
+
+export { DIGEST_FREQUENCIES };
+export default DigestSettingsSchema;
@@ -0,0 +1,75 @@
+import mongoose from 'mongoose';
+import { isCalendarDate } from '../utils/dates.js';
+
+const DEFAULT_WEEKLY_OFF_DAYS = [0, 6];
+
+// Public holidays and weekly off-days for one year. A calendar applies to members
+// of its projects (every project when none are listed) who are at its location
+// (anywhere when it has none); see utils/holidays.js for which one wins.
+const HolidayCalendarSchema = new mongoose.Schema({
+  name: {
+    type: String,
+    required: true,
+    trim: true
+  },
+  year: {
+    type: Number,
+    required: true,
+    min: 2000,
+    max: 2100
+  },
+  // Matched case-insensitively against User.location
+  location: {
+    type: String,
+    trim: true
+  },
+  projects: [{
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Project'
+  }],
+  // Days of the week that are not worked, 0 = Sunday ... 6 = Saturday
+  weeklyOffDays: {
+    type: [{ type: Number, min: 0, max: 6 }],
+    default: () => [...DEFAULT_WEEKLY_OFF_DAYS]
+  },
+  holidays: [{
+    _id: false,
+    day: {
+      type: String,
+      required: true,
+      validate: {
+        validator: isCalendarDate,
+        message: 'Holiday must be a calendar date (YYYY-MM-DD)'
+      }
+    },
+    name: {
+      type: String,
+      required: true,
+      trim: true
+    }
+  }],
+  createdBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  updatedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  createdAt: {
+    type: Date,
+    default: Date.now
+  },
+  updatedAt: {
+    type: Date,
+    default: Date.now
+  }
+});
+
+HolidayCalendarSchema.index({ name: 1, year: 1 }, { unique: true });
+HolidayCalendarSchema.index({ year: 1, projects: 1 });
+
+const HolidayCalendar = mongoose.model('HolidayCalendar', HolidayCalendarSchema);
+
+export { DEFAULT_WEEKLY_OFF_DAYS };
+export default HolidayCalendar;
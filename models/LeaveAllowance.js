@@ -0,0 +1,59 @@
+import mongoose from 'mongoose';
+
+// A member's own allowance of one leave type in a project for a calendar year,
+// overriding the project's default and/or adding days (carry-over, comp-off earned)
+const LeaveAllowanceSchema = new mongoose.Schema({
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  project: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Project',
+    required: true
+  },
+  year: {
+    type: Number,
+    required: true,
+    min: 2000,
+    max: 2100
+  },
+  leaveType: {
+    type: String,
+    required: true
+  },
+  // Replaces the leave type's yearly allowance; null keeps the project's
+  allowance: {
+    type: Number,
+    min: 0,
+    default: null
+  },
+  // Days added to (or, when negative, taken off) the allowance
+  adjustment: {
+    type: Number,
+    default: 0
+  },
+  note: {
+    type: String,
+    trim: true
+  },
+  updatedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  createdAt: {
+    type: Date,
+    default: Date.now
+  },
+  updatedAt: {
+    type: Date,
+    default: Date.now
+  }
+});
+
+LeaveAllowanceSchema.index({ user: 1, project: 1, year: 1, leaveType: 1 }, { unique: true });
+
+const LeaveAllowance = mongoose.model('LeaveAllowance', LeaveAllowanceSchema);
+
+export default LeaveAllowance;
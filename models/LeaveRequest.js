@@ -0,0 +1,104 @@
+import mongoose from 'mongoose';
+import { LEAVE_DURATIONS } from './LeaveType.js';
+import { isCalendarDate } from '../utils/dates.js';
+
+const LEAVE_REQUEST_STATES = ['pending', 'approved', 'rejected', 'cancelled'];
+
+// Leave asked for ahead of time. The project's managers approve or reject it;
+// approving creates a leave status for each of its days.
+const LeaveRequestSchema = new mongoose.Schema({
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  team: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Team',
+    required: true
+  },
+  project: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Project',
+    required: true
+  },
+  leaveType: {
+    type: String,
+    required: true
+  },
+  // First and last calendar day asked for, in the member's timezone
+  startDay: {
+    type: String,
+    required: true,
+    validate: {
+      validator: isCalendarDate,
+      message: 'Start day must be a calendar date (YYYY-MM-DD)'
+    }
+  },
+  endDay: {
+    type: String,
+    required: true,
+    validate: {
+      validator: isCalendarDate,
+      message: 'End day must be a calendar date (YYYY-MM-DD)'
+    }
+  },
+  // The working days in the range and how much of each is taken
+  days: [{
+    _id: false,
+    day: {
+      type: String,
+      required: true
+    },
+    duration: {
+      type: String,
+      enum: LEAVE_DURATIONS,
+      default: 'full'
+    }
+  }],
+  totalDays: {
+    type: Number,
+    required: true
+  },
+  reason: {
+    type: String,
+    trim: true
+  },
+  state: {
+    type: String,
+    enum: LEAVE_REQUEST_STATES,
+    default: 'pending'
+  },
+  reviewedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  reviewedAt: {
+    type: Date
+  },
+  reviewComment: {
+    type: String,
+    trim: true
+  },
+  // Leave statuses created when the request was approved
+  statuses: [{
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Status'
+  }],
+  createdAt: {
+    type: Date,
+    default: Date.now
+  },
+  updatedAt: {
+    type: Date,
+    default: Date.now
+  }
+});
+
+LeaveRequestSchema.index({ project: 1, state: 1, startDay: 1 });
+LeaveRequestSchema.index({ user: 1, startDay: -1 });
+
+const LeaveRequest = mongoose.model('LeaveRequest', LeaveRequestSchema);
+
+export { LEAVE_REQUEST_STATES };
+export default LeaveRequest;
@@ -0,0 +1,54 @@
+import mongoose from 'mongoose';
+
+const LEAVE_TYPE_KEY_PATTERN = /^[a-z][a-z0-9_]{0,29}$/;
+
+// How much of a day a leave status covers
+const LEAVE_DURATIONS = ['full', 'first_half', 'second_half'];
+
+// Used by projects that haven't configured their own leave types
+const DEFAULT_LEAVE_TYPES = [
+  { key: 'sick', name: 'Sick leave', allowance: 12 },
+  { key: 'casual', name: 'Casual leave', allowance: 12, isDefault: true },
+  { key: 'earned', name: 'Earned leave', allowance: 18 },
+  // Comp-off is earned by extra work, so it starts at 0 and is granted through allowance adjustments
+  { key: 'comp_off', name: 'Comp-off', allowance: 0 },
+  { key: 'unpaid', name: 'Unpaid leave', allowance: null }
+];
+
+// Embedded in Project: a kind of leave members can take and how many days of it a year
+const LeaveTypeSchema = new mongoose.Schema({
+  // Stable identifier stored on statuses, e.g. 'sick'
+  key: {
+    type: String,
+    required: true,
+    match: LEAVE_TYPE_KEY_PATTERN
+  },
+  name: {
+    type: String,
+    required: true,
+    trim: true
+  },
+  // Days per calendar year; null means unlimited (no balance is kept)
+  allowance: {
+    type: Number,
+    min: 0,
+    default: null
+  },
+  allowHalfDay: {
+    type: Boolean,
+    default: true
+  },
+  // Leave marked without a type is taken as this one (at most one type per project)
+  isDefault: {
+    type: Boolean,
+    default: false
+  },
+  // Inactive types can't be taken any more but still show up in balances and reports
+  active: {
+    type: Boolean,
+    default: true
+  }
+}, { _id: false });
+
+export { LEAVE_TYPE_KEY_PATTERN, LEAVE_DURATIONS, DEFAULT_LEAVE_TYPES };
+export default LeaveTypeSchema;
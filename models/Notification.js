@@ -0,0 +1,76 @@
+import mongoose from 'mongoose';
+
+// What a notification is about; each type has its own delivery preference
+const NOTIFICATION_TYPES = [
+  'statusEdited',
+  'teamAdded',
+  'statusReminder',
+  'statusEscalation',
+  'leaveRequested',
+  'leaveReviewed'
+];
+
+// How a user wants a type delivered: in the inbox only, in the inbox and by email, or not at all
+const NOTIFICATION_CHANNELS = ['in_app', 'email', 'none'];
+
+const DEFAULT_NOTIFICATION_CHANNELS = {
+  statusEdited: 'in_app',
+  teamAdded: 'in_app',
+  statusReminder: 'email',
+  statusEscalation: 'email',
+  leaveRequested: 'email',
+  leaveReviewed: 'email'
+};
+
+const NotificationSchema = new mongoose.Schema({
+  recipient: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  type: {
+    type: String,
+    enum: NOTIFICATION_TYPES,
+    required: true
+  },
+  title: {
+    type: String,
+    required: true
+  },
+  message: {
+    type: String
+  },
+  // Frontend path the notification opens
+  link: {
+    type: String
+  },
+  // Who caused it; empty for scheduled notifications such as reminders
+  actor: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  // IDs of the team/status/... it concerns
+  data: {
+    type: mongoose.Schema.Types.Mixed
+  },
+  emailed: {
+    type: Boolean,
+    default: false
+  },
+  readAt: {
+    type: Date,
+    default: null
+  },
+  createdAt: {
+    type: Date,
+    default: Date.now
+  }
+});
+
+NotificationSchema.index({ recipient: 1, createdAt: -1 });
+NotificationSchema.index({ recipient: 1, readAt: 1 });
+
+const Notification = mongoose.model('Notification', NotificationSchema);
+
+export { NOTIFICATION_TYPES, NOTIFICATION_CHANNELS, DEFAULT_NOTIFICATION_CHANNELS };
+export default Notification;
@@ -0,0 +1,11 @@
+import mongoose from 'mongoose';
+import { NOTIFICATION_TYPES, NOTIFICATION_CHANNELS } from './Notification.js';
+
+// Embedded in User: chosen channel per notification type. Unset types use
+// DEFAULT_NOTIFICATION_CHANNELS, so new types get a sensible default.
+const NotificationPreferencesSchema = new mongoose.Schema(
+  Object.fromEntries(NOTIFICATION_TYPES.map(type => [type, { type: String, enum: NOTIFICATION_CHANNELS }])),
+  { _id: false }
+);
+
+export default NotificationPreferencesSchema;
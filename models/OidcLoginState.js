@@ -0,0 +1,34 @@
+import mongoose from 'mongoose';
+
+// Pending OIDC authorization request, kept until the provider redirects back
+const OidcLoginStateSchema = new mongoose.Schema({
+  state: {
+    type: String,
+    required: true,
+    unique: true
+  },
+  nonce: {
+    type: String,
+    required: true
+  },
+  // PKCE verifier matching the code_challenge sent to the provider
+  codeVerifier: {
+    type: String,
+    required: true
+  },
+  // 'redirect' sends the browser back to the frontend, 'json' answers directly
+  responseMode: {
+    type: String,
+    enum: ['redirect', 'json'],
+    default: 'redirect'
+  },
+  createdAt: {
+    type: Date,
+    default: Date.now,
+    expires: 600 // Abandoned logins are removed after 10 minutes
+  }
+});
+
+const OidcLoginState = mongoose.model('OidcLoginState', OidcLoginStateSchema);
+
+export default OidcLoginState;
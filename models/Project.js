@@ -1,4 +1,6 @@
 import mongoose from 'mongoose';
+import SubmissionPolicySchema from './SubmissionPolicy.js';
+import LeaveTypeSchema from './LeaveType.js';
 
 const ProjectSchema = new mongoose.Schema({
   name: {
@@ -22,6 +24,13 @@ const ProjectSchema = new mongoose.Schema({
     type: Boolean,
     default: true
   },
+  // Which dates statuses may be submitted for (see utils/submissionPolicy.js)
+  submissionPolicy: {
+    type: SubmissionPolicySchema,
+    default: () => ({})
+  },
+  // Leave members can take; empty means the defaults (see utils/leave.js)
+  leaveTypes: [LeaveTypeSchema],
   createdBy: {
     type: mongoose.Schema.Types.ObjectId,
     ref: 'User'
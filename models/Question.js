@@ -1,5 +1,22 @@
 import mongoose from 'mongoose';
 
+// Structured types store a typed answer next to its text (see utils/answers.js)
+const QUESTION_TYPES = ['text', 'multiple_choice', 'single_choice', 'number', 'date', 'rating', 'boolean', 'rag'];
+const CHOICE_QUESTION_TYPES = ['multiple_choice', 'single_choice'];
+const RAG_LEVELS = ['red', 'amber', 'green'];
+const RATING_RANGE = { min: 1, max: 5 };
+// Longest answer pattern a question can have
+const MAX_PATTERN_LENGTH = 200;
+
+const isValidPattern = (pattern) => {
+  try {
+    new RegExp(pattern);
+    return true;
+  } catch {
+    return false;
+  }
+};
+
 const QuestionSchema = new mongoose.Schema({
   text: {
     type: String,
@@ -8,9 +25,43 @@ const QuestionSchema = new mongoose.Schema({
   },
   type: {
     type: String,
-    enum: ['text', 'multiple_choice', 'single_choice'],
+    enum: QUESTION_TYPES,
     default: 'text'
   },
+  // A status has to answer every required question of its team
+  required: {
+    type: Boolean,
+    default: false
+  },
+  // Bounds of number answers; unset means unbounded
+  min: {
+    type: Number
+  },
+  max: {
+    type: Number
+  },
+  // Rules for text answers: length bounds and a regular expression the whole
+  // answer must match, with the message shown when it doesn't
+  minLength: {
+    type: Number,
+    min: 0
+  },
+  maxLength: {
+    type: Number,
+    min: 1
+  },
+  pattern: {
+    type: String,
+    maxlength: MAX_PATTERN_LENGTH,
+    validate: {
+      validator: isValidPattern,
+      message: 'Pattern must be a valid regular expression'
+    }
+  },
+  patternMessage: {
+    type: String,
+    trim: true
+  },
   options: [{
     text: {
       type: String,
@@ -52,18 +103,37 @@ const QuestionSchema = new mongoose.Schema({
   }
 });
 
-// Validate that choice questions have options
+// Validate that choice questions have options, and drop the rules of other types
 QuestionSchema.pre('save', function(next) {
-  if ((this.type === 'multiple_choice' || this.type === 'single_choice') && 
+  if (CHOICE_QUESTION_TYPES.includes(this.type) &&
       (!this.options || this.options.length === 0)) {
-    next(new Error('Choice questions must have at least one option'));
-  } else if (this.type === 'text' && this.options && this.options.length > 0) {
-    // Clear options for text questions
+    return next(new Error('Choice questions must have at least one option'));
+  }
+  if (!CHOICE_QUESTION_TYPES.includes(this.type) && this.options && this.options.length > 0) {
+    // Clear options for other questions
     this.options = [];
   }
+  if (this.type !== 'number') {
+    this.min = undefined;
+    this.max = undefined;
+  }
+  if (this.type !== 'text') {
+    this.minLength = undefined;
+    this.maxLength = undefined;
+    this.pattern = undefined;
+    this.patternMessage = undefined;
+  }
   next();
 });
 
 const Question = mongoose.model('Question', QuestionSchema);
 
+export {
+  QUESTION_TYPES,
+  CHOICE_QUESTION_TYPES,
+  RAG_LEVELS,
+  RATING_RANGE,
+  MAX_PATTERN_LENGTH,
+  isValidPattern
+};
 export default Question;
\ No newline at end of file
@@ -0,0 +1,66 @@
+import mongoose from 'mongoose';
+
+const RefreshTokenSchema = new mongoose.Schema({
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  // SHA-256 of the token handed to the client; the raw value is never stored
+  tokenHash: {
+    type: String,
+    required: true,
+    unique: true
+  },
+  // All tokens produced by rotating the same login share a family (session id)
+  family: {
+    type: String,
+    required: true
+  },
+  expiresAt: {
+    type: Date,
+    required: true
+  },
+  revokedAt: {
+    type: Date
+  },
+  replacedBy: {
+    type: String
+  },
+  createdByIp: {
+    type: String
+  },
+  createdAt: {
+    type: Date,
+    default: Date.now
+  }
+});
+
+RefreshTokenSchema.index({ user: 1, family: 1 });
+// Let MongoDB clean up expired tokens
+RefreshTokenSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+// Method to check if token can still be exchanged
+RefreshTokenSchema.methods.isActive = function() {
+  return !this.revokedAt && this.expiresAt > new Date();
+};
+
+// Static method to revoke every token of a login session
+RefreshTokenSchema.statics.revokeFamily = function(family) {
+  return this.updateMany(
+    { family, revokedAt: null },
+    { $set: { revokedAt: new Date() } }
+  );
+};
+
+// Static method to revoke every session of a user
+RefreshTokenSchema.statics.revokeAllForUser = function(userId) {
+  return this.updateMany(
+    { user: userId, revokedAt: null },
+    { $set: { revokedAt: new Date() } }
+  );
+};
+
+const RefreshToken = mongoose.model('RefreshToken', RefreshTokenSchema);
+
+export default RefreshToken;
@@ -0,0 +1,57 @@
+import mongoose from 'mongoose';
+
+// One reminder or escalation pass for a team on a calendar day. The unique index
+// makes each pass run once, even across restarts or several server processes.
+const ReminderRunSchema = new mongoose.Schema({
+  team: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Team',
+    required: true
+  },
+  // Calendar date ('YYYY-MM-DD') in the team's timezone
+  day: {
+    type: String,
+    required: true
+  },
+  stage: {
+    type: String,
+    enum: ['reminder', 'escalation'],
+    required: true
+  },
+  state: {
+    type: String,
+    enum: ['running', 'completed', 'failed'],
+    default: 'running'
+  },
+  // Members who had neither a status nor leave when the pass ran
+  missingUsers: [{
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  }],
+  // Who was notified: the missing members, or the managers on escalation
+  notifiedUsers: [{
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  }],
+  attempts: {
+    type: Number,
+    default: 0
+  },
+  error: {
+    type: String
+  },
+  startedAt: {
+    type: Date,
+    default: Date.now
+  },
+  completedAt: {
+    type: Date
+  }
+});
+
+ReminderRunSchema.index({ team: 1, day: 1, stage: 1 }, { unique: true });
+ReminderRunSchema.index({ startedAt: -1 });
+
+const ReminderRun = mongoose.model('ReminderRun', ReminderRunSchema);
+
+export default ReminderRun;
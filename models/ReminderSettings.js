@@ -0,0 +1,29 @@
+import mongoose from 'mongoose';
+import { TIME_OF_DAY_PATTERN } from '../utils/dates.js';
+
+// Embedded in Team: when missing statuses are chased, in the team's local time
+const ReminderSettingsSchema = new mongoose.Schema({
+  enabled: {
+    type: Boolean,
+    default: false
+  },
+  // 'HH:mm' at which members without a status (or leave) are reminded
+  reminderTime: {
+    type: String,
+    match: TIME_OF_DAY_PATTERN,
+    default: '17:00'
+  },
+  // 'HH:mm' at which the team's managers get the list of members still missing
+  escalationTime: {
+    type: String,
+    match: TIME_OF_DAY_PATTERN,
+    default: '19:00'
+  },
+  // Days of the week reminders run on (0 = Sunday ... 6 = Saturday)
+  weekdays: {
+    type: [{ type: Number, min: 0, max: 6 }],
+    default: [1, 2, 3, 4, 5]
+  }
+}, { _id: false });
+
+export default ReminderSettingsSchema;
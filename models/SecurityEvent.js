@@ -0,0 +1,40 @@
+import mongoose from 'mongoose';
+
+const SecurityEventSchema = new mongoose.Schema({
+  type: {
+    type: String,
+    enum: ['account_locked', 'account_unlocked', 'ip_rate_limited'],
+    required: true
+  },
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  email: {
+    type: String,
+    trim: true,
+    lowercase: true
+  },
+  ip: {
+    type: String
+  },
+  details: {
+    type: String,
+    trim: true
+  },
+  actor: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  createdAt: {
+    type: Date,
+    default: Date.now
+  }
+});
+
+SecurityEventSchema.index({ createdAt: -1 });
+SecurityEventSchema.index({ user: 1, createdAt: -1 });
+
+const SecurityEvent = mongoose.model('SecurityEvent', SecurityEventSchema);
+
+export default SecurityEvent;
@@ -1,4 +1,8 @@
 import mongoose from 'mongoose';
+import StatusRevision from './StatusRevision.js';
+import { LEAVE_DURATIONS } from './LeaveType.js';
+import { checkSubmissionDate } from '../utils/submissionPolicy.js';
+import { calendarDateToDate, getToday, isCalendarDate, isValidTimeZone, toCalendarDate } from '../utils/dates.js';
 
 const StatusSchema = new mongoose.Schema({
   user: {
@@ -16,6 +20,24 @@ const StatusSchema = new mongoose.Schema({
     ref: 'Project',
     required: true
   },
+  // Calendar date ('YYYY-MM-DD') the status is for, in the member's timezone
+  day: {
+    type: String,
+    required: true,
+    validate: {
+      validator: isCalendarDate,
+      message: 'Day must be a calendar date (YYYY-MM-DD)'
+    }
+  },
+  // IANA timezone the day was determined in (user's, else team default)
+  timezone: {
+    type: String,
+    validate: {
+      validator: (value) => !value || isValidTimeZone(value),
+      message: 'Timezone must be a valid IANA timezone'
+    }
+  },
+  // Midnight UTC of `day`, kept in sync for date-typed queries and sorting
   date: {
     type: Date,
     required: true,
@@ -31,6 +53,20 @@ const StatusSchema = new mongoose.Schema({
       return this.isLeave;
     }
   },
+  // Key of one of the project's leave types (see utils/leave.js); unset on older leave
+  leaveType: {
+    type: String
+  },
+  // Part of the day the leave covers; unset means the full day
+  leaveDuration: {
+    type: String,
+    enum: LEAVE_DURATIONS
+  },
+  // Submitted for a date outside the team's submission window
+  isLate: {
+    type: Boolean,
+    default: false
+  },
   responses: [{
     question: {
       type: mongoose.Schema.Types.ObjectId,
@@ -45,6 +81,11 @@ const StatusSchema = new mongoose.Schema({
         return !this.parent().isLeave;
       },
       trim: true
+    },
+    // Typed answer of a structured question: a number (number, rating), a calendar
+    // date, true/false, or a RAG level ('red', 'amber', 'green')
+    value: {
+      type: mongoose.Schema.Types.Mixed
     }
   }],
   updatedBy: {
@@ -52,6 +93,11 @@ const StatusSchema = new mongoose.Schema({
     ref: 'User',
     required: true
   },
+  // Number of the latest StatusRevision; bumped on every save
+  revision: {
+    type: Number,
+    default: 0
+  },
   createdAt: {
     type: Date,
     default: Date.now
@@ -60,12 +106,27 @@ const StatusSchema = new mongoose.Schema({
     type: Date,
     default: Date.now
   }
+}, {
+  // Saving a copy loaded before someone else's save fails with a VersionError
+  // instead of both writers taking the same revision number
+  optimisticConcurrency: true
 });
 
 // Index for efficient queries
-StatusSchema.index({ user: 1, team: 1, date: 1 }, { unique: true });
-StatusSchema.index({ team: 1, date: -1 });
-StatusSchema.index({ project: 1, date: -1 });
+StatusSchema.index({ user: 1, team: 1, day: 1 }, { unique: true });
+StatusSchema.index({ team: 1, day: -1 });
+StatusSchema.index({ project: 1, day: -1 });
+
+// `day` is the source of truth; derive it for legacy callers that only set `date`
+StatusSchema.pre('validate', function(next) {
+  if (!this.day && this.date) {
+    this.day = toCalendarDate(this.date, this.timezone);
+  }
+  if (this.day && isCalendarDate(this.day)) {
+    this.date = calendarDateToDate(this.day);
+  }
+  next();
+});
 
 // Update the updatedAt field before saving
 StatusSchema.pre('save', function(next) {
@@ -75,26 +136,48 @@ StatusSchema.pre('save', function(next) {
   next();
 });
 
+// Every save that changes something becomes a new revision. Routes can set
+// $locals.revisionAction / $locals.restoredFrom to describe the change.
+StatusSchema.pre('save', function(next) {
+  this.$locals.recordRevision = this.isNew || this.isModified();
+  if (this.$locals.recordRevision) {
+    this.revision = (this.revision || 0) + 1;
+    this.$locals.revisionAction = this.$locals.revisionAction || (this.isNew ? 'create' : 'update');
+  }
+  next();
+});
+
+StatusSchema.post('save', async function(doc) {
+  if (!doc.$locals.recordRevision) return;
+
+  const { revisionAction, restoredFrom } = doc.$locals;
+  doc.$locals.recordRevision = false;
+  doc.$locals.revisionAction = undefined;
+  doc.$locals.restoredFrom = undefined;
+
+  // The status is already saved, so a missing revision must not fail the request;
+  // scripts/backfillStatusRevisions.js records the ones that went missing
+  try {
+    await StatusRevision.create(StatusRevision.fromStatus(doc, { action: revisionAction, restoredFrom }));
+  } catch (err) {
+    console.error(`Failed to record revision ${doc.revision} of status ${doc._id}:`, err.message);
+  }
+});
+
 // Virtual for formatted date
 StatusSchema.virtual('formattedDate').get(function() {
-  return this.date.toLocaleDateString();
+  return this.day;
 });
 
-// Method to check if status is for today
-StatusSchema.methods.isToday = function() {
-  const today = new Date();
-  const statusDate = new Date(this.date);
-  return today.toDateString() === statusDate.toDateString();
+// Method to check if status is for today in its own timezone
+StatusSchema.methods.isToday = function(now = new Date()) {
+  return this.day === getToday(this.timezone, now);
 };
 
-// Method to check if status can be edited (within allowed date range)
-StatusSchema.methods.canBeEdited = function() {
-  const today = new Date();
-  const statusDate = new Date(this.date);
-  const twoDaysAgo = new Date(today);
-  twoDaysAgo.setDate(today.getDate() - 2);
-  
-  return statusDate >= twoDaysAgo && statusDate <= today;
+// Method to check if status can be edited under a submission policy
+// (resolve one with resolveSubmissionPolicy from utils/submissionPolicy.js)
+StatusSchema.methods.canBeEdited = function(policy, options = {}) {
+  return checkSubmissionDate(this.day, policy, { timeZone: this.timezone, ...options }).allowed;
 };
 
 // Static method to get status summary for a date range
@@ -102,10 +185,10 @@ StatusSchema.statics.getStatusSummary = async function(teamId, startDate, endDat
   return this.aggregate([
     {
       $match: {
-        team: mongoose.Types.ObjectId(teamId),
-        date: {
-          $gte: new Date(startDate),
-          $lte: new Date(endDate)
+        team: new mongoose.Types.ObjectId(teamId),
+        day: {
+          $gte: toCalendarDate(startDate),
+          $lte: toCalendarDate(endDate)
         }
       }
     },
@@ -113,7 +196,7 @@ StatusSchema.statics.getStatusSummary = async function(teamId, startDate, endDat
       $group: {
         _id: {
           user: '$user',
-          date: { $dateToString: { format: "%Y-%m-%d", date: "$date" } }
+          date: '$day'
         },
         isLeave: { $first: '$isLeave' },
         leaveReason: { $first: '$leaveReason' },
@@ -0,0 +1,132 @@
+import mongoose from 'mongoose';
+
+// Immutable snapshot of a status entry, written on every save of the status
+const StatusRevisionSchema = new mongoose.Schema({
+  status: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Status',
+    required: true
+  },
+  revision: {
+    type: Number,
+    required: true
+  },
+  // How the revision came about; 'restore' revisions name the revision they copied
+  action: {
+    type: String,
+    enum: ['create', 'update', 'restore', 'import'],
+    required: true
+  },
+  restoredFrom: {
+    type: Number
+  },
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  team: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Team',
+    required: true
+  },
+  project: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Project',
+    required: true
+  },
+  day: {
+    type: String
+  },
+  timezone: {
+    type: String
+  },
+  date: {
+    type: Date,
+    required: true
+  },
+  isLeave: {
+    type: Boolean,
+    default: false
+  },
+  leaveReason: {
+    type: String
+  },
+  leaveType: {
+    type: String
+  },
+  leaveDuration: {
+    type: String
+  },
+  isLate: {
+    type: Boolean,
+    default: false
+  },
+  responses: [{
+    _id: false,
+    question: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Question'
+    },
+    answer: {
+      type: String
+    },
+    value: {
+      type: mongoose.Schema.Types.Mixed
+    }
+  }],
+  changedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  createdAt: {
+    type: Date,
+    default: Date.now,
+    immutable: true
+  }
+});
+
+StatusRevisionSchema.index({ status: 1, revision: 1 }, { unique: true });
+
+// Revisions are append-only
+StatusRevisionSchema.pre('save', function(next) {
+  if (!this.isNew) {
+    return next(new Error('Status revisions cannot be modified'));
+  }
+  next();
+});
+
+StatusRevisionSchema.pre(['updateOne', 'updateMany', 'findOneAndUpdate', 'replaceOne', 'findOneAndReplace'], function(next) {
+  next(new Error('Status revisions cannot be modified'));
+});
+
+// Build the revision document for the current state of a status
+StatusRevisionSchema.statics.fromStatus = function(status, { action, restoredFrom, changedBy } = {}) {
+  return {
+    status: status._id,
+    revision: status.revision,
+    action,
+    restoredFrom,
+    user: status.user?._id || status.user,
+    team: status.team?._id || status.team,
+    project: status.project?._id || status.project,
+    day: status.day,
+    timezone: status.timezone,
+    date: status.date,
+    isLeave: status.isLeave,
+    leaveReason: status.leaveReason,
+    leaveType: status.leaveType,
+    leaveDuration: status.leaveDuration,
+    isLate: status.isLate,
+    responses: (status.responses || []).map(response => ({
+      question: response.question?._id || response.question,
+      answer: response.answer,
+      value: response.value
+    })),
+    changedBy: changedBy || status.updatedBy?._id || status.updatedBy
+  };
+};
+
+const StatusRevision = mongoose.model('StatusRevision', StatusRevisionSchema);
+
+export default StatusRevision;
@@ -0,0 +1,26 @@
+import mongoose from 'mongoose';
+
+// Embedded in Project and Team. Unset fields fall back to the project's policy,
+// then to the defaults in utils/submissionPolicy.js, so no field has a default here.
+const SubmissionPolicySchema = new mongoose.Schema({
+  // How many days before today a status may be created or edited
+  daysBack: {
+    type: Number,
+    min: 0
+  },
+  // How many days after today a status may be created or edited
+  daysForward: {
+    type: Number,
+    min: 0
+  },
+  // Accept statuses older than daysBack, flagged as late, instead of rejecting them
+  allowLate: {
+    type: Boolean
+  },
+  // Let managers of the team submit outside the window
+  managerOverride: {
+    type: Boolean
+  }
+}, { _id: false });
+
+export default SubmissionPolicySchema;
@@ -1,4 +1,10 @@
 import mongoose from 'mongoose';
+import SubmissionPolicySchema from './SubmissionPolicy.js';
+import ReminderSettingsSchema from './ReminderSettings.js';
+import { isValidTimeZone } from '../utils/dates.js';
+
+// Roles a member can hold within a single team
+const TEAM_ROLES = ['Member', 'Lead'];
 
 const TeamSchema = new mongoose.Schema({
   name: {
@@ -19,6 +25,11 @@ const TeamSchema = new mongoose.Schema({
     type: mongoose.Schema.Types.ObjectId,
     ref: 'User'
   }],
+  // Members holding the 'Lead' team role; they look after this team only
+  leads: [{
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  }],
   questions: [{
     type: mongoose.Schema.Types.ObjectId,
     ref: 'Question'
@@ -27,6 +38,24 @@ const TeamSchema = new mongoose.Schema({
     type: Boolean,
     default: true
   },
+  // Default IANA timezone for members who haven't set their own
+  timezone: {
+    type: String,
+    validate: {
+      validator: (value) => !value || isValidTimeZone(value),
+      message: 'Timezone must be a valid IANA timezone'
+    }
+  },
+  // Which dates statuses may be submitted for (see utils/submissionPolicy.js)
+  submissionPolicy: {
+    type: SubmissionPolicySchema,
+    default: () => ({})
+  },
+  // When members missing a status are reminded and managers alerted (see utils/reminders.js)
+  reminderSettings: {
+    type: ReminderSettingsSchema,
+    default: () => ({})
+  },
   createdBy: {
     type: mongoose.Schema.Types.ObjectId,
     ref: 'User',
@@ -42,6 +71,15 @@ const TeamSchema = new mongoose.Schema({
   }
 });
 
+TeamSchema.index({ leads: 1 });
+
+// Team role of a member ('Lead' or 'Member')
+TeamSchema.methods.getMemberRole = function(userId) {
+  const isLead = (this.leads || []).some(lead => (lead._id || lead).toString() === userId.toString());
+  return isLead ? 'Lead' : 'Member';
+};
+
 const Team = mongoose.model('Team', TeamSchema);
 
+export { TEAM_ROLES };
 export default Team;
\ No newline at end of file
@@ -1,5 +1,8 @@
 import mongoose from 'mongoose';
 import bcrypt from 'bcryptjs';
+import { isValidTimeZone } from '../utils/dates.js';
+import NotificationPreferencesSchema from './NotificationPreferences.js';
+import DigestSettingsSchema from './DigestSettings.js';
 
 const UserSchema = new mongoose.Schema({
   name: {
@@ -16,9 +19,18 @@ const UserSchema = new mongoose.Schema({
   },
   password: {
     type: String,
-    required: true,
+    required: function() {
+      // Invited users choose their own password when accepting the invite,
+      // single sign-on users may never have one
+      return this.status !== 'pending' && !this.oidcSubject;
+    },
     minlength: 6
   },
+  status: {
+    type: String,
+    enum: ['pending', 'active'],
+    default: 'active'
+  },
   role: {
     type: String,
     enum: ['admin', 'manager', 'employee'],
@@ -32,6 +44,117 @@ const UserSchema = new mongoose.Schema({
     type: mongoose.Schema.Types.ObjectId,
     ref: 'Project'
   }],
+  // IANA timezone (e.g. 'Asia/Kolkata'); falls back to the team's, then DEFAULT_TIMEZONE
+  timezone: {
+    type: String,
+    validate: {
+      validator: (value) => !value || isValidTimeZone(value),
+      message: 'Timezone must be a valid IANA timezone'
+    }
+  },
+  // Where the member works (e.g. 'Bengaluru'); picks their holiday calendar (see utils/holidays.js)
+  location: {
+    type: String,
+    trim: true
+  },
+  // Chat workspace user ID linked through the chat command endpoint (routes/chat.js)
+  chatUserId: {
+    type: String,
+    unique: true,
+    sparse: true
+  },
+  // Delivery channel per notification type (see models/Notification.js)
+  notificationPreferences: {
+    type: NotificationPreferencesSchema,
+    default: () => ({})
+  },
+  // Daily/weekly digest email of managed projects (see utils/digest.js)
+  digestSettings: {
+    type: DigestSettingsSchema,
+    default: () => ({})
+  },
+  // Hash of the secret token in the user's leave calendar feed URL (see utils/calendarFeed.js)
+  calendarFeedTokenHash: {
+    type: String,
+    select: false
+  },
+  calendarFeedCreatedAt: {
+    type: Date
+  },
+  // Bumped to invalidate every access token issued to the user (logout everywhere)
+  tokenVersion: {
+    type: Number,
+    default: 0
+  },
+  // Hash of the single-use password reset token (raw token is only emailed)
+  passwordResetTokenHash: {
+    type: String,
+    select: false
+  },
+  passwordResetExpires: {
+    type: Date,
+    select: false
+  },
+  // Hash of the one-time invitation token for pending users
+  invitationTokenHash: {
+    type: String,
+    select: false
+  },
+  invitationExpires: {
+    type: Date,
+    select: false
+  },
+  invitedAt: {
+    type: Date
+  },
+  invitationAcceptedAt: {
+    type: Date
+  },
+  // Identity linked through OpenID Connect single sign-on
+  oidcIssuer: {
+    type: String
+  },
+  oidcSubject: {
+    type: String
+  },
+  // Brute-force protection
+  failedLoginAttempts: {
+    type: Number,
+    default: 0
+  },
+  lastFailedLoginAt: {
+    type: Date
+  },
+  lockUntil: {
+    type: Date
+  },
+  // TOTP two-factor authentication
+  twoFactorEnabled: {
+    type: Boolean,
+    default: false
+  },
+  twoFactorSecret: {
+    type: String,
+    select: false
+  },
+  // Secret generated during enrollment, promoted once a code is verified
+  twoFactorPendingSecret: {
+    type: String,
+    select: false
+  },
+  // Hashes of unused recovery codes
+  twoFactorRecoveryCodes: {
+    type: [String],
+    select: false
+  },
+  // Last accepted TOTP time step, so a code can't be replayed
+  twoFactorLastStep: {
+    type: Number,
+    select: false
+  },
+  twoFactorEnabledAt: {
+    type: Date
+  },
   createdBy: {
     type: mongoose.Schema.Types.ObjectId,
     ref: 'User'
@@ -46,6 +169,13 @@ const UserSchema = new mongoose.Schema({
   }
 });
 
+UserSchema.index({ calendarFeedTokenHash: 1 }, { unique: true, sparse: true });
+
+UserSchema.index(
+  { oidcIssuer: 1, oidcSubject: 1 },
+  { unique: true, partialFilterExpression: { oidcSubject: { $type: 'string' } } }
+);
+
 // Hash password before saving
 UserSchema.pre('save', async function(next) {
   if (!this.isModified('password')) return next();
@@ -61,9 +191,25 @@ UserSchema.pre('save', async function(next) {
 
 // Compare password method
 UserSchema.methods.comparePassword = async function(candidatePassword) {
+  // Single sign-on users without a local password can't log in with one
+  if (!this.password) return false;
   return await bcrypt.compare(candidatePassword, this.password);
 };
 
+// Check if account is temporarily locked after too many failed logins
+UserSchema.methods.isLocked = function() {
+  return !!(this.lockUntil && this.lockUntil > new Date());
+};
+
+// Check if the user's role must use two-factor authentication
+UserSchema.methods.requiresTwoFactor = function() {
+  const roles = (process.env.TWO_FACTOR_REQUIRED_ROLES || '')
+    .split(',')
+    .map(role => role.trim())
+    .filter(Boolean);
+  return roles.includes(this.role);
+};
+
 const User = mongoose.model('User', UserSchema);
 
 export default User;
\ No newline at end of file
@@ -0,0 +1,78 @@
+import mongoose from 'mongoose';
+import { EVENT_TYPES } from '../utils/events.js';
+
+const WebhookSchema = new mongoose.Schema({
+  name: {
+    type: String,
+    required: true,
+    trim: true
+  },
+  url: {
+    type: String,
+    required: true,
+    trim: true,
+    validate: {
+      validator: (value) => {
+        try {
+          return ['http:', 'https:'].includes(new URL(value).protocol);
+        } catch (error) {
+          return false;
+        }
+      },
+      message: 'URL must be an http(s) URL'
+    }
+  },
+  // Key for the X-Webhook-Signature HMAC; the receiver needs it, so it is stored
+  // as is and only returned when the webhook is created or the secret rotated
+  secret: {
+    type: String,
+    required: true,
+    select: false
+  },
+  // Events to deliver; empty means all of them
+  events: [{
+    type: String,
+    enum: EVENT_TYPES
+  }],
+  // Optional scope: only events from this project / team. A webhook with neither
+  // receives events from everywhere and can only be managed by admins.
+  project: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Project'
+  },
+  team: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Team'
+  },
+  active: {
+    type: Boolean,
+    default: true
+  },
+  createdBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  createdAt: {
+    type: Date,
+    default: Date.now
+  },
+  updatedAt: {
+    type: Date,
+    default: Date.now
+  }
+});
+
+WebhookSchema.index({ active: 1 });
+
+// Whether an event (see utils/events.js) should be delivered to this webhook
+WebhookSchema.methods.matches = function(event) {
+  if (!this.active) return false;
+  if (this.events.length > 0 && !this.events.includes(event.type)) return false;
+  if (this.project && this.project.toString() !== event.project) return false;
+  if (this.team && this.team.toString() !== event.team) return false;
+  return true;
+};
+
+const Webhook = mongoose.model('Webhook', WebhookSchema);
+
+export default Webhook;
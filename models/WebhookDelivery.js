@@ -0,0 +1,72 @@
+import mongoose from 'mongoose';
+
+// One event sent (or still to be sent) to one webhook, with the outcome of the last attempt
+const WebhookDeliverySchema = new mongoose.Schema({
+  webhook: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Webhook',
+    required: true
+  },
+  event: {
+    type: String,
+    required: true
+  },
+  // Event ID; the same across redeliveries so receivers can deduplicate
+  eventId: {
+    type: String,
+    required: true
+  },
+  payload: {
+    type: mongoose.Schema.Types.Mixed,
+    required: true
+  },
+  state: {
+    type: String,
+    enum: ['pending', 'succeeded', 'failed'],
+    default: 'pending'
+  },
+  attempts: {
+    type: Number,
+    default: 0
+  },
+  nextAttemptAt: {
+    type: Date,
+    default: Date.now
+  },
+  // Set while a dispatcher is sending it, so two processes don't both send
+  lockedUntil: {
+    type: Date
+  },
+  lastAttemptAt: {
+    type: Date
+  },
+  responseStatus: {
+    type: Number
+  },
+  // Start of the response body, for debugging receivers
+  responseBody: {
+    type: String
+  },
+  error: {
+    type: String
+  },
+  durationMs: {
+    type: Number
+  },
+  // Set on deliveries created by the redeliver endpoint
+  redeliveryOf: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'WebhookDelivery'
+  },
+  createdAt: {
+    type: Date,
+    default: Date.now
+  }
+}, { minimize: false });
+
+WebhookDeliverySchema.index({ state: 1, nextAttemptAt: 1 });
+WebhookDeliverySchema.index({ webhook: 1, createdAt: -1 });
+
+const WebhookDelivery = mongoose.model('WebhookDelivery', WebhookDeliverySchema);
+
+export default WebhookDelivery;
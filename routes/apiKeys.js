@@ -0,0 +1,242 @@
+import express from 'express';
+import crypto from 'crypto';
+import mongoose from 'mongoose';
+import { check, validationResult } from 'express-validator';
+import ApiKey, { API_KEY_SCOPES } from '../models/ApiKey.js';
+import User from '../models/User.js';
+import { auth } from '../middleware/auth.js';
+import { hashToken } from '../utils/tokens.js';
+import { hasPermission } from '../utils/permissions.js';
+
+const router = express.Router();
+
+// Keys look like "est_<43 url-safe characters>"
+const generateApiKey = () => `est_${crypto.randomBytes(32).toString('base64url')}`;
+
+// Shape returned by every endpoint; never includes the key hash
+const formatApiKey = (apiKey) => ({
+  id: apiKey._id,
+  name: apiKey.name,
+  prefix: apiKey.prefix,
+  owner: apiKey.owner,
+  scopes: apiKey.scopes,
+  teams: apiKey.teams,
+  projects: apiKey.projects,
+  expiresAt: apiKey.expiresAt,
+  lastUsedAt: apiKey.lastUsedAt,
+  revokedAt: apiKey.revokedAt,
+  active: apiKey.isActive(),
+  createdBy: apiKey.createdBy,
+  createdAt: apiKey.createdAt
+});
+
+// Admins manage every key, everyone else only their own
+const canManageKey = (user, apiKey) =>
+  hasPermission(user.role, 'apikey.manage') || (apiKey.owner._id || apiKey.owner).toString() === user._id.toString();
+
+// @route   POST /api/api-keys
+// @desc    Create an API key (admins may create keys owned by another user)
+// @access  Private
+router.post('/', [
+  auth,
+  [
+    check('name', 'Name is required').not().isEmpty(),
+    check('scopes', 'At least one scope is required').isArray({ min: 1 }),
+    check('scopes.*', `Scopes must be one of: ${API_KEY_SCOPES.join(', ')}`).isIn(API_KEY_SCOPES),
+    check('teams', 'Teams must be an array').optional().isArray(),
+    check('projects', 'Projects must be an array').optional().isArray(),
+    check('expiresAt', 'Expiry must be a valid date').optional().isISO8601()
+  ]
+], async (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({ errors: errors.array() });
+  }
+
+  const { name, scopes, teams = [], projects = [], expiresAt, owner } = req.body;
+
+  try {
+    for (const id of [...teams, ...projects]) {
+      if (!mongoose.Types.ObjectId.isValid(id)) {
+        return res.status(400).json({ message: `Invalid team or project ID: ${id}` });
+      }
+    }
+
+    if (expiresAt && new Date(expiresAt) <= new Date()) {
+      return res.status(400).json({ message: 'Expiry must be in the future' });
+    }
+
+    let ownerId = req.user._id;
+    if (owner && owner !== req.user._id.toString()) {
+      if (!hasPermission(req.user.role, 'apikey.manage')) {
+        return res.status(403).json({ message: 'Only admins can create keys for other users' });
+      }
+      if (!mongoose.Types.ObjectId.isValid(owner) || !(await User.exists({ _id: owner }))) {
+        return res.status(404).json({ message: 'Owner not found' });
+      }
+      ownerId = owner;
+    }
+
+    const key = generateApiKey();
+    const apiKey = new ApiKey({
+      name,
+      prefix: key.slice(0, 12),
+      keyHash: hashToken(key),
+      owner: ownerId,
+      scopes: [...new Set(scopes)],
+      teams,
+      projects,
+      expiresAt: expiresAt ? new Date(expiresAt) : undefined,
+      createdBy: req.user._id
+    });
+
+    await apiKey.save();
+
+    // The raw key is only ever returned here
+    res.status(201).json({ ...formatApiKey(apiKey), key });
+  } catch (err) {
+    console.error(err.message);
+    res.status(500).send('Server error');
+  }
+});
+
+// @route   GET /api/api-keys
+// @desc    List API keys (own keys; admins may filter by owner or see all)
+// @access  Private
+router.get('/', auth, async (req, res) => {
+  try {
+    const query = {};
+
+    if (hasPermission(req.user.role, 'apikey.manage')) {
+      if (req.query.owner) query.owner = req.query.owner;
+    } else {
+      query.owner = req.user._id;
+    }
+
+    if (req.query.includeRevoked !== 'true') {
+      query.revokedAt = null;
+    }
+
+    const apiKeys = await ApiKey.find(query)
+      .sort({ createdAt: -1 })
+      .populate('owner', 'name email')
+      .populate('teams', 'name')
+      .populate('projects', 'name');
+
+    res.json(apiKeys.map(formatApiKey));
+  } catch (err) {
+    console.error(err.message);
+    res.status(500).send('Server error');
+  }
+});
+
+// @route   GET /api/api-keys/:id
+// @desc    Get an API key
+// @access  Private (Owner, Admin)
+router.get('/:id', auth, async (req, res) => {
+  try {
+    const apiKey = await ApiKey.findById(req.params.id)
+      .populate('owner', 'name email')
+      .populate('teams', 'name')
+      .populate('projects', 'name');
+
+    if (!apiKey) {
+      return res.status(404).json({ message: 'API key not found' });
+    }
+
+    if (!canManageKey(req.user, apiKey)) {
+      return res.status(403).json({ message: 'Not authorized to view this API key' });
+    }
+
+    res.json(formatApiKey(apiKey));
+  } catch (err) {
+    console.error(err.message);
+    res.status(500).send('Server error');
+  }
+});
+
+// @route   PUT /api/api-keys/:id
+// @desc    Update an API key's name, scopes, restriction or expiry
+// @access  Private (Owner, Admin)
+router.put('/:id', [
+  auth,
+  [
+    check('name', 'Name is required').optional().not().isEmpty(),
+    check('scopes', 'At least one scope is required').optional().isArray({ min: 1 }),
+    check('scopes.*', `Scopes must be one of: ${API_KEY_SCOPES.join(', ')}`).optional().isIn(API_KEY_SCOPES),
+    check('teams', 'Teams must be an array').optional().isArray(),
+    check('projects', 'Projects must be an array').optional().isArray(),
+    check('expiresAt', 'Expiry must be a valid date').optional({ values: 'null' }).isISO8601()
+  ]
+], async (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({ errors: errors.array() });
+  }
+
+  try {
+    const apiKey = await ApiKey.findById(req.params.id);
+
+    if (!apiKey) {
+      return res.status(404).json({ message: 'API key not found' });
+    }
+
+    if (!canManageKey(req.user, apiKey)) {
+      return res.status(403).json({ message: 'Not authorized to update this API key' });
+    }
+
+    if (apiKey.revokedAt) {
+      return res.status(400).json({ message: 'Revoked keys cannot be changed' });
+    }
+
+    const { name, scopes, teams, projects, expiresAt } = req.body;
+
+    for (const id of [...(teams || []), ...(projects || [])]) {
+      if (!mongoose.Types.ObjectId.isValid(id)) {
+        return res.status(400).json({ message: `Invalid team or project ID: ${id}` });
+      }
+    }
+
+    if (name) apiKey.name = name;
+    if (scopes) apiKey.scopes = [...new Set(scopes)];
+    if (teams) apiKey.teams = teams;
+    if (projects) apiKey.projects = projects;
+    if (expiresAt !== undefined) apiKey.expiresAt = expiresAt ? new Date(expiresAt) : undefined;
+
+    await apiKey.save();
+
+    res.json(formatApiKey(apiKey));
+  } catch (err) {
+    console.error(err.message);
+    res.status(500).send('Server error');
+  }
+});
+
+// @route   DELETE /api/api-keys/:id
+// @desc    Revoke an API key
+// @access  Private (Owner, Admin)
+router.delete('/:id', auth, async (req, res) => {
+  try {
+    const apiKey = await ApiKey.findById(req.params.id);
+
+    if (!apiKey) {
+      return res.status(404).json({ message: 'API key not found' });
+    }
+
+    if (!canManageKey(req.user, apiKey)) {
+      return res.status(403).json({ message: 'Not authorized to revoke this API key' });
+    }
+
+    if (!apiKey.revokedAt) {
+      apiKey.revokedAt = new Date();
+      await apiKey.save();
+    }
+
+    res.json({ message: 'API key revoked' });
+  } catch (err) {
+    console.error(err.message);
+    res.status(500).send('Server error');
+  }
+});
+
+export default router;
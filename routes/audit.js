@@ -0,0 +1,139 @@
+import express from 'express';
+import mongoose from 'mongoose';
+import ExcelJS from 'exceljs';
+import AuditLog, { AUDIT_ENTITY_TYPES } from '../models/AuditLog.js';
+import { auth, requirePermission } from '../middleware/auth.js';
+
+const router = express.Router();
+
+const MAX_EXPORT_ENTRIES = 10000;
+
+// Build the query shared by the list and export endpoints; returns { error } on bad input
+const buildAuditQuery = ({ actor, entityType, entityId, action, startDate, endDate }) => {
+  const query = {};
+
+  for (const [name, value] of Object.entries({ actor, entityId })) {
+    if (value && !mongoose.Types.ObjectId.isValid(value)) {
+      return { error: `Invalid ${name}` };
+    }
+  }
+
+  if (entityType && !AUDIT_ENTITY_TYPES.includes(entityType)) {
+    return { error: `Entity type must be one of: ${AUDIT_ENTITY_TYPES.join(', ')}` };
+  }
+
+  if (actor) query.actor = actor;
+  if (entityType) query.entityType = entityType;
+  if (entityId) query.entityId = entityId;
+  if (action) query.action = action;
+
+  if (startDate || endDate) {
+    query.createdAt = {};
+    if (startDate) query.createdAt.$gte = new Date(startDate);
+    if (endDate) query.createdAt.$lte = new Date(endDate);
+
+    if (Object.values(query.createdAt).some(date => isNaN(date))) {
+      return { error: 'Invalid date range' };
+    }
+  }
+
+  return { query };
+};
+
+// @route   GET /api/audit
+// @desc    List audit log entries, newest first (filter by actor, entity, action, date range)
+// @access  Private (Admin only)
+router.get('/', [auth, requirePermission('audit.view', 'Admin access required')], async (req, res) => {
+  try {
+    const { query, error } = buildAuditQuery(req.query);
+    if (error) {
+      return res.status(400).json({ message: error });
+    }
+
+    const limit = Math.min(parseInt(req.query.limit) || 100, 500);
+    const page = Math.max(parseInt(req.query.page) || 1, 1);
+
+    const [entries, total] = await Promise.all([
+      AuditLog.find(query)
+        .sort({ createdAt: -1 })
+        .skip((page - 1) * limit)
+        .limit(limit)
+        .populate('actor', 'name email'),
+      AuditLog.countDocuments(query)
+    ]);
+
+    res.json({ entries, total, page, limit });
+  } catch (err) {
+    console.error(err.message);
+    res.status(500).send('Server error');
+  }
+});
+
+// @route   GET /api/audit/export
+// @desc    Export matching audit log entries as Excel (default) or JSON (?format=json)
+// @access  Private (Admin only)
+router.get('/export', [auth, requirePermission('audit.view', 'Admin access required')], async (req, res) => {
+  try {
+    const { query, error } = buildAuditQuery(req.query);
+    if (error) {
+      return res.status(400).json({ message: error });
+    }
+
+    const entries = await AuditLog.find(query)
+      .sort({ createdAt: -1 })
+      .limit(MAX_EXPORT_ENTRIES)
+      .populate('actor', 'name email')
+      .lean();
+
+    if (req.query.format === 'json') {
+      res.setHeader('Content-Disposition', 'attachment; filename=audit-log.json');
+      return res.json(entries);
+    }
+
+    const workbook = new ExcelJS.Workbook();
+    const worksheet = workbook.addWorksheet('Audit Log');
+
+    worksheet.columns = [
+      { header: 'Time', key: 'createdAt', width: 22 },
+      { header: 'Actor', key: 'actor', width: 25 },
+      { header: 'Action', key: 'action', width: 18 },
+      { header: 'Entity Type', key: 'entityType', width: 12 },
+      { header: 'Entity ID', key: 'entityId', width: 26 },
+      { header: 'Changes', key: 'diff', width: 60 },
+      { header: 'Details', key: 'details', width: 40 },
+      { header: 'IP', key: 'ip', width: 16 }
+    ];
+
+    entries.forEach(entry => {
+      worksheet.addRow({
+        createdAt: entry.createdAt.toISOString(),
+        actor: entry.actor ? `${entry.actor.name} <${entry.actor.email}>` : '',
+        action: entry.action,
+        entityType: entry.entityType,
+        entityId: entry.entityId?.toString() || '',
+        diff: Object.keys(entry.diff || {}).length > 0 ? JSON.stringify(entry.diff) : '',
+        details: entry.details ? JSON.stringify(entry.details) : '',
+        ip: entry.ip || ''
+      });
+    });
+
+    worksheet.getRow(1).font = { bold: true };
+
+    res.setHeader(
+      'Content-Type',
+      'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet'
+    );
+    res.setHeader(
+      'Content-Disposition',
+      'attachment; filename=audit-log.xlsx'
+    );
+
+    await workbook.xlsx.write(res);
+    res.end();
+  } catch (err) {
+    console.error(err.message);
+    res.status(500).send('Server error');
+  }
+});
+
+export default router;
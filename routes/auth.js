@@ -2,14 +2,129 @@ import express from 'express';
 import { check, validationResult } from 'express-validator';
 import jwt from 'jsonwebtoken';
 import User from '../models/User.js';
-import { auth } from '../middleware/auth.js';
+import RefreshToken from '../models/RefreshToken.js';
+import SecurityEvent from '../models/SecurityEvent.js';
+import OidcLoginState from '../models/OidcLoginState.js';
+import { auth, authForTwoFactorSetup, requirePermission } from '../middleware/auth.js';
+import { createRateLimiter } from '../middleware/rateLimit.js';
+import {
+  issueAuthTokens,
+  rotateRefreshToken,
+  hashToken,
+  generateOneTimeToken,
+  revokeUserSessions
+} from '../utils/tokens.js';
+import { sendMail, getAppUrl, escapeHtml } from '../utils/mailer.js';
+import { findUserByInvitationToken } from '../utils/invitations.js';
+import { checkLoginAllowed, recordFailedLogin, recordSuccessfulLogin } from '../utils/loginProtection.js';
+import {
+  generateTotpSecret,
+  verifyTotp,
+  buildOtpauthUri,
+  generateRecoveryCodes
+} from '../utils/totp.js';
+import {
+  isOidcEnabled,
+  createRandomValue,
+  createPkcePair,
+  buildAuthorizationUrl,
+  exchangeCode,
+  verifyIdToken,
+  fetchUserInfo,
+  findOrProvisionUser
+} from '../utils/oidc.js';
+import { getUserFilter } from '../utils/permissions.js';
 
 const router = express.Router();
 
+// Per-IP limits: a general one for every auth route and a stricter one for
+// endpoints that accept credentials or send emails
+const authLimiter = createRateLimiter({
+  name: 'auth',
+  windowMs: 15 * 60 * 1000,
+  max: parseInt(process.env.AUTH_RATE_LIMIT, 10) || 300
+});
+const credentialLimiter = createRateLimiter({
+  name: 'auth credentials',
+  windowMs: 15 * 60 * 1000,
+  max: parseInt(process.env.LOGIN_RATE_LIMIT, 10) || 30,
+  message: 'Too many login attempts from this IP, please try again later'
+});
+
+router.use(authLimiter);
+
+const TWO_FACTOR_SECRET_FIELDS = '+twoFactorSecret +twoFactorPendingSecret +twoFactorRecoveryCodes +twoFactorLastStep';
+
+// Issue the real access/refresh tokens once every required factor is verified
+const issueLoginResponse = async (user, req) => {
+  const { token, refreshToken } = await issueAuthTokens(user, req.ip);
+
+  return {
+    token,
+    refreshToken,
+    user: {
+      id: user._id,
+      name: user.name,
+      email: user.email,
+      role: user.role
+    }
+  };
+};
+
+// Decide what a user who proved their password gets: a 2FA challenge,
+// a forced 2FA enrollment, or the tokens themselves
+const startLogin = async (user, req) => {
+  if (user.twoFactorEnabled) {
+    const challengeToken = jwt.sign(
+      { userId: user._id, purpose: '2fa-challenge' },
+      process.env.JWT_SECRET,
+      { expiresIn: '5m' }
+    );
+    return { twoFactorRequired: true, challengeToken };
+  }
+
+  if (user.requiresTwoFactor()) {
+    const setupToken = jwt.sign(
+      { userId: user._id, purpose: '2fa-setup' },
+      process.env.JWT_SECRET,
+      { expiresIn: '15m' }
+    );
+    return { twoFactorSetupRequired: true, setupToken };
+  }
+
+  return issueLoginResponse(user, req);
+};
+
+// Check a TOTP code or recovery code for a user loaded with the 2FA secret fields.
+// Consumes recovery codes and remembers the TOTP step; caller saves the user.
+const verifySecondFactor = (user, { code, recoveryCode }) => {
+  if (code) {
+    const step = verifyTotp(user.twoFactorSecret, code);
+    if (step === null || (user.twoFactorLastStep !== undefined && step <= user.twoFactorLastStep)) {
+      return false;
+    }
+    user.twoFactorLastStep = step;
+    return true;
+  }
+
+  if (recoveryCode) {
+    const codeHash = hashToken(recoveryCode.trim().toLowerCase());
+    const index = (user.twoFactorRecoveryCodes || []).indexOf(codeHash);
+    if (index === -1) {
+      return false;
+    }
+    user.twoFactorRecoveryCodes.splice(index, 1);
+    return true;
+  }
+
+  return false;
+};
+
 // @route   POST /api/auth/login
 // @desc    Login user
 // @access  Public
 router.post('/login', [
+  credentialLimiter,
   check('email', 'Please include a valid email').isEmail(),
   check('password', 'Password is required').exists()
 ], async (req, res) => {
@@ -27,28 +142,608 @@ router.post('/login', [
       return res.status(400).json({ message: 'Invalid credentials' });
     }
 
+    // Invited users have no password until they accept the invitation
+    if (user.status === 'pending') {
+      return res.status(403).json({ message: 'Please accept your invitation before logging in' });
+    }
+
+    // Refuse locked accounts and attempts made before the progressive delay ran out
+    const blocked = checkLoginAllowed(user);
+    if (blocked) {
+      res.set('Retry-After', String(blocked.retryAfter));
+      return res.status(blocked.status).json({ message: blocked.message, retryAfter: blocked.retryAfter });
+    }
+
     // Check password
     const isMatch = await user.comparePassword(password);
     if (!isMatch) {
+      await recordFailedLogin(user, req.ip);
       return res.status(400).json({ message: 'Invalid credentials' });
     }
 
-    // Create token
-    const token = jwt.sign(
-      { userId: user._id },
-      process.env.JWT_SECRET,
-      { expiresIn: '7d' }
-    );
+    await recordSuccessfulLogin(user);
+
+    // Create access and refresh tokens, or ask for the second factor first
+    res.json(await startLogin(user, req));
+  } catch (err) {
+    console.error(err.message);
+    res.status(500).send('Server error');
+  }
+});
+
+// @route   POST /api/auth/login/2fa
+// @desc    Second login step: exchange a challenge token and TOTP/recovery code for tokens
+// @access  Public
+router.post('/login/2fa', [
+  credentialLimiter,
+  check('challengeToken', 'Challenge token is required').not().isEmpty(),
+  check('code').optional().isString(),
+  check('recoveryCode').optional().isString()
+], async (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({ errors: errors.array() });
+  }
+
+  const { challengeToken, code, recoveryCode } = req.body;
+
+  if (!code && !recoveryCode) {
+    return res.status(400).json({ message: 'A verification code or recovery code is required' });
+  }
+
+  try {
+    let decoded;
+    try {
+      decoded = jwt.verify(challengeToken, process.env.JWT_SECRET);
+    } catch (verifyError) {
+      return res.status(401).json({ message: 'Login challenge is invalid or has expired' });
+    }
+
+    if (decoded.purpose !== '2fa-challenge') {
+      return res.status(401).json({ message: 'Login challenge is invalid or has expired' });
+    }
+
+    const user = await User.findById(decoded.userId).select(TWO_FACTOR_SECRET_FIELDS);
+    if (!user || !user.twoFactorEnabled) {
+      return res.status(401).json({ message: 'Login challenge is invalid or has expired' });
+    }
+
+    const blocked = checkLoginAllowed(user);
+    if (blocked) {
+      res.set('Retry-After', String(blocked.retryAfter));
+      return res.status(blocked.status).json({ message: blocked.message, retryAfter: blocked.retryAfter });
+    }
+
+    if (!verifySecondFactor(user, { code, recoveryCode })) {
+      await recordFailedLogin(user, req.ip);
+      return res.status(400).json({ message: 'Invalid verification code' });
+    }
+
+    await user.save();
+    await recordSuccessfulLogin(user);
+
+    const response = await issueLoginResponse(user, req);
+    if (recoveryCode) {
+      response.recoveryCodesRemaining = user.twoFactorRecoveryCodes.length;
+    }
+
+    res.json(response);
+  } catch (err) {
+    console.error(err.message);
+    res.status(500).send('Server error');
+  }
+});
+
+// @route   POST /api/auth/2fa/setup
+// @desc    Start two-factor enrollment and get the otpauth URI for an authenticator app
+// @access  Private (or 2FA setup token)
+router.post('/2fa/setup', authForTwoFactorSetup, async (req, res) => {
+  try {
+    const user = await User.findById(req.user._id).select(TWO_FACTOR_SECRET_FIELDS);
+
+    if (user.twoFactorEnabled) {
+      return res.status(400).json({ message: 'Two-factor authentication is already enabled' });
+    }
+
+    const secret = generateTotpSecret();
+    user.twoFactorPendingSecret = secret;
+    await user.save();
+
+    res.json({
+      secret,
+      otpauthUri: buildOtpauthUri(secret, user.email)
+    });
+  } catch (err) {
+    console.error(err.message);
+    res.status(500).send('Server error');
+  }
+});
+
+// @route   POST /api/auth/2fa/enable
+// @desc    Confirm enrollment with a code from the authenticator app and get recovery codes
+// @access  Private (or 2FA setup token)
+router.post('/2fa/enable', [
+  authForTwoFactorSetup,
+  check('code', 'Verification code is required').not().isEmpty()
+], async (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({ errors: errors.array() });
+  }
+
+  try {
+    const user = await User.findById(req.user._id).select(TWO_FACTOR_SECRET_FIELDS);
+
+    if (user.twoFactorEnabled) {
+      return res.status(400).json({ message: 'Two-factor authentication is already enabled' });
+    }
+
+    if (!user.twoFactorPendingSecret) {
+      return res.status(400).json({ message: 'Start two-factor setup first' });
+    }
+
+    const step = verifyTotp(user.twoFactorPendingSecret, req.body.code);
+    if (step === null) {
+      return res.status(400).json({ message: 'Invalid verification code' });
+    }
+
+    const recoveryCodes = generateRecoveryCodes();
+
+    user.twoFactorSecret = user.twoFactorPendingSecret;
+    user.twoFactorPendingSecret = undefined;
+    user.twoFactorRecoveryCodes = recoveryCodes.map(recovery => hashToken(recovery));
+    user.twoFactorLastStep = step;
+    user.twoFactorEnabled = true;
+    user.twoFactorEnabledAt = new Date();
+    await user.save();
+
+    const response = { message: 'Two-factor authentication enabled', recoveryCodes };
+
+    // Enrollment forced at login finishes the login
+    if (req.twoFactorSetup) {
+      Object.assign(response, await issueLoginResponse(user, req));
+    }
+
+    res.json(response);
+  } catch (err) {
+    console.error(err.message);
+    res.status(500).send('Server error');
+  }
+});
+
+// @route   POST /api/auth/2fa/recovery-codes
+// @desc    Replace all recovery codes
+// @access  Private
+router.post('/2fa/recovery-codes', [
+  auth,
+  check('code', 'Verification code is required').not().isEmpty()
+], async (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({ errors: errors.array() });
+  }
+
+  try {
+    const user = await User.findById(req.user._id).select(TWO_FACTOR_SECRET_FIELDS);
+
+    if (!user.twoFactorEnabled) {
+      return res.status(400).json({ message: 'Two-factor authentication is not enabled' });
+    }
+
+    if (!verifySecondFactor(user, { code: req.body.code })) {
+      return res.status(400).json({ message: 'Invalid verification code' });
+    }
+
+    const recoveryCodes = generateRecoveryCodes();
+    user.twoFactorRecoveryCodes = recoveryCodes.map(recovery => hashToken(recovery));
+    await user.save();
+
+    res.json({ recoveryCodes });
+  } catch (err) {
+    console.error(err.message);
+    res.status(500).send('Server error');
+  }
+});
+
+// @route   POST /api/auth/2fa/disable
+// @desc    Turn off two-factor authentication (not allowed where the role requires it)
+// @access  Private
+router.post('/2fa/disable', [
+  auth,
+  check('password', 'Password is required').not().isEmpty(),
+  check('code', 'Verification code is required').not().isEmpty()
+], async (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({ errors: errors.array() });
+  }
+
+  try {
+    const user = await User.findById(req.user._id).select(TWO_FACTOR_SECRET_FIELDS);
+
+    if (!user.twoFactorEnabled) {
+      return res.status(400).json({ message: 'Two-factor authentication is not enabled' });
+    }
+
+    if (user.requiresTwoFactor()) {
+      return res.status(403).json({ message: 'Two-factor authentication is required for your role' });
+    }
+
+    const isMatch = await user.comparePassword(req.body.password);
+    if (!isMatch || !verifySecondFactor(user, { code: req.body.code })) {
+      return res.status(400).json({ message: 'Invalid credentials' });
+    }
+
+    user.twoFactorEnabled = false;
+    user.twoFactorSecret = undefined;
+    user.twoFactorRecoveryCodes = [];
+    user.twoFactorLastStep = undefined;
+    user.twoFactorEnabledAt = undefined;
+    await user.save();
+
+    res.json({ message: 'Two-factor authentication disabled' });
+  } catch (err) {
+    console.error(err.message);
+    res.status(500).send('Server error');
+  }
+});
+
+// Where the browser lands after single sign-on; results travel in the URL fragment
+const getOidcFrontendRedirect = () =>
+  process.env.OIDC_POST_LOGIN_REDIRECT || `${getAppUrl()}/auth/oidc/callback`;
+
+// @route   GET /api/auth/oidc/login
+// @desc    Start single sign-on; redirects to the identity provider (?mode=json returns the URL)
+// @access  Public
+router.get('/oidc/login', async (req, res) => {
+  if (!isOidcEnabled()) {
+    return res.status(404).json({ message: 'Single sign-on is not configured' });
+  }
+
+  try {
+    const state = createRandomValue();
+    const nonce = createRandomValue();
+    const { codeVerifier, codeChallenge } = createPkcePair();
+    const responseMode = req.query.mode === 'json' ? 'json' : 'redirect';
+
+    await OidcLoginState.create({ state, nonce, codeVerifier, responseMode });
+
+    const authorizationUrl = await buildAuthorizationUrl({ state, nonce, codeChallenge });
+
+    if (responseMode === 'json') {
+      return res.json({ authorizationUrl });
+    }
+
+    res.redirect(authorizationUrl);
+  } catch (err) {
+    console.error('OIDC login error:', err.message);
+    res.status(502).json({ message: 'Could not reach the identity provider' });
+  }
+});
+
+// @route   GET /api/auth/oidc/callback
+// @desc    Finish single sign-on: verify the provider's answer and log the user in
+// @access  Public
+router.get('/oidc/callback', async (req, res) => {
+  if (!isOidcEnabled()) {
+    return res.status(404).json({ message: 'Single sign-on is not configured' });
+  }
+
+  const { code, state, error, error_description: errorDescription } = req.query;
+
+  // State is single use: claim it before anything else. Only a plain string is looked
+  // up, so a query like ?state[$ne]=x can't claim someone else's login.
+  let loginState = null;
+  try {
+    loginState = typeof state === 'string' && state
+      ? await OidcLoginState.findOneAndDelete({ state })
+      : null;
+  } catch (err) {
+    console.error(err.message);
+    return res.status(500).send('Server error');
+  }
+  const responseMode = loginState?.responseMode || 'redirect';
+
+  const fail = (status, message) => {
+    if (responseMode === 'json') {
+      return res.status(status).json({ message });
+    }
+    res.redirect(`${getOidcFrontendRedirect()}#${new URLSearchParams({ error: message })}`);
+  };
+
+  if (!loginState) {
+    return fail(400, 'Single sign-on session is invalid or has expired');
+  }
+
+  if (error) {
+    return fail(401, errorDescription || error);
+  }
+
+  if (!code) {
+    return fail(400, 'Authorization code is missing');
+  }
+
+  try {
+    const tokenSet = await exchangeCode(code, loginState.codeVerifier);
+    let claims = await verifyIdToken(tokenSet.id_token, loginState.nonce);
+
+    if (!claims.email || claims.email_verified === undefined) {
+      const userInfo = await fetchUserInfo(tokenSet.access_token);
+      if (userInfo.sub === claims.sub) {
+        claims = { ...userInfo, ...claims };
+      }
+    }
+
+    let user;
+    try {
+      user = await findOrProvisionUser(claims);
+    } catch (provisionError) {
+      return fail(403, provisionError.message);
+    }
+
+    const result = await startLogin(user, req);
+
+    if (responseMode === 'json') {
+      return res.json(result);
+    }
+
+    const fragment = new URLSearchParams();
+    for (const [key, value] of Object.entries(result)) {
+      fragment.set(key, typeof value === 'object' ? JSON.stringify(value) : String(value));
+    }
+    res.redirect(`${getOidcFrontendRedirect()}#${fragment}`);
+  } catch (err) {
+    console.error('OIDC callback error:', err.message);
+    fail(401, 'Single sign-on failed');
+  }
+});
+
+// @route   POST /api/auth/refresh
+// @desc    Exchange a refresh token for a new access/refresh token pair
+// @access  Public
+router.post('/refresh', [
+  check('refreshToken', 'Refresh token is required').not().isEmpty()
+], async (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({ errors: errors.array() });
+  }
+
+  try {
+    const result = await rotateRefreshToken(req.body.refreshToken, req.ip);
+    if (!result) {
+      return res.status(401).json({ message: 'Invalid or expired refresh token' });
+    }
 
     res.json({
-      token,
-      user: {
-        id: user._id,
-        name: user.name,
-        email: user.email,
-        role: user.role
+      token: result.token,
+      refreshToken: result.refreshToken
+    });
+  } catch (err) {
+    console.error(err.message);
+    res.status(500).send('Server error');
+  }
+});
+
+// @route   POST /api/auth/logout
+// @desc    End the current session (access token and its refresh tokens)
+// @access  Public
+router.post('/logout', async (req, res) => {
+  try {
+    const { refreshToken } = req.body;
+    const accessToken = req.header('Authorization')?.replace('Bearer ', '');
+    let family;
+
+    if (refreshToken) {
+      const existing = await RefreshToken.findOne({ tokenHash: hashToken(refreshToken) });
+      family = existing?.family;
+    } else if (accessToken) {
+      // Access token may already be expired; only its session id is needed
+      try {
+        family = jwt.verify(accessToken, process.env.JWT_SECRET, { ignoreExpiration: true }).sid;
+      } catch (verifyError) {
+        family = undefined;
       }
+    }
+
+    if (family) {
+      await RefreshToken.revokeFamily(family);
+    }
+
+    res.json({ message: 'Logged out' });
+  } catch (err) {
+    console.error(err.message);
+    res.status(500).send('Server error');
+  }
+});
+
+// @route   POST /api/auth/logout-all
+// @desc    End every session of the current user
+// @access  Private
+router.post('/logout-all', auth, async (req, res) => {
+  try {
+    await revokeUserSessions(req.user._id);
+
+    res.json({ message: 'Logged out of all sessions' });
+  } catch (err) {
+    console.error(err.message);
+    res.status(500).send('Server error');
+  }
+});
+
+// @route   POST /api/auth/forgot-password
+// @desc    Email a password reset link
+// @access  Public
+router.post('/forgot-password', [
+  credentialLimiter,
+  check('email', 'Please include a valid email').isEmail()
+], async (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({ errors: errors.array() });
+  }
+
+  // Same answer whether or not the account exists, so emails can't be probed
+  const genericResponse = { message: 'If an account exists for that email, a reset link has been sent' };
+
+  try {
+    const user = await User.findOne({ email: req.body.email.toLowerCase() });
+    if (!user || user.status === 'pending') {
+      return res.json(genericResponse);
+    }
+
+    const { token, tokenHash } = generateOneTimeToken();
+    const ttlMinutes = parseInt(process.env.PASSWORD_RESET_TTL_MINUTES, 10) || 60;
+
+    user.passwordResetTokenHash = tokenHash;
+    user.passwordResetExpires = new Date(Date.now() + ttlMinutes * 60 * 1000);
+    await user.save();
+
+    const resetUrl = `${getAppUrl()}/reset-password?token=${token}`;
+    await sendMail({
+      to: user.email,
+      subject: 'Reset your Status Tracker password',
+      text: `Hi ${user.name},\n\nUse the link below to choose a new password. ` +
+        `It expires in ${ttlMinutes} minutes and can only be used once.\n\n${resetUrl}\n\n` +
+        'If you did not ask for a password reset you can ignore this email.',
+      html: `<p>Hi ${escapeHtml(user.name)},</p>` +
+        `<p>Use the link below to choose a new password. It expires in ${ttlMinutes} minutes and can only be used once.</p>` +
+        `<p><a href="${resetUrl}">Reset password</a></p>` +
+        '<p>If you did not ask for a password reset you can ignore this email.</p>'
     });
+
+    res.json(genericResponse);
+  } catch (err) {
+    console.error(err.message);
+    res.status(500).send('Server error');
+  }
+});
+
+// @route   POST /api/auth/reset-password
+// @desc    Set a new password using a reset token
+// @access  Public
+router.post('/reset-password', [
+  credentialLimiter,
+  check('token', 'Reset token is required').not().isEmpty(),
+  check('password', 'Please enter a password with 6 or more characters').isLength({ min: 6 })
+], async (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({ errors: errors.array() });
+  }
+
+  try {
+    const user = await User.findOne({
+      passwordResetTokenHash: hashToken(req.body.token),
+      passwordResetExpires: { $gt: new Date() }
+    });
+
+    if (!user) {
+      return res.status(400).json({ message: 'Reset link is invalid or has expired' });
+    }
+
+    user.password = req.body.password;
+    user.passwordResetTokenHash = undefined;
+    user.passwordResetExpires = undefined;
+    user.updatedAt = Date.now();
+    await user.save();
+
+    await revokeUserSessions(user._id);
+
+    res.json({ message: 'Password has been reset' });
+  } catch (err) {
+    console.error(err.message);
+    res.status(500).send('Server error');
+  }
+});
+
+// @route   GET /api/auth/invitations/:token
+// @desc    Check an invitation link before showing the accept form
+// @access  Public
+router.get('/invitations/:token', async (req, res) => {
+  try {
+    const user = await findUserByInvitationToken(req.params.token);
+    if (!user) {
+      return res.status(404).json({ message: 'Invitation is invalid or has expired' });
+    }
+
+    res.json({ name: user.name, email: user.email });
+  } catch (err) {
+    console.error(err.message);
+    res.status(500).send('Server error');
+  }
+});
+
+// @route   POST /api/auth/accept-invite
+// @desc    Accept an invitation by choosing a password, then log in
+// @access  Public
+router.post('/accept-invite', [
+  credentialLimiter,
+  check('token', 'Invitation token is required').not().isEmpty(),
+  check('password', 'Please enter a password with 6 or more characters').isLength({ min: 6 })
+], async (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({ errors: errors.array() });
+  }
+
+  try {
+    const user = await findUserByInvitationToken(req.body.token);
+    if (!user) {
+      return res.status(400).json({ message: 'Invitation is invalid or has expired' });
+    }
+
+    user.password = req.body.password;
+    user.status = 'active';
+    user.invitationTokenHash = undefined;
+    user.invitationExpires = undefined;
+    user.invitationAcceptedAt = new Date();
+    user.updatedAt = Date.now();
+    await user.save();
+
+    res.json(await startLogin(user, req));
+  } catch (err) {
+    console.error(err.message);
+    res.status(500).send('Server error');
+  }
+});
+
+// @route   GET /api/auth/security-events
+// @desc    List lockouts and rate-limit hits (admins see all, managers see their users)
+// @access  Private (Admin, Manager)
+router.get('/security-events', [auth, requirePermission('security.view', 'Manager access required')], async (req, res) => {
+  try {
+    const { type, user, startDate, endDate, limit = 100 } = req.query;
+    const query = {};
+
+    if (type) query.type = type;
+    if (user) query.user = user;
+
+    if (startDate || endDate) {
+      query.createdAt = {};
+      if (startDate) query.createdAt.$gte = new Date(startDate);
+      if (endDate) query.createdAt.$lte = new Date(endDate);
+    }
+
+    // Non-admins only see events for users within their scope
+    const userFilter = await getUserFilter(req.user, 'security.view');
+    if (userFilter) {
+      const visibleUsers = await User.find(userFilter).select('_id');
+      const visibleIds = visibleUsers.map(u => u._id.toString());
+
+      if (user && !visibleIds.includes(user)) {
+        return res.status(403).json({ message: 'Not authorized to view events for this user' });
+      }
+      if (!user) query.user = { $in: visibleIds };
+    }
+
+    const events = await SecurityEvent.find(query)
+      .sort({ createdAt: -1 })
+      .limit(Math.min(parseInt(limit) || 100, 500))
+      .populate('user', 'name email')
+      .populate('actor', 'name');
+
+    res.json(events);
   } catch (err) {
     console.error(err.message);
     res.status(500).send('Server error');
@@ -0,0 +1,243 @@
+import express from 'express';
+import crypto from 'crypto';
+import jwt from 'jsonwebtoken';
+import { check, validationResult } from 'express-validator';
+import User from '../models/User.js';
+import Team from '../models/Team.js';
+import Question from '../models/Question.js';
+import { auth } from '../middleware/auth.js';
+import { getAppUrl } from '../utils/mailer.js';
+import { resolveTimeZone } from '../utils/dates.js';
+import { submitStatus, validateStatusSubmission } from '../utils/statusSubmission.js';
+import {
+  readOption,
+  resolveDateWord,
+  parseStatusCommand,
+  parseLeaveCommand,
+  formatQuestionList,
+  formatHelp,
+  formatStatusConfirmation,
+  formatLeaveConfirmation
+} from '../utils/chatCommands.js';
+
+const router = express.Router();
+
+// Commands are signed like Slack's: HMAC-SHA256 of "v0:<timestamp>:<raw body>" with
+// CHAT_SIGNING_SECRET, so this router parses bodies itself to keep the raw bytes
+const SIGNATURE_MAX_AGE_SECONDS = 5 * 60;
+const LINK_TOKEN_TTL = '15m';
+
+const keepRawBody = (req, res, buf) => {
+  req.rawBody = buf;
+};
+
+router.use(express.urlencoded({ extended: false, verify: keepRawBody }));
+router.use(express.json({ verify: keepRawBody }));
+
+// Reject commands that weren't signed with the shared secret
+const verifyChatSignature = (req, res, next) => {
+  const secret = process.env.CHAT_SIGNING_SECRET;
+  if (!secret) {
+    return res.status(503).json({ message: 'Chat commands are not configured' });
+  }
+
+  const timestamp = req.header('X-Chat-Timestamp') || req.header('X-Slack-Request-Timestamp');
+  const signature = req.header('X-Chat-Signature') || req.header('X-Slack-Signature') || '';
+  const age = Math.abs(Date.now() / 1000 - parseInt(timestamp));
+
+  if (!timestamp || !(age <= SIGNATURE_MAX_AGE_SECONDS) || !req.rawBody) {
+    return res.status(401).json({ message: 'Invalid request signature' });
+  }
+
+  const expected = `v0=${crypto.createHmac('sha256', secret)
+    .update(`v0:${timestamp}:${req.rawBody.toString('utf8')}`)
+    .digest('hex')}`;
+
+  // timingSafeEqual needs buffers of the same byte length
+  const signatureBuffer = Buffer.from(signature);
+  const expectedBuffer = Buffer.from(expected);
+  const valid = signatureBuffer.length === expectedBuffer.length &&
+    crypto.timingSafeEqual(signatureBuffer, expectedBuffer);
+
+  if (!valid) {
+    return res.status(401).json({ message: 'Invalid request signature' });
+  }
+
+  next();
+};
+
+// Chat clients show the reply text to the person who ran the command only
+const reply = (res, text) => res.json({ response_type: 'ephemeral', text });
+
+// Active questions for a team, in the order the web form shows them
+const getTeamQuestions = (team) => Question.find({
+  active: true,
+  $or: [{ isCommon: true }, { teams: team._id }]
+}).sort({ order: 1, createdAt: 1 });
+
+// Pick the team a command is for: the named one, or the user's only team
+const resolveTeam = (teams, name) => {
+  if (name) {
+    const team = teams.find(team => team.name.toLowerCase() === name.trim().toLowerCase());
+    return team ? { team } : { error: `You are not in a team called "${name}". Your teams: ${teams.map(team => team.name).join(', ')}` };
+  }
+
+  if (teams.length === 1) return { team: teams[0] };
+  if (teams.length === 0) return { error: 'You are not a member of any team yet.' };
+  return { error: `You are in several teams, add \`team: <name>\`. Your teams: ${teams.map(team => team.name).join(', ')}` };
+};
+
+// Validate and save a command's submission as the linked user; returns the reply text on failure
+const saveFromChat = async (req, body) => {
+  const errors = await validateStatusSubmission(body);
+  if (errors.length > 0) {
+    return { error: errors.map(error => error.msg).join('\n') };
+  }
+
+  const { status, error } = await submitStatus(req, body);
+  return error ? { error } : { status };
+};
+
+// @route   POST /api/chat/command
+// @desc    Slash command from a chat workspace: /status ... or /leave ... (signed with CHAT_SIGNING_SECRET)
+// @access  Public (signed requests from the chat integration)
+router.post('/command', verifyChatSignature, async (req, res) => {
+  try {
+    const { command = '', user_id: chatUserId } = req.body;
+    let text = (req.body.text || '').trim();
+    let name = command.replace(/^\//, '').toLowerCase();
+
+    // Integrations that only send text: "/status ..." in the text itself
+    if (!name) {
+      const match = /^\/(\w+)\s*([\s\S]*)$/.exec(text);
+      name = match ? match[1].toLowerCase() : '';
+      text = match ? match[2].trim() : text;
+    }
+
+    if (!['status', 'leave'].includes(name)) {
+      return reply(res, 'Unknown command. Use `/status` or `/leave` (`/status help` for details).');
+    }
+
+    const user = chatUserId ? await User.findOne({ chatUserId, status: 'active' }) : null;
+    if (!user) {
+      if (!chatUserId) return reply(res, 'The command is missing the chat user ID.');
+
+      const token = jwt.sign({ chatUserId, purpose: 'chat-link' }, process.env.JWT_SECRET, { expiresIn: LINK_TOKEN_TTL });
+      return reply(res, `Your chat account isn't linked to Status Tracker yet. Open ${getAppUrl()}/chat/link?token=${token} while signed in to link it, then run the command again.`);
+    }
+
+    req.user = user;
+    const teams = await Team.find({ _id: { $in: user.teams }, active: true }).select('name project timezone');
+
+    if (name === 'leave') {
+      const { options, reason } = parseLeaveCommand(text);
+      const { team, error } = resolveTeam(teams, options.team);
+      if (error) return reply(res, error);
+
+      const date = resolveDateWord(options.date || 'today', resolveTimeZone(user.timezone, team.timezone));
+      if (!date) return reply(res, `"${options.date}" is not a date. Use today, tomorrow or YYYY-MM-DD.`);
+
+      const result = await saveFromChat(req, {
+        team: team._id.toString(),
+        user: user._id.toString(),
+        date,
+        isLeave: true,
+        leaveReason: reason,
+        leaveType: options.type?.toLowerCase()
+      });
+      if (result.error) return reply(res, result.error);
+
+      return reply(res, formatLeaveConfirmation(result.status, team.name));
+    }
+
+    const { team, error } = resolveTeam(teams, readOption(text, 'team'));
+    if (error) return reply(res, error);
+
+    const questions = await getTeamQuestions(team);
+
+    if (!text || text.toLowerCase() === 'help') {
+      return reply(res, formatHelp(team.name, questions));
+    }
+
+    const parsed = parseStatusCommand(text, questions);
+    if (parsed.errors.length > 0) {
+      return reply(res, `${parsed.errors.join('\n')}\n\nQuestions:\n${formatQuestionList(questions)}`);
+    }
+    // Optional questions may be left out
+    const missingRequired = parsed.missing.filter(question => question.required);
+    if (missingRequired.length > 0) {
+      return reply(res, `Nothing saved, these questions still need an answer:\n${formatQuestionList(missingRequired, questions)}`);
+    }
+
+    const date = resolveDateWord(parsed.options.date || 'today', resolveTimeZone(user.timezone, team.timezone));
+    if (!date) return reply(res, `"${parsed.options.date}" is not a date. Use today, yesterday or YYYY-MM-DD.`);
+
+    const result = await saveFromChat(req, {
+      team: team._id.toString(),
+      user: user._id.toString(),
+      date,
+      isLeave: false,
+      responses: parsed.responses
+    });
+    if (result.error) return reply(res, result.error);
+
+    reply(res, formatStatusConfirmation(result.status, team.name, questions));
+  } catch (err) {
+    console.error(err.message);
+    reply(res, 'Something went wrong saving your status, please try again or use the web app.');
+  }
+});
+
+// @route   POST /api/chat/link
+// @desc    Link the signed-in user to the chat account a link token was issued for
+// @access  Private
+router.post('/link', [
+  auth,
+  [
+    check('token', 'Link token is required').not().isEmpty()
+  ]
+], async (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({ errors: errors.array() });
+  }
+
+  try {
+    let decoded;
+    try {
+      decoded = jwt.verify(req.body.token, process.env.JWT_SECRET);
+    } catch (verifyError) {
+      return res.status(400).json({ message: 'Link token is invalid or has expired' });
+    }
+
+    if (decoded.purpose !== 'chat-link') {
+      return res.status(400).json({ message: 'Link token is invalid or has expired' });
+    }
+
+    const linkedUser = await User.findOne({ chatUserId: decoded.chatUserId });
+    if (linkedUser && linkedUser._id.toString() !== req.user._id.toString()) {
+      return res.status(409).json({ message: 'This chat account is already linked to another user' });
+    }
+
+    await User.updateOne({ _id: req.user._id }, { $set: { chatUserId: decoded.chatUserId } });
+    res.json({ message: 'Chat account linked', chatUserId: decoded.chatUserId });
+  } catch (err) {
+    console.error(err.message);
+    res.status(500).send('Server error');
+  }
+});
+
+// @route   DELETE /api/chat/link
+// @desc    Unlink the signed-in user's chat account
+// @access  Private
+router.delete('/link', auth, async (req, res) => {
+  try {
+    await User.updateOne({ _id: req.user._id }, { $unset: { chatUserId: 1 } });
+    res.json({ message: 'Chat account unlinked' });
+  } catch (err) {
+    console.error(err.message);
+    res.status(500).send('Server error');
+  }
+});
+
+export default router;
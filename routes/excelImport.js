@@ -2,11 +2,17 @@ import express from 'express';
 import multer from 'multer';
 import ExcelJS from 'exceljs';
 import StatusUpdate from '../models/Status.js';
+import StatusRevision from '../models/StatusRevision.js';
 import Team from '../models/Team.js';
 import Project from '../models/Project.js';
 import User from '../models/User.js';
 import Question from '../models/Question.js';
-import { auth, isManager } from '../middleware/auth.js';
+import { auth, requirePermission } from '../middleware/auth.js';
+import { can, getAccessibleTeamIds } from '../utils/permissions.js';
+import { sendInvitation } from '../utils/invitations.js';
+import { recordAudit } from '../utils/audit.js';
+import { toStoredAnswer } from '../utils/answers.js';
+import { calendarDateToDate, getDefaultTimeZone, getToday, toCalendarDate } from '../utils/dates.js';
 
 const router = express.Router();
 
@@ -45,10 +51,11 @@ const upload = multer({
     }
 });
 
-// Helper function to convert date format (e.g., '5-May' to proper Date)
+// Helper function to convert date format (e.g., '5-May') to a calendar date ('YYYY-MM-DD')
 const convertDateFormat = (dateStr) => {
     try {
-        const currentYear = new Date().getFullYear();
+        const today = getToday();
+        const currentYear = today.slice(0, 4);
 
         // Handle different date formats
         if (dateStr.includes('-')) {
@@ -60,21 +67,25 @@ const convertDateFormat = (dateStr) => {
 
             const monthIndex = monthMap[month];
             if (monthIndex !== undefined) {
-                return new Date(currentYear, monthIndex, parseInt(day) || 1);
+                const pad = (value) => String(value).padStart(2, '0');
+                const calendarDate = `${currentYear}-${pad(monthIndex + 1)}-${pad(parseInt(day) || 1)}`;
+                if (toCalendarDate(calendarDate)) {
+                    return calendarDate;
+                }
             }
         }
 
         // If date parsing fails, try to parse as standard date
-        const parsedDate = new Date(dateStr);
-        if (!isNaN(parsedDate.getTime())) {
+        const parsedDate = toCalendarDate(dateStr);
+        if (parsedDate) {
             return parsedDate;
         }
 
         console.warn(`Could not parse date: ${dateStr}, using current date`);
-        return new Date();
+        return today;
     } catch (error) {
         console.warn(`Error converting date: ${dateStr}`, error);
-        return new Date(); // Return current date as fallback
+        return getToday(); // Return current date as fallback
     }
 };
 
@@ -84,6 +95,7 @@ const processExcelData = (worksheetData) => {
     let currentTeam = '';
     let currentEmployee = '';
     let currentQuestion = '';
+    let currentEmail = '';
     const errorDetails = [];
 
     console.log(`Processing ${worksheetData.length} rows from Excel`);
@@ -97,10 +109,12 @@ const processExcelData = (worksheetData) => {
             const teamKeys = ['Team', 'Team #', 'TeamName', 'Team Name'];
             const employeeKeys = ['Employee', 'Resources Names', 'Resource Names', 'User', 'UserName', 'User Name', 'Name'];
             const questionKeys = ['Question', 'Questions', 'Task', 'Activity'];
+            const emailKeys = ['Email', 'E-mail', 'Email Address', 'Email ID'];
 
             const teamValue = teamKeys.reduce((val, key) => val || row[key], null);
             const employeeValue = employeeKeys.reduce((val, key) => val || row[key], null);
             const questionValue = questionKeys.reduce((val, key) => val || row[key], null);
+            const emailValue = emailKeys.reduce((val, key) => val || row[key], null);
 
             // Update current team
             if (teamValue && teamValue.toString().trim() !== '') {
@@ -112,9 +126,21 @@ const processExcelData = (worksheetData) => {
 
             // Update current employee
             if (employeeValue && typeof employeeValue === 'string' && employeeValue.trim() !== '') {
+                if (employeeValue.trim() !== currentEmployee) {
+                    currentEmail = '';
+                }
                 currentEmployee = employeeValue.trim();
             }
 
+            // Update current employee email (optional column, used for invitations)
+            if (emailValue) {
+                // Hyperlinked cells come through as { text, hyperlink }
+                const emailStr = (emailValue.text || emailValue).toString().trim().toLowerCase();
+                if (emailStr.includes('@')) {
+                    currentEmail = emailStr;
+                }
+            }
+
             // Update current question
             if (questionValue && typeof questionValue === 'string' && questionValue.trim() !== '') {
                 currentQuestion = questionValue.trim();
@@ -136,7 +162,7 @@ const processExcelData = (worksheetData) => {
             const keys = Object.keys(row);
 
             // Smart detection of date columns
-            const knownFields = [...teamKeys, ...employeeKeys, ...questionKeys].map(k => k.toLowerCase());
+            const knownFields = [...teamKeys, ...employeeKeys, ...questionKeys, ...emailKeys].map(k => k.toLowerCase());
             const dateColumns = keys.filter(key =>
                 !knownFields.includes(key.toLowerCase()) &&
                 key.match(/\d{1,2}[-/ ][A-Za-z]{3,}/)
@@ -149,8 +175,10 @@ const processExcelData = (worksheetData) => {
 
                     const isLeave = ['leave', 'absent', 'sick leave', 'off', 'optional holiday'].includes(answerStr.toLowerCase());
                     processed.push({
+                        row: rowNumber,
                         teamName: currentTeam,
                         userName: currentEmployee,
+                        userEmail: currentEmail || null,
                         question: currentQuestion,
                         date: dateColumn,
                         answer: answerStr,
@@ -190,14 +218,17 @@ const transformToStatusEntries = (processedData) => {
             statusMap.set(key, {
                 teamName: item.teamName,
                 userName: item.userName,
+                userEmail: item.userEmail,
                 date: item.date,
                 responses: [],
+                rows: [],
                 isLeave: false,
                 leaveReason: null
             });
         }
 
         const entry = statusMap.get(key);
+        if (!entry.rows.includes(item.row)) entry.rows.push(item.row);
 
         // If any answer indicates leave, mark the entire day as leave
         if (item.isLeave) {
@@ -215,11 +246,25 @@ const transformToStatusEntries = (processedData) => {
     return Array.from(statusMap.values());
 };
 
-// Helper function to find or create entities with improved error handling
+// Helper function to find or create entities with improved error handling.
+// Employees are matched by the import's email, else by name when exactly one user
+// has it. New users are only created (pending, and invited) when the import supplies
+// their email; the rows of employees that can't be matched are returned as userErrors.
 const findOrCreateEntities = async (statusEntries, createdBy) => {
     const userMap = new Map();
     const teamMap = new Map();
     const questionMap = new Map();
+    const invitedUsers = [];
+    const userErrors = [];
+
+    const userEmails = new Map();
+    const userRows = new Map();
+    statusEntries.forEach(entry => {
+        if (entry.userEmail && !userEmails.has(entry.userName)) {
+            userEmails.set(entry.userName, entry.userEmail.toString().trim().toLowerCase());
+        }
+        userRows.set(entry.userName, [...new Set([...(userRows.get(entry.userName) || []), ...(entry.rows || [])])]);
+    });
 
     // Get unique names
     const uniqueUserNames = [...new Set(statusEntries.map(entry => entry.userName))];
@@ -236,33 +281,44 @@ const findOrCreateEntities = async (statusEntries, createdBy) => {
 
     // Find or create users
     for (const userName of uniqueUserNames) {
+        const rows = (userRows.get(userName) || []).sort((a, b) => a - b);
         try {
-            let user = await User.findOne({ name: userName });
-            if (!user) {
-                // Create user with default values
-                const nameParts = userName.trim().split(/\s+/);
-                let email = '';
-                if (nameParts.length === 1) {
-                    email = `${nameParts[0].toLowerCase()}@idsil.com`;
-                } else {
-                    const firstName = nameParts[0].toLowerCase();
-                    const lastInitial = nameParts[nameParts.length - 1][0].toLowerCase();
-                    email = `${firstName}.${lastInitial}@idsil.com`;
+            const knownEmail = userEmails.get(userName);
+            let user;
+
+            if (knownEmail) {
+                user = await User.findOne({ email: knownEmail });
+            } else {
+                const namesakes = await User.find({ name: userName }).limit(2);
+                if (namesakes.length !== 1) {
+                    userErrors.push({
+                        employee: userName,
+                        rows,
+                        message: namesakes.length === 0
+                            ? 'No user has this name; add their email in an Email column to invite them'
+                            : 'Several users have this name; add their email in an Email column'
+                    });
+                    continue;
                 }
+                user = namesakes[0];
+            }
+
+            if (!user) {
                 user = new User({
                     name: userName,
-                    email: email,
-                    password: '12345678', // This should be changed by the user
+                    email: knownEmail,
+                    status: 'pending',
                     role: 'employee',
                     createdBy: createdBy
                 });
-                await user.save();
-                console.log(`Created new user: ${userName}`);
+                await sendInvitation(user);
+                invitedUsers.push(userName);
+                console.log(`Created new pending user: ${userName}`);
             }
             userMap.set(userName, user._id);
         } catch (userError) {
             console.error(`Error creating user ${userName}:`, userError);
-            // Continue processing other users
+            userErrors.push({ employee: userName, rows, message: 'The user could not be created' });
         }
     }
 
@@ -335,17 +391,53 @@ const findOrCreateEntities = async (statusEntries, createdBy) => {
                 await question.save();
                 console.log(`Created new question: ${questionText}`);
             }
-            questionMap.set(questionText, question._id);
+            questionMap.set(questionText, question);
         } catch (questionError) {
             console.error(`Error creating question ${questionText}:`, questionError);
         }
     }
 
-    return { userMap, teamMap, questionMap, defaultProject };
+    return { userMap, teamMap, questionMap, defaultProject, invitedUsers, userErrors };
+};
+
+// Helper function to find the teams of an upload the user may not import into
+const findUnauthorizedTeams = async (user, teamIds) => {
+    const teams = await Team.find({ _id: { $in: teamIds } }).select('name project');
+    const unauthorizedTeams = [];
+
+    for (const team of teams) {
+        if (!(await can(user, 'import.status', { team: team._id, project: team.project }))) {
+            unauthorizedTeams.push(team);
+        }
+    }
+
+    return unauthorizedTeams;
+};
+
+// Helper function to snapshot imported statuses; bulkWrite skips the model's save hooks
+const recordImportRevisions = async (statusDocuments) => {
+    const chunkSize = 500;
+    const filterMap = new Map();
+
+    statusDocuments.forEach(doc => {
+        const key = `${doc.user}-${doc.team}-${doc.day}`;
+        filterMap.set(key, { user: doc.user, team: doc.team, day: doc.day });
+    });
+
+    const uniqueFilters = Array.from(filterMap.values());
+
+    for (let i = 0; i < uniqueFilters.length; i += chunkSize) {
+        const filters = uniqueFilters.slice(i, i + chunkSize);
+
+        const statuses = await StatusUpdate.find({ $or: filters });
+        await StatusRevision.insertMany(
+            statuses.map(status => StatusRevision.fromStatus(status, { action: 'import' }))
+        );
+    }
 };
 
 // POST route for uploading Excel file with improved transformation logic
-router.post('/upload-status', auth, isManager, upload.single('excelFile'), async (req, res) => {
+router.post('/upload-status', auth, requirePermission('import.status', 'Manager access required'), upload.single('excelFile'), async (req, res) => {
     try {
         console.log('Excel upload request received');
 
@@ -481,24 +573,16 @@ router.post('/upload-status', auth, isManager, upload.single('excelFile'), async
         console.log(`Created ${statusEntries.length} status entries from ${processedData.length} data points`);
 
         // Step 3: Find or create users, teams, and questions
-        const { userMap, teamMap, questionMap, defaultProject } = await findOrCreateEntities(statusEntries, req.user._id);
+        const { userMap, teamMap, questionMap, defaultProject, invitedUsers, userErrors } = await findOrCreateEntities(statusEntries, req.user._id);
 
         // Step 4: Check authorization for teams
-        if (req.user.role !== 'admin') {
-            const userProjects = req.user.projects || [];
-            const uploadTeamIds = Array.from(teamMap.values());
-
-            const teams = await Team.find({ _id: { $in: uploadTeamIds } }).populate('project');
-            const unauthorizedTeams = teams.filter(team =>
-                !userProjects.some(pid => pid.toString() === team.project._id.toString())
-            );
+        const unauthorizedTeams = await findUnauthorizedTeams(req.user, Array.from(teamMap.values()));
 
-            if (unauthorizedTeams.length > 0) {
-                return res.status(403).json({
-                    success: false,
-                    message: `Not authorized to upload data for teams: ${unauthorizedTeams.map(t => t.name).join(', ')}`
-                });
-            }
+        if (unauthorizedTeams.length > 0) {
+            return res.status(403).json({
+                success: false,
+                message: `Not authorized to upload data for teams: ${unauthorizedTeams.map(t => t.name).join(', ')}`
+            });
         }
 
         // Step 5: Create status documents for database
@@ -508,7 +592,7 @@ router.post('/upload-status', auth, isManager, upload.single('excelFile'), async
             try {
                 const userId = userMap.get(entry.userName);
                 const teamId = teamMap.get(entry.teamName);
-                const date = convertDateFormat(entry.date);
+                const day = convertDateFormat(entry.date);
 
                 if (!userId || !teamId) {
                     console.warn(`Missing IDs for entry:`, entry);
@@ -518,11 +602,12 @@ router.post('/upload-status', auth, isManager, upload.single('excelFile'), async
                 // Create responses array with question IDs
                 const responses = entry.responses
                     .map(response => {
-                        const questionId = questionMap.get(response.question);
-                        if (questionId) {
+                        const question = questionMap.get(response.question);
+                        if (question) {
+                            // History is imported as written; typed questions also get the typed value when it fits
                             return {
-                                question: questionId,
-                                answer: response.answer
+                                question: question._id,
+                                ...toStoredAnswer(question, response.answer)
                             };
                         }
                         return null;
@@ -533,7 +618,9 @@ router.post('/upload-status', auth, isManager, upload.single('excelFile'), async
                     user: userId,
                     team: teamId,
                     project: defaultProject._id,
-                    date: date,
+                    day,
+                    timezone: getDefaultTimeZone(),
+                    date: calendarDateToDate(day),
                     isLeave: entry.isLeave,
                     leaveReason: entry.leaveReason,
                     responses: responses,
@@ -547,7 +634,8 @@ router.post('/upload-status', auth, isManager, upload.single('excelFile'), async
         if (statusDocuments.length === 0) {
             return res.status(400).json({
                 success: false,
-                message: 'No valid status documents could be created from the Excel data.'
+                message: 'No valid status documents could be created from the Excel data.',
+                errors: userErrors
             });
         }
 
@@ -557,14 +645,15 @@ router.post('/upload-status', auth, isManager, upload.single('excelFile'), async
                 filter: {
                     user: doc.user,
                     team: doc.team,
-                    date: doc.date
+                    day: doc.day
                 },
-                update: { $set: doc },
+                update: { $set: doc, $inc: { revision: 1 } },
                 upsert: true
             }
         }));
 
         const result = await StatusUpdate.bulkWrite(bulkOps);
+        await recordImportRevisions(statusDocuments);
 
         console.log('Upload completed successfully:', {
             totalDataPoints: processedData.length,
@@ -574,6 +663,20 @@ router.post('/upload-status', auth, isManager, upload.single('excelFile'), async
             modifiedCount: result.modifiedCount
         });
 
+        await recordAudit(req, {
+            action: 'status.upload',
+            entityType: 'import',
+            details: {
+                fileName: req.file.originalname,
+                statusDocuments: statusDocuments.length,
+                insertedCount: result.upsertedCount,
+                modifiedCount: result.modifiedCount,
+                usersCreated: Array.from(userMap.keys()),
+                usersSkipped: userErrors.map(error => error.employee),
+                teamsProcessed: Array.from(teamMap.keys())
+            }
+        });
+
         res.json({
             success: true,
             message: 'Excel data uploaded and transformed successfully',
@@ -584,6 +687,9 @@ router.post('/upload-status', auth, isManager, upload.single('excelFile'), async
                 insertedCount: result.upsertedCount,
                 modifiedCount: result.modifiedCount,
                 usersCreated: Array.from(userMap.keys()),
+                usersInvited: invitedUsers,
+                // Rows skipped because their employee couldn't be matched to a user
+                errors: userErrors,
                 teamsProcessed: Array.from(teamMap.keys()),
                 questionsProcessed: Array.from(questionMap.keys())
             }
@@ -617,7 +723,7 @@ router.post('/upload-status', auth, isManager, upload.single('excelFile'), async
 });
 
 // POST route for uploading JSON data (alternative to file upload)
-router.post('/upload-status-json', auth, isManager, async (req, res) => {
+router.post('/upload-status-json', auth, requirePermission('import.status', 'Manager access required'), async (req, res) => {
     try {
         const { data } = req.body;
 
@@ -631,24 +737,20 @@ router.post('/upload-status-json', auth, isManager, async (req, res) => {
         console.log(`Processing ${data.length} status entries from JSON`);
 
         // Find or create users, teams, and questions
-        const { userMap, teamMap, questionMap, defaultProject } = await findOrCreateEntities(data, req.user._id);
+        // Skipped entries are reported by their index in data
+        const { userMap, teamMap, questionMap, defaultProject, invitedUsers, userErrors } = await findOrCreateEntities(
+            data.map((entry, index) => ({ ...entry, rows: [index] })),
+            req.user._id
+        );
 
         // Check authorization for teams
-        if (req.user.role !== 'admin') {
-            const userProjects = req.user.projects || [];
-            const uploadTeamIds = Array.from(teamMap.values());
+        const unauthorizedTeams = await findUnauthorizedTeams(req.user, Array.from(teamMap.values()));
 
-            const teams = await Team.find({ _id: { $in: uploadTeamIds } }).populate('project');
-            const unauthorizedTeams = teams.filter(team =>
-                !userProjects.some(pid => pid.toString() === team.project._id.toString())
-            );
-
-            if (unauthorizedTeams.length > 0) {
-                return res.status(403).json({
-                    success: false,
-                    message: `Not authorized to upload data for teams: ${unauthorizedTeams.map(t => t.name).join(', ')}`
-                });
-            }
+        if (unauthorizedTeams.length > 0) {
+            return res.status(403).json({
+                success: false,
+                message: `Not authorized to upload data for teams: ${unauthorizedTeams.map(t => t.name).join(', ')}`
+            });
         }
 
         // Create status documents for database
@@ -658,7 +760,7 @@ router.post('/upload-status-json', auth, isManager, async (req, res) => {
             try {
                 const userId = userMap.get(entry.userName);
                 const teamId = teamMap.get(entry.teamName);
-                const date = convertDateFormat(entry.date);
+                const day = convertDateFormat(entry.date);
 
                 if (!userId || !teamId) {
                     console.warn(`Missing IDs for entry:`, entry);
@@ -668,11 +770,12 @@ router.post('/upload-status-json', auth, isManager, async (req, res) => {
                 // Create responses array with question IDs
                 const responses = (entry.responses || [])
                     .map(response => {
-                        const questionId = questionMap.get(response.question);
-                        if (questionId) {
+                        const question = questionMap.get(response.question);
+                        if (question) {
+                            // History is imported as written; typed questions also get the typed value when it fits
                             return {
-                                question: questionId,
-                                answer: response.answer
+                                question: question._id,
+                                ...toStoredAnswer(question, response.answer)
                             };
                         }
                         return null;
@@ -683,7 +786,9 @@ router.post('/upload-status-json', auth, isManager, async (req, res) => {
                     user: userId,
                     team: teamId,
                     project: defaultProject._id,
-                    date: date,
+                    day,
+                    timezone: getDefaultTimeZone(),
+                    date: calendarDateToDate(day),
                     isLeave: entry.isLeave || false,
                     leaveReason: entry.leaveReason,
                     responses: responses,
@@ -697,7 +802,8 @@ router.post('/upload-status-json', auth, isManager, async (req, res) => {
         if (statusDocuments.length === 0) {
             return res.status(400).json({
                 success: false,
-                message: 'No valid status documents could be created from the JSON data.'
+                message: 'No valid status documents could be created from the JSON data.',
+                errors: userErrors
             });
         }
 
@@ -707,14 +813,15 @@ router.post('/upload-status-json', auth, isManager, async (req, res) => {
                 filter: {
                     user: doc.user,
                     team: doc.team,
-                    date: doc.date
+                    day: doc.day
                 },
-                update: { $set: doc },
+                update: { $set: doc, $inc: { revision: 1 } },
                 upsert: true
             }
         }));
 
         const result = await StatusUpdate.bulkWrite(bulkOps);
+        await recordImportRevisions(statusDocuments);
 
         console.log('JSON upload completed successfully:', {
             statusEntries: data.length,
@@ -723,6 +830,19 @@ router.post('/upload-status-json', auth, isManager, async (req, res) => {
             modifiedCount: result.modifiedCount
         });
 
+        await recordAudit(req, {
+            action: 'status.upload',
+            entityType: 'import',
+            details: {
+                statusDocuments: statusDocuments.length,
+                insertedCount: result.upsertedCount,
+                modifiedCount: result.modifiedCount,
+                usersCreated: Array.from(userMap.keys()),
+                usersSkipped: userErrors.map(error => error.employee),
+                teamsProcessed: Array.from(teamMap.keys())
+            }
+        });
+
         res.json({
             success: true,
             message: 'Status data uploaded successfully',
@@ -732,6 +852,9 @@ router.post('/upload-status-json', auth, isManager, async (req, res) => {
                 insertedCount: result.upsertedCount,
                 modifiedCount: result.modifiedCount,
                 usersCreated: Array.from(userMap.keys()),
+                usersInvited: invitedUsers,
+                // Rows skipped because their employee couldn't be matched to a user
+                errors: userErrors,
                 teamsProcessed: Array.from(teamMap.keys()),
                 questionsProcessed: Array.from(questionMap.keys())
             }
@@ -768,28 +891,22 @@ router.get('/status', auth, async (req, res) => {
         if (userId) filter.user = userId;
 
         if (startDate || endDate) {
-            filter.date = {};
-            if (startDate) filter.date.$gte = new Date(startDate);
-            if (endDate) filter.date.$lte = new Date(endDate);
+            filter.day = {};
+            if (startDate) filter.day.$gte = toCalendarDate(startDate, req.user.timezone);
+            if (endDate) filter.day.$lte = toCalendarDate(endDate, req.user.timezone);
         }
 
         if (includeLeave === 'false') {
             filter.isLeave = false;
         }
 
-        // Check authorization
-        if (req.user.role !== 'admin') {
-            const userTeams = req.user.teams || [];
-            if (teamId && !userTeams.includes(teamId)) {
-                return res.status(403).json({
-                    success: false,
-                    message: 'Not authorized to access this team data'
-                });
-            }
-
-            if (!teamId) {
-                filter.team = { $in: userTeams };
-            }
+        // Check authorization: own entries plus teams the user may view
+        const viewableTeamIds = await getAccessibleTeamIds(req.user, 'status.view.others');
+        if (viewableTeamIds !== null) {
+            filter.$or = [
+                { user: req.user._id },
+                { team: { $in: viewableTeamIds } }
+            ];
         }
 
         const skip = (parseInt(page) - 1) * parseInt(limit);
@@ -800,7 +917,7 @@ router.get('/status', auth, async (req, res) => {
             .populate('project', 'name')
             .populate('responses.question', 'text type')
             .populate('updatedBy', 'name')
-            .sort({ date: -1, 'user.name': 1 })
+            .sort({ day: -1, 'user.name': 1 })
             .skip(skip)
             .limit(parseInt(limit));
 
@@ -0,0 +1,416 @@
+import express from 'express';
+import mongoose from 'mongoose';
+import multer from 'multer';
+import { check, validationResult } from 'express-validator';
+import HolidayCalendar from '../models/HolidayCalendar.js';
+import Project from '../models/Project.js';
+import Team from '../models/Team.js';
+import { auth, requirePermission } from '../middleware/auth.js';
+import { can, getAccessibleProjectIds } from '../utils/permissions.js';
+import { recordAudit, toAuditSnapshot } from '../utils/audit.js';
+import {
+  mergeHolidays,
+  parseHolidayCsv,
+  parseHolidayIcal,
+  parseHolidays,
+  parseWeeklyOffDays,
+  pickCalendar
+} from '../utils/holidays.js';
+import { getToday, resolveTimeZone } from '../utils/dates.js';
+
+const router = express.Router();
+
+// Holiday files are small text files, kept in memory
+const upload = multer({
+  storage: multer.memoryStorage(),
+  limits: { fileSize: 1024 * 1024 }
+});
+
+const IMPORT_FORMATS = {
+  csv: parseHolidayCsv,
+  ical: parseHolidayIcal
+};
+
+// Import format from ?format / the form field, else the file's extension or MIME type
+const getImportFormat = (req) => {
+  const requested = req.query.format || req.body.format;
+  if (requested) return IMPORT_FORMATS[requested] ? requested : null;
+
+  const extension = (req.file.originalname || '').toLowerCase().split('.').pop();
+  if (extension === 'ics' || req.file.mimetype === 'text/calendar') return 'ical';
+  if (extension === 'csv' || req.file.mimetype === 'text/csv') return 'csv';
+  return null;
+};
+
+// Locations are matched case-insensitively, as whole values
+const escapeRegExp = (value) => value.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+// Calendars without projects apply everywhere and are admin only; managers
+// manage calendars whose projects they all manage
+const canManageCalendar = async (user, projects) => {
+  if (projects.length === 0) return can(user, 'holiday.manage');
+
+  for (const project of projects) {
+    if (!(await can(user, 'holiday.manage', { project }))) return false;
+  }
+  return true;
+};
+
+// Check the projects of a request body; returns { projects } (ids) or { error }
+const resolveProjects = async (input) => {
+  if (!Array.isArray(input) || !input.every(id => mongoose.Types.ObjectId.isValid(id))) {
+    return { error: 'Projects must be a list of project IDs' };
+  }
+
+  const ids = [...new Set(input.map(id => id.toString()))];
+  const found = await Project.countDocuments({ _id: { $in: ids } });
+  if (found !== ids.length) {
+    return { error: 'Project not found' };
+  }
+
+  return { projects: ids };
+};
+
+// Load a calendar the current user may manage; sends the error response and returns null otherwise
+const findManagedCalendar = async (req, res) => {
+  if (!mongoose.Types.ObjectId.isValid(req.params.id)) {
+    res.status(400).json({ message: 'Invalid holiday calendar ID' });
+    return null;
+  }
+
+  const calendar = await HolidayCalendar.findById(req.params.id);
+  if (!calendar) {
+    res.status(404).json({ message: 'Holiday calendar not found' });
+    return null;
+  }
+
+  if (!(await canManageCalendar(req.user, calendar.projects))) {
+    res.status(403).json({ message: 'Not authorized to manage this holiday calendar' });
+    return null;
+  }
+
+  return calendar;
+};
+
+// Whether another calendar already uses the name in the year
+const isNameTaken = (name, year, exceptId) => HolidayCalendar.exists({
+  name,
+  year,
+  ...(exceptId ? { _id: { $ne: exceptId } } : {})
+});
+
+const calendarValidation = (optional) => {
+  const field = (name, message) => (optional ? check(name, message).optional() : check(name, message));
+
+  return [
+    field('name', 'Name is required').isString().trim().not().isEmpty(),
+    field('year', 'Year must be between 2000 and 2100').isInt({ min: 2000, max: 2100 }).toInt(),
+    check('location', 'Location must be text').optional({ values: 'null' }).isString(),
+    check('projects', 'Projects must be an array').optional().isArray(),
+    check('weeklyOffDays', 'weeklyOffDays must be an array').optional().isArray(),
+    check('holidays', 'Holidays must be an array').optional().isArray()
+  ];
+};
+
+// @route   GET /api/holidays
+// @desc    List holiday calendars: the ones that apply everywhere and those of projects
+//          you can see (?year, ?project, ?location)
+// @access  Private
+router.get('/', auth, async (req, res) => {
+  try {
+    const { year, project, location } = req.query;
+    const conditions = [];
+
+    const projectIds = await getAccessibleProjectIds(req.user, 'project.view');
+    if (projectIds !== null) {
+      conditions.push({ $or: [{ projects: { $size: 0 } }, { projects: { $in: projectIds } }] });
+    }
+
+    if (year !== undefined) {
+      if (!/^\d{4}$/.test(year)) {
+        return res.status(400).json({ message: 'Year must be a four-digit year' });
+      }
+      conditions.push({ year: parseInt(year) });
+    }
+    if (project) {
+      if (!mongoose.Types.ObjectId.isValid(project)) {
+        return res.status(400).json({ message: 'Invalid project ID' });
+      }
+      conditions.push({ projects: project });
+    }
+    if (location !== undefined && typeof location !== 'string') {
+      return res.status(400).json({ message: 'Location must be text' });
+    }
+    if (location) {
+      conditions.push({ location: new RegExp(`^${escapeRegExp(location.trim())}$`, 'i') });
+    }
+
+    const calendars = await HolidayCalendar.find(conditions.length > 0 ? { $and: conditions } : {})
+      .populate('projects', 'name')
+      .sort({ year: -1, name: 1 });
+
+    res.json(calendars);
+  } catch (err) {
+    console.error(err.message);
+    res.status(500).send('Server error');
+  }
+});
+
+// @route   GET /api/holidays/mine
+// @desc    The calendar that applies to you in each of your teams' projects for ?year
+//          (default this year); null means weekends off and no holidays
+// @access  Private
+router.get('/mine', auth, async (req, res) => {
+  try {
+    if (req.query.year !== undefined && !/^\d{4}$/.test(req.query.year)) {
+      return res.status(400).json({ message: 'Year must be a four-digit year' });
+    }
+    const year = parseInt(req.query.year ?? getToday(resolveTimeZone(req.user.timezone)).slice(0, 4));
+
+    const teams = await Team.find({ _id: { $in: req.user.teams || [] } })
+      .select('project')
+      .populate('project', 'name')
+      .lean();
+    const projects = [...new Map(teams.filter(team => team.project).map(team => [team.project._id.toString(), team.project])).values()];
+
+    const calendars = await HolidayCalendar.find({ year }).sort({ createdAt: 1 }).lean();
+
+    res.json({
+      year,
+      location: req.user.location || null,
+      projects: projects.map(project => ({
+        project,
+        calendar: pickCalendar(calendars, { project: project._id, location: req.user.location, year })
+      }))
+    });
+  } catch (err) {
+    console.error(err.message);
+    res.status(500).send('Server error');
+  }
+});
+
+// @route   POST /api/holidays
+// @desc    Create a holiday calendar for a year, for a location and/or projects
+//          (applies everywhere when it has neither)
+// @access  Private (Admin, Manager for calendars of their projects)
+router.post('/', [
+  auth,
+  requirePermission('holiday.manage', 'Manager access required'),
+  calendarValidation(false)
+], async (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({ errors: errors.array() });
+  }
+
+  const { name, year, location, projects = [], weeklyOffDays, holidays = [] } = req.body;
+
+  try {
+    const projectCheck = await resolveProjects(projects);
+    if (projectCheck.error) {
+      return res.status(400).json({ message: projectCheck.error });
+    }
+
+    if (!(await canManageCalendar(req.user, projectCheck.projects))) {
+      return res.status(403).json({
+        message: projectCheck.projects.length > 0
+          ? 'Not authorized to add holiday calendars to these projects'
+          : 'Only admins can add holiday calendars that are not limited to projects'
+      });
+    }
+
+    const offDays = weeklyOffDays === undefined ? {} : parseWeeklyOffDays(weeklyOffDays);
+    const holidayList = parseHolidays(holidays, year);
+    const error = offDays.error || holidayList.error;
+    if (error) {
+      return res.status(400).json({ message: error });
+    }
+
+    if (await isNameTaken(name, year)) {
+      return res.status(400).json({ message: `There is already a calendar named "${name}" for ${year}` });
+    }
+
+    const calendar = new HolidayCalendar({
+      name,
+      year,
+      location: location || undefined,
+      projects: projectCheck.projects,
+      weeklyOffDays: offDays.weeklyOffDays,
+      holidays: holidayList.holidays,
+      createdBy: req.user._id,
+      updatedBy: req.user._id
+    });
+
+    await calendar.save();
+    await recordAudit(req, { action: 'create', entityType: 'holidayCalendar', after: calendar });
+
+    res.status(201).json(calendar);
+  } catch (err) {
+    console.error(err.message);
+    res.status(500).send('Server error');
+  }
+});
+
+// @route   GET /api/holidays/:id
+// @desc    Get a holiday calendar
+// @access  Private
+router.get('/:id', auth, async (req, res) => {
+  try {
+    if (!mongoose.Types.ObjectId.isValid(req.params.id)) {
+      return res.status(400).json({ message: 'Invalid holiday calendar ID' });
+    }
+
+    const calendar = await HolidayCalendar.findById(req.params.id).populate('projects', 'name');
+    if (!calendar) {
+      return res.status(404).json({ message: 'Holiday calendar not found' });
+    }
+
+    const projectIds = await getAccessibleProjectIds(req.user, 'project.view');
+    const visible = projectIds === null || calendar.projects.length === 0 ||
+      calendar.projects.some(project => projectIds.includes(project._id.toString()));
+    if (!visible) {
+      return res.status(403).json({ message: 'Not authorized to view this holiday calendar' });
+    }
+
+    res.json(calendar);
+  } catch (err) {
+    console.error(err.message);
+    res.status(500).send('Server error');
+  }
+});
+
+// @route   PUT /api/holidays/:id
+// @desc    Update a calendar's name, year, location, projects, weekly off-days or holidays
+//          (holidays, when given, replace the whole list)
+// @access  Private (Admin, Manager for calendars of their projects)
+router.put('/:id', [
+  auth,
+  requirePermission('holiday.manage', 'Manager access required'),
+  calendarValidation(true)
+], async (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({ errors: errors.array() });
+  }
+
+  try {
+    const calendar = await findManagedCalendar(req, res);
+    if (!calendar) return;
+
+    const before = toAuditSnapshot(calendar);
+    const { name, year, location, projects, weeklyOffDays, holidays } = req.body;
+
+    if (projects !== undefined) {
+      const projectCheck = await resolveProjects(projects);
+      if (projectCheck.error) {
+        return res.status(400).json({ message: projectCheck.error });
+      }
+      if (!(await canManageCalendar(req.user, projectCheck.projects))) {
+        return res.status(403).json({ message: 'Not authorized to move this holiday calendar to those projects' });
+      }
+      calendar.projects = projectCheck.projects;
+    }
+
+    const nextYear = year ?? calendar.year;
+    const nextName = name ?? calendar.name;
+    if ((name !== undefined || year !== undefined) && await isNameTaken(nextName, nextYear, calendar._id)) {
+      return res.status(400).json({ message: `There is already a calendar named "${nextName}" for ${nextYear}` });
+    }
+
+    // Moving the calendar to another year needs holidays in that year
+    const holidayList = parseHolidays(holidays ?? calendar.holidays.map(({ day, name: holidayName }) => ({ day, name: holidayName })), nextYear);
+    const offDays = weeklyOffDays === undefined ? {} : parseWeeklyOffDays(weeklyOffDays);
+    const error = offDays.error || holidayList.error;
+    if (error) {
+      return res.status(400).json({ message: error });
+    }
+
+    calendar.name = nextName;
+    calendar.year = nextYear;
+    calendar.holidays = holidayList.holidays;
+    if (location !== undefined) calendar.location = location || undefined;
+    if (offDays.weeklyOffDays) calendar.weeklyOffDays = offDays.weeklyOffDays;
+    calendar.updatedBy = req.user._id;
+    calendar.updatedAt = Date.now();
+
+    await calendar.save();
+    await recordAudit(req, { action: 'update', entityType: 'holidayCalendar', before, after: calendar });
+
+    res.json(calendar);
+  } catch (err) {
+    console.error(err.message);
+    res.status(500).send('Server error');
+  }
+});
+
+// @route   POST /api/holidays/:id/import
+// @desc    Import holidays from a CSV (date,name per line) or iCalendar (.ics) file uploaded
+//          as `file`; ?format=csv|ical when the file name doesn't tell, replace=true to
+//          drop the existing holidays first. Days outside the calendar's year are skipped.
+// @access  Private (Admin, Manager for calendars of their projects)
+router.post('/:id/import', [
+  auth,
+  requirePermission('holiday.manage', 'Manager access required'),
+  upload.single('file')
+], async (req, res) => {
+  try {
+    const calendar = await findManagedCalendar(req, res);
+    if (!calendar) return;
+
+    if (!req.file) {
+      return res.status(400).json({ message: 'Upload the holiday file as "file"' });
+    }
+
+    const format = getImportFormat(req);
+    if (!format) {
+      return res.status(400).json({ message: `Format must be one of: ${Object.keys(IMPORT_FORMATS).join(', ')}` });
+    }
+
+    const parsed = IMPORT_FORMATS[format](req.file.buffer.toString('utf8'));
+    if (parsed.error) {
+      return res.status(400).json({ message: parsed.error });
+    }
+
+    const before = toAuditSnapshot(calendar);
+    const replace = [true, 'true'].includes(req.query.replace ?? req.body.replace);
+    const { holidays, imported, skipped } = mergeHolidays(calendar.holidays, parsed.holidays, calendar.year, { replace });
+
+    calendar.holidays = holidays;
+    calendar.updatedBy = req.user._id;
+    calendar.updatedAt = Date.now();
+
+    await calendar.save();
+    await recordAudit(req, {
+      action: 'import',
+      entityType: 'holidayCalendar',
+      before,
+      after: calendar,
+      details: { format, imported, skipped, replace }
+    });
+
+    res.json({ imported, skipped, calendar });
+  } catch (err) {
+    console.error(err.message);
+    res.status(500).send('Server error');
+  }
+});
+
+// @route   DELETE /api/holidays/:id
+// @desc    Delete a holiday calendar
+// @access  Private (Admin, Manager for calendars of their projects)
+router.delete('/:id', [auth, requirePermission('holiday.manage', 'Manager access required')], async (req, res) => {
+  try {
+    const calendar = await findManagedCalendar(req, res);
+    if (!calendar) return;
+
+    await calendar.deleteOne();
+    await recordAudit(req, { action: 'delete', entityType: 'holidayCalendar', before: calendar });
+
+    res.json({ message: 'Holiday calendar deleted' });
+  } catch (err) {
+    console.error(err.message);
+    res.status(500).send('Server error');
+  }
+});
+
+export default router;
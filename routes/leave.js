@@ -0,0 +1,641 @@
+import express from 'express';
+import mongoose from 'mongoose';
+import { check, validationResult } from 'express-validator';
+import Team from '../models/Team.js';
+import Project from '../models/Project.js';
+import User from '../models/User.js';
+import LeaveAllowance from '../models/LeaveAllowance.js';
+import LeaveRequest, { LEAVE_REQUEST_STATES } from '../models/LeaveRequest.js';
+import { auth, authWithScope, requirePermission } from '../middleware/auth.js';
+import { createRateLimiter } from '../middleware/rateLimit.js';
+import { can, getAccessibleProjectIds, getAccessibleTeamIds } from '../utils/permissions.js';
+import { recordAudit, toAuditSnapshot } from '../utils/audit.js';
+import { getLeaveBalances, getYearRange, resolveLeaveTypes, sumLeaveDays } from '../utils/leave.js';
+import { submitLeave } from '../utils/statusSubmission.js';
+import { cancelLeaveRequest, createLeaveRequest, reviewLeaveRequest } from '../utils/leaveRequests.js';
+import { buildLeaveFeed } from '../utils/calendarFeed.js';
+import { generateRandomToken, hashToken } from '../utils/tokens.js';
+import { getToday, resolveTimeZone, toCalendarDate } from '../utils/dates.js';
+import { LEAVE_DURATIONS } from '../models/LeaveType.js';
+
+const router = express.Router();
+
+// Calendar apps poll the feed without logging in; guessing tokens gets throttled
+const feedLimiter = createRateLimiter({
+  name: 'leave feed',
+  windowMs: 15 * 60 * 1000,
+  max: parseInt(process.env.FEED_RATE_LIMIT, 10) || 120
+});
+
+// Subscription URL of a feed token, on the host the request came in on
+const getFeedUrl = (req, token) => `${req.protocol}://${req.get('host')}${req.baseUrl}/feed/${token}.ics`;
+
+// Helper function to read ?year, defaulting to the current year in `timeZone`; null when malformed
+const parseYear = (value, timeZone) => {
+  if (value === undefined) return parseInt(getToday(timeZone).slice(0, 4));
+
+  const year = parseInt(value);
+  return /^\d{4}$/.test(value) && year >= 2000 && year <= 2100 ? year : null;
+};
+
+// Validation shared by direct leave and leave requests; without a leaveType the
+// project's default type is taken (see checkLeaveRequest)
+const leaveRangeValidation = [
+  check('team', 'Team is required').not().isEmpty(),
+  check('startDate', 'Start date is required').isISO8601(),
+  check('endDate', 'End date must be a date').optional().isISO8601(),
+  check('leaveType', 'Leave type must be text').optional().isString(),
+  check('duration', `Duration must be one of: ${LEAVE_DURATIONS.join(', ')}`).optional().isIn(LEAVE_DURATIONS),
+  check('startDuration', 'Start duration must be full or second_half').optional().isIn(['full', 'second_half']),
+  check('endDuration', 'End duration must be full or first_half').optional().isIn(['full', 'first_half'])
+];
+
+// Load a leave request the current user may see: their own, or one they can review.
+// Sends the error response and returns null otherwise.
+const findLeaveRequest = async (req, res) => {
+  if (!mongoose.Types.ObjectId.isValid(req.params.id)) {
+    res.status(400).json({ message: 'Invalid leave request ID' });
+    return null;
+  }
+
+  const request = await LeaveRequest.findById(req.params.id);
+  if (!request) {
+    res.status(404).json({ message: 'Leave request not found' });
+    return null;
+  }
+
+  const isOwn = request.user.toString() === req.user._id.toString();
+  if (!isOwn && !(await can(req.user, 'leave.approve', { team: request.team, project: request.project }))) {
+    res.status(403).json({ message: 'Not authorized to view this leave request' });
+    return null;
+  }
+
+  return request;
+};
+
+const populateLeaveRequest = (query) => query
+  .populate('user', 'name email')
+  .populate('team', 'name')
+  .populate('project', 'name')
+  .populate('reviewedBy', 'name');
+
+// @route   POST /api/leave
+// @desc    Take leave of a given type for one day or a range of days (non-working
+//          days are skipped); the first and last day of a range may be half days.
+//          Future leave needs a leave request unless you are the one who approves it.
+// @access  Private (Team Member for own, Team Lead or Manager for team)
+router.post('/', [
+  authWithScope('status:write'),
+  leaveRangeValidation,
+  check('leaveReason', 'Leave reason must be text').optional().isString()
+], async (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({ errors: errors.array() });
+  }
+
+  try {
+    const { statuses, days, error, httpStatus } = await submitLeave(req, {
+      ...req.body,
+      user: req.body.user || req.user._id.toString()
+    });
+    if (error) {
+      return res.status(httpStatus).json({ message: error });
+    }
+
+    res.status(201).json({ days, statuses });
+  } catch (err) {
+    console.error(err.message);
+    res.status(500).send('Server error');
+  }
+});
+
+// @route   POST /api/leave/requests
+// @desc    Request leave for future dates from your team's managers
+// @access  Private
+router.post('/requests', [
+  auth,
+  leaveRangeValidation,
+  check('reason', 'Reason must be text').optional().isString()
+], async (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({ errors: errors.array() });
+  }
+
+  try {
+    const { request, error, httpStatus } = await createLeaveRequest(req, req.body);
+    if (error) {
+      return res.status(httpStatus).json({ message: error });
+    }
+
+    res.status(201).json(request);
+  } catch (err) {
+    console.error(err.message);
+    res.status(500).send('Server error');
+  }
+});
+
+// @route   GET /api/leave/requests
+// @desc    Your own leave requests, newest first (?state, ?page, ?limit)
+// @access  Private
+router.get('/requests', auth, async (req, res) => {
+  try {
+    const query = { user: req.user._id };
+    if (req.query.state) {
+      if (!LEAVE_REQUEST_STATES.includes(req.query.state)) {
+        return res.status(400).json({ message: `State must be one of: ${LEAVE_REQUEST_STATES.join(', ')}` });
+      }
+      query.state = req.query.state;
+    }
+
+    const limit = Math.min(parseInt(req.query.limit) || 50, 200);
+    const page = Math.max(parseInt(req.query.page) || 1, 1);
+
+    const [requests, total] = await Promise.all([
+      populateLeaveRequest(LeaveRequest.find(query))
+        .sort({ startDay: -1 })
+        .skip((page - 1) * limit)
+        .limit(limit),
+      LeaveRequest.countDocuments(query)
+    ]);
+
+    res.json({ requests, total, page, limit });
+  } catch (err) {
+    console.error(err.message);
+    res.status(500).send('Server error');
+  }
+});
+
+// @route   GET /api/leave/requests/pending
+// @desc    Approval queue: pending requests in the projects you manage, soonest first (?team, ?project)
+// @access  Private (Admin, Manager)
+router.get('/requests/pending', [auth, requirePermission('leave.approve', 'Manager access required')], async (req, res) => {
+  try {
+    const query = { state: 'pending' };
+    const projectIds = await getAccessibleProjectIds(req.user, 'leave.approve');
+    if (projectIds !== null) {
+      query.project = { $in: projectIds };
+    }
+
+    for (const name of ['team', 'project']) {
+      const id = req.query[name];
+      if (!id) continue;
+      if (!mongoose.Types.ObjectId.isValid(id)) {
+        return res.status(400).json({ message: `Invalid ${name} ID` });
+      }
+      query.$and = [...(query.$and || []), { [name]: id }];
+    }
+
+    const requests = await populateLeaveRequest(LeaveRequest.find(query)).sort({ startDay: 1, createdAt: 1 });
+    res.json(requests);
+  } catch (err) {
+    console.error(err.message);
+    res.status(500).send('Server error');
+  }
+});
+
+// @route   GET /api/leave/requests/:id
+// @desc    Get a leave request
+// @access  Private (requester, or a manager who can review it)
+router.get('/requests/:id', auth, async (req, res) => {
+  try {
+    const request = await findLeaveRequest(req, res);
+    if (!request) return;
+
+    res.json(await populateLeaveRequest(LeaveRequest.findById(request._id)));
+  } catch (err) {
+    console.error(err.message);
+    res.status(500).send('Server error');
+  }
+});
+
+// Approve or reject a leave request, with an optional comment
+const reviewRoute = (approve) => async (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({ errors: errors.array() });
+  }
+
+  try {
+    const request = await findLeaveRequest(req, res);
+    if (!request) return;
+
+    if (!(await can(req.user, 'leave.approve', { team: request.team, project: request.project }))) {
+      return res.status(403).json({ message: 'Not authorized to review this leave request' });
+    }
+    if (request.user.toString() === req.user._id.toString() && req.user.role !== 'admin') {
+      return res.status(403).json({ message: 'Your own leave requests have to be reviewed by someone else' });
+    }
+
+    const { request: reviewed, error, httpStatus } = await reviewLeaveRequest(req, request, {
+      approve,
+      comment: req.body.comment
+    });
+    if (error) {
+      return res.status(httpStatus).json({ message: error });
+    }
+
+    res.json(await populateLeaveRequest(LeaveRequest.findById(reviewed._id)));
+  } catch (err) {
+    console.error(err.message);
+    res.status(500).send('Server error');
+  }
+};
+
+// @route   POST /api/leave/requests/:id/approve
+// @desc    Approve a pending request; creates a leave status for each of its days
+// @access  Private (Admin, Manager)
+router.post('/requests/:id/approve', [
+  auth,
+  requirePermission('leave.approve', 'Manager access required'),
+  check('comment', 'Comment must be text').optional().isString()
+], reviewRoute(true));
+
+// @route   POST /api/leave/requests/:id/reject
+// @desc    Reject a pending request
+// @access  Private (Admin, Manager)
+router.post('/requests/:id/reject', [
+  auth,
+  requirePermission('leave.approve', 'Manager access required'),
+  check('comment', 'Comment must be text').optional().isString()
+], reviewRoute(false));
+
+// @route   POST /api/leave/requests/:id/cancel
+// @desc    Withdraw your own pending request
+// @access  Private
+router.post('/requests/:id/cancel', auth, async (req, res) => {
+  try {
+    const request = await findLeaveRequest(req, res);
+    if (!request) return;
+
+    if (request.user.toString() !== req.user._id.toString()) {
+      return res.status(403).json({ message: 'Only the requester can cancel a leave request' });
+    }
+
+    const { request: cancelled, error, httpStatus } = await cancelLeaveRequest(req, request);
+    if (error) {
+      return res.status(httpStatus).json({ message: error });
+    }
+
+    res.json(cancelled);
+  } catch (err) {
+    console.error(err.message);
+    res.status(500).send('Server error');
+  }
+});
+
+// @route   GET /api/leave/feed
+// @desc    Whether you have a leave calendar feed and since when (the URL is only shown when created)
+// @access  Private
+router.get('/feed', auth, async (req, res) => {
+  try {
+    const user = await User.findById(req.user._id).select('+calendarFeedTokenHash calendarFeedCreatedAt');
+    res.json({
+      enabled: !!user.calendarFeedTokenHash,
+      createdAt: user.calendarFeedCreatedAt || null
+    });
+  } catch (err) {
+    console.error(err.message);
+    res.status(500).send('Server error');
+  }
+});
+
+// @route   POST /api/leave/feed
+// @desc    Create your iCalendar feed of your leave and the leave in your teams (with
+//          reasons and types for teams you manage or lead) and your holidays, or
+//          replace its URL; the old URL stops working
+// @access  Private
+router.post('/feed', auth, async (req, res) => {
+  try {
+    const token = generateRandomToken();
+    const createdAt = new Date();
+
+    await User.updateOne(
+      { _id: req.user._id },
+      { $set: { calendarFeedTokenHash: hashToken(token), calendarFeedCreatedAt: createdAt } }
+    );
+    await recordAudit(req, { action: 'feed.create', entityType: 'user', entityId: req.user._id });
+
+    res.status(201).json({ url: getFeedUrl(req, token), createdAt });
+  } catch (err) {
+    console.error(err.message);
+    res.status(500).send('Server error');
+  }
+});
+
+// @route   DELETE /api/leave/feed
+// @desc    Turn off your leave calendar feed
+// @access  Private
+router.delete('/feed', auth, async (req, res) => {
+  try {
+    await User.updateOne(
+      { _id: req.user._id },
+      { $unset: { calendarFeedTokenHash: 1, calendarFeedCreatedAt: 1 } }
+    );
+    await recordAudit(req, { action: 'feed.revoke', entityType: 'user', entityId: req.user._id });
+
+    res.json({ message: 'Leave calendar feed turned off' });
+  } catch (err) {
+    console.error(err.message);
+    res.status(500).send('Server error');
+  }
+});
+
+// @route   GET /api/leave/feed/:token.ics
+// @desc    The leave calendar feed: each member's leave as an all-day event, plus holidays
+// @access  Public (secret feed token)
+router.get('/feed/:token.ics', feedLimiter, async (req, res) => {
+  try {
+    const user = await User.findOne({ calendarFeedTokenHash: hashToken(req.params.token), status: 'active' });
+    if (!user) {
+      return res.status(404).json({ message: 'Calendar feed not found' });
+    }
+
+    const feed = await buildLeaveFeed(user);
+    res.set('Content-Type', 'text/calendar; charset=utf-8');
+    res.set('Content-Disposition', 'inline; filename="leave.ics"');
+    res.set('Cache-Control', 'private, max-age=900');
+    res.send(feed);
+  } catch (err) {
+    console.error(err.message);
+    res.status(500).send('Server error');
+  }
+});
+
+// @route   GET /api/leave/balances
+// @desc    Allowance, used and remaining days per leave type for a member
+//          (?user, default yourself; ?project, default all of theirs; ?year, default this year)
+// @access  Private (Team Member for own, Team Lead or Manager for team)
+router.get('/balances', authWithScope('reports:read'), async (req, res) => {
+  try {
+    const year = parseYear(req.query.year, resolveTimeZone(req.user.timezone));
+    if (!year) {
+      return res.status(400).json({ message: 'Invalid year' });
+    }
+
+    const userId = req.query.user || req.user._id.toString();
+    if (!mongoose.Types.ObjectId.isValid(userId)) {
+      return res.status(400).json({ message: 'Invalid user ID' });
+    }
+
+    const member = await User.findById(userId).select('name email teams');
+    if (!member) {
+      return res.status(404).json({ message: 'User not found' });
+    }
+
+    // Balances are kept per project; each is looked at through the member's teams in it
+    const memberTeams = await Team.find({ _id: { $in: member.teams } }).select('project');
+    const teamsByProject = new Map();
+    memberTeams.forEach(team => {
+      const projectId = team.project.toString();
+      if (!teamsByProject.has(projectId)) teamsByProject.set(projectId, []);
+      teamsByProject.get(projectId).push(team._id);
+    });
+
+    if (req.query.project && !teamsByProject.has(req.query.project)) {
+      return res.status(404).json({ message: 'User is not a member of this project' });
+    }
+
+    const projectIds = req.query.project ? [req.query.project] : [...teamsByProject.keys()];
+    const projects = await Project.find({ _id: { $in: projectIds } }).select('name leaveTypes');
+    const results = [];
+
+    for (const project of projects) {
+      const teams = teamsByProject.get(project._id.toString());
+      const allowed = await can(req.user, 'leave.view', { user: member._id, project: project._id, teams }) &&
+        (!req.apiKey || teams.some(team => req.apiKey.allowsTeam(team, project._id)));
+
+      if (!allowed) {
+        if (req.query.project) {
+          return res.status(403).json({ message: 'Not authorized to view leave balances for this user' });
+        }
+        continue;
+      }
+
+      results.push({
+        project: { _id: project._id, name: project.name },
+        balances: await getLeaveBalances(member._id, project, year)
+      });
+    }
+
+    if (results.length === 0 && projects.length > 0) {
+      return res.status(403).json({ message: 'Not authorized to view leave balances for this user' });
+    }
+
+    res.json({
+      user: { _id: member._id, name: member.name, email: member.email },
+      year,
+      projects: results
+    });
+  } catch (err) {
+    console.error(err.message);
+    res.status(500).send('Server error');
+  }
+});
+
+// @route   GET /api/leave/usage
+// @desc    Leave days taken per member and leave type, for reports
+//          (?team or ?project, default every team you can see; ?year, or ?startDate and ?endDate)
+// @access  Private (Team Lead, Manager)
+router.get('/usage', authWithScope('reports:read'), async (req, res) => {
+  try {
+    const { team, project, startDate, endDate } = req.query;
+    const timeZone = resolveTimeZone(req.user.timezone);
+
+    let period;
+    if (startDate || endDate) {
+      period = { start: toCalendarDate(startDate, timeZone), end: toCalendarDate(endDate, timeZone) };
+      if (!period.start || !period.end || period.start > period.end) {
+        return res.status(400).json({ message: 'Invalid date range' });
+      }
+    } else {
+      const year = parseYear(req.query.year, timeZone);
+      if (!year) {
+        return res.status(400).json({ message: 'Invalid year' });
+      }
+      period = getYearRange(year);
+    }
+
+    for (const [name, id] of Object.entries({ team, project })) {
+      if (id && !mongoose.Types.ObjectId.isValid(id)) {
+        return res.status(400).json({ message: `Invalid ${name} ID` });
+      }
+    }
+
+    // Teams asked for, narrowed to those the caller may see leave of
+    const teamFilter = team ? { _id: team } : project ? { project } : {};
+    const viewableTeamIds = await getAccessibleTeamIds(req.user, 'leave.view');
+    if (viewableTeamIds !== null) {
+      teamFilter._id = team
+        ? (viewableTeamIds.includes(team) ? team : { $in: [] })
+        : { $in: viewableTeamIds };
+    }
+
+    const teams = (await Team.find(teamFilter).select('project'))
+      .filter(candidate => !req.apiKey || req.apiKey.allowsTeam(candidate._id, candidate.project));
+
+    if (teams.length === 0) {
+      return res.status(403).json({ message: 'Not authorized to view leave for these teams' });
+    }
+
+    const usage = await sumLeaveDays({
+      team: { $in: teams.map(candidate => candidate._id) },
+      day: { $gte: period.start, $lte: period.end }
+    }, ['project', 'user']);
+
+    const [projects, users] = await Promise.all([
+      Project.find({ _id: { $in: [...new Set(teams.map(candidate => candidate.project.toString()))] } }).select('name leaveTypes'),
+      User.find({ _id: { $in: usage.map(entry => entry._id.user) } }).select('name email')
+    ]);
+    const usersById = new Map(users.map(user => [user._id.toString(), user]));
+
+    res.json({
+      period,
+      projects: projects.map(reportProject => {
+        const rows = new Map();
+
+        usage
+          .filter(entry => entry._id.project.toString() === reportProject._id.toString())
+          .forEach(({ _id, days }) => {
+            const userId = _id.user.toString();
+            if (!rows.has(userId)) {
+              const user = usersById.get(userId);
+              rows.set(userId, {
+                user: { _id: _id.user, name: user?.name, email: user?.email },
+                byType: {},
+                total: 0
+              });
+            }
+
+            const row = rows.get(userId);
+            const key = _id.leaveType || 'unspecified';
+            row.byType[key] = (row.byType[key] || 0) + days;
+            row.total += days;
+          });
+
+        return {
+          project: { _id: reportProject._id, name: reportProject.name },
+          leaveTypes: resolveLeaveTypes(reportProject).map(({ key, name, allowance, active }) => ({ key, name, allowance, active })),
+          users: [...rows.values()].sort((a, b) => (a.user.name || '').localeCompare(b.user.name || ''))
+        };
+      })
+    });
+  } catch (err) {
+    console.error(err.message);
+    res.status(500).send('Server error');
+  }
+});
+
+// @route   GET /api/leave/allowances
+// @desc    Members' own allowances in a project (?project required, ?year, ?user)
+// @access  Private (Admin, Manager)
+router.get('/allowances', [
+  auth,
+  requirePermission('leave.manage', 'Manager access required'),
+  [check('user', 'Invalid user ID').optional().isMongoId()]
+], async (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({ errors: errors.array() });
+  }
+
+  try {
+    const { project, user } = req.query;
+    if (!mongoose.Types.ObjectId.isValid(project)) {
+      return res.status(400).json({ message: 'A valid project ID is required' });
+    }
+
+    if (!(await can(req.user, 'leave.manage', { project }))) {
+      return res.status(403).json({ message: 'Not authorized to manage leave for this project' });
+    }
+
+    const query = { project };
+    if (user) query.user = user;
+    if (req.query.year) {
+      const year = parseYear(req.query.year);
+      if (!year) {
+        return res.status(400).json({ message: 'Invalid year' });
+      }
+      query.year = year;
+    }
+
+    const allowances = await LeaveAllowance.find(query)
+      .sort({ year: -1, leaveType: 1 })
+      .populate('user', 'name email')
+      .populate('updatedBy', 'name');
+
+    res.json(allowances);
+  } catch (err) {
+    console.error(err.message);
+    res.status(500).send('Server error');
+  }
+});
+
+// @route   PUT /api/leave/allowances
+// @desc    Set a member's allowance of a leave type for a year: `allowance` replaces
+//          the project's (null keeps it), `adjustment` adds days (e.g. carry-over, comp-off)
+// @access  Private (Admin, Manager)
+router.put('/allowances', [
+  auth,
+  requirePermission('leave.manage', 'Manager access required'),
+  [
+    check('user', 'User is required').isMongoId(),
+    check('project', 'Project is required').isMongoId(),
+    check('year', 'Year must be between 2000 and 2100').isInt({ min: 2000, max: 2100 }),
+    check('leaveType', 'Leave type must be text').optional().isString(),
+    check('allowance', 'Allowance must be 0 or more days, or null').optional({ values: 'null' }).isFloat({ min: 0 }),
+    check('adjustment', 'Adjustment must be a number of days').optional().isFloat(),
+    check('note', 'Note must be text').optional().isString()
+  ]
+], async (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({ errors: errors.array() });
+  }
+
+  const { user, project, leaveType, allowance, adjustment, note } = req.body;
+  const year = parseInt(req.body.year);
+
+  try {
+    const projectData = await Project.findById(project).select('leaveTypes');
+    if (!projectData) {
+      return res.status(404).json({ message: 'Project not found' });
+    }
+
+    if (!(await can(req.user, 'leave.manage', { project }))) {
+      return res.status(403).json({ message: 'Not authorized to manage leave for this project' });
+    }
+
+    if (!resolveLeaveTypes(projectData).some(type => type.key === leaveType)) {
+      return res.status(400).json({ message: `Unknown leave type "${leaveType}"` });
+    }
+
+    const member = await User.findById(user).select('teams');
+    if (!member || !(await Team.exists({ _id: { $in: member.teams }, project }))) {
+      return res.status(400).json({ message: 'User is not a member of this project' });
+    }
+
+    let record = await LeaveAllowance.findOne({ user, project, year, leaveType });
+    const before = record ? toAuditSnapshot(record) : null;
+
+    if (!record) {
+      record = new LeaveAllowance({ user, project, year, leaveType });
+    }
+    if (allowance !== undefined) record.allowance = allowance;
+    if (adjustment !== undefined) record.adjustment = adjustment;
+    if (note !== undefined) record.note = note;
+    record.updatedBy = req.user._id;
+    record.updatedAt = Date.now();
+
+    await record.save();
+    await recordAudit(req, { action: before ? 'update' : 'create', entityType: 'leaveAllowance', before, after: record });
+
+    res.json(record);
+  } catch (err) {
+    console.error(err.message);
+    res.status(500).send('Server error');
+  }
+});
+
+export default router;
@@ -0,0 +1,137 @@
+import express from 'express';
+import mongoose from 'mongoose';
+import Notification, { NOTIFICATION_TYPES } from '../models/Notification.js';
+import User from '../models/User.js';
+import { auth } from '../middleware/auth.js';
+import { resolveNotificationPreferences, parseNotificationPreferences } from '../utils/notifications.js';
+
+const router = express.Router();
+
+// @route   GET /api/notifications
+// @desc    List the current user's notifications, newest first (?unread=true, ?type, ?page, ?limit)
+// @access  Private
+router.get('/', auth, async (req, res) => {
+  try {
+    const query = { recipient: req.user._id };
+
+    if (req.query.unread === 'true') query.readAt = null;
+    if (req.query.type) {
+      if (!NOTIFICATION_TYPES.includes(req.query.type)) {
+        return res.status(400).json({ message: `Type must be one of: ${NOTIFICATION_TYPES.join(', ')}` });
+      }
+      query.type = req.query.type;
+    }
+
+    const limit = Math.min(parseInt(req.query.limit) || 20, 100);
+    const page = Math.max(parseInt(req.query.page) || 1, 1);
+
+    const [notifications, total, unreadCount] = await Promise.all([
+      Notification.find(query)
+        .sort({ createdAt: -1 })
+        .skip((page - 1) * limit)
+        .limit(limit)
+        .populate('actor', 'name'),
+      Notification.countDocuments(query),
+      Notification.countDocuments({ recipient: req.user._id, readAt: null })
+    ]);
+
+    res.json({ notifications, total, unreadCount, page, limit });
+  } catch (err) {
+    console.error(err.message);
+    res.status(500).send('Server error');
+  }
+});
+
+// @route   GET /api/notifications/unread-count
+// @desc    Number of unread notifications (for the bell badge)
+// @access  Private
+router.get('/unread-count', auth, async (req, res) => {
+  try {
+    const unreadCount = await Notification.countDocuments({ recipient: req.user._id, readAt: null });
+    res.json({ unreadCount });
+  } catch (err) {
+    console.error(err.message);
+    res.status(500).send('Server error');
+  }
+});
+
+// @route   GET /api/notifications/preferences
+// @desc    Delivery channel per notification type (in_app, email or none)
+// @access  Private
+router.get('/preferences', auth, async (req, res) => {
+  try {
+    const user = await User.findById(req.user._id).select('notificationPreferences');
+    res.json(resolveNotificationPreferences(user));
+  } catch (err) {
+    console.error(err.message);
+    res.status(500).send('Server error');
+  }
+});
+
+// @route   PUT /api/notifications/preferences
+// @desc    Change delivery channels, e.g. { "statusReminder": "in_app" }; null restores the default
+// @access  Private
+router.put('/preferences', auth, async (req, res) => {
+  try {
+    const { preferences, error } = parseNotificationPreferences(req.body);
+    if (error) {
+      return res.status(400).json({ message: error });
+    }
+
+    const user = await User.findById(req.user._id);
+    user.notificationPreferences = { ...user.notificationPreferences?.toObject(), ...preferences };
+    await user.save();
+
+    res.json(resolveNotificationPreferences(user));
+  } catch (err) {
+    console.error(err.message);
+    res.status(500).send('Server error');
+  }
+});
+
+// @route   PUT /api/notifications/read-all
+// @desc    Mark all of the current user's notifications as read
+// @access  Private
+router.put('/read-all', auth, async (req, res) => {
+  try {
+    const result = await Notification.updateMany(
+      { recipient: req.user._id, readAt: null },
+      { $set: { readAt: new Date() } }
+    );
+
+    res.json({ updated: result.modifiedCount, unreadCount: 0 });
+  } catch (err) {
+    console.error(err.message);
+    res.status(500).send('Server error');
+  }
+});
+
+// @route   PUT /api/notifications/:id/read
+// @desc    Mark one notification as read (send { "read": false } to mark it unread again)
+// @access  Private
+router.put('/:id/read', auth, async (req, res) => {
+  try {
+    if (!mongoose.Types.ObjectId.isValid(req.params.id)) {
+      return res.status(400).json({ message: 'Invalid notification ID' });
+    }
+
+    const notification = await Notification.findOne({ _id: req.params.id, recipient: req.user._id });
+    if (!notification) {
+      return res.status(404).json({ message: 'Notification not found' });
+    }
+
+    if (req.body.read === false) {
+      notification.readAt = null;
+    } else if (!notification.readAt) {
+      notification.readAt = new Date();
+    }
+    await notification.save();
+
+    res.json(notification);
+  } catch (err) {
+    console.error(err.message);
+    res.status(500).send('Server error');
+  }
+});
+
+export default router;
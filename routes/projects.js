@@ -2,7 +2,11 @@ import express from 'express';
 import { check, validationResult } from 'express-validator';
 import Project from '../models/Project.js';
 import User from '../models/User.js';
-import { auth, isAdmin, isManager, isProjectManager } from '../middleware/auth.js';
+import { auth, requirePermission } from '../middleware/auth.js';
+import { can, getAccessibleProjectIds } from '../utils/permissions.js';
+import { recordAudit, toAuditSnapshot } from '../utils/audit.js';
+import { parseSubmissionPolicy } from '../utils/submissionPolicy.js';
+import { parseLeaveTypes, resolveLeaveTypes } from '../utils/leave.js';
 
 const router = express.Router();
 
@@ -11,7 +15,7 @@ const router = express.Router();
 // @access  Private (Admin only)
 router.post('/', [
   auth,
-  isAdmin,
+  requirePermission('project.create', 'Admin access required'),
   [
     check('name', 'Name is required').not().isEmpty()
   ]
@@ -21,18 +25,25 @@ router.post('/', [
     return res.status(400).json({ errors: errors.array() });
   }
 
-  const { name, description, managers = [] } = req.body;
+  const { name, description, managers = [], submissionPolicy = {} } = req.body;
 
   try {
+    const { policy, error } = parseSubmissionPolicy(submissionPolicy);
+    if (error) {
+      return res.status(400).json({ message: error });
+    }
+
     // Create project
     const project = new Project({
       name,
       description,
       managers,
+      submissionPolicy: policy,
       createdBy: req.user._id
     });
 
     await project.save();
+    await recordAudit(req, { action: 'create', entityType: 'project', after: project });
 
     // Update manager users with the project
     if (managers.length > 0) {
@@ -57,11 +68,8 @@ router.get('/', auth, async (req, res) => {
     let query = {};
     
     // Filter by access level
-    if (req.user.role === 'manager') {
-      query._id = { $in: req.user.projects };
-    } else if (req.user.role === 'employee') {
-      const teams = await Team.find({ members: req.user._id });
-      const projectIds = teams.map(team => team.project);
+    const projectIds = await getAccessibleProjectIds(req.user, 'project.view');
+    if (projectIds !== null) {
       query._id = { $in: projectIds };
     }
     
@@ -110,22 +118,9 @@ router.get('/:id', auth, async (req, res) => {
       return res.status(404).json({ message: 'Project not found' });
     }
     
-    // Check access permissions for non-admins
-    if (req.user.role !== 'admin') {
-      // Check if user is a manager of this project
-      const isManager = project.managers.some(
-        manager => manager._id.toString() === req.user._id.toString()
-      );
-      
-      // Check if user is a member of a team in this project
-      const isTeamMember = await Team.exists({
-        project: project._id,
-        members: req.user._id
-      });
-      
-      if (!isManager && !isTeamMember) {
-        return res.status(403).json({ message: 'Not authorized to view this project' });
-      }
+    // Check access permissions
+    if (!(await can(req.user, 'project.view', { project: project._id }))) {
+      return res.status(403).json({ message: 'Not authorized to view this project' });
     }
     
     res.json(project);
@@ -140,7 +135,7 @@ router.get('/:id', auth, async (req, res) => {
 // @access  Private (Admin only)
 router.put('/:id', [
   auth,
-  isAdmin,
+  requirePermission('project.update', 'Admin access required'),
   [
     check('name', 'Name is required').not().isEmpty()
   ]
@@ -158,7 +153,16 @@ router.put('/:id', [
     }
     
     // Update project fields
-    const { name, description, managers, active } = req.body;
+    const before = toAuditSnapshot(project);
+    const { name, description, managers, active, submissionPolicy } = req.body;
+    
+    if (submissionPolicy !== undefined) {
+      const { policy, error } = parseSubmissionPolicy(submissionPolicy);
+      if (error) {
+        return res.status(400).json({ message: error });
+      }
+      project.submissionPolicy = { ...project.submissionPolicy?.toObject(), ...policy };
+    }
     
     if (name) project.name = name;
     if (description !== undefined) project.description = description;
@@ -196,6 +200,7 @@ router.put('/:id', [
     project.updatedAt = Date.now();
     
     await project.save();
+    await recordAudit(req, { action: 'update', entityType: 'project', before, after: project });
     
     res.json(project);
   } catch (err) {
@@ -204,10 +209,77 @@ router.put('/:id', [
   }
 });
 
+// @route   GET /api/projects/:id/leave-types
+// @desc    Leave types members of the project can take (the defaults when none are configured)
+// @access  Private (Admin, Project Manager, Team Member)
+router.get('/:id/leave-types', auth, async (req, res) => {
+  try {
+    const project = await Project.findById(req.params.id).select('leaveTypes');
+    
+    if (!project) {
+      return res.status(404).json({ message: 'Project not found' });
+    }
+    
+    if (!(await can(req.user, 'project.view', { project: project._id }))) {
+      return res.status(403).json({ message: 'Not authorized to view this project' });
+    }
+    
+    res.json({
+      leaveTypes: resolveLeaveTypes(project),
+      isDefault: project.leaveTypes.length === 0
+    });
+  } catch (err) {
+    console.error(err.message);
+    res.status(500).send('Server error');
+  }
+});
+
+// @route   PUT /api/projects/:id/leave-types
+// @desc    Replace the project's leave types (deactivate a type rather than removing it
+//          to keep showing its balances); an empty array goes back to the defaults.
+//          Leave marked without a type is taken as the one with isDefault, if any.
+// @access  Private (Admin, Project Manager)
+router.put('/:id/leave-types', [auth, requirePermission('leave.manage', 'Manager access required')], async (req, res) => {
+  try {
+    const project = await Project.findById(req.params.id);
+    
+    if (!project) {
+      return res.status(404).json({ message: 'Project not found' });
+    }
+    
+    if (!(await can(req.user, 'leave.manage', { project: project._id }))) {
+      return res.status(403).json({ message: 'Not authorized to manage leave for this project' });
+    }
+    
+    const input = req.body.leaveTypes;
+    const { leaveTypes, error } = Array.isArray(input) && input.length === 0
+      ? { leaveTypes: [] }
+      : parseLeaveTypes(input);
+    if (error) {
+      return res.status(400).json({ message: error });
+    }
+    
+    const before = toAuditSnapshot(project);
+    project.leaveTypes = leaveTypes;
+    project.updatedAt = Date.now();
+    
+    await project.save();
+    await recordAudit(req, { action: 'update', entityType: 'project', before, after: project });
+    
+    res.json({
+      leaveTypes: resolveLeaveTypes(project),
+      isDefault: project.leaveTypes.length === 0
+    });
+  } catch (err) {
+    console.error(err.message);
+    res.status(500).send('Server error');
+  }
+});
+
 // @route   DELETE /api/projects/:id
 // @desc    Delete project
 // @access  Private (Admin only)
-router.delete('/:id', [auth, isAdmin], async (req, res) => {
+router.delete('/:id', [auth, requirePermission('project.delete', 'Admin access required')], async (req, res) => {
   try {
     const project = await Project.findById(req.params.id);
     
@@ -222,6 +294,7 @@ router.delete('/:id', [auth, isAdmin], async (req, res) => {
     );
     
     await project.deleteOne();
+    await recordAudit(req, { action: 'delete', entityType: 'project', before: project });
     
     res.json({ message: 'Project removed' });
   } catch (err) {
@@ -1,23 +1,73 @@
 import express from 'express';
 import { check, validationResult } from 'express-validator';
-import Question from '../models/Question.js';
+import Question, {
+  CHOICE_QUESTION_TYPES,
+  MAX_PATTERN_LENGTH,
+  QUESTION_TYPES,
+  isValidPattern
+} from '../models/Question.js';
 import Team from '../models/Team.js';
-import { auth, isAdmin, isManager } from '../middleware/auth.js';
+import { auth, requirePermission } from '../middleware/auth.js';
+import { can, getAccessibleTeamIds } from '../utils/permissions.js';
+import { recordAudit, toAuditSnapshot } from '../utils/audit.js';
 
 const router = express.Router();
 
+// Whether a question must be answered, and the rules its answers must follow:
+// bounds for number answers, length bounds and a pattern for text answers
+const answerRulesValidation = [
+  check('required', 'Required must be true or false').optional().isBoolean().toBoolean(),
+  check('min', 'Min must be a number').optional({ values: 'null' }).isFloat().toFloat(),
+  check('max', 'Max must be a number').optional({ values: 'null' }).isFloat().toFloat(),
+  check('minLength', 'Min length must be a whole number from 0').optional({ values: 'null' }).isInt({ min: 0 }).toInt(),
+  check('maxLength', 'Max length must be a whole number from 1').optional({ values: 'null' }).isInt({ min: 1 }).toInt(),
+  check('pattern', `Pattern must be a regular expression of at most ${MAX_PATTERN_LENGTH} characters`)
+    .optional({ values: 'null' }).isString().isLength({ max: MAX_PATTERN_LENGTH }).custom(isValidPattern),
+  check('patternMessage', 'Pattern message must be text').optional({ values: 'null' }).isString()
+];
+
+const isSet = (value) => value !== undefined && value !== null && value !== '';
+
+// Helper function to check a question's options and answer rules for its type; returns an error message or null
+const checkQuestionShape = ({ type, options = [], min, max, minLength, maxLength, pattern }) => {
+  if (CHOICE_QUESTION_TYPES.includes(type) && options.length === 0) {
+    return 'Choice questions must have at least one option';
+  }
+  if (!CHOICE_QUESTION_TYPES.includes(type) && options.length > 0) {
+    return 'Only choice questions can have options';
+  }
+  if (type !== 'number' && (isSet(min) || isSet(max))) {
+    return 'Only number questions can have a min or max';
+  }
+  if (isSet(min) && isSet(max) && min > max) {
+    return 'Min must not be more than max';
+  }
+  if (type !== 'text' && (isSet(minLength) || isSet(maxLength) || isSet(pattern))) {
+    return 'Only text questions can have a min length, max length or pattern';
+  }
+  if (isSet(minLength) && isSet(maxLength) && minLength > maxLength) {
+    return 'Min length must not be more than max length';
+  }
+  return null;
+};
+
+// Answer rule fields as stored: cleared when null or empty
+const ANSWER_RULE_FIELDS = ['min', 'max', 'minLength', 'maxLength', 'pattern', 'patternMessage'];
+const toStoredRule = (value) => (isSet(value) ? value : undefined);
+
 // @route   POST /api/questions
 // @desc    Create a question
 // @access  Private (Admin, Manager)
 router.post('/', [
   auth,
-  isManager,
+  requirePermission('question.create', 'Manager access required'),
   [
     check('text', 'Question text is required').not().isEmpty(),
-    check('type', 'Question type must be text, single_choice, or multiple_choice')
-      .isIn(['text', 'single_choice', 'multiple_choice']),
+    check('type', `Question type must be one of: ${QUESTION_TYPES.join(', ')}`)
+      .isIn(QUESTION_TYPES),
     check('options', 'Options must be an array').optional().isArray(),
-    check('options.*.text', 'Option text is required').optional().not().isEmpty()
+    check('options.*.text', 'Option text is required').optional().not().isEmpty(),
+    answerRulesValidation
   ]
 ], async (req, res) => {
   const errors = validationResult(req);
@@ -25,21 +75,19 @@ router.post('/', [
     return res.status(400).json({ errors: errors.array() });
   }
 
-  const { text, type = 'text', options = [], isCommon, teams = [], order } = req.body;
+  const { text, type = 'text', options = [], isCommon, teams = [], order, required } = req.body;
 
   try {
-    // Validate that choice questions have options
-    if ((type === 'single_choice' || type === 'multiple_choice') && options.length === 0) {
-      return res.status(400).json({
-        message: 'Choice questions must have at least one option'
-      });
+    const shapeError = checkQuestionShape({ ...req.body, type, options });
+    if (shapeError) {
+      return res.status(400).json({ message: shapeError });
     }
 
-    // Validate that text questions don't have options
-    if (type === 'text' && options.length > 0) {
-      return res.status(400).json({
-        message: 'Text questions cannot have options'
-      });
+    // Check the user may add questions to every listed team
+    for (const team of teams) {
+      if (!(await can(req.user, 'question.create', { team }))) {
+        return res.status(403).json({ message: 'Not authorized to add questions to this team' });
+      }
     }
 
     // Process options - ensure they have proper order
@@ -59,6 +107,8 @@ router.post('/', [
       text,
       type,
       options: processedOptions,
+      required,
+      ...Object.fromEntries(ANSWER_RULE_FIELDS.map(field => [field, toStoredRule(req.body[field])])),
       isCommon,
       teams,
       order: order || 0,
@@ -66,6 +116,7 @@ router.post('/', [
     });
 
     await question.save();
+    await recordAudit(req, { action: 'create', entityType: 'question', after: question });
 
     if (questionTeams.length > 0) {
       await Team.updateMany(
@@ -108,59 +159,31 @@ router.get('/', auth, async (req, res) => {
     }
 
     // Handle team-based access control and common questions
-    if (req.user.role === 'manager') {
-      if (req.query.team) {
-        // Specific team requested - include common questions + specific team
-        query = {
-          ...filters,
-          $or: [
-            { isCommon: true },
-            { teams: req.query.team }
-          ]
-        };
-      } else {
-        // No specific team - get accessible teams + common questions
-        const accessibleTeams = await Team.find({ project: { $in: req.user.projects } });
-        const teamIds = accessibleTeams.map(team => team._id);
-
-        query = {
-          ...filters,
-          $or: [
-            { isCommon: true },
-            { teams: { $in: teamIds } }
-          ]
-        };
-      }
-    } else if (req.user.role === 'employee') {
-      if (req.query.team) {
-        // Specific team requested - include common questions + specific team
-        query = {
-          ...filters,
-          $or: [
-            { isCommon: true },
-            { teams: req.query.team }
-          ]
-        };
-      } else {
-        // No specific team - get user's teams + common questions
-        query = {
-          ...filters,
-          $or: [
-            { isCommon: true },
-            { teams: { $in: req.user.teams } }
-          ]
-        };
-      }
+    const teamIds = await getAccessibleTeamIds(req.user, 'question.view');
+
+    if (teamIds !== null) {
+      // Common questions plus the accessible (or requested accessible) teams
+      const requestedTeams = req.query.team
+        ? teamIds.filter(id => id === req.query.team)
+        : teamIds;
+
+      query = {
+        ...filters,
+        $or: [
+          { isCommon: true },
+          { teams: { $in: requestedTeams } }
+        ]
+      };
     } else {
-      // Admin or other roles - apply filters directly
+      // Unrestricted users - apply filters directly
       query = filters;
       
-      // Handle isCommon filter for admins
+      // Handle isCommon filter
       if (req.query.isCommon) {
         query.isCommon = req.query.isCommon === 'true';
       }
       
-      // Handle team filter for admins
+      // Handle team filter
       if (req.query.team) {
         query.teams = req.query.team;
       }
@@ -191,30 +214,12 @@ router.get('/:id', auth, async (req, res) => {
       return res.status(404).json({ message: 'Question not found' });
     }
 
-    // Check access for non-admins if not common
-    if (req.user.role !== 'admin' && !question.isCommon) {
-      // For managers - check if question is for teams in their projects
-      if (req.user.role === 'manager') {
-        const accessibleTeams = await Team.find({ project: { $in: req.user.projects } });
-        const teamIds = accessibleTeams.map(team => team._id.toString());
-
-        const hasAccess = question.teams.some(team =>
-          teamIds.includes(team._id.toString())
-        );
-
-        if (!hasAccess) {
-          return res.status(403).json({ message: 'Not authorized to view this question' });
-        }
-      }
-      // For employees - check if question is for their teams
-      else if (req.user.role === 'employee') {
-        const hasAccess = question.teams.some(team =>
-          req.user.teams.includes(team._id)
-        );
+    // Questions that aren't common need access to one of their teams
+    if (!question.isCommon) {
+      const teamIds = await getAccessibleTeamIds(req.user, 'question.view');
 
-        if (!hasAccess) {
-          return res.status(403).json({ message: 'Not authorized to view this question' });
-        }
+      if (teamIds !== null && !question.teams.some(team => teamIds.includes(team._id.toString()))) {
+        return res.status(403).json({ message: 'Not authorized to view this question' });
       }
     }
 
@@ -230,13 +235,14 @@ router.get('/:id', auth, async (req, res) => {
 // @access  Private (Admin, Creator Manager)
 router.put('/:id', [
   auth,
-  isManager,
+  requirePermission('question.manage', 'Manager access required'),
   [
     check('text', 'Question text is required').not().isEmpty(),
-    check('type', 'Question type must be text, single_choice, or multiple_choice')
-      .optional().isIn(['text', 'single_choice', 'multiple_choice']),
+    check('type', `Question type must be one of: ${QUESTION_TYPES.join(', ')}`)
+      .optional().isIn(QUESTION_TYPES),
     check('options', 'Options must be an array').optional().isArray(),
-    check('options.*.text', 'Option text is required').optional().not().isEmpty()
+    check('options.*.text', 'Option text is required').optional().not().isEmpty(),
+    answerRulesValidation
   ]
 ], async (req, res) => {
   const errors = validationResult(req);
@@ -252,29 +258,39 @@ router.put('/:id', [
     }
 
     // Check if user is creator or admin
-    if (req.user.role !== 'admin' && question.createdBy.toString() !== req.user._id.toString()) {
+    if (!(await can(req.user, 'question.manage', { createdBy: question.createdBy }))) {
       return res.status(403).json({ message: 'Not authorized to update this question' });
     }
 
     // Update question fields
-    const { text, type, options, isCommon, teams, order, active } = req.body;
+    const before = toAuditSnapshot(question);
+    const { text, type, options, isCommon, teams, order, active, required } = req.body;
+
+    // Options and answer rules must fit the (new) type; the ones not given are kept,
+    // unless the type changes, which drops whatever the new type can't have
+    const nextType = type ?? question.type;
+    const typeChanged = nextType !== question.type;
+    const nextRules = Object.fromEntries(ANSWER_RULE_FIELDS.map(field => [
+      field,
+      req.body[field] !== undefined ? req.body[field] : (typeChanged ? null : question[field])
+    ]));
+    const shapeError = checkQuestionShape({
+      ...nextRules,
+      type: nextType,
+      options: options ?? (typeChanged && !CHOICE_QUESTION_TYPES.includes(nextType) ? [] : question.options)
+    });
+    if (shapeError) {
+      return res.status(400).json({ message: shapeError });
+    }
 
     if (text) question.text = text;
-    if (type !== undefined) {
-      // Validate type change with options
-      if ((type === 'single_choice' || type === 'multiple_choice') &&
-        (!options || options.length === 0)) {
-        return res.status(400).json({
-          message: 'Choice questions must have at least one option'
-        });
-      }
-      if (type === 'text' && options && options.length > 0) {
-        return res.status(400).json({
-          message: 'Text questions cannot have options'
-        });
-      }
-      question.type = type;
-    }
+    if (type !== undefined) question.type = type;
+    if (required !== undefined) question.required = required;
+    ANSWER_RULE_FIELDS
+      .filter(field => req.body[field] !== undefined)
+      .forEach(field => {
+        question[field] = toStoredRule(req.body[field]);
+      });
 
     if (options !== undefined) {
       // Process options - ensure they have proper order
@@ -320,6 +336,7 @@ router.put('/:id', [
     question.updatedAt = Date.now();
 
     await question.save();
+    await recordAudit(req, { action: 'update', entityType: 'question', before, after: question });
 
     const updatedQuestion = await Question.findById(question._id)
       .populate('teams', 'name')
@@ -338,7 +355,7 @@ router.put('/:id', [
 // @route   DELETE /api/questions/:id
 // @desc    Delete question
 // @access  Private (Admin, Creator Manager)
-router.delete('/:id', [auth, isManager], async (req, res) => {
+router.delete('/:id', [auth, requirePermission('question.manage', 'Manager access required')], async (req, res) => {
   try {
     const question = await Question.findById(req.params.id);
 
@@ -347,7 +364,7 @@ router.delete('/:id', [auth, isManager], async (req, res) => {
     }
 
     // Check if user is creator or admin
-    if (req.user.role !== 'admin' && question.createdBy.toString() !== req.user._id.toString()) {
+    if (!(await can(req.user, 'question.manage', { createdBy: question.createdBy }))) {
       return res.status(403).json({ message: 'Not authorized to delete this question' });
     }
 
@@ -358,6 +375,7 @@ router.delete('/:id', [auth, isManager], async (req, res) => {
     );
 
     await question.deleteOne();
+    await recordAudit(req, { action: 'delete', entityType: 'question', before: question });
 
     res.json({ message: 'Question removed' });
   } catch (err) {
@@ -369,7 +387,7 @@ router.delete('/:id', [auth, isManager], async (req, res) => {
 // @route   GET /api/questions/stats/types
 // @desc    Get question type statistics
 // @access  Private (Admin, Manager)
-router.get('/stats/types', [auth, isManager], async (req, res) => {
+router.get('/stats/types', [auth, requirePermission('question.stats', 'Manager access required')], async (req, res) => {
   try {
     const stats = await Question.aggregate([
       {
@@ -1,15 +1,24 @@
 import express from 'express';
+import mongoose from 'mongoose';
 import StatusUpdate from '../models/Status.js';
 import Team from '../models/Team.js';
 import Project from '../models/Project.js';
 import User from '../models/User.js';
 import Question from '../models/Question.js';
 import ExcelJS from 'exceljs';
-import { auth, isManager } from '../middleware/auth.js';
+import { auth, authWithScope, requirePermission } from '../middleware/auth.js';
+import { getAccessibleTeamIds } from '../utils/permissions.js';
+import { getMonthRange, getToday, listDays, resolveTimeZone, toCalendarDate } from '../utils/dates.js';
+import { describeLeave, resolveLeaveTypes } from '../utils/leave.js';
+import { loadWorkingCalendar } from '../utils/holidays.js';
+import { summarizeAnswers } from '../utils/answers.js';
+import { buildComplianceReport } from '../utils/compliance.js';
+import { buildDigest, getDigestPeriod, parseDigestSettings, renderDigest } from '../utils/digest.js';
+import { DIGEST_FREQUENCIES } from '../models/DigestSettings.js';
 
 const router = express.Router();
 
-router.get('/excel', auth, isManager, async (req, res) => {
+router.get('/excel', authWithScope('reports:read'), requirePermission('report.export', 'Only managers, team leads and admins can generate reports'), async (req, res) => {
   try {
     const { team, teams, user, users, startDate, endDate, month, year } = req.query;
 
@@ -28,76 +37,60 @@ router.get('/excel', auth, isManager, async (req, res) => {
       userIds = [user];
     }
 
-    let dateFilter = {};
+    // Report columns are calendar days in the requester's timezone
+    const timeZone = resolveTimeZone(req.user.timezone);
+    let startDay;
+    let endDay;
+
     if (startDate && endDate) {
-      dateFilter = {
-        $gte: new Date(startDate),
-        $lte: new Date(endDate),
-      };
+      startDay = toCalendarDate(startDate, timeZone);
+      endDay = toCalendarDate(endDate, timeZone);
     } else if (startDate) {
-      dateFilter = {
-        $gte: new Date(startDate),
-        $lte: new Date(), // up to current date
-      };
+      startDay = toCalendarDate(startDate, timeZone);
+      endDay = getToday(timeZone); // up to current date
     } else if (endDate) {
-      const end = new Date(endDate);
-      const year = end.getFullYear();
-      const month = end.getMonth();
-
-      const start = new Date(year, month, 1); // First day of the same month and year
-
-      dateFilter = {
-        $gte: start,
-        $lte: end,
-      };
+      endDay = toCalendarDate(endDate, timeZone);
+      startDay = endDay && `${endDay.slice(0, 8)}01`; // First day of the same month and year
+    } else {
+      const range = getMonthRange(month || getToday(timeZone).slice(0, 7));
+      startDay = range?.start;
+      endDay = range?.end;
     }
-    else if (month) {
-      const [yearStr, monthStr] = month.split("-");
-      const year = parseInt(yearStr);
-      const monthNum = parseInt(monthStr) - 1;
-
-      const startMonthDate = new Date(year, monthNum, 1); // Start of the selected month
-      const endMonthDate = new Date(year, monthNum + 1, 0, 23, 59, 59, 999); // Last day of the month
 
-      dateFilter = { $gte: startMonthDate, $lte: endMonthDate };
-    }
-    else {
-      const today = new Date();
-      const startMonthDate = new Date(today.getFullYear(), today.getMonth(), 1);
-      const endMonthDate = new Date(today.getFullYear(), today.getMonth() + 1, 0, 23, 59, 59, 999);
-      dateFilter = { $gte: startMonthDate, $lte: endMonthDate };
+    if (!startDay || !endDay || startDay > endDay) {
+      return res.status(400).json({ message: 'Invalid date range' });
     }
 
     let accessibleTeamIds = [];
+    const exportableTeamIds = await getAccessibleTeamIds(req.user, 'report.export');
 
-    if (req.user.role === 'admin') {
+    if (exportableTeamIds === null) {
       if (teamIds.length > 0) {
         accessibleTeamIds = teamIds;
       } else {
         const allTeams = await Team.find();
         accessibleTeamIds = allTeams.map((t) => t._id.toString());
       }
-    } else if (req.user.role === 'manager') {
-      const userProjects = req.user.projects || [];
-      let queryTeams = [];
+    } else if (teamIds.length > 0) {
+      accessibleTeamIds = teamIds.filter((id) => exportableTeamIds.includes(id));
 
-      if (teamIds.length > 0) {
-        queryTeams = await Team.find({ _id: { $in: teamIds } }).populate('project');
-        const authorizedTeams = queryTeams.filter((team) =>
-          userProjects.some((pid) => pid.toString() === team.project._id.toString())
-        );
+      if (accessibleTeamIds.length === 0) {
+        return res.status(403).json({ message: 'Not authorized to access the requested teams' });
+      }
+    } else {
+      accessibleTeamIds = exportableTeamIds;
+    }
 
-        if (authorizedTeams.length === 0) {
-          return res.status(403).json({ message: 'Not authorized to access the requested teams' });
-        }
+    // Restricted API keys only report on their teams/projects
+    if (req.apiKey?.isRestricted()) {
+      const candidateTeams = await Team.find({ _id: { $in: accessibleTeamIds } }).select('_id project');
+      accessibleTeamIds = candidateTeams
+        .filter((team) => req.apiKey.allowsTeam(team._id, team.project))
+        .map((team) => team._id.toString());
 
-        accessibleTeamIds = authorizedTeams.map((team) => team._id.toString());
-      } else {
-        const teams = await Team.find({ project: { $in: userProjects } });
-        accessibleTeamIds = teams.map((team) => team._id.toString());
+      if (accessibleTeamIds.length === 0) {
+        return res.status(403).json({ message: 'API key is not allowed for the requested teams' });
       }
-    } else {
-      return res.status(403).json({ message: 'Only managers and admins can generate reports' });
     }
 
     let accessibleUserIds = [];
@@ -123,7 +116,7 @@ router.get('/excel', auth, isManager, async (req, res) => {
     }
 
     const query = {
-      date: dateFilter,
+      day: { $gte: startDay, $lte: endDay },
       team: { $in: accessibleTeamIds },
     };
 
@@ -132,18 +125,13 @@ router.get('/excel', auth, isManager, async (req, res) => {
     }
 
     const statusUpdates = await StatusUpdate.find(query)
-      .sort({ date: 1 })
+      .sort({ day: 1 })
       .populate('user', 'name')
       .populate('team', 'name')
       .populate('responses.question', 'text isCommon')
       .lean();
 
-    const allDates = [];
-    const start = new Date(dateFilter.$gte);
-    const end = new Date(dateFilter.$lte);
-    for (let d = new Date(start); d <= end; d.setDate(d.getDate() + 1)) {
-      allDates.push(new Date(d));
-    }
+    const allDates = listDays(startDay, endDay);
 
     const allQuestions = await Question.find({
       $or: [{ isCommon: true }, { teams: { $in: accessibleTeamIds } }],
@@ -157,6 +145,12 @@ router.get('/excel', auth, isManager, async (req, res) => {
     const validTeams = reportTeams.filter((team) => team && team._id);
     const validUsers = reportUsers.filter((user) => user && user._id);
 
+    // Leave is labelled with the leave types of each team's project
+    const reportProjects = await Project.find({ _id: { $in: validTeams.map((team) => team.project) } })
+      .select('leaveTypes')
+      .lean();
+    const leaveTypesByProject = new Map(reportProjects.map((project) => [project._id.toString(), resolveLeaveTypes(project)]));
+
     const updatesByTeamUserDate = {};
     statusUpdates.forEach((update) => {
       if (!update.team || !update.user || !update.team._id || !update.user._id) {
@@ -166,12 +160,12 @@ router.get('/excel', auth, isManager, async (req, res) => {
 
       const teamId = update.team._id.toString();
       const userId = update.user._id.toString();
-      const dateStr = update.date.toISOString().split('T')[0];
+      const dateStr = update.day;
 
       if (!updatesByTeamUserDate[teamId]) updatesByTeamUserDate[teamId] = {};
       if (!updatesByTeamUserDate[teamId][userId]) updatesByTeamUserDate[teamId][userId] = {};
       updatesByTeamUserDate[teamId][userId][dateStr] = update.isLeave
-        ? { leaveReason: update.leaveReason || 'Leave' }
+        ? { leaveLabel: describeLeave(update, leaveTypesByProject.get(update.project?.toString())) }
         : update.responses;
     });
 
@@ -179,21 +173,19 @@ router.get('/excel', auth, isManager, async (req, res) => {
     const worksheet = workbook.addWorksheet('Status Report');
 
     const headers = ['Team', 'User', 'Question'];
-    allDates.forEach((date) => headers.push(date.toISOString().split('T')[0]));
+    allDates.forEach((date) => headers.push(date));
     worksheet.columns = headers.map((header, i) => ({
       header,
       key: header,
       width: i === 2 ? 50 : i < 3 ? 20 : 15,
     }));
 
-    const isWeekend = (date) => {
-      const day = date.getDay();
-      return day === 0 || day === 6; // Sunday or Saturday
-    };
+    // Each member's weekly off-days and holidays come from their holiday calendar
+    const workingCalendar = await loadWorkingCalendar(startDay, endDay);
 
-    const applyCellColor = (cell, value, date) => {
+    const applyCellColor = (cell, value, isOffDay) => {
       const lowerValue = (value || '').toString().toLowerCase().trim();
-      if (isWeekend(date)) {
+      if (isOffDay) {
         cell.fill = {
           type: 'pattern',
           pattern: 'solid',
@@ -204,19 +196,19 @@ router.get('/excel', auth, isManager, async (req, res) => {
         cell.fill = {
           type: 'pattern',
           pattern: 'solid',
-          fgColor: { argb: isWeekend(date) ? 'FFD3D3D3' : 'FFFF6B6B' },
+          fgColor: { argb: isOffDay ? 'FFD3D3D3' : 'FFFF6B6B' },
         };
       } else if (lowerValue === 'green') {
         cell.fill = {
           type: 'pattern',
           pattern: 'solid',
-          fgColor: { argb: isWeekend(date) ? 'FFD3D3D3' : 'FF51CF66' },
+          fgColor: { argb: isOffDay ? 'FFD3D3D3' : 'FF51CF66' },
         };
       } else if (lowerValue === 'amber') {
         cell.fill = {
           type: 'pattern',
           pattern: 'solid',
-          fgColor: { argb: isWeekend(date) ? 'FFD3D3D3' : 'FFFFD43B' },
+          fgColor: { argb: isOffDay ? 'FFD3D3D3' : 'FFFFD43B' },
         };
       }
     };
@@ -224,10 +216,10 @@ router.get('/excel', auth, isManager, async (req, res) => {
     const getUserLeaveDates = (teamId, userId) => {
       const leaveDates = {};
       allDates.forEach((date) => {
-        const dateStr = date.toISOString().split('T')[0];
+        const dateStr = date;
         const dayData = updatesByTeamUserDate[teamId]?.[userId]?.[dateStr];
-        if (dayData?.leaveReason) {
-          leaveDates[dateStr] = dayData.leaveReason;
+        if (dayData?.leaveLabel) {
+          leaveDates[dateStr] = dayData.leaveLabel;
         }
       });
       return leaveDates;
@@ -257,6 +249,7 @@ router.get('/excel', auth, isManager, async (req, res) => {
           q && q._id && (q.isCommon || (q.teams && q.teams.some((tid) => tid && tid.toString() === teamId)))
         );
 
+        const memberDays = workingCalendar.forMember({ project: team.project, location: user.location });
         const userLeaveDates = getUserLeaveDates(teamId, userId);
         const hasLeave = Object.keys(userLeaveDates).length > 0;
 
@@ -272,18 +265,21 @@ router.get('/excel', auth, isManager, async (req, res) => {
           };
 
           allDates.forEach((date) => {
-            const dateStr = date.toISOString().split('T')[0];
+            const dateStr = date;
             const dayData = updatesByTeamUserDate[teamId]?.[userId]?.[dateStr];
 
-            if (dayData?.leaveReason) {
-              row[dateStr] = qIndex === 0 ? dayData.leaveReason : '';
+            if (dayData?.leaveLabel) {
+              row[dateStr] = qIndex === 0 ? dayData.leaveLabel : '';
+            } else if (!dayData && memberDays.getHoliday(dateStr)) {
+              row[dateStr] = qIndex === 0 ? memberDays.getHoliday(dateStr) : '';
             } else {
               const response = Array.isArray(dayData)
                 ? dayData.find(
                   (r) => r && r.question && r.question._id && r.question._id.toString() === question._id.toString()
                 )
                 : null;
-              row[dateStr] = response?.answer || '';
+              // Typed numbers stay numbers so the sheet can sum and chart them
+              row[dateStr] = typeof response?.value === 'number' ? response.value : response?.answer || '';
             }
           });
 
@@ -291,7 +287,7 @@ router.get('/excel', auth, isManager, async (req, res) => {
           questionRowsAdded++;
 
           allDates.forEach((date, dateIndex) => {
-            const dateStr = date.toISOString().split('T')[0];
+            const dateStr = date;
             const cell = addedRow.getCell(headers.indexOf(dateStr) + 1);
 
             if (userLeaveDates[dateStr]) {
@@ -299,7 +295,7 @@ router.get('/excel', auth, isManager, async (req, res) => {
               cell.alignment = { vertical: 'middle', horizontal: 'center' };
            
             } else {
-              applyCellColor(cell, cell.value, date);
+              applyCellColor(cell, cell.value, !memberDays.isWorkingDay(date));
             }
           });
 
@@ -309,7 +305,7 @@ router.get('/excel', auth, isManager, async (req, res) => {
 
         if (hasLeave && questionRowsAdded > 1) {
           allDates.forEach((date, dateIndex) => {
-            const dateStr = date.toISOString().split('T')[0];
+            const dateStr = date;
             if (userLeaveDates[dateStr]) {
               const colIndex = 4 + dateIndex;
               const startRow = userStartRowNumber;
@@ -362,4 +358,191 @@ router.get('/excel', auth, isManager, async (req, res) => {
   }
 });
 
+// Calendar dates a JSON report covers: ?startDate (to ?endDate or today), the month of
+// ?endDate up to it, or ?month (YYYY-MM, default this month). Returns { startDay, endDay },
+// either undefined or null when a date can't be read.
+const resolveReportRange = ({ startDate, endDate, month }, timeZone) => {
+  if (startDate) {
+    return {
+      startDay: toCalendarDate(startDate, timeZone),
+      endDay: endDate ? toCalendarDate(endDate, timeZone) : getToday(timeZone)
+    };
+  }
+  if (endDate) {
+    const endDay = toCalendarDate(endDate, timeZone);
+    return { startDay: endDay && `${endDay.slice(0, 8)}01`, endDay };
+  }
+  const range = getMonthRange(month || getToday(timeZone).slice(0, 7));
+  return { startDay: range?.start, endDay: range?.end };
+};
+
+// @route   GET /api/reports/questions/:id/summary
+// @desc    Aggregate the answers to a question (?team or ?teams, ?startDate/?endDate or ?month):
+//          count, average/min/max of numbers and ratings, and how often each answer was given
+// @access  Private (Admin, Manager, Team lead)
+router.get('/questions/:id/summary', authWithScope('reports:read'), requirePermission('report.export', 'Only managers, team leads and admins can generate reports'), async (req, res) => {
+  try {
+    if (!mongoose.Types.ObjectId.isValid(req.params.id)) {
+      return res.status(404).json({ message: 'Question not found' });
+    }
+
+    const question = await Question.findById(req.params.id).lean();
+    if (!question) {
+      return res.status(404).json({ message: 'Question not found' });
+    }
+
+    const { team, teams } = req.query;
+    const { startDay, endDay } = resolveReportRange(req.query, resolveTimeZone(req.user.timezone));
+    if (!startDay || !endDay || startDay > endDay) {
+      return res.status(400).json({ message: 'Invalid date range' });
+    }
+
+    // Teams asked for, limited to those the user may report on and the question is asked in
+    const requestedTeamIds = teams ? teams.split(',').map((id) => id.trim()) : team ? [team] : [];
+    const exportableTeamIds = await getAccessibleTeamIds(req.user, 'report.export');
+    const questionTeamIds = question.isCommon ? null : (question.teams || []).map((id) => id.toString());
+
+    const allowedTeams = await Team.find(exportableTeamIds === null ? {} : { _id: { $in: exportableTeamIds } })
+      .select('_id project')
+      .lean();
+
+    const candidateTeams = allowedTeams.filter((t) =>
+      (requestedTeamIds.length === 0 || requestedTeamIds.includes(t._id.toString())) &&
+      (questionTeamIds === null || questionTeamIds.includes(t._id.toString())) &&
+      (!req.apiKey?.isRestricted() || req.apiKey.allowsTeam(t._id, t.project))
+    );
+
+    if (candidateTeams.length === 0) {
+      return res.status(403).json({ message: 'Not authorized to report on this question for the requested teams' });
+    }
+
+    const summary = await summarizeAnswers(question, {
+      team: { $in: candidateTeams.map((t) => t._id) },
+      day: { $gte: startDay, $lte: endDay }
+    });
+
+    res.json({
+      question: { _id: question._id, text: question.text, type: question.type },
+      startDate: startDay,
+      endDate: endDay,
+      teams: candidateTeams.map((t) => t._id),
+      ...summary
+    });
+  } catch (err) {
+    console.error(err.message);
+    res.status(500).send('Server error');
+  }
+});
+
+// @route   GET /api/reports/compliance
+// @desc    Status compliance per member (?team or ?teams, ?startDate/?endDate or ?month):
+//          working days expected (holidays, weekly off-days and leave excluded), days
+//          reported, late and missed, and the percentage reported. Days after today don't count.
+// @access  Private (Admin, Manager, Team lead)
+router.get('/compliance', authWithScope('reports:read'), requirePermission('report.export', 'Only managers, team leads and admins can generate reports'), async (req, res) => {
+  try {
+    const { team, teams } = req.query;
+    const timeZone = resolveTimeZone(req.user.timezone);
+    const { startDay, endDay } = resolveReportRange(req.query, timeZone);
+    if (!startDay || !endDay || startDay > endDay) {
+      return res.status(400).json({ message: 'Invalid date range' });
+    }
+
+    const requestedTeamIds = typeof teams === 'string' ? teams.split(',').map((id) => id.trim())
+      : typeof team === 'string' ? [team] : [];
+    if (!requestedTeamIds.every((id) => mongoose.Types.ObjectId.isValid(id))) {
+      return res.status(400).json({ message: 'Invalid team ID' });
+    }
+
+    // Teams asked for (all active ones by default), limited to those the user may report on
+    const exportableTeamIds = await getAccessibleTeamIds(req.user, 'report.export');
+    const allowedTeams = await Team.find(exportableTeamIds === null ? {} : { _id: { $in: exportableTeamIds } })
+      .select('_id project active')
+      .lean();
+
+    const reportTeams = allowedTeams.filter((t) =>
+      (requestedTeamIds.length === 0 ? t.active !== false : requestedTeamIds.includes(t._id.toString())) &&
+      (!req.apiKey?.isRestricted() || req.apiKey.allowsTeam(t._id, t.project))
+    );
+
+    if (requestedTeamIds.length > 0 && reportTeams.length < new Set(requestedTeamIds).size) {
+      return res.status(403).json({ message: 'Not authorized to report on the requested teams' });
+    }
+
+    const report = await buildComplianceReport({
+      teamIds: reportTeams.map((t) => t._id),
+      start: startDay,
+      end: endDay,
+      today: getToday(timeZone)
+    });
+
+    res.json(report);
+  } catch (err) {
+    console.error(err.message);
+    res.status(500).send('Server error');
+  }
+});
+
+// @route   GET /api/reports/digest/settings
+// @desc    Get the current user's digest email settings
+// @access  Private (Admin, Manager)
+router.get('/digest/settings', auth, requirePermission('report.digest', 'Only managers and admins can receive digests'), async (req, res) => {
+  try {
+    const user = await User.findById(req.user._id).select('digestSettings timezone');
+    res.json({ ...user.digestSettings.toObject(), timezone: resolveTimeZone(user.timezone) });
+  } catch (err) {
+    console.error(err.message);
+    res.status(500).send('Server error');
+  }
+});
+
+// @route   PUT /api/reports/digest/settings
+// @desc    Opt in/out of the digest and choose daily (at a time) or weekly (on a day, at a time)
+// @access  Private (Admin, Manager)
+router.put('/digest/settings', auth, requirePermission('report.digest', 'Only managers and admins can receive digests'), async (req, res) => {
+  try {
+    const { settings, error } = parseDigestSettings(req.body);
+    if (error) {
+      return res.status(400).json({ message: error });
+    }
+
+    const user = await User.findById(req.user._id);
+    user.digestSettings = { ...user.digestSettings?.toObject(), ...settings };
+    await user.save();
+
+    res.json({ ...user.digestSettings.toObject(), timezone: resolveTimeZone(user.timezone) });
+  } catch (err) {
+    console.error(err.message);
+    res.status(500).send('Server error');
+  }
+});
+
+// @route   GET /api/reports/digest/preview
+// @desc    The digest the current user would get today (?frequency=daily|weekly, ?format=json|html|text)
+// @access  Private (Admin, Manager)
+router.get('/digest/preview', authWithScope('reports:read'), requirePermission('report.digest', 'Only managers and admins can receive digests'), async (req, res) => {
+  try {
+    const frequency = req.query.frequency || req.user.digestSettings?.frequency || 'daily';
+    if (!DIGEST_FREQUENCIES.includes(frequency)) {
+      return res.status(400).json({ message: `Frequency must be one of: ${DIGEST_FREQUENCIES.join(', ')}` });
+    }
+
+    const period = getDigestPeriod(frequency, getToday(resolveTimeZone(req.user.timezone)));
+    const digest = await buildDigest(req.user, period);
+    const email = renderDigest(digest, req.user);
+
+    if (req.query.format === 'html') {
+      return res.type('html').send(email.html);
+    }
+    if (req.query.format === 'text') {
+      return res.type('text').send(email.text);
+    }
+
+    res.json({ subject: email.subject, digest });
+  } catch (err) {
+    console.error(err.message);
+    res.status(500).send('Server error');
+  }
+});
+
 export default router;
\ No newline at end of file
@@ -1,119 +1,120 @@
 import express from 'express';
+import mongoose from 'mongoose';
 import { check, validationResult } from 'express-validator';
 import ExcelJS from 'exceljs';
 import Status from '../models/Status.js';
 import Team from '../models/Team.js';
 import User from '../models/User.js';
 import Question from '../models/Question.js';
-import { auth, isManager, isTeamMember } from '../middleware/auth.js';
+import Project from '../models/Project.js';
+import StatusRevision from '../models/StatusRevision.js';
+import { auth, authWithScope, requirePermission, isStillAuthorized } from '../middleware/auth.js';
+import { can, getAccessibleTeamIds } from '../utils/permissions.js';
+import { recordAudit, toAuditSnapshot } from '../utils/audit.js';
+import { emitEvent, emitStatusSaved, toEventData } from '../utils/events.js';
+import {
+  statusSubmissionValidation,
+  checkStatusDate,
+  checkFutureLeave,
+  notifyStatusEdited,
+  submitStatus
+} from '../utils/statusSubmission.js';
+import { openStatusStream } from '../utils/statusStream.js';
+import { parseResponses } from '../utils/answers.js';
+import { checkLeaveRequest, describeLeave, resolveLeaveTypes } from '../utils/leave.js';
+import { LEAVE_DURATIONS } from '../models/LeaveType.js';
+import { getMonthRange, getToday, resolveTimeZone, toCalendarDate } from '../utils/dates.js';
 
 const router = express.Router();
 
-// Helper function to check date restrictions
-const isDateAllowed = (dateString) => {
-  const selectedDate = new Date(dateString);
-  const today = new Date();
-  today.setHours(23, 59, 59, 999); // End of today
-  
-  const twoDaysAgo = new Date(today);
-  twoDaysAgo.setDate(today.getDate() - 2);
-  twoDaysAgo.setHours(0, 0, 0, 0); // Start of two days ago
-  
-  return selectedDate >= twoDaysAgo && selectedDate <= today;
+// Helper function to turn date/month/startDate/endDate query parameters into a
+// filter on the calendar `day`; null when no filter applies, { error } when malformed
+const buildDayFilter = ({ date, month, startDate, endDate }, timeZone) => {
+  const parse = (value) => toCalendarDate(value, timeZone);
+
+  if (date) {
+    const day = parse(date);
+    return day ? { day } : { error: 'Invalid date' };
+  }
+
+  if (startDate || endDate) {
+    const start = startDate ? parse(startDate) : null;
+    // Without an end date the range runs up to today
+    const end = endDate ? parse(endDate) : (startDate ? getToday(timeZone) : null);
+
+    if ((startDate && !start) || (endDate && !end)) {
+      return { error: 'Invalid date range' };
+    }
+
+    return { day: start ? { $gte: start, $lte: end } : { $lte: end } };
+  }
+
+  if (month) {
+    const range = getMonthRange(month);
+    return range ? { day: { $gte: range.start, $lte: range.end } } : { error: 'Invalid month' };
+  }
+
+  return null;
+};
+
+// Helper function to describe what changed between two revisions of a status
+const diffRevisions = (previous, current) => {
+  const changes = { answers: [] };
+
+  ['isLeave', 'leaveReason', 'leaveType', 'leaveDuration'].forEach(field => {
+    const before = previous?.[field] ?? null;
+    const after = current[field] ?? null;
+    if (before !== after) changes[field] = { before, after };
+  });
+
+  // Revisions written before calendar days were stored only have `date`
+  const dayOf = (revision) => revision?.day ?? revision?.date?.toISOString().slice(0, 10) ?? null;
+  if (dayOf(previous) !== dayOf(current)) {
+    changes.day = { before: dayOf(previous), after: dayOf(current) };
+  }
+
+  // Answers are matched up by question
+  const answersByQuestion = (revision) => new Map(
+    (revision?.responses || []).map(response => [
+      (response.question?._id || response.question).toString(),
+      response
+    ])
+  );
+  const before = answersByQuestion(previous);
+  const after = answersByQuestion(current);
+
+  new Set([...before.keys(), ...after.keys()]).forEach(questionId => {
+    const oldResponse = before.get(questionId);
+    const newResponse = after.get(questionId);
+    if (oldResponse?.answer === newResponse?.answer) return;
+
+    changes.answers.push({
+      question: (newResponse || oldResponse).question,
+      change: !oldResponse ? 'added' : !newResponse ? 'removed' : 'changed',
+      before: oldResponse?.answer ?? null,
+      after: newResponse?.answer ?? null
+    });
+  });
+
+  return changes;
 };
 
 // @route   POST /api/status
 // @desc    Create a status update or mark leave
-// @access  Private (Team Member or Manager)
+// @access  Private (Team Member, Team Lead or Manager)
 router.post('/', [
-  auth,
-  [
-    check('team', 'Team is required').not().isEmpty(),
-    check('user', 'User is required').not().isEmpty(),
-    check('date', 'Date is required').isISO8601(),
-    // Conditional validation based on isLeave
-    check('isLeave').optional().isBoolean(),
-    check('leaveReason').if(check('isLeave').equals('true')).not().isEmpty().withMessage('Leave reason is required when marking leave'),
-    check('responses').if(check('isLeave').not().equals('true')).isArray().not().isEmpty().withMessage('Responses are required for status updates'),
-    check('responses.*.question').if(check('isLeave').not().equals('true')).not().isEmpty().withMessage('Question ID is required for each response'),
-    check('responses.*.answer').if(check('isLeave').not().equals('true')).not().isEmpty().withMessage('Answer is required for each response')
-  ]
+  authWithScope('status:write'),
+  statusSubmissionValidation
 ], async (req, res) => {
   const errors = validationResult(req);
   if (!errors.isEmpty()) {
     return res.status(400).json({ errors: errors.array() });
   }
 
-  const { team, user, responses = [], date, isLeave = false, leaveReason } = req.body;
-
   try {
-    // Check date restrictions
-    // if (!isDateAllowed(date)) {
-    //   return res.status(400).json({ 
-    //     message: 'You can only add status for today or the last two days' 
-    //   });
-    // }
-
-    // Check if updating own status or manager updating team member status
-    const isOwnStatus = req.user._id.toString() === user;
-    const teamData = await Team.findById(team).populate('project');
-    
-    if (!teamData) {
-      return res.status(404).json({ message: 'Team not found' });
-    }
-    
-    // Check permissions
-    if (!isOwnStatus && req.user.role !== 'admin') {
-      // Check if user is a manager for this project
-      const isManagerForProject = req.user.role === 'manager' && 
-        req.user.projects.some(p => p.toString() === teamData.project._id.toString());
-      
-      if (!isManagerForProject) {
-        return res.status(403).json({ message: 'Not authorized to update status for this user' });
-      }
-    }
-    
-    // Check if user is in the team
-    const isMember = await User.exists({ _id: user, teams: team });
-    if (!isMember) {
-      return res.status(400).json({ message: 'User is not a member of this team' });
-    }
-
-    // Check if status already exists for this date and user
-    const existingStatus = await Status.findOne({
-      user,
-      team,
-      date: {
-        $gte: new Date(date).setHours(0, 0, 0, 0),
-        $lte: new Date(date).setHours(23, 59, 59, 999)
-      }
-    });
-
-    let status;
-
-    if (existingStatus) {
-      // Update existing status
-      existingStatus.isLeave = isLeave;
-      existingStatus.leaveReason = isLeave ? leaveReason : undefined;
-      existingStatus.responses = isLeave ? [] : responses;
-      existingStatus.updatedBy = req.user._id;
-      existingStatus.updatedAt = new Date();
-      
-      status = await existingStatus.save();
-    } else {
-      // Create new status update
-      status = new Status({
-        user,
-        team,
-        project: teamData.project._id,
-        responses: isLeave ? [] : responses,
-        date: new Date(date),
-        isLeave,
-        leaveReason: isLeave ? leaveReason : undefined,
-        updatedBy: req.user._id,
-      });
-
-      await status.save();
+    const { status, error, httpStatus, fieldErrors } = await submitStatus(req, req.body);
+    if (error) {
+      return res.status(httpStatus).json({ message: error, fieldErrors });
     }
 
     // Populate the response
@@ -134,10 +135,10 @@ router.post('/', [
 
 // @route   GET /api/status
 // @desc    Get status updates (filtered by user, team, date)
-// @access  Private (Team Member for own, Manager for team)
-router.get('/', auth, async (req, res) => {
+// @access  Private (Team Member for own, Team Lead or Manager for team)
+router.get('/', authWithScope('status:read'), async (req, res) => {
   try {
-    const { user, teams, date, month, startDate, endDate } = req.query;
+    const { user, teams } = req.query;
     let query = {};
 
     // Apply filters
@@ -148,60 +149,37 @@ router.get('/', auth, async (req, res) => {
       query.team = { $in: teamArray };
     }
 
-    // Date filters
-    if (date) {
-      const start = new Date(date);
-      start.setHours(0, 0, 0, 0);
-
-      const end = new Date(date);
-      end.setHours(23, 59, 59, 999);
-
-      query.date = { $gte: start, $lte: end };
-    } else if (startDate && endDate) {
-      const start = new Date(startDate);
-      start.setHours(0, 0, 0, 0);
-
-      const end = new Date(endDate);
-      end.setHours(23, 59, 59, 999);
-
-      query.date = { $gte: start, $lte: end };
-    } else if (startDate && !endDate) {
-      // Filter from startDate to today
-      const start = new Date(startDate);
-      start.setHours(0, 0, 0, 0);
-
-      const end = new Date();
-      end.setHours(23, 59, 59, 999);
-
-      query.date = { $gte: start, $lte: end };
-    } else if (!startDate && endDate) {
-      // Filter from earliest to endDate
-      const end = new Date(endDate);
-      end.setHours(23, 59, 59, 999);
-
-      query.date = { $lte: end };
-    } else if (month) {
-      const [year, monthIndex] = month.split('-');
-      const start = new Date(year, parseInt(monthIndex) - 1, 1);
-      const end = new Date(year, parseInt(monthIndex), 0);
-      end.setHours(23, 59, 59, 999);
+    // Date filters, read as calendar days in the requester's timezone
+    const dayFilter = buildDayFilter(req.query, resolveTimeZone(req.user.timezone));
+    if (dayFilter?.error) {
+      return res.status(400).json({ message: dayFilter.error });
+    }
+    if (dayFilter) query.day = dayFilter.day;
+
+    // Access control: own statuses plus teams the user may view
+    const conditions = [];
+    const viewableTeamIds = await getAccessibleTeamIds(req.user, 'status.view.others');
+    if (viewableTeamIds !== null) {
+      conditions.push({
+        $or: [
+          { user: req.user._id },
+          { team: { $in: viewableTeamIds } }
+        ]
+      });
+    }
 
-      query.date = { $gte: start, $lte: end };
+    // Restricted API keys only see their teams/projects
+    const keyFilter = req.apiKey?.getScopeFilter();
+    if (keyFilter) {
+      conditions.push(keyFilter);
     }
 
-    // Access control
-    if (req.user.role === 'employee') {
-      query.user = req.user._id;
-    } else if (req.user.role === 'manager') {
-      if (!teams) {
-        const accessibleTeams = await Team.find({ project: { $in: req.user.projects } });
-        const teamIds = accessibleTeams.map(team => team._id);
-        query.team = { $in: teamIds };
-      }
+    if (conditions.length > 0) {
+      query.$and = conditions;
     }
 
     const statuses = await Status.find(query)
-      .sort({ date: -1 })
+      .sort({ day: -1 })
       .populate('user', 'name email')
       .populate('team', 'name')
       .populate('project', 'name')
@@ -215,10 +193,52 @@ router.get('/', auth, async (req, res) => {
   }
 });
 
+// @route   GET /api/status/stream
+// @desc    Server-Sent Events feed of status.created/updated/deleted and leave.marked
+//          events for the caller's own statuses and the teams they may view.
+//          Reconnects resume after the Last-Event-ID header (or ?lastEventId).
+//          Access and the teams you may view are re-checked on each heartbeat; the
+//          stream ends with a `revoked` event when the token expires or is revoked.
+// @access  Private (Team Member for own, Team Lead or Manager for team)
+router.get('/stream', authWithScope('status:read'), async (req, res) => {
+  try {
+    const userId = req.user._id.toString();
+    const loadViewableTeams = async (user) => {
+      const teamIds = await getAccessibleTeamIds(user, 'status.view.others');
+      return teamIds && new Set(teamIds.map(id => id.toString()));
+    };
+    let viewableTeams = await loadViewableTeams(req.user);
+
+    const canSee = (event) => {
+      if (req.apiKey && !req.apiKey.allowsTeam(event.team, event.project)) return false;
+      return !viewableTeams || viewableTeams.has(event.team) || event.data?.user?.toString() === userId;
+    };
+
+    // Besides the login, the teams the user may view can change while the stream is
+    // open (removed from a team, role changed), so they are worked out again each time
+    const isAuthorized = async () => {
+      if (!(await isStillAuthorized(req))) return false;
+      const user = await User.findById(userId);
+      if (!user) return false;
+      viewableTeams = await loadViewableTeams(user);
+      return true;
+    };
+
+    openStatusStream(req, res, {
+      lastEventId: req.header('Last-Event-ID') || req.query.lastEventId,
+      canSee,
+      isAuthorized
+    });
+  } catch (err) {
+    console.error(err.message);
+    res.status(500).send('Server error');
+  }
+});
+
 // @route   GET /api/status/:id
 // @desc    Get status by ID
-// @access  Private (Team Member for own, Manager for team)
-router.get('/:id', auth, async (req, res) => {
+// @access  Private (Team Member for own, Team Lead or Manager for team)
+router.get('/:id', authWithScope('status:read'), async (req, res) => {
   try {
     const status = await Status.findById(req.params.id)
       .populate('user', 'name email')
@@ -231,25 +251,160 @@ router.get('/:id', auth, async (req, res) => {
       return res.status(404).json({ message: 'Status not found' });
     }
     
+    if (req.apiKey && !req.apiKey.allowsTeam(status.team._id, status.project._id)) {
+      return res.status(403).json({ message: 'API key is not allowed for this team' });
+    }
+    
     // Check access permissions
     const isOwnStatus = status.user._id.toString() === req.user._id.toString();
+    const canView = await can(req.user, isOwnStatus ? 'status.view.own' : 'status.view.others', {
+      user: status.user._id,
+      team: status.team._id,
+      project: status.project._id
+    });
     
-    if (req.user.role === 'employee' && !isOwnStatus) {
+    if (!canView) {
       return res.status(403).json({ message: 'Not authorized to view this status' });
     }
     
-    if (req.user.role === 'manager') {
-      const isProjectManager = req.user.projects.some(p => 
-        p.toString() === status.project._id.toString()
-      );
-      
-      if (!isProjectManager && !isOwnStatus) {
-        return res.status(403).json({ message: 'Not authorized to view this status' });
-      }
+    res.json(status);
+  } catch (err) {
+    console.error(err.message);
+    res.status(500).send('Server error');
+  }
+});
+
+// @route   GET /api/status/:id/history
+// @desc    Get every revision of a status, newest first, with what changed in each
+// @access  Private (Team Member for own, Team Lead or Manager for team)
+router.get('/:id/history', authWithScope('status:read'), async (req, res) => {
+  try {
+    const status = await Status.findById(req.params.id);
+    
+    if (!status) {
+      return res.status(404).json({ message: 'Status not found' });
+    }
+    
+    if (req.apiKey && !req.apiKey.allowsTeam(status.team, status.project)) {
+      return res.status(403).json({ message: 'API key is not allowed for this team' });
+    }
+    
+    // Check access permissions
+    const isOwnStatus = status.user.toString() === req.user._id.toString();
+    const canView = await can(req.user, isOwnStatus ? 'status.view.own' : 'status.view.others', {
+      user: status.user,
+      team: status.team,
+      project: status.project
+    });
+    
+    if (!canView) {
+      return res.status(403).json({ message: 'Not authorized to view this status' });
     }
     
+    const revisions = await StatusRevision.find({ status: status._id })
+      .sort({ revision: 1 })
+      .populate('changedBy', 'name')
+      .populate('responses.question', 'text')
+      .lean();
+    
+    const history = revisions.map((revision, index) => ({
+      ...revision,
+      changes: diffRevisions(revisions[index - 1], revision)
+    }));
+    
+    res.json({
+      status: status._id,
+      currentRevision: status.revision,
+      revisions: history.reverse()
+    });
+  } catch (err) {
+    console.error(err.message);
+    res.status(500).send('Server error');
+  }
+});
+
+// @route   POST /api/status/:id/restore
+// @desc    Restore the answers/leave of an earlier revision (saved as a new revision)
+// @access  Private (Admin, Manager for team)
+router.post('/:id/restore', [
+  auth,
+  requirePermission('status.restore', 'Manager access required'),
+  [
+    check('revision', 'Revision number is required').isInt({ min: 1 })
+  ]
+], async (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({ errors: errors.array() });
+  }
+
+  try {
+    const status = await Status.findById(req.params.id);
+    
+    if (!status) {
+      return res.status(404).json({ message: 'Status not found' });
+    }
+    
+    const canRestore = await can(req.user, 'status.restore', {
+      team: status.team,
+      project: status.project
+    });
+    
+    if (!canRestore) {
+      return res.status(403).json({ message: 'Not authorized to restore this status' });
+    }
+    
+    const revisionNumber = parseInt(req.body.revision);
+    const revision = await StatusRevision.findOne({ status: status._id, revision: revisionNumber });
+    
+    if (!revision) {
+      return res.status(404).json({ message: 'Revision not found' });
+    }
+    
+    if (revisionNumber === status.revision) {
+      return res.status(400).json({ message: 'This revision is already the current one' });
+    }
+    
+    const before = toAuditSnapshot(status);
+    
+    status.isLeave = revision.isLeave;
+    status.leaveReason = revision.isLeave ? revision.leaveReason : undefined;
+    status.leaveType = revision.isLeave ? revision.leaveType : undefined;
+    status.leaveDuration = revision.isLeave ? revision.leaveDuration : undefined;
+    status.responses = revision.responses.map(response => ({
+      question: response.question,
+      answer: response.answer,
+      value: response.value
+    }));
+    status.updatedBy = req.user._id;
+    status.updatedAt = Date.now();
+    status.$locals.revisionAction = 'restore';
+    status.$locals.restoredFrom = revisionNumber;
+    
+    await status.save();
+    await recordAudit(req, {
+      action: 'restore',
+      entityType: 'status',
+      before,
+      after: status,
+      details: { restoredFrom: revisionNumber }
+    });
+    await notifyStatusEdited(status, req.user, `restored revision ${revisionNumber} of`);
+    emitStatusSaved(status, { created: false, wasLeave: before.isLeave, actor: req.user });
+    
+    await status.populate([
+      { path: 'user', select: 'name email' },
+      { path: 'team', select: 'name' },
+      { path: 'project', select: 'name' },
+      { path: 'responses.question', select: 'text' },
+      { path: 'updatedBy', select: 'name' }
+    ]);
+    
     res.json(status);
   } catch (err) {
+    if (err instanceof mongoose.Error.VersionError) {
+      return res.status(409).json({ message: 'This status was changed by someone else; reload it and try again' });
+    }
     console.error(err.message);
     res.status(500).send('Server error');
   }
@@ -257,16 +412,17 @@ router.get('/:id', auth, async (req, res) => {
 
 // @route   PUT /api/status/:id
 // @desc    Update status
-// @access  Private (Team Member for own, Manager for team)
+// @access  Private (Team Member for own, Team Lead or Manager for team)
 router.put('/:id', [
-  auth,
+  authWithScope('status:write'),
   [
     check('date', 'Date is required').optional().isISO8601(),
     check('isLeave').optional().isBoolean(),
-    check('leaveReason').if(check('isLeave').equals('true')).not().isEmpty().withMessage('Leave reason is required when marking leave'),
+    check('leaveReason').if(check('isLeave').equals('true')).if(check('leaveType').not().exists({ values: 'falsy' })).not().isEmpty().withMessage('Leave reason is required when marking leave'),
+    check('leaveType', 'Leave type must be a leave type key').optional().isString(),
+    check('leaveDuration', `Leave duration must be one of: ${LEAVE_DURATIONS.join(', ')}`).optional().isIn(LEAVE_DURATIONS),
     check('responses').if(check('isLeave').not().equals('true')).optional().isArray().not().isEmpty().withMessage('Responses are required for status updates'),
-    check('responses.*.question').if(check('isLeave').not().equals('true')).optional().not().isEmpty().withMessage('Question ID is required for each response'),
-    check('responses.*.answer').if(check('isLeave').not().equals('true')).optional().not().isEmpty().withMessage('Answer is required for each response')
+    check('responses.*.question').if(check('isLeave').not().equals('true')).optional().not().isEmpty().withMessage('Question ID is required for each response')
   ]
 ], async (req, res) => {
   const errors = validationResult(req);
@@ -280,54 +436,119 @@ router.put('/:id', [
     if (!status) {
       return res.status(404).json({ message: 'Status not found' });
     }
-
-    // Check date restrictions if date is being updated
-    // if (req.body.date && !isDateAllowed(req.body.date)) {
-    //   return res.status(400).json({ 
-    //     message: 'You can only update status for today or the last two days' 
-    //   });
-    // }
+    
+    if (req.apiKey && !req.apiKey.allowsTeam(status.team, status.project)) {
+      return res.status(403).json({ message: 'API key is not allowed for this team' });
+    }
     
     // Check permissions
     const isOwnStatus = status.user.toString() === req.user._id.toString();
+    const canEdit = await can(req.user, isOwnStatus ? 'status.edit.own' : 'status.edit.others', {
+      user: status.user,
+      team: status.team,
+      project: status.project
+    });
     
-    if (req.user.role === 'employee' && !isOwnStatus) {
+    if (!canEdit) {
       return res.status(403).json({ message: 'Not authorized to update this status' });
     }
     
-    if (req.user.role === 'manager') {
-      const team = await Team.findById(status.team).populate('project');
-      const isProjectManager = req.user.projects.some(p => 
-        p.toString() === team.project._id.toString()
-      );
-      
-      if (!isProjectManager && !isOwnStatus) {
-        return res.status(403).json({ message: 'Not authorized to update this status' });
+    // Check date restrictions for the (new) date of the entry
+    const { responses, date, isLeave, leaveReason, leaveType, leaveDuration } = req.body;
+    const teamData = await Team.findById(status.team).populate('project');
+    
+    if (!teamData) {
+      return res.status(404).json({ message: 'Team not found' });
+    }
+    
+    // A new date is read in the timezone the status was recorded in
+    const timezone = status.timezone || resolveTimeZone(teamData.timezone);
+    const day = date ? toCalendarDate(date, timezone) : status.day;
+    if (!day) {
+      return res.status(400).json({ message: 'Invalid date' });
+    }
+    
+    if (day !== status.day && await Status.exists({ user: status.user, team: status.team, day })) {
+      return res.status(400).json({ message: 'A status already exists for this date' });
+    }
+    
+    const dateCheck = await checkStatusDate(req.user, day, teamData, timezone);
+    if (!dateCheck.allowed) {
+      return res.status(400).json({ message: dateCheck.message });
+    }
+    
+    // Leave that is added, changed or moved must still be available to the member
+    // (untyped leave is taken as the project's default type)
+    const willBeLeave = typeof isLeave === 'boolean' ? isLeave : status.isLeave;
+    const nextLeaveType = leaveType !== undefined ? leaveType : status.leaveType;
+    const nextLeaveDuration = leaveDuration || status.leaveDuration || 'full';
+    const leaveChanged = !status.isLeave || leaveType !== undefined || leaveDuration !== undefined || day !== status.day;
+    let type = null;
+    
+    if (willBeLeave && leaveChanged) {
+      const futureCheck = await checkFutureLeave(req.user, [day], teamData, timezone);
+      if (!futureCheck.allowed) {
+        return res.status(400).json({ message: futureCheck.message });
+      }
+    }
+    
+    if (willBeLeave && leaveChanged) {
+      const leaveCheck = await checkLeaveRequest(teamData.project, {
+        user: status.user,
+        leaveType: nextLeaveType,
+        days: [{ day, duration: nextLeaveDuration }],
+        excludeDays: [status.day]
+      });
+      if (leaveCheck.error) {
+        return res.status(400).json({ message: leaveCheck.error });
+      }
+      type = leaveCheck.leaveType;
+    }
+    
+    // New answers, or answers to a status that was leave, are checked against their
+    // questions, and the team's required questions have to be answered
+    let answers = null;
+    if (!willBeLeave && (responses || status.isLeave)) {
+      const parsed = await parseResponses(responses || [], { team: status.team });
+      if (parsed.error) {
+        return res.status(400).json({ message: parsed.error, fieldErrors: parsed.fieldErrors });
       }
+      answers = parsed.responses;
     }
     
     // Update status fields
-    const { responses, date, isLeave, leaveReason } = req.body;
+    const before = toAuditSnapshot(status);
     
     if (typeof isLeave === 'boolean') {
       status.isLeave = isLeave;
       if (isLeave) {
-        status.leaveReason = leaveReason;
+        status.leaveReason = leaveReason || type?.name;
         status.responses = [];
       } else {
         status.leaveReason = undefined;
-        if (responses) status.responses = responses;
+        if (answers) status.responses = answers;
       }
     } else {
-      if (responses) status.responses = responses;
+      if (answers) status.responses = answers;
+      if (status.isLeave && leaveReason) status.leaveReason = leaveReason;
     }
     
-    if (date) status.date = new Date(date);
+    status.leaveType = willBeLeave ? (type?.key || status.leaveType) : undefined;
+    status.leaveDuration = willBeLeave ? nextLeaveDuration : undefined;
+    
+    // Lateness is about when the day was first reported: an edit keeps the flag
+    // unless it moves the status to another day
+    if (day !== status.day) status.isLate = dateCheck.isLate;
+    status.day = day;
+    status.timezone = timezone;
     
     status.updatedBy = req.user._id;
     status.updatedAt = Date.now();
     
     await status.save();
+    await recordAudit(req, { action: 'update', entityType: 'status', before, after: status });
+    await notifyStatusEdited(status, req.user, 'updated');
+    emitStatusSaved(status, { created: false, wasLeave: before.isLeave, actor: req.user });
     
     // Populate the response
     await status.populate([
@@ -340,6 +561,9 @@ router.put('/:id', [
     
     res.json(status);
   } catch (err) {
+    if (err instanceof mongoose.Error.VersionError) {
+      return res.status(409).json({ message: 'This status was changed by someone else; reload it and try again' });
+    }
     console.error(err.message);
     res.status(500).send('Server error');
   }
@@ -348,7 +572,7 @@ router.put('/:id', [
 // @route   DELETE /api/status/:id
 // @desc    Delete status
 // @access  Private (Admin, Manager for team)
-router.delete('/:id', [auth, isManager], async (req, res) => {
+router.delete('/:id', [auth, requirePermission('status.delete')], async (req, res) => {
   try {
     const status = await Status.findById(req.params.id);
     
@@ -356,19 +580,24 @@ router.delete('/:id', [auth, isManager], async (req, res) => {
       return res.status(404).json({ message: 'Status not found' });
     }
     
-    // Check if user is admin or manager for this project
-    if (req.user.role === 'manager') {
-      const team = await Team.findById(status.team).populate('project');
-      const isProjectManager = req.user.projects.some(p => 
-        p.toString() === team.project._id.toString()
-      );
-      
-      if (!isProjectManager) {
-        return res.status(403).json({ message: 'Not authorized to delete this status' });
-      }
+    // Check if user may delete statuses of this team
+    const canDelete = await can(req.user, 'status.delete', {
+      team: status.team,
+      project: status.project
+    });
+    
+    if (!canDelete) {
+      return res.status(403).json({ message: 'Not authorized to delete this status' });
     }
     
     await status.deleteOne();
+    await recordAudit(req, { action: 'delete', entityType: 'status', before: status });
+    emitEvent('status.deleted', {
+      project: status.project,
+      team: status.team,
+      actor: req.user,
+      data: toEventData(status)
+    });
     
     res.json({ message: 'Status removed' });
   } catch (err) {
@@ -379,8 +608,8 @@ router.delete('/:id', [auth, isManager], async (req, res) => {
 
 // @route   GET /api/status/export
 // @desc    Export status updates to Excel
-// @access  Private (Manager)
-router.get('/export/excel', [auth, isManager], async (req, res) => {
+// @access  Private (Manager, Team Lead)
+router.get('/export/excel', [authWithScope('reports:read'), requirePermission('report.export')], async (req, res) => {
   try {
     const { team, user, date, month } = req.query;
     let query = {};
@@ -390,48 +619,41 @@ router.get('/export/excel', [auth, isManager], async (req, res) => {
     if (team) query.team = team;
 
     // Date filters
-    if (date) {
-      const startDate = new Date(date);
-      startDate.setHours(0, 0, 0, 0);
-
-      const endDate = new Date(date);
-      endDate.setHours(23, 59, 59, 999);
-
-      query.date = { $gte: startDate, $lte: endDate };
-    } else if (month) {
-      const [year, monthIndex] = month.split('-');
-      const startDate = new Date(year, parseInt(monthIndex) - 1, 1);
-      const endDate = new Date(year, parseInt(monthIndex), 0, 23, 59, 59, 999);
-
-      query.date = { $gte: startDate, $lte: endDate };
+    const dayFilter = buildDayFilter({ date, month }, resolveTimeZone(req.user.timezone));
+    if (dayFilter?.error) {
+      return res.status(400).json({ message: dayFilter.error });
     }
+    if (dayFilter) query.day = dayFilter.day;
 
-    // Access control for managers
-    if (req.user.role === 'manager') {
-      if (!team) {
-        const accessibleTeams = await Team.find({ project: { $in: req.user.projects } });
-        const teamIds = accessibleTeams.map(team => team._id);
+    // Access control
+    if (!team) {
+      const teamIds = await getAccessibleTeamIds(req.user, 'report.export');
+      if (teamIds !== null) {
         query.team = { $in: teamIds };
-      } else {
-        const teamData = await Team.findById(team).populate('project');
-        const hasAccess = req.user.projects.some(p =>
-          p.toString() === teamData.project._id.toString()
-        );
-
-        if (!hasAccess) {
-          return res.status(403).json({
-            message: 'Not authorized to export data for this team'
-          });
-        }
       }
+    } else if (!(await can(req.user, 'report.export', { team }))) {
+      return res.status(403).json({
+        message: 'Not authorized to export data for this team'
+      });
+    }
+
+    const keyFilter = req.apiKey?.getScopeFilter();
+    if (keyFilter) {
+      query.$and = [keyFilter];
     }
 
     const statuses = await Status.find(query)
-      .sort({ date: 1 })
+      .sort({ day: 1 })
       .populate('user', 'name')
       .populate('team', 'name')
       .populate('responses.question', 'text');
 
+    // Leave is labelled with the leave types of each status's project
+    const projects = await Project.find({
+      _id: { $in: [...new Set(statuses.map(status => status.project.toString()))] }
+    }).select('leaveTypes');
+    const leaveTypesByProject = new Map(projects.map(project => [project._id.toString(), resolveLeaveTypes(project)]));
+
     const workbook = new ExcelJS.Workbook();
     const worksheet = workbook.addWorksheet('Status Report');
 
@@ -442,7 +664,7 @@ router.get('/export/excel', [auth, isManager], async (req, res) => {
     statuses.forEach(status => {
       const teamId = status.team._id.toString();
       const userId = status.user._id.toString();
-      const dateStr = status.date.toISOString().split('T')[0];
+      const dateStr = status.day;
 
       dateSet.add(dateStr);
 
@@ -465,7 +687,7 @@ router.get('/export/excel', [auth, isManager], async (req, res) => {
       const user = team.users.get(userId);
 
       if (status.isLeave) {
-        user.leaves[dateStr] = status.leaveReason || 'Leave';
+        user.leaves[dateStr] = describeLeave(status, leaveTypesByProject.get(status.project.toString()));
       } else {
         status.responses.forEach(response => {
           const questionId = response.question._id.toString();
@@ -529,12 +751,11 @@ router.get('/export/excel', [auth, isManager], async (req, res) => {
 
           const addedRow = worksheet.addRow(row);
 
-          // Highlight specific leave cells only
+          // Highlight leave cells only
           sortedDates.forEach((dateStr, i) => {
             const cellIndex = columns.findIndex(col => col.key === dateStr) + 1;
             const cell = addedRow.getCell(cellIndex);
-            const value = cell.value?.toString().toLowerCase();
-            if (['leave', 'sick leave', 'personal'].includes(value)) {
+            if (user.leaves[dateStr]) {
               cell.fill = {
                 type: 'pattern',
                 pattern: 'solid',
@@ -1,10 +1,17 @@
 import express from 'express';
 import { check, validationResult } from 'express-validator';
 import mongoose from 'mongoose'; // Add this import
-import Team from '../models/Team.js';
+import Team, { TEAM_ROLES } from '../models/Team.js';
 import User from '../models/User.js';
 import Project from '../models/Project.js';
-import { auth, isAdmin, isManager, isProjectManager } from '../middleware/auth.js';
+import { auth, requirePermission } from '../middleware/auth.js';
+import { can, getAccessibleTeamIds } from '../utils/permissions.js';
+import { recordAudit, toAuditSnapshot } from '../utils/audit.js';
+import { resolveSubmissionPolicy, parseSubmissionPolicy } from '../utils/submissionPolicy.js';
+import { parseReminderSettings } from '../utils/reminders.js';
+import ReminderRun from '../models/ReminderRun.js';
+import { announceNewMembers } from '../utils/notifications.js';
+import { isValidTimeZone } from '../utils/dates.js';
 
 const router = express.Router();
 
@@ -13,7 +20,7 @@ const router = express.Router();
 // @access  Private (Admin, Project Manager)
 router.post('/', [
   auth,
-  isAdmin,
+  requirePermission('team.create', 'Manager access required'),
   [
     check('name', 'Name is required').not().isEmpty(),
     check('project', 'Project is required').not().isEmpty()
@@ -27,7 +34,21 @@ router.post('/', [
   }
 
   try {
-    let { name, description, project, members = [], questions = [], active } = req.body;
+    let { name, description, project, members = [], questions = [], active, submissionPolicy = {}, reminderSettings = {}, timezone } = req.body;
+
+    if (timezone && !isValidTimeZone(timezone)) {
+      return res.status(400).json({ message: 'Timezone must be a valid IANA timezone (e.g. Asia/Kolkata)' });
+    }
+
+    const { policy, error } = parseSubmissionPolicy(submissionPolicy);
+    if (error) {
+      return res.status(400).json({ message: error });
+    }
+
+    const { settings, error: reminderError } = parseReminderSettings(reminderSettings);
+    if (reminderError) {
+      return res.status(400).json({ message: reminderError });
+    }
 
     if (!mongoose.Types.ObjectId.isValid(project)) {
       return res.status(400).json({ message: 'Invalid project ID' });
@@ -50,11 +71,8 @@ router.post('/', [
     questions = questions.map(id => new mongoose.Types.ObjectId(id));
 
     // Check if user has access to project
-    if (req.user.role !== 'admin') {
-      const isManager = req.user.projects.includes(project.toString());
-      if (!isManager) {
-        return res.status(403).json({ message: 'Not authorized to create teams for this project' });
-      }
+    if (!(await can(req.user, 'team.create', { project }))) {
+      return res.status(403).json({ message: 'Not authorized to create teams for this project' });
     }
 
     const team = new Team({
@@ -63,11 +81,15 @@ router.post('/', [
       project,
       members,
       questions,
+      submissionPolicy: policy,
+      reminderSettings: settings,
+      timezone: timezone || undefined,
       createdBy: req.user._id,
       active: active ?? true
     });
 
     await team.save();
+    await recordAudit(req, { action: 'create', entityType: 'team', after: team });
 
     await Project.findByIdAndUpdate(
       project,
@@ -79,6 +101,7 @@ router.post('/', [
         { _id: { $in: members } },
         { $addToSet: { teams: team._id, projects: project } }
       );
+      await announceNewMembers(team, members, req.user);
     }
 
     res.status(201).json(team);
@@ -102,6 +125,10 @@ router.get('/members/:teamId', auth, async (req, res) => {
       return res.status(404).json({ message: 'Team not found' });
     }
 
+    if (!(await can(req.user, 'team.view', { team: team._id, project: team.project }))) {
+      return res.status(403).json({ message: 'Not authorized to view team members' });
+    }
+
     res.json(team.members);
   } catch (err) {
     console.error(err);
@@ -122,13 +149,9 @@ router.get('/', auth, async (req, res) => {
     }
     
     // Filter by access level
-    if (req.user.role === 'manager') {
-      // Get all projects the manager has access to
-      if (!query.project) {
-        query.project = { $in: req.user.projects };
-      }
-    } else if (req.user.role === 'employee') {
-      query.members = req.user._id;
+    const teamIds = await getAccessibleTeamIds(req.user, 'team.view');
+    if (teamIds !== null) {
+      query._id = { $in: teamIds };
     }
     
     const teams = await Team.find(query)
@@ -160,22 +183,9 @@ router.get('/:id', auth, async (req, res) => {
       return res.status(404).json({ message: 'Team not found' });
     }
     
-    // Check access permissions for non-admins
-    if (req.user.role !== 'admin') {
-      // Check if user is a manager of this project
-      const projectManagers = team.project.managers || [];
-      const isManager = projectManagers.some(
-        manager => manager.toString() === req.user._id.toString()
-      );
-      
-      // Check if user is a member of this team
-      const isTeamMember = team.members.some(
-        member => member._id.toString() === req.user._id.toString()
-      );
-      
-      if (!isManager && !isTeamMember) {
-        return res.status(403).json({ message: 'Not authorized to view this team' });
-      }
+    // Check access permissions
+    if (!(await can(req.user, 'team.view', { team: team._id, project: team.project }))) {
+      return res.status(403).json({ message: 'Not authorized to view this team' });
     }
     
     res.json(team);
@@ -186,12 +196,71 @@ router.get('/:id', auth, async (req, res) => {
   }
 });
 
+// @route   GET /api/teams/:id/submission-policy
+// @desc    Get the team's submission window: its own settings, the project's and the effective result
+// @access  Private (Admin, Project Manager, Team Member)
+router.get('/:id/submission-policy', auth, async (req, res) => {
+  try {
+    const team = await Team.findById(req.params.id).populate('project', 'name submissionPolicy');
+    
+    if (!team) {
+      return res.status(404).json({ message: 'Team not found' });
+    }
+    
+    if (!(await can(req.user, 'team.view', { team: team._id, project: team.project }))) {
+      return res.status(403).json({ message: 'Not authorized to view this team' });
+    }
+    
+    res.json({
+      team: team.submissionPolicy || {},
+      project: team.project?.submissionPolicy || {},
+      effective: resolveSubmissionPolicy(team, team.project)
+    });
+  } catch (err) {
+    console.error(err.message);
+    res.status(500).json({ message: 'Server error', error: err.message });
+  }
+});
+
+// @route   GET /api/teams/:id/reminders
+// @desc    Get the team's reminder settings and its most recent reminder/escalation runs
+// @access  Private (Admin, Project Manager, Team Lead)
+router.get('/:id/reminders', auth, async (req, res) => {
+  try {
+    const team = await Team.findById(req.params.id);
+    
+    if (!team) {
+      return res.status(404).json({ message: 'Team not found' });
+    }
+    
+    if (!(await can(req.user, 'reminder.send', { team: team._id, project: team.project }))) {
+      return res.status(403).json({ message: 'Not authorized to view reminders for this team' });
+    }
+    
+    const limit = Math.min(parseInt(req.query.limit, 10) || 20, 100);
+    const runs = await ReminderRun.find({ team: team._id })
+      .sort({ startedAt: -1 })
+      .limit(limit)
+      .populate('missingUsers', 'name email')
+      .populate('notifiedUsers', 'name email');
+    
+    res.json({
+      settings: team.reminderSettings,
+      timezone: team.timezone,
+      runs
+    });
+  } catch (err) {
+    console.error(err.message);
+    res.status(500).json({ message: 'Server error', error: err.message });
+  }
+});
+
 // @route   PUT /api/teams/:id
 // @desc    Update team
 // @access  Private (Admin, Project Manager)
 router.put('/:id', [
   auth,
-  isManager,
+  requirePermission('team.update', 'Manager access required'),
   [
     check('name', 'Name is required').not().isEmpty()
   ]
@@ -208,24 +277,39 @@ router.put('/:id', [
       return res.status(404).json({ message: 'Team not found' });
     }
     
-    // Check access permissions for managers
-    if (req.user.role === 'manager') {
-      const projectManagers = team.project.managers || [];
-      const isManager = projectManagers.some(
-        manager => manager.toString() === req.user._id.toString()
-      );
-      
-      if (!isManager) {
-        return res.status(403).json({ message: 'Not authorized to update this team' });
-      }
+    // Check access permissions
+    if (!(await can(req.user, 'team.update', { team: team._id, project: team.project }))) {
+      return res.status(403).json({ message: 'Not authorized to update this team' });
     }
     
     // Update team fields
-    const { name, description, members, questions, active } = req.body;
+    const before = toAuditSnapshot(team);
+    const { name, description, members, questions, active, submissionPolicy, reminderSettings, timezone } = req.body;
+    
+    if (timezone && !isValidTimeZone(timezone)) {
+      return res.status(400).json({ message: 'Timezone must be a valid IANA timezone (e.g. Asia/Kolkata)' });
+    }
+    
+    if (submissionPolicy !== undefined) {
+      const { policy, error } = parseSubmissionPolicy(submissionPolicy);
+      if (error) {
+        return res.status(400).json({ message: error });
+      }
+      team.submissionPolicy = { ...team.submissionPolicy?.toObject(), ...policy };
+    }
+    
+    if (reminderSettings !== undefined) {
+      const { settings, error } = parseReminderSettings(reminderSettings);
+      if (error) {
+        return res.status(400).json({ message: error });
+      }
+      team.reminderSettings = { ...team.reminderSettings?.toObject(), ...settings };
+    }
     
     if (name) team.name = name;
     if (description !== undefined) team.description = description;
     if (active !== undefined) team.active = active;
+    if (timezone !== undefined) team.timezone = timezone || undefined;
     
     // Update members if changed
     if (members) {
@@ -253,9 +337,12 @@ router.put('/:id', [
              projects: team.project._id
            } }
         );
+        await announceNewMembers(team, newMembers, req.user);
       }
       
       team.members = members;
+      // Leads who left the team lose the lead role with it
+      team.leads = team.leads.filter(lead => members.includes(lead.toString()));
     }
     
     // Update questions if changed
@@ -266,6 +353,7 @@ router.put('/:id', [
     team.updatedAt = Date.now();
     
     await team.save();
+    await recordAudit(req, { action: 'update', entityType: 'team', before, after: team });
     
     res.json(team);
   } catch (err) {
@@ -278,7 +366,7 @@ router.put('/:id', [
 // @route   DELETE /api/teams/:id
 // @desc    Delete team
 // @access  Private (Admin, Project Manager)
-router.delete('/:id', [auth, isManager], async (req, res) => {
+router.delete('/:id', [auth, requirePermission('team.delete', 'Manager access required')], async (req, res) => {
   try {
     const team = await Team.findById(req.params.id).populate('project');
     
@@ -286,16 +374,9 @@ router.delete('/:id', [auth, isManager], async (req, res) => {
       return res.status(404).json({ message: 'Team not found' });
     }
     
-    // Check access permissions for managers
-    if (req.user.role === 'manager') {
-      const projectManagers = (team.project && team.project.managers) || [];
-      const isManager = projectManagers.some(
-        manager => manager.toString() === req.user._id.toString()
-      );
-      
-      if (!isManager) {
-        return res.status(403).json({ message: 'Not authorized to delete this team' });
-      }
+    // Check access permissions
+    if (!(await can(req.user, 'team.delete', { team: team._id, project: team.project }))) {
+      return res.status(403).json({ message: 'Not authorized to delete this team' });
     }
     
     // Remove team from all users
@@ -313,6 +394,7 @@ router.delete('/:id', [auth, isManager], async (req, res) => {
     }
     
     await team.deleteOne();
+    await recordAudit(req, { action: 'delete', entityType: 'team', before: team });
     
     res.json({ message: 'Team removed' });
   } catch (err) {
@@ -344,22 +426,9 @@ router.get('/:teamId/members', auth, async (req, res) => {
       return res.status(404).json({ message: 'Team not found' });
     }
 
-    // Check access permissions for non-admins
-    if (req.user.role !== 'admin') {
-      // Check if user is a manager of this project
-      const projectManagers = team.project.managers || [];
-      const isManager = projectManagers.some(
-        manager => manager.toString() === req.user._id.toString()
-      );
-      
-      // Check if user is a member of this team
-      const isTeamMember = team.members.some(
-        member => member._id.toString() === req.user._id.toString()
-      );
-      
-      if (!isManager && !isTeamMember) {
-        return res.status(403).json({ message: 'Not authorized to view team members' });
-      }
+    // Check access permissions
+    if (!(await can(req.user, 'team.view', { team: team._id, project: team.project }))) {
+      return res.status(403).json({ message: 'Not authorized to view team members' });
     }
 
     // Get status count for each member (you'll need to import Status model)
@@ -377,7 +446,7 @@ router.get('/:teamId/members', auth, async (req, res) => {
           _id: member._id,
           name: member.name,
           email: member.email,
-          role: member.role || 'Member', // Default role if not set
+          role: team.getMemberRole(member._id),
           joinedAt: member.createdAt,
           lastActive: member.lastActive || null,
           statusCount: 0, // statusCount, // Uncomment when Status model is available
@@ -399,10 +468,10 @@ router.get('/:teamId/members', auth, async (req, res) => {
 // @access  Private (Project managers, Admin)
 router.post('/:teamId/members', [
   auth,
-  isManager,
+  requirePermission('team.members.manage', 'Manager access required'),
   [
     check('userId', 'User ID is required').not().isEmpty(),
-    check('role', 'Role is required').optional()
+    check('role', `Role must be one of: ${TEAM_ROLES.join(', ')}`).optional().isIn(TEAM_ROLES)
   ]
 ], async (req, res) => {
   const errors = validationResult(req);
@@ -425,16 +494,9 @@ router.post('/:teamId/members', [
       return res.status(404).json({ message: 'Team not found' });
     }
 
-    // Check access permissions for managers
-    if (req.user.role === 'manager') {
-      const projectManagers = team.project.managers || [];
-      const isManager = projectManagers.some(
-        manager => manager.toString() === req.user._id.toString()
-      );
-      
-      if (!isManager) {
-        return res.status(403).json({ message: 'Not authorized to add members to this team' });
-      }
+    // Check access permissions
+    if (!(await can(req.user, 'team.members.manage', { team: team._id, project: team.project }))) {
+      return res.status(403).json({ message: 'Not authorized to add members to this team' });
     }
 
     // Check if user exists
@@ -449,8 +511,13 @@ router.post('/:teamId/members', [
     }
 
     // Add user to team
+    const before = toAuditSnapshot(team);
     team.members.push(userId);
+    if (role === 'Lead') {
+      team.leads.push(userId);
+    }
     await team.save();
+    await recordAudit(req, { action: 'member.add', entityType: 'team', before, after: team, details: { userId, role } });
 
     // Add team to user's teams array
     user.teams = user.teams || [];
@@ -458,6 +525,7 @@ router.post('/:teamId/members', [
       user.teams.push(teamId);
       await user.save();
     }
+    await announceNewMembers(team, [user._id], req.user, role);
 
     res.status(201).json({ message: 'Member added successfully', userId, role });
   } catch (err) {
@@ -471,9 +539,9 @@ router.post('/:teamId/members', [
 // @access  Private (Project managers, Admin)
 router.put('/:teamId/members/:memberId', [
   auth,
-  isManager,
+  requirePermission('team.members.manage', 'Manager access required'),
   [
-    check('role', 'Role is required').not().isEmpty()
+    check('role', `Role must be one of: ${TEAM_ROLES.join(', ')}`).isIn(TEAM_ROLES)
   ]
 ], async (req, res) => {
   const errors = validationResult(req);
@@ -496,16 +564,9 @@ router.put('/:teamId/members/:memberId', [
       return res.status(404).json({ message: 'Team not found' });
     }
 
-    // Check access permissions for managers
-    if (req.user.role === 'manager') {
-      const projectManagers = team.project.managers || [];
-      const isManager = projectManagers.some(
-        manager => manager.toString() === req.user._id.toString()
-      );
-      
-      if (!isManager) {
-        return res.status(403).json({ message: 'Not authorized to update team members' });
-      }
+    // Check access permissions
+    if (!(await can(req.user, 'team.members.manage', { team: team._id, project: team.project }))) {
+      return res.status(403).json({ message: 'Not authorized to update team members' });
     }
 
     // Check if user is a member of the team
@@ -513,16 +574,15 @@ router.put('/:teamId/members/:memberId', [
       return res.status(404).json({ message: 'User is not a member of this team' });
     }
 
-    // Update user role (assuming you have a role field on User model or separate TeamMember model)
-    const user = await User.findById(memberId);
-    if (!user) {
-      return res.status(404).json({ message: 'User not found' });
+    // The team role only applies within this team; the user's account role is untouched
+    const before = toAuditSnapshot(team);
+    team.leads = team.leads.filter(lead => lead.toString() !== memberId);
+    if (role === 'Lead') {
+      team.leads.push(memberId);
     }
-
-    // Note: This assumes you have a role field on the User model
-    // If you have a separate TeamMember junction table, update that instead
-    user.role = role;
-    await user.save();
+    team.updatedAt = Date.now();
+    await team.save();
+    await recordAudit(req, { action: 'member.update', entityType: 'team', before, after: team, details: { userId: memberId, role } });
 
     res.json({ message: 'Member role updated successfully', userId: memberId, role });
   } catch (err) {
@@ -534,7 +594,7 @@ router.put('/:teamId/members/:memberId', [
 // @route   DELETE /api/teams/:teamId/members/:memberId
 // @desc    Remove member from team
 // @access  Private (Project managers, Admin)
-router.delete('/:teamId/members/:memberId', [auth, isManager], async (req, res) => {
+router.delete('/:teamId/members/:memberId', [auth, requirePermission('team.members.manage', 'Manager access required')], async (req, res) => {
   try {
     const { teamId, memberId } = req.params;
 
@@ -549,16 +609,9 @@ router.delete('/:teamId/members/:memberId', [auth, isManager], async (req, res)
       return res.status(404).json({ message: 'Team not found' });
     }
 
-    // Check access permissions for managers
-    if (req.user.role === 'manager') {
-      const projectManagers = team.project.managers || [];
-      const isManager = projectManagers.some(
-        manager => manager.toString() === req.user._id.toString()
-      );
-      
-      if (!isManager) {
-        return res.status(403).json({ message: 'Not authorized to remove team members' });
-      }
+    // Check access permissions
+    if (!(await can(req.user, 'team.members.manage', { team: team._id, project: team.project }))) {
+      return res.status(403).json({ message: 'Not authorized to remove team members' });
     }
 
     // Check if user is a member of the team
@@ -567,8 +620,11 @@ router.delete('/:teamId/members/:memberId', [auth, isManager], async (req, res)
     }
 
     // Remove user from team
+    const before = toAuditSnapshot(team);
     team.members = team.members.filter(member => member.toString() !== memberId);
+    team.leads = team.leads.filter(lead => lead.toString() !== memberId);
     await team.save();
+    await recordAudit(req, { action: 'member.remove', entityType: 'team', before, after: team, details: { userId: memberId } });
 
     // Remove team from user's teams array
     await User.findByIdAndUpdate(
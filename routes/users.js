@@ -1,20 +1,47 @@
 import express from 'express';
 import { check, validationResult } from 'express-validator';
 import User from '../models/User.js';
-import { auth, isAdmin, isManager } from '../middleware/auth.js';
+import Team from '../models/Team.js';
+import { auth, requirePermission } from '../middleware/auth.js';
+import { can, hasPermission, getUserFilter } from '../utils/permissions.js';
+import { revokeUserSessions } from '../utils/tokens.js';
+import { sendInvitation, revokeInvitation } from '../utils/invitations.js';
+import { unlockAccount } from '../utils/loginProtection.js';
+import { recordAudit, toAuditSnapshot } from '../utils/audit.js';
+import { isValidTimeZone } from '../utils/dates.js';
+import { escapeHtml } from '../utils/mailer.js';
+import { notify, announceNewMembers } from '../utils/notifications.js';
 
 const router = express.Router();
 
+// What the permission policy needs to know about a user record
+const userResource = (user) => ({
+  user: user._id,
+  createdBy: user.createdBy?._id || user.createdBy,
+  teams: (user.teams || []).map(team => team._id || team)
+});
+
+// Announce the teams in `user.teams` that aren't in `previousTeamIds` (see announceNewMembers)
+const announceTeamsJoined = async (user, previousTeamIds, actor) => {
+  const previous = previousTeamIds.map(id => id.toString());
+  const added = user.teams.filter(id => !previous.includes(id.toString()));
+  if (added.length === 0) return;
+
+  const teams = await Team.find({ _id: { $in: added } }).select('name project');
+  for (const team of teams) {
+    await announceNewMembers(team, [user._id], actor);
+  }
+};
+
 // @route   POST /api/users
-// @desc    Create a user (admin creates managers, managers create employees)
+// @desc    Invite a user (admin creates managers, managers create employees)
 // @access  Private (Admin, Manager)
 router.post('/', [
   auth,
-  isManager,
+  requirePermission('user.create', 'Manager access required'),
   [
     check('name', 'Name is required').not().isEmpty(),
     check('email', 'Please include a valid email').isEmail(),
-    check('password', 'Please enter a password with 6 or more characters').isLength({ min: 6 }),
     check('role', 'Role is required').not().isEmpty()
   ]
 ], async (req, res) => {
@@ -23,9 +50,16 @@ router.post('/', [
     return res.status(400).json({ errors: errors.array() });
   }
 
-  const { name, email, password, role, teams = [], projects = [] } = req.body;
+  const { name, email, role, teams = [], projects = [], timezone, location } = req.body;
 
   try {
+    if (timezone && !isValidTimeZone(timezone)) {
+      return res.status(400).json({ message: 'Timezone must be a valid IANA timezone (e.g. Asia/Kolkata)' });
+    }
+    if (location !== undefined && location !== null && typeof location !== 'string') {
+      return res.status(400).json({ message: 'Location must be text' });
+    }
+
     // Check if user already exists
     let user = await User.findOne({ email });
     if (user) {
@@ -33,28 +67,33 @@ router.post('/', [
     }
 
     // Check role permissions
-    if (req.user.role === 'manager' && role === 'admin') {
+    if (role === 'admin' && !hasPermission(req.user.role, 'user.role.assign')) {
       return res.status(403).json({ message: 'Managers cannot create admin users' });
     }
 
-    // Create user
+    // Create pending user; they set their own password from the invite link
     user = new User({
       name,
       email,
-      password,
       role,
+      status: 'pending',
       teams,
       projects,
+      timezone: timezone || undefined,
+      location: location || undefined,
       createdBy: req.user._id
     });
 
-    await user.save();
+    await sendInvitation(user, req.user);
+    await recordAudit(req, { action: 'create', entityType: 'user', after: user });
+    await announceTeamsJoined(user, [], req.user);
 
     res.status(201).json({
       id: user._id,
       name: user.name,
       email: user.email,
       role: user.role,
+      status: user.status,
       teams: user.teams,
       projects: user.projects
     });
@@ -77,12 +116,9 @@ router.get('/', auth, async (req, res) => {
     }
     
     // Filter by access level
-    if (req.user.role === 'manager') {
-      // Managers can only see their created users or team members
-      query.$or = [
-        { createdBy: req.user._id },
-        { teams: { $in: req.user.teams } }
-      ];
+    const accessFilter = await getUserFilter(req.user, 'user.view');
+    if (accessFilter) {
+      query = { $and: [query, accessFilter] };
     }
     
     const users = await User.find(query)
@@ -114,13 +150,7 @@ router.get('/:id', auth, async (req, res) => {
     }
     
     // Check access permissions
-    const isOwnProfile = req.user._id.toString() === req.params.id;
-    const isCreator = user.createdBy && req.user._id.toString() === user.createdBy.toString();
-    const isTeamMember = req.user.teams.some(team => 
-      user.teams.includes(team._id || team)
-    );
-    
-    if (req.user.role !== 'admin' && !isOwnProfile && !isCreator && !isTeamMember) {
+    if (!(await can(req.user, 'user.view', userResource(user)))) {
       return res.status(403).json({ message: 'Not authorized to view this user' });
     }
     
@@ -143,31 +173,48 @@ router.put('/:id', auth, async (req, res) => {
     }
     
     // Check access permissions
-    const isOwnProfile = req.user._id.toString() === req.params.id;
     const isCreator = user.createdBy && req.user._id.toString() === user.createdBy.toString();
     
-    if (req.user.role !== 'admin' && !isOwnProfile && !isCreator) {
+    if (!(await can(req.user, 'user.update', userResource(user)))) {
       return res.status(403).json({ message: 'Not authorized to update this user' });
     }
     
     // Prevent role escalation
-    if (req.body.role && req.user.role !== 'admin' && req.body.role !== user.role) {
+    const canAssignRole = hasPermission(req.user.role, 'user.role.assign');
+    if (req.body.role && !canAssignRole && req.body.role !== user.role) {
       return res.status(403).json({ message: 'Not authorized to change user role' });
     }
     
     // Update user fields
-    const { name, email, role, teams, projects, password } = req.body;
+    const before = toAuditSnapshot(user);
+    const { name, email, role, teams, projects, password, timezone, location } = req.body;
+    
+    if (timezone && !isValidTimeZone(timezone)) {
+      return res.status(400).json({ message: 'Timezone must be a valid IANA timezone (e.g. Asia/Kolkata)' });
+    }
+    if (location !== undefined && location !== null && typeof location !== 'string') {
+      return res.status(400).json({ message: 'Location must be text' });
+    }
     
     if (name) user.name = name;
     if (email) user.email = email;
-    if (role && req.user.role === 'admin') user.role = role;
-    if (teams && (req.user.role === 'admin' || isCreator)) user.teams = teams;
-    if (projects && req.user.role === 'admin') user.projects = projects;
+    if (role && canAssignRole) user.role = role;
+    if (teams && (hasPermission(req.user.role, 'user.teams.assign') || isCreator)) user.teams = teams;
+    if (projects && hasPermission(req.user.role, 'user.projects.assign')) user.projects = projects;
     if (password) user.password = password;
+    if (timezone !== undefined) user.timezone = timezone || undefined;
+    if (location !== undefined) user.location = location || undefined;
     
     user.updatedAt = Date.now();
     
     await user.save();
+    await recordAudit(req, { action: 'update', entityType: 'user', before, after: user });
+    await announceTeamsJoined(user, before.teams || [], req.user);
+    
+    // A new password ends every existing session
+    if (password) {
+      await revokeUserSessions(user._id);
+    }
     
     res.json({
       id: user._id,
@@ -175,7 +222,9 @@ router.put('/:id', auth, async (req, res) => {
       email: user.email,
       role: user.role,
       teams: user.teams,
-      projects: user.projects
+      projects: user.projects,
+      timezone: user.timezone,
+      location: user.location
     });
   } catch (err) {
     console.error(err.message);
@@ -186,7 +235,7 @@ router.put('/:id', auth, async (req, res) => {
 // @route   DELETE /api/users/:id
 // @desc    Delete user
 // @access  Private (Admin only)
-router.delete('/:id', [auth, isAdmin], async (req, res) => {
+router.delete('/:id', [auth, requirePermission('user.delete', 'Admin access required')], async (req, res) => {
   try {
     const user = await User.findById(req.params.id);
     
@@ -194,7 +243,9 @@ router.delete('/:id', [auth, isAdmin], async (req, res) => {
       return res.status(404).json({ message: 'User not found' });
     }
     
+    await revokeUserSessions(user._id);
     await user.deleteOne();
+    await recordAudit(req, { action: 'delete', entityType: 'user', before: user });
     
     res.json({ message: 'User removed' });
   } catch (err) {
@@ -203,6 +254,134 @@ router.delete('/:id', [auth, isAdmin], async (req, res) => {
   }
 });
 
+// @route   POST /api/users/:id/invite
+// @desc    Resend the invitation of a pending user
+// @access  Private (Admin, Creator Manager)
+router.post('/:id/invite', [auth, requirePermission('user.invite', 'Manager access required')], async (req, res) => {
+  try {
+    const user = await User.findById(req.params.id);
+    
+    if (!user) {
+      return res.status(404).json({ message: 'User not found' });
+    }
+    
+    if (!(await can(req.user, 'user.invite', { createdBy: user.createdBy }))) {
+      return res.status(403).json({ message: 'Not authorized to invite this user' });
+    }
+    
+    if (user.status !== 'pending') {
+      return res.status(400).json({ message: 'User has already accepted their invitation' });
+    }
+    
+    await sendInvitation(user, req.user);
+    await recordAudit(req, { action: 'invite.send', entityType: 'user', entityId: user._id });
+    
+    res.json({ message: 'Invitation sent', invitedAt: user.invitedAt });
+  } catch (err) {
+    console.error(err.message);
+    res.status(500).send('Server error');
+  }
+});
+
+// @route   DELETE /api/users/:id/invite
+// @desc    Revoke the outstanding invitation of a pending user
+// @access  Private (Admin, Creator Manager)
+router.delete('/:id/invite', [auth, requirePermission('user.invite', 'Manager access required')], async (req, res) => {
+  try {
+    const user = await User.findById(req.params.id);
+    
+    if (!user) {
+      return res.status(404).json({ message: 'User not found' });
+    }
+    
+    if (!(await can(req.user, 'user.invite', { createdBy: user.createdBy }))) {
+      return res.status(403).json({ message: 'Not authorized to revoke this invitation' });
+    }
+    
+    if (user.status !== 'pending') {
+      return res.status(400).json({ message: 'User has already accepted their invitation' });
+    }
+    
+    await revokeInvitation(user);
+    await recordAudit(req, { action: 'invite.revoke', entityType: 'user', entityId: user._id });
+    
+    res.json({ message: 'Invitation revoked' });
+  } catch (err) {
+    console.error(err.message);
+    res.status(500).send('Server error');
+  }
+});
+
+// @route   POST /api/users/:id/unlock
+// @desc    Unlock an account locked after failed logins
+// @access  Private (Admin only)
+router.post('/:id/unlock', [auth, requirePermission('user.admin', 'Admin access required')], async (req, res) => {
+  try {
+    const user = await User.findById(req.params.id);
+    
+    if (!user) {
+      return res.status(404).json({ message: 'User not found' });
+    }
+    
+    await unlockAccount(user, req.user, req.ip);
+    await recordAudit(req, { action: 'unlock', entityType: 'user', entityId: user._id });
+    
+    res.json({ message: 'Account unlocked' });
+  } catch (err) {
+    console.error(err.message);
+    res.status(500).send('Server error');
+  }
+});
+
+// @route   POST /api/users/:id/2fa/reset
+// @desc    Remove a user's two-factor enrollment (lost device); they re-enroll on next login if required
+// @access  Private (Admin only)
+router.post('/:id/2fa/reset', [auth, requirePermission('user.admin', 'Admin access required')], async (req, res) => {
+  try {
+    const user = await User.findById(req.params.id);
+    
+    if (!user) {
+      return res.status(404).json({ message: 'User not found' });
+    }
+    
+    await User.updateOne(
+      { _id: user._id },
+      {
+        $set: { twoFactorEnabled: false, twoFactorRecoveryCodes: [] },
+        $unset: { twoFactorSecret: 1, twoFactorPendingSecret: 1, twoFactorLastStep: 1, twoFactorEnabledAt: 1 }
+      }
+    );
+    await revokeUserSessions(user._id);
+    await recordAudit(req, { action: '2fa.reset', entityType: 'user', entityId: user._id });
+    
+    res.json({ message: 'Two-factor authentication reset' });
+  } catch (err) {
+    console.error(err.message);
+    res.status(500).send('Server error');
+  }
+});
+
+// @route   POST /api/users/:id/revoke-sessions
+// @desc    Log a user out of every session
+// @access  Private (Admin only)
+router.post('/:id/revoke-sessions', [auth, requirePermission('user.admin', 'Admin access required')], async (req, res) => {
+  try {
+    const user = await User.findById(req.params.id);
+    
+    if (!user) {
+      return res.status(404).json({ message: 'User not found' });
+    }
+    
+    await revokeUserSessions(user._id);
+    await recordAudit(req, { action: 'sessions.revoke', entityType: 'user', entityId: user._id });
+    
+    res.json({ message: 'User sessions revoked' });
+  } catch (err) {
+    console.error(err.message);
+    res.status(500).send('Server error');
+  }
+});
+
 router.get('/available', auth, async (req, res) => {
   try {
     const { teamId, search = '' } = req.query;
@@ -237,14 +416,12 @@ router.get('/available', auth, async (req, res) => {
   }
 });
 
-// Add this route to a new notifications.js router file or existing router
-
-// @route   POST /api/notifications/send
-// @desc    Send notification/reminder to user
-// @access  Private (Project managers, Admin)
+// @route   POST /api/users/send
+// @desc    Send a reminder to a user (inbox and/or email, per their preferences)
+// @access  Private (Project managers, Team leads, Admin)
 router.post('/send', [
   auth,
-  isManager,
+  requirePermission('reminder.send', 'Manager access required'),
   [
     check('email', 'Email is required').isEmail(),
     check('type', 'Notification type is required').not().isEmpty(),
@@ -265,29 +442,32 @@ router.post('/send', [
       return res.status(404).json({ message: 'User not found' });
     }
 
-    // Here you would implement your notification system
-    // This could be email, in-app notifications, SMS, etc.
-    
-    // Example: Create a notification record (you'd need a Notification model)
-    // const notification = new Notification({
-    //   recipient: user._id,
-    //   sender: req.user._id,
-    //   type,
-    //   message,
-    //   sentAt: new Date()
-    // });
-    // await notification.save();
-
-    // Example: Send email (you'd need to set up nodemailer or similar)
-    // await sendEmail({
-    //   to: email,
-    //   subject: `Reminder: ${type}`,
-    //   body: message
-    // });
-
-    console.log(`Notification sent to ${email}: ${message}`);
-    
-    res.json({ message: 'Notification sent successfully' });
+    // Managers remind users in their projects, team leads members of their teams
+    if (!(await can(req.user, 'reminder.send', { teams: user.teams, projects: user.projects }))) {
+      return res.status(403).json({ message: 'Not authorized to send reminders to this user' });
+    }
+
+    // Delivered in-app and/or by email according to the user's reminder preference
+    const notification = await notify(user, {
+      type: 'statusReminder',
+      title: `Reminder: ${type}`,
+      message,
+      link: '/status',
+      actor: req.user._id,
+      email: {
+        subject: `Reminder: ${type}`,
+        text: `Hi ${user.name},\n\n${message}\n\n- ${req.user.name}`,
+        html: `<p>Hi ${escapeHtml(user.name)},</p>` +
+          `<p>${escapeHtml(message).replace(/\n/g, '<br>')}</p>` +
+          `<p>- ${escapeHtml(req.user.name)}</p>`
+      }
+    });
+
+    if (!notification) {
+      return res.json({ message: 'The user has turned off reminders', delivered: false });
+    }
+
+    res.json({ message: 'Notification sent successfully', delivered: true, notification });
   } catch (err) {
     console.error('Error sending notification:', err);
     res.status(500).json({ message: 'Server error', error: err.message });
@@ -0,0 +1,371 @@
+import express from 'express';
+import mongoose from 'mongoose';
+import { check, validationResult } from 'express-validator';
+import Webhook from '../models/Webhook.js';
+import WebhookDelivery from '../models/WebhookDelivery.js';
+import Team from '../models/Team.js';
+import { auth, requirePermission } from '../middleware/auth.js';
+import { can, getAccessibleProjectIds } from '../utils/permissions.js';
+import { recordAudit, toAuditSnapshot } from '../utils/audit.js';
+import { EVENT_TYPES } from '../utils/events.js';
+import { checkWebhookUrl, generateWebhookSecret, redeliver } from '../utils/webhooks.js';
+
+const router = express.Router();
+
+// Shape returned by every endpoint; the secret only when it was just created or rotated
+const formatWebhook = (webhook, secret) => ({
+  id: webhook._id,
+  name: webhook.name,
+  url: webhook.url,
+  events: webhook.events,
+  project: webhook.project,
+  team: webhook.team,
+  active: webhook.active,
+  createdBy: webhook.createdBy,
+  createdAt: webhook.createdAt,
+  updatedAt: webhook.updatedAt,
+  ...(secret ? { secret } : {})
+});
+
+// Check the project/team scope of a request body; returns { project, team } or { error }.
+// A team scope implies its project.
+const resolveScope = async ({ project, team }) => {
+  for (const [name, id] of Object.entries({ project, team })) {
+    if (id && !mongoose.Types.ObjectId.isValid(id)) {
+      return { error: `Invalid ${name} ID` };
+    }
+  }
+
+  if (!team) return { project: project || undefined, team: undefined };
+
+  const teamData = await Team.findById(team).select('project');
+  if (!teamData) {
+    return { error: 'Team not found' };
+  }
+  if (project && teamData.project.toString() !== project.toString()) {
+    return { error: 'Team does not belong to the given project' };
+  }
+
+  return { project: teamData.project, team: teamData._id };
+};
+
+// Load a webhook the current user may manage; sends the error response and returns null otherwise
+const findManagedWebhook = async (req, res, select) => {
+  if (!mongoose.Types.ObjectId.isValid(req.params.id)) {
+    res.status(400).json({ message: 'Invalid webhook ID' });
+    return null;
+  }
+
+  const webhook = await Webhook.findById(req.params.id).select(select);
+  if (!webhook) {
+    res.status(404).json({ message: 'Webhook not found' });
+    return null;
+  }
+
+  // Managers manage webhooks scoped to their projects; unscoped ones are admin only
+  if (!(await can(req.user, 'webhook.manage', { project: webhook.project }))) {
+    res.status(403).json({ message: 'Not authorized to manage this webhook' });
+    return null;
+  }
+
+  return webhook;
+};
+
+// Receivers' responses can reveal what the webhook URL points at, so only admins
+// (who may manage every webhook) see their bodies
+const hideResponseBody = async (user, delivery) => {
+  if (await can(user, 'webhook.manage')) return delivery;
+  const { responseBody, ...rest } = delivery;
+  return rest;
+};
+
+const webhookValidation = (optional) => {
+  const field = (name, message) => (optional ? check(name, message).optional() : check(name, message));
+
+  return [
+    field('name', 'Name is required').not().isEmpty(),
+    field('url', 'URL must be an http(s) URL').isURL({ protocols: ['http', 'https'], require_tld: false }),
+    check('events', 'Events must be an array').optional().isArray(),
+    check('events.*', `Events must be one of: ${EVENT_TYPES.join(', ')}`).isIn(EVENT_TYPES),
+    check('active', 'Active must be true or false').optional().isBoolean()
+  ];
+};
+
+// @route   GET /api/webhooks
+// @desc    List webhooks (admins see all, managers those scoped to their projects)
+// @access  Private (Admin, Manager)
+router.get('/', [auth, requirePermission('webhook.manage', 'Manager access required')], async (req, res) => {
+  try {
+    const projectIds = await getAccessibleProjectIds(req.user, 'webhook.manage');
+    const query = projectIds === null ? {} : { project: { $in: projectIds } };
+
+    const webhooks = await Webhook.find(query).sort({ createdAt: -1 });
+    res.json(webhooks.map(webhook => formatWebhook(webhook)));
+  } catch (err) {
+    console.error(err.message);
+    res.status(500).send('Server error');
+  }
+});
+
+// @route   POST /api/webhooks
+// @desc    Create a webhook; the signing secret is returned only in this response
+// @access  Private (Admin, Manager)
+router.post('/', [
+  auth,
+  requirePermission('webhook.manage', 'Manager access required'),
+  webhookValidation(false),
+  check('secret', 'Secret must be at least 16 characters').optional().isLength({ min: 16 })
+], async (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({ errors: errors.array() });
+  }
+
+  const { name, url, events = [], active, secret } = req.body;
+
+  try {
+    const scope = await resolveScope(req.body);
+    if (scope.error) {
+      return res.status(400).json({ message: scope.error });
+    }
+
+    if (!(await can(req.user, 'webhook.manage', { project: scope.project }))) {
+      return res.status(403).json({
+        message: scope.project
+          ? 'Not authorized to add webhooks to this project'
+          : 'Only admins can add webhooks that are not scoped to a project'
+      });
+    }
+
+    const urlCheck = await checkWebhookUrl(url);
+    if (urlCheck.error) {
+      return res.status(400).json({ message: urlCheck.error });
+    }
+
+    const webhook = new Webhook({
+      name,
+      url,
+      secret: secret || generateWebhookSecret(),
+      events: [...new Set(events)],
+      project: scope.project,
+      team: scope.team,
+      active: active ?? true,
+      createdBy: req.user._id
+    });
+
+    await webhook.save();
+    await recordAudit(req, { action: 'create', entityType: 'webhook', after: webhook });
+
+    res.status(201).json(formatWebhook(webhook, webhook.secret));
+  } catch (err) {
+    console.error(err.message);
+    res.status(500).send('Server error');
+  }
+});
+
+// @route   GET /api/webhooks/:id
+// @desc    Get a webhook
+// @access  Private (Admin, Manager)
+router.get('/:id', [auth, requirePermission('webhook.manage', 'Manager access required')], async (req, res) => {
+  try {
+    const webhook = await findManagedWebhook(req, res);
+    if (!webhook) return;
+
+    res.json(formatWebhook(webhook));
+  } catch (err) {
+    console.error(err.message);
+    res.status(500).send('Server error');
+  }
+});
+
+// @route   PUT /api/webhooks/:id
+// @desc    Update a webhook's name, URL, events, scope or active flag
+// @access  Private (Admin, Manager)
+router.put('/:id', [
+  auth,
+  requirePermission('webhook.manage', 'Manager access required'),
+  webhookValidation(true)
+], async (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({ errors: errors.array() });
+  }
+
+  try {
+    const webhook = await findManagedWebhook(req, res);
+    if (!webhook) return;
+
+    const before = toAuditSnapshot(webhook);
+    const { name, url, events, active } = req.body;
+
+    if (req.body.project !== undefined || req.body.team !== undefined) {
+      const scope = await resolveScope(req.body);
+      if (scope.error) {
+        return res.status(400).json({ message: scope.error });
+      }
+      if (!(await can(req.user, 'webhook.manage', { project: scope.project }))) {
+        return res.status(403).json({ message: 'Not authorized to move this webhook to that scope' });
+      }
+      webhook.project = scope.project;
+      webhook.team = scope.team;
+    }
+
+    if (url) {
+      const urlCheck = await checkWebhookUrl(url);
+      if (urlCheck.error) {
+        return res.status(400).json({ message: urlCheck.error });
+      }
+    }
+
+    if (name) webhook.name = name;
+    if (url) webhook.url = url;
+    if (events) webhook.events = [...new Set(events)];
+    if (active !== undefined) webhook.active = active;
+    webhook.updatedAt = Date.now();
+
+    await webhook.save();
+    await recordAudit(req, { action: 'update', entityType: 'webhook', before, after: webhook });
+
+    res.json(formatWebhook(webhook));
+  } catch (err) {
+    console.error(err.message);
+    res.status(500).send('Server error');
+  }
+});
+
+// @route   POST /api/webhooks/:id/rotate-secret
+// @desc    Replace the signing secret; the new one is returned only in this response
+// @access  Private (Admin, Manager)
+router.post('/:id/rotate-secret', [auth, requirePermission('webhook.manage', 'Manager access required')], async (req, res) => {
+  try {
+    const webhook = await findManagedWebhook(req, res, '+secret');
+    if (!webhook) return;
+
+    const before = toAuditSnapshot(webhook);
+    webhook.secret = generateWebhookSecret();
+    webhook.updatedAt = Date.now();
+
+    await webhook.save();
+    await recordAudit(req, { action: 'secret.rotate', entityType: 'webhook', before, after: webhook });
+
+    res.json(formatWebhook(webhook, webhook.secret));
+  } catch (err) {
+    console.error(err.message);
+    res.status(500).send('Server error');
+  }
+});
+
+// @route   DELETE /api/webhooks/:id
+// @desc    Delete a webhook and its delivery log
+// @access  Private (Admin, Manager)
+router.delete('/:id', [auth, requirePermission('webhook.manage', 'Manager access required')], async (req, res) => {
+  try {
+    const webhook = await findManagedWebhook(req, res);
+    if (!webhook) return;
+
+    await WebhookDelivery.deleteMany({ webhook: webhook._id });
+    await webhook.deleteOne();
+    await recordAudit(req, { action: 'delete', entityType: 'webhook', before: webhook });
+
+    res.json({ message: 'Webhook deleted' });
+  } catch (err) {
+    console.error(err.message);
+    res.status(500).send('Server error');
+  }
+});
+
+// @route   GET /api/webhooks/:id/deliveries
+// @desc    Delivery log, newest first (?state=pending|succeeded|failed, ?event, ?page, ?limit)
+// @access  Private (Admin, Manager)
+router.get('/:id/deliveries', [auth, requirePermission('webhook.manage', 'Manager access required')], async (req, res) => {
+  try {
+    const webhook = await findManagedWebhook(req, res);
+    if (!webhook) return;
+
+    const query = { webhook: webhook._id };
+    if (req.query.state) query.state = req.query.state;
+    if (req.query.event) query.event = req.query.event;
+
+    const limit = Math.min(parseInt(req.query.limit) || 50, 200);
+    const page = Math.max(parseInt(req.query.page) || 1, 1);
+
+    const [deliveries, total] = await Promise.all([
+      WebhookDelivery.find(query)
+        .select('-payload -lockedUntil')
+        .sort({ createdAt: -1 })
+        .skip((page - 1) * limit)
+        .limit(limit)
+        .lean(),
+      WebhookDelivery.countDocuments(query)
+    ]);
+
+    res.json({
+      deliveries: await Promise.all(deliveries.map(delivery => hideResponseBody(req.user, delivery))),
+      total,
+      page,
+      limit
+    });
+  } catch (err) {
+    console.error(err.message);
+    res.status(500).send('Server error');
+  }
+});
+
+// @route   GET /api/webhooks/:id/deliveries/:deliveryId
+// @desc    One delivery including the payload that was sent
+// @access  Private (Admin, Manager)
+router.get('/:id/deliveries/:deliveryId', [auth, requirePermission('webhook.manage', 'Manager access required')], async (req, res) => {
+  try {
+    const webhook = await findManagedWebhook(req, res);
+    if (!webhook) return;
+
+    if (!mongoose.Types.ObjectId.isValid(req.params.deliveryId)) {
+      return res.status(400).json({ message: 'Invalid delivery ID' });
+    }
+
+    const delivery = await WebhookDelivery.findOne({ _id: req.params.deliveryId, webhook: webhook._id })
+      .select('-lockedUntil')
+      .lean();
+    if (!delivery) {
+      return res.status(404).json({ message: 'Delivery not found' });
+    }
+
+    res.json(await hideResponseBody(req.user, delivery));
+  } catch (err) {
+    console.error(err.message);
+    res.status(500).send('Server error');
+  }
+});
+
+// @route   POST /api/webhooks/:id/deliveries/:deliveryId/redeliver
+// @desc    Send a delivery's payload again (as a new delivery, with a fresh signature)
+// @access  Private (Admin, Manager)
+router.post('/:id/deliveries/:deliveryId/redeliver', [auth, requirePermission('webhook.manage', 'Manager access required')], async (req, res) => {
+  try {
+    const webhook = await findManagedWebhook(req, res);
+    if (!webhook) return;
+
+    if (!webhook.active) {
+      return res.status(400).json({ message: 'Webhook is disabled' });
+    }
+
+    if (!mongoose.Types.ObjectId.isValid(req.params.deliveryId)) {
+      return res.status(400).json({ message: 'Invalid delivery ID' });
+    }
+
+    const delivery = await WebhookDelivery.findOne({ _id: req.params.deliveryId, webhook: webhook._id });
+    if (!delivery) {
+      return res.status(404).json({ message: 'Delivery not found' });
+    }
+
+    const redelivery = await redeliver(delivery);
+    const { payload, lockedUntil, ...result } = redelivery.toObject();
+
+    res.status(201).json(await hideResponseBody(req.user, result));
+  } catch (err) {
+    console.error(err.message);
+    res.status(500).send('Server error');
+  }
+});
+
+export default router;
@@ -0,0 +1,61 @@
+import mongoose from 'mongoose';
+import Status from '../models/Status.js';
+import dotenv from 'dotenv';
+import { calendarDateToDate, isValidTimeZone, toCalendarDate } from '../utils/dates.js';
+dotenv.config();
+
+// One-off migration: give statuses saved before calendar days existed a `day`
+// and replace the old date-based unique index. Legacy dates are midnights in the
+// server's timezone, so that timezone has to be given (there is no safe default):
+//   node scripts/backfillStatusDays.js Asia/Kolkata
+// or DEFAULT_TIMEZONE in the environment.
+async function backfillStatusDays() {
+  const timezone = process.argv[2] || process.env.DEFAULT_TIMEZONE;
+  if (!isValidTimeZone(timezone)) {
+    console.error(timezone
+      ? `"${timezone}" is not a valid IANA timezone.`
+      : 'Give the timezone legacy statuses were saved in, e.g. node scripts/backfillStatusDays.js Asia/Kolkata (or set DEFAULT_TIMEZONE).');
+    process.exit(1);
+  }
+
+  await mongoose.connect(process.env.MONGODB_URI);
+
+  const pending = await Status.countDocuments({ day: { $exists: false } });
+  console.log(`Backfilling ${pending} status(es), reading their dates in ${timezone}.`);
+
+  const cursor = Status.find({ day: { $exists: false } }).select('date').lean().cursor();
+
+  let operations = [];
+  let updated = 0;
+
+  const flush = async () => {
+    if (operations.length === 0) return;
+    await Status.bulkWrite(operations);
+    updated += operations.length;
+    operations = [];
+  };
+
+  for await (const status of cursor) {
+    const day = toCalendarDate(status.date, timezone);
+    operations.push({
+      updateOne: {
+        filter: { _id: status._id },
+        update: { $set: { day, timezone, date: calendarDateToDate(day) } }
+      }
+    });
+
+    if (operations.length >= 500) await flush();
+  }
+  await flush();
+
+  // Drops the { user, team, date } unique index and builds the day-based ones
+  await Status.syncIndexes();
+
+  console.log(`Backfilled ${updated} status(es) using ${timezone}.`);
+  process.exit(0);
+}
+
+backfillStatusDays().catch(err => {
+  console.error(err);
+  process.exit(1);
+});
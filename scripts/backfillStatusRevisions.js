@@ -0,0 +1,52 @@
+import mongoose from 'mongoose';
+import Status from '../models/Status.js';
+import StatusRevision from '../models/StatusRevision.js';
+import dotenv from 'dotenv';
+dotenv.config();
+
+// Repair: record the current revision of statuses whose revision couldn't be written
+// when they were saved (the save itself still went through). Only the latest state
+// can be recovered; a revision that was missed and then edited again stays a gap.
+//   node scripts/backfillStatusRevisions.js
+async function backfillStatusRevisions() {
+  await mongoose.connect(process.env.MONGODB_URI);
+
+  const missing = await Status.aggregate([
+    { $match: { revision: { $gt: 0 } } },
+    {
+      $lookup: {
+        from: StatusRevision.collection.name,
+        let: { status: '$_id', revision: '$revision' },
+        pipeline: [
+          { $match: { $expr: { $and: [{ $eq: ['$status', '$$status'] }, { $eq: ['$revision', '$$revision'] }] } } },
+          { $limit: 1 },
+          { $project: { _id: 1 } }
+        ],
+        as: 'current'
+      }
+    },
+    { $match: { current: { $size: 0 } } }
+  ]);
+
+  console.log(`Recording the current revision of ${missing.length} status(es).`);
+
+  let recorded = 0;
+  for (const status of missing) {
+    try {
+      await StatusRevision.create(StatusRevision.fromStatus(status, {
+        action: status.revision === 1 ? 'create' : 'update'
+      }));
+      recorded++;
+    } catch (err) {
+      console.error(`Failed to record revision ${status.revision} of status ${status._id}:`, err.message);
+    }
+  }
+
+  console.log(`Recorded ${recorded} revision(s).`);
+  process.exit(0);
+}
+
+backfillStatusRevisions().catch(err => {
+  console.error(err);
+  process.exit(1);
+});
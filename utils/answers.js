@@ -0,0 +1,293 @@
+import vm from 'vm';
+import mongoose from 'mongoose';
+import Question, { RAG_LEVELS, RATING_RANGE } from '../models/Question.js';
+import Status from '../models/Status.js';
+import { isCalendarDate } from './dates.js';
+
+// Answers are stored twice: `answer` is the text shown everywhere (exports, digests,
+// chat replies) and `value` the typed answer of structured questions, which reports
+// aggregate. Text and choice questions only have the text.
+
+const BOOLEAN_ANSWERS = {
+  true: true,
+  yes: true,
+  y: true,
+  false: false,
+  no: false,
+  n: false
+};
+
+// Legacy free-text RAG answers, e.g. 'Amber - waiting on QA'
+const RAG_PATTERN = /^(red|amber|green)\b/i;
+
+const capitalize = (value) => value.charAt(0).toUpperCase() + value.slice(1);
+
+// Questions' patterns are written by managers and some backtrack badly on the
+// wrong answer, so they run with a time limit instead of on the event loop directly
+const PATTERN_TIMEOUT_MS = 50;
+const patternContext = vm.createContext({});
+const patternTest = new vm.Script('pattern.test(text)');
+
+// Whether `text` matches a question's pattern as a whole; null when the pattern is
+// invalid or the match ran out of time
+const matchesAnswerPattern = (source, text) => {
+  try {
+    patternContext.pattern = new RegExp(`^(?:${source})$`);
+    patternContext.text = text;
+    return patternTest.runInContext(patternContext, { timeout: PATTERN_TIMEOUT_MS });
+  } catch {
+    return null;
+  } finally {
+    patternContext.pattern = undefined;
+    patternContext.text = undefined;
+  }
+};
+
+// Check a text answer against its question's length bounds and pattern
+const parseTextAnswer = (question, text) => {
+  if (question.minLength != null && text.length < question.minLength) {
+    return { error: `must be at least ${question.minLength} characters` };
+  }
+  if (question.maxLength != null && text.length > question.maxLength) {
+    return { error: `must be at most ${question.maxLength} characters` };
+  }
+  if (question.pattern) {
+    const matches = matchesAnswerPattern(question.pattern, text);
+    if (matches === null) {
+      return { error: 'can\'t be checked against its pattern; ask a manager to fix the question' };
+    }
+    if (!matches) {
+      return { error: question.patternMessage || 'is not in the expected format' };
+    }
+  }
+  return { answer: text };
+};
+
+// Match choice answers to the question's options (ignoring case). Multiple choice
+// answers come as an array or a comma-separated string and are stored joined by ', '.
+const parseChoiceAnswer = (question, input) => {
+  const options = (question.options || []).map(option => option.text);
+  const findOption = (value) => options.find(option => option.toLowerCase() === String(value).trim().toLowerCase());
+
+  if (question.type === 'single_choice' || typeof input === 'string') {
+    const whole = typeof input === 'string' ? findOption(input) : undefined;
+    if (whole) return { answer: whole };
+    if (question.type === 'single_choice') {
+      return { error: `must be one of: ${options.join(', ')}` };
+    }
+  }
+
+  const values = Array.isArray(input) ? input : String(input ?? '').split(',');
+  const chosen = values.filter(value => String(value).trim()).map(findOption);
+  if (chosen.length === 0 || chosen.includes(undefined)) {
+    return { error: `must be one or more of: ${options.join(', ')}` };
+  }
+  return { answer: [...new Set(chosen)].join(', ') };
+};
+
+// Parse an answer (a string, or a number/boolean from JSON clients) to a question.
+// Returns { answer, value } or { error } saying what the answer must be.
+const parseAnswer = (question, input) => {
+  const text = typeof input === 'string' ? input.trim() : input;
+
+  switch (question.type) {
+    case 'number': {
+      const value = typeof text === 'number' ? text : Number(text);
+      if (typeof text === 'boolean' || text === '' || text === null || !Number.isFinite(value)) {
+        return { error: 'must be a number' };
+      }
+      if (question.min !== undefined && question.min !== null && value < question.min) {
+        return { error: `must be at least ${question.min}` };
+      }
+      if (question.max !== undefined && question.max !== null && value > question.max) {
+        return { error: `must be at most ${question.max}` };
+      }
+      return { answer: String(value), value };
+    }
+
+    case 'rating': {
+      const value = typeof text === 'number' ? text : Number(text);
+      if (typeof text === 'boolean' || !Number.isInteger(value) || value < RATING_RANGE.min || value > RATING_RANGE.max) {
+        return { error: `must be a whole number from ${RATING_RANGE.min} to ${RATING_RANGE.max}` };
+      }
+      return { answer: String(value), value };
+    }
+
+    case 'date':
+      if (!isCalendarDate(text)) {
+        return { error: 'must be a date (YYYY-MM-DD)' };
+      }
+      return { answer: text, value: text };
+
+    case 'boolean': {
+      const value = typeof text === 'boolean' ? text : BOOLEAN_ANSWERS[String(text).toLowerCase()];
+      if (value === undefined) {
+        return { error: 'must be yes or no' };
+      }
+      return { answer: value ? 'Yes' : 'No', value };
+    }
+
+    case 'rag': {
+      const value = typeof text === 'string' ? text.toLowerCase() : null;
+      if (!RAG_LEVELS.includes(value)) {
+        return { error: `must be one of: ${RAG_LEVELS.map(capitalize).join(', ')}` };
+      }
+      return { answer: capitalize(value), value };
+    }
+
+    case 'single_choice':
+    case 'multiple_choice':
+      return parseChoiceAnswer(question, text);
+
+    default:
+      return parseTextAnswer(question, String(text ?? ''));
+  }
+};
+
+const isBlankAnswer = (input) =>
+  input === undefined || input === null || (typeof input === 'string' && !input.trim()) || (Array.isArray(input) && input.length === 0);
+
+// Questions of a list of responses by ID; invalid IDs are left out
+const loadResponseQuestions = async (responses = []) => {
+  const ids = [...new Set(responses.map(response => response?.question?.toString()))]
+    .filter(id => mongoose.Types.ObjectId.isValid(id));
+  const questions = await Question.find({ _id: { $in: ids } });
+
+  return new Map(questions.map(question => [question._id.toString(), question]));
+};
+
+// Active required questions of a team
+const loadRequiredQuestions = (team) => Question.find({
+  active: true,
+  required: true,
+  $or: [{ isCommon: true }, { teams: team }]
+}).sort({ order: 1, createdAt: 1 });
+
+// Check the answers of a submission against their questions' types and rules, and,
+// given a `team`, that each of its required questions is answered. Blank answers to
+// optional questions are left out; answers to questions that no longer exist are kept
+// as text. Returns { responses } ready to store, or { error, fieldErrors } with one
+// message per question ID for forms to show next to the question.
+const parseResponses = async (responses = [], { team } = {}) => {
+  const questions = await loadResponseQuestions(responses);
+  const parsed = [];
+  const fieldErrors = {};
+  const answered = new Set();
+
+  responses.forEach(response => {
+    const id = response.question?.toString();
+    const question = questions.get(id);
+
+    if (answered.has(id)) {
+      fieldErrors[id] = `"${question?.text || id}" is answered more than once`;
+      return;
+    }
+    answered.add(id);
+
+    if (isBlankAnswer(response.answer)) {
+      if (question?.required) {
+        fieldErrors[id] = `"${question.text}" is required`;
+      }
+      return;
+    }
+
+    if (!question) {
+      parsed.push({ question: response.question, answer: String(response.answer).trim() });
+      return;
+    }
+
+    const { answer, value, error } = parseAnswer(question, response.answer);
+    if (error) {
+      fieldErrors[id] = `"${question.text}" ${error}`;
+      return;
+    }
+
+    parsed.push({ question: question._id, answer, ...(value !== undefined ? { value } : {}) });
+  });
+
+  if (team) {
+    const required = await loadRequiredQuestions(team);
+    required
+      .filter(question => !answered.has(question._id.toString()))
+      .forEach(question => {
+        fieldErrors[question._id.toString()] = `"${question.text}" is required`;
+      });
+  }
+
+  const messages = Object.values(fieldErrors);
+  return messages.length > 0 ? { error: messages.join('; '), fieldErrors } : { responses: parsed };
+};
+
+// Typed answer for data that can't be rejected (e.g. imported history): the parsed
+// answer when it fits the question, else the text as given
+const toStoredAnswer = (question, input) => {
+  const parsed = parseAnswer(question, input);
+  return parsed.error ? { answer: String(input).trim() } : { answer: parsed.answer, value: parsed.value };
+};
+
+// RAG level of a response: its value for RAG questions, else read from the start
+// of a free-text answer. Returns 'red', 'amber', 'green' or null.
+const getResponseRag = (response) => {
+  if (RAG_LEVELS.includes(response?.value)) return response.value;
+
+  const match = RAG_PATTERN.exec((response?.answer || '').toString().trim());
+  return match ? match[1].toLowerCase() : null;
+};
+
+// Aggregate the answers to a question over the statuses matching `match` (a Status
+// filter): how many there are, average/min/max of typed numbers, and how often each
+// answer was given for types with a fixed set of answers.
+const summarizeAnswers = async (question, match) => {
+  const counted = ['rating', 'boolean', 'rag', 'single_choice'].includes(question.type);
+
+  const [result] = await Status.aggregate([
+    { $match: { ...match, isLeave: false, 'responses.question': question._id } },
+    { $unwind: '$responses' },
+    { $match: { 'responses.question': question._id } },
+    {
+      $facet: {
+        totals: [{
+          $group: {
+            _id: null,
+            count: { $sum: 1 },
+            average: { $avg: '$responses.value' },
+            min: { $min: '$responses.value' },
+            max: { $max: '$responses.value' }
+          }
+        }],
+        distribution: counted
+          ? [
+            { $group: { _id: question.type === 'single_choice' ? '$responses.answer' : '$responses.value', count: { $sum: 1 } } },
+            { $sort: { _id: 1 } }
+          ]
+          : [{ $limit: 0 }]
+      }
+    }
+  ]);
+
+  const totals = result?.totals[0] || { count: 0 };
+  const summary = { count: totals.count };
+
+  if (['number', 'rating'].includes(question.type)) {
+    summary.average = totals.average ?? null;
+    summary.min = totals.min ?? null;
+    summary.max = totals.max ?? null;
+  }
+  if (question.type === 'date') {
+    summary.earliest = totals.min ?? null;
+    summary.latest = totals.max ?? null;
+  }
+  if (counted) {
+    summary.distribution = (result?.distribution || []).map(entry => ({ value: entry._id, count: entry.count }));
+  }
+
+  return summary;
+};
+
+export {
+  parseAnswer,
+  parseResponses,
+  toStoredAnswer,
+  getResponseRag,
+  summarizeAnswers
+};
@@ -0,0 +1,81 @@
+import crypto from 'crypto';
+import AuditLog from '../models/AuditLog.js';
+
+// Secrets are never copied into the log, only a short fingerprint so changes still show
+const REDACTED_FIELDS = [
+  'password',
+  'passwordResetTokenHash',
+  'passwordResetExpires',
+  'invitationTokenHash',
+  'invitationExpires',
+  'twoFactorSecret',
+  'twoFactorPendingSecret',
+  'twoFactorRecoveryCodes',
+  'twoFactorLastStep',
+  'keyHash',
+  'secret'
+];
+const IGNORED_FIELDS = ['_id', '__v', 'createdAt', 'updatedAt'];
+
+// Plain JSON copy of a document (or object) as it should appear in the log
+const toAuditSnapshot = (doc) => {
+  if (!doc) return null;
+
+  const plain = typeof doc.toObject === 'function'
+    ? doc.toObject({ depopulate: true, virtuals: false })
+    : doc;
+  const snapshot = JSON.parse(JSON.stringify(plain));
+
+  REDACTED_FIELDS.forEach(field => {
+    if (snapshot[field] !== undefined && snapshot[field] !== null) {
+      const fingerprint = crypto.createHash('sha256').update(JSON.stringify(snapshot[field])).digest('hex');
+      snapshot[field] = `[redacted:${fingerprint.slice(0, 8)}]`;
+    }
+  });
+
+  return snapshot;
+};
+
+// Top-level fields that differ between two snapshots: { field: { before, after } }
+const diffSnapshots = (before, after) => {
+  const fields = new Set([...Object.keys(before || {}), ...Object.keys(after || {})]);
+  const diff = {};
+
+  fields.forEach(field => {
+    if (IGNORED_FIELDS.includes(field)) return;
+
+    const previous = before?.[field] ?? null;
+    const next = after?.[field] ?? null;
+
+    if (JSON.stringify(previous) !== JSON.stringify(next)) {
+      diff[field] = { before: previous, after: next };
+    }
+  });
+
+  return diff;
+};
+
+// Record one audit entry for the request's user. `before`/`after` are documents or
+// snapshots (omit `before` for creations and `after` for deletions). Failures are
+// logged but never break the request that triggered them.
+const recordAudit = async (req, { action, entityType, entityId, before, after, details }) => {
+  try {
+    const beforeSnapshot = before ? toAuditSnapshot(before) : null;
+    const afterSnapshot = after ? toAuditSnapshot(after) : null;
+
+    await AuditLog.create({
+      actor: req.user?._id,
+      apiKey: req.apiKey?._id,
+      action,
+      entityType,
+      entityId: entityId || after?._id || before?._id,
+      diff: diffSnapshots(beforeSnapshot, afterSnapshot),
+      details,
+      ip: req.ip
+    });
+  } catch (err) {
+    console.error('Failed to record audit log:', err.message);
+  }
+};
+
+export { toAuditSnapshot, diffSnapshots, recordAudit };
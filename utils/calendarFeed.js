@@ -0,0 +1,188 @@
+import Team from '../models/Team.js';
+import Status from '../models/Status.js';
+import Project from '../models/Project.js';
+import HolidayCalendar from '../models/HolidayCalendar.js';
+import { getAccessibleTeamIds } from './permissions.js';
+import { describeLeave, resolveLeaveTypes } from './leave.js';
+import { pickCalendar } from './holidays.js';
+import { addDays, getToday, resolveTimeZone } from './dates.js';
+
+// iCalendar (.ics) feed of team leave that calendar apps subscribe to by URL. The URL
+// carries the user's feed token instead of a login (see routes/leave.js).
+
+// Days before and after today the feed covers
+const FEED_PAST_DAYS = 90;
+const FEED_FUTURE_DAYS = 365;
+
+const escapeIcalText = (value) => String(value)
+  .replace(/\\/g, '\\\\')
+  .replace(/;/g, '\\;')
+  .replace(/,/g, '\\,')
+  .replace(/\r?\n/g, '\\n');
+
+// Lines longer than 75 bytes continue on the next line after a space (RFC 5545 3.1)
+const foldIcalLine = (line) => {
+  const parts = [];
+  let current = '';
+
+  for (const char of line) {
+    const limit = parts.length === 0 ? 75 : 74;
+    if (Buffer.byteLength(current + char) > limit) {
+      parts.push(current);
+      current = char;
+    } else {
+      current += char;
+    }
+  }
+
+  parts.push(current);
+  return parts.join('\r\n ');
+};
+
+const formatIcalDay = (day) => day.replace(/-/g, '');
+
+const formatIcalTimestamp = (date) => new Date(date).toISOString().replace(/[-:]/g, '').replace(/\.\d{3}/, '');
+
+// Render all-day events ({ uid, day, summary, description, categories, updatedAt }) as a calendar
+const renderIcalendar = ({ name, events }, now = new Date()) => {
+  const lines = [
+    'BEGIN:VCALENDAR',
+    'VERSION:2.0',
+    'PRODID:-//Status Tracker//Leave feed//EN',
+    'CALSCALE:GREGORIAN',
+    'METHOD:PUBLISH',
+    `X-WR-CALNAME:${escapeIcalText(name)}`,
+    'REFRESH-INTERVAL;VALUE=DURATION:PT1H',
+    'X-PUBLISHED-TTL:PT1H'
+  ];
+
+  events.forEach(event => {
+    lines.push(
+      'BEGIN:VEVENT',
+      `UID:${event.uid}`,
+      `DTSTAMP:${formatIcalTimestamp(event.updatedAt || now)}`,
+      `DTSTART;VALUE=DATE:${formatIcalDay(event.day)}`,
+      `DTEND;VALUE=DATE:${formatIcalDay(addDays(event.day, 1))}`,
+      `SUMMARY:${escapeIcalText(event.summary)}`,
+      ...(event.description ? [`DESCRIPTION:${escapeIcalText(event.description)}`] : []),
+      ...(event.categories ? [`CATEGORIES:${escapeIcalText(event.categories)}`] : []),
+      // Leave shouldn't show the subscriber as busy
+      'TRANSP:TRANSPARENT',
+      'END:VEVENT'
+    );
+  });
+
+  lines.push('END:VCALENDAR');
+  return `${lines.map(foldIcalLine).join('\r\n')}\r\n`;
+};
+
+// The user's own leave and the leave of members of their teams and of teams whose
+// leave they may see (leave.view: teams they manage or lead), one event per member
+// and day, plus the holidays of the user's own calendar(s). Reasons and types can be
+// personal, so other people's entries only show them with leave.view on the team.
+const buildLeaveFeedEvents = async (user, now = new Date()) => {
+  const today = getToday(resolveTimeZone(user.timezone), now);
+  const start = addDays(today, -FEED_PAST_DAYS);
+  const end = addDays(today, FEED_FUTURE_DAYS);
+
+  const teamIds = await getAccessibleTeamIds(user, 'leave.view');
+  const detailedTeams = teamIds && new Set(teamIds.map(id => id.toString()));
+  const memberTeamIds = user.teams || [];
+  const statuses = await Status.find({
+    ...(teamIds === null ? {} : { $or: [{ team: { $in: [...teamIds, ...memberTeamIds] } }, { user: user._id }] }),
+    isLeave: true,
+    day: { $gte: start, $lte: end }
+  })
+    .select('user team project day leaveType leaveDuration leaveReason updatedAt')
+    .populate('user', 'name')
+    .populate('team', 'name')
+    .sort({ day: 1 })
+    .lean();
+
+  const projects = await Project.find({ _id: { $in: [...new Set(statuses.map(status => status.project.toString()))] } })
+    .select('leaveTypes')
+    .lean();
+  const leaveTypesByProject = new Map(projects.map(project => [project._id.toString(), resolveLeaveTypes(project)]));
+
+  const isDetailed = (status) => !detailedTeams || detailedTeams.has(status.team._id.toString())
+    || status.user._id.toString() === user._id.toString();
+
+  // A member in two of the teams is listed once per day, with details if either team allows them
+  const seen = new Set();
+  const events = [];
+  const listed = statuses.filter(status => status.user && status.team);
+
+  [...listed.filter(isDetailed), ...listed.filter(status => !isDetailed(status))].forEach(status => {
+    const key = `${status.user._id}:${status.day}`;
+    if (seen.has(key)) return;
+    seen.add(key);
+
+    if (!isDetailed(status)) {
+      events.push({
+        uid: `leave-${status._id}@status-tracker`,
+        day: status.day,
+        summary: `${status.user.name} - ${describeLeave({ leaveDuration: status.leaveDuration })}`,
+        description: status.team.name,
+        categories: 'Leave',
+        updatedAt: status.updatedAt
+      });
+      return;
+    }
+
+    const leaveTypes = leaveTypesByProject.get(status.project.toString());
+    const label = describeLeave(status, leaveTypes);
+    const typeName = leaveTypes?.find(type => type.key === status.leaveType)?.name;
+
+    events.push({
+      uid: `leave-${status._id}@status-tracker`,
+      day: status.day,
+      summary: `${status.user.name} - ${label}`,
+      description: [status.team.name, status.leaveReason !== typeName ? status.leaveReason : null].filter(Boolean).join('\n'),
+      categories: typeName || 'Leave',
+      updatedAt: status.updatedAt
+    });
+  });
+
+  // Holidays follow the subscriber's location in each project they work in
+  const ownTeams = await Team.find({ _id: { $in: user.teams || [] } }).select('project').lean();
+  const ownProjects = [...new Set(ownTeams.map(team => team.project?.toString()).filter(Boolean))];
+  const calendars = await HolidayCalendar.find({
+    year: { $gte: parseInt(start.slice(0, 4)), $lte: parseInt(end.slice(0, 4)) }
+  })
+    .sort({ createdAt: 1 })
+    .lean();
+
+  const holidays = new Map();
+  for (let year = parseInt(start.slice(0, 4)); year <= parseInt(end.slice(0, 4)); year++) {
+    const picked = ownProjects.length > 0
+      ? ownProjects.map(project => pickCalendar(calendars, { project, location: user.location, year }))
+      : [pickCalendar(calendars, { location: user.location, year })];
+
+    picked.filter(Boolean).forEach(calendar => {
+      calendar.holidays
+        .filter(holiday => holiday.day >= start && holiday.day <= end)
+        .forEach(holiday => holidays.set(`${holiday.day}:${holiday.name}`, { ...holiday, calendar }));
+    });
+  }
+
+  holidays.forEach(({ day, name, calendar }) => {
+    events.push({
+      uid: `holiday-${calendar._id}-${formatIcalDay(day)}@status-tracker`,
+      day,
+      summary: `Holiday: ${name}`,
+      description: calendar.name,
+      categories: 'Holiday',
+      updatedAt: calendar.updatedAt
+    });
+  });
+
+  return events.sort((a, b) => a.day.localeCompare(b.day));
+};
+
+// The whole feed for `user` as .ics text
+const buildLeaveFeed = async (user, now = new Date()) => renderIcalendar({
+  name: 'Team leave',
+  events: await buildLeaveFeedEvents(user, now)
+}, now);
+
+export { renderIcalendar, buildLeaveFeedEvents, buildLeaveFeed };
@@ -0,0 +1,174 @@
+import { addDays, getToday, isCalendarDate } from './dates.js';
+
+// Text of chat slash commands, e.g.
+//   /status yesterday: fixed login | today: reports | blockers: none
+//   /status team: Backend | date: yesterday | 1: ... | 2: ...
+//   /leave tomorrow doctor's appointment
+//   /leave type: sick | feeling unwell
+// Parts are separated by '|' or new lines. "label: answer" parts are matched to a
+// question by its number or by words from its text; unlabeled parts fill the
+// remaining questions in order. 'team' and 'date' (and 'reason' and 'type' for /leave) are reserved.
+const RESERVED_LABELS = ['team', 'date', 'reason', 'type'];
+const LABEL_PATTERN = /^\s*([\p{L}\p{N} ?'-]{1,60}):\s*([\s\S]*)$/u;
+const DATE_WORDS = { today: 0, yesterday: -1, tomorrow: 1 };
+
+const normalize = (value) => value.toLowerCase().replace(/[^\p{L}\p{N}]+/gu, ' ').trim();
+
+// Split command text into { labeled: [{ label, value }], unlabeled: [value] }
+const splitParts = (text) => {
+  const labeled = [];
+  const unlabeled = [];
+
+  (text || '').split(/\||\n/).map(part => part.trim()).filter(Boolean).forEach(part => {
+    const match = LABEL_PATTERN.exec(part);
+    if (match) {
+      labeled.push({ label: match[1].trim(), value: match[2].trim() });
+    } else {
+      unlabeled.push(part);
+    }
+  });
+
+  return { labeled, unlabeled };
+};
+
+// Value of a reserved "name: value" part, e.g. the team a command is for
+const readOption = (text, name) =>
+  splitParts(text).labeled.find(({ label }) => label.toLowerCase() === name)?.value;
+
+// 'today' / 'yesterday' / 'tomorrow' / 'YYYY-MM-DD' to a calendar date in `timeZone`; null otherwise
+const resolveDateWord = (value, timeZone, now = new Date()) => {
+  const word = (value || '').trim().toLowerCase();
+  if (word in DATE_WORDS) return addDays(getToday(timeZone, now), DATE_WORDS[word]);
+  return isCalendarDate(word) ? word : null;
+};
+
+// Find the question a label refers to: its 1-based number, its full text, or words from it
+const findQuestion = (label, questions) => {
+  if (/^\d+$/.test(label)) {
+    return questions[parseInt(label) - 1] || null;
+  }
+
+  const wanted = normalize(label);
+  const exact = questions.filter(question => normalize(question.text) === wanted);
+  if (exact.length === 1) return exact[0];
+
+  const partial = questions.filter(question => ` ${normalize(question.text)} `.includes(` ${wanted} `));
+  return partial.length === 1 ? partial[0] : null;
+};
+
+// Parse /status text against a team's questions (in display order). Returns
+// { options: { team, date }, responses: [{ question, answer }], missing: [question], errors: [message] }
+const parseStatusCommand = (text, questions) => {
+  const { labeled, unlabeled } = splitParts(text);
+  const options = {};
+  const answers = new Map();
+  const errors = [];
+
+  labeled.forEach(({ label, value }) => {
+    const key = label.toLowerCase();
+    if (key === 'team' || key === 'date') {
+      options[key] = value;
+      return;
+    }
+
+    const question = findQuestion(label, questions);
+    if (!question) {
+      errors.push(`"${label}" doesn't match exactly one question`);
+    } else if (answers.has(question._id.toString())) {
+      errors.push(`"${question.text}" is answered twice`);
+    } else if (value) {
+      answers.set(question._id.toString(), value);
+    }
+  });
+
+  const unanswered = questions.filter(question => !answers.has(question._id.toString()));
+  unlabeled.forEach((value, index) => {
+    if (unanswered[index]) {
+      answers.set(unanswered[index]._id.toString(), value);
+    } else {
+      errors.push(`There are more answers than questions ("${value}")`);
+    }
+  });
+
+  return {
+    options,
+    responses: questions
+      .filter(question => answers.has(question._id.toString()))
+      .map(question => ({ question: question._id.toString(), answer: answers.get(question._id.toString()) })),
+    missing: questions.filter(question => !answers.has(question._id.toString())),
+    errors
+  };
+};
+
+// Parse /leave text: an optional leading date word, then the reason.
+// Returns { options: { team, date, type }, reason }
+const parseLeaveCommand = (text) => {
+  const { labeled, unlabeled } = splitParts(text);
+  const options = {};
+  let reason = unlabeled.join(' ');
+
+  // A leading date word ("tomorrow sick"), before or after "label: value" parts are read
+  const takeLeadingDate = () => {
+    const [firstWord, ...rest] = reason.split(/\s+/);
+    if (!options.date && firstWord && (firstWord.toLowerCase() in DATE_WORDS || isCalendarDate(firstWord))) {
+      options.date = firstWord;
+      reason = rest.join(' ');
+    }
+  };
+
+  takeLeadingDate();
+  labeled.forEach(({ label, value }) => {
+    const key = label.toLowerCase();
+    if (RESERVED_LABELS.includes(key)) {
+      if (key === 'reason') reason = [reason, value].filter(Boolean).join(' ');
+      else options[key] = value;
+    } else {
+      // Not one of ours, so the colon was part of the reason
+      reason = [reason, `${label}: ${value}`].filter(Boolean).join(' ');
+    }
+  });
+  takeLeadingDate();
+
+  return { options, reason: reason.trim() };
+};
+
+// Bulleted question list used in help and "missing answers" replies
+const formatQuestionList = (questions, allQuestions = questions) => questions
+  .map(question => `• ${allQuestions.indexOf(question) + 1}. ${question.text}${question.required ? ' (required)' : ''}`)
+  .join('\n');
+
+const formatHelp = (teamName, questions) => [
+  `*Submit your ${teamName} status from chat*`,
+  '`/status label: answer | label: answer | ...` where a label is a question number or a word from it.',
+  'Add `team: <name>` if you are in several teams and `date: yesterday` (or YYYY-MM-DD) for another day.',
+  '`/leave [today|tomorrow|YYYY-MM-DD] <reason>` marks leave; add `type: <leave type>` (e.g. `type: sick`) to say which kind.',
+  '',
+  'Questions:',
+  formatQuestionList(questions)
+].join('\n');
+
+const formatStatusConfirmation = (status, teamName, questions) => {
+  const answers = new Map(status.responses.map(response => [response.question.toString(), response.answer]));
+  const lines = questions
+    .filter(question => answers.has(question._id.toString()))
+    .map(question => `• *${question.text}* ${answers.get(question._id.toString())}`);
+
+  return [
+    `Status saved for ${teamName} on ${status.day}${status.isLate ? ' (late)' : ''}:`,
+    ...lines
+  ].join('\n');
+};
+
+const formatLeaveConfirmation = (status, teamName) =>
+  `Leave marked for ${status.day} (${teamName}): ${status.leaveReason}${status.isLate ? ' (late)' : ''}`;
+
+export {
+  readOption,
+  resolveDateWord,
+  parseStatusCommand,
+  parseLeaveCommand,
+  formatQuestionList,
+  formatHelp,
+  formatStatusConfirmation,
+  formatLeaveConfirmation
+};
@@ -0,0 +1,51 @@
+// Time source for background jobs. Code that schedules work takes a clock so it
+// can run against the fake one below instead of waiting for real time to pass.
+const systemClock = {
+  now: () => new Date(),
+  setTimeout: (callback, ms) => setTimeout(callback, ms),
+  clearTimeout: (timer) => clearTimeout(timer)
+};
+
+// Manually advanced clock: timers fire only when advance() moves past them
+const createFakeClock = (start = new Date()) => {
+  let current = new Date(start).getTime();
+  let nextId = 1;
+  const timers = new Map();
+
+  const clock = {
+    now: () => new Date(current),
+    setTimeout: (callback, ms) => {
+      const id = nextId++;
+      timers.set(id, { at: current + Math.max(ms, 0), callback });
+      return id;
+    },
+    clearTimeout: (id) => {
+      timers.delete(id);
+    },
+    // Move time forward, firing due timers in order (awaiting async callbacks)
+    advance: async (ms) => {
+      const target = current + ms;
+
+      for (;;) {
+        const due = [...timers.entries()]
+          .filter(([, timer]) => timer.at <= target)
+          .sort((a, b) => a[1].at - b[1].at)[0];
+        if (!due) break;
+
+        const [id, timer] = due;
+        timers.delete(id);
+        current = timer.at;
+        await timer.callback();
+      }
+
+      current = target;
+    },
+    set: (date) => {
+      current = new Date(date).getTime();
+    }
+  };
+
+  return clock;
+};
+
+export { systemClock, createFakeClock };
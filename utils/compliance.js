@@ -0,0 +1,88 @@
+import Team from '../models/Team.js';
+import Status from '../models/Status.js';
+import { loadWorkingCalendar } from './holidays.js';
+import { listDays } from './dates.js';
+
+// Status compliance: how many of the days a member was expected to report on they
+// did report on. Expected days are the working days of the member's holiday calendar
+// (not its weekly off-days or holidays) up to `today`, less the days they were on leave.
+
+const toPercent = (part, whole) => (whole > 0 ? Math.round((part / whole) * 1000) / 10 : null);
+
+// { expectedDays, submittedDays, lateDays, leaveDays, missingDays, compliancePercent }
+const summarizeDays = ({ expectedDays, submittedDays, lateDays, leaveDays }) => ({
+  expectedDays,
+  submittedDays,
+  lateDays,
+  leaveDays,
+  missingDays: expectedDays - submittedDays,
+  compliancePercent: toPercent(submittedDays, expectedDays)
+});
+
+// Compliance of the active members of `teamIds` from `start` to `end` (calendar dates;
+// days after `today` aren't due yet and are left out). Returns
+// { start, end, teams: [{ team, members: [{ user, ...counts }], totals }] }.
+const buildComplianceReport = async ({ teamIds, start, end, today }) => {
+  const dueEnd = end < today ? end : today;
+  const days = start <= dueEnd ? listDays(start, dueEnd) : [];
+
+  const teams = await Team.find({ _id: { $in: teamIds } })
+    .select('name project members')
+    .populate({ path: 'members', match: { status: 'active' }, select: 'name email location' })
+    .sort({ name: 1 })
+    .lean();
+  const statuses = days.length === 0 ? [] : await Status.find({
+    team: { $in: teams.map(team => team._id) },
+    day: { $gte: start, $lte: dueEnd }
+  })
+    .select('user team day isLeave isLate')
+    .lean();
+  const workingCalendar = days.length === 0 ? null : await loadWorkingCalendar(start, dueEnd);
+
+  const statusesByMember = new Map();
+  statuses.forEach(status => {
+    const key = `${status.team}:${status.user}`;
+    if (!statusesByMember.has(key)) statusesByMember.set(key, new Map());
+    statusesByMember.get(key).set(status.day, status);
+  });
+
+  return {
+    start,
+    end,
+    teams: teams.map(team => {
+      const totals = { expectedDays: 0, submittedDays: 0, lateDays: 0, leaveDays: 0 };
+
+      const members = (team.members || []).filter(Boolean).map(member => {
+        const counts = { expectedDays: 0, submittedDays: 0, lateDays: 0, leaveDays: 0 };
+        const byDay = statusesByMember.get(`${team._id}:${member._id}`) || new Map();
+        const { isWorkingDay } = workingCalendar
+          ? workingCalendar.forMember({ project: team.project, location: member.location })
+          : { isWorkingDay: () => false };
+
+        days.filter(isWorkingDay).forEach(day => {
+          const status = byDay.get(day);
+          if (status?.isLeave) {
+            counts.leaveDays++;
+            return;
+          }
+          counts.expectedDays++;
+          if (status) {
+            counts.submittedDays++;
+            if (status.isLate) counts.lateDays++;
+          }
+        });
+
+        Object.keys(totals).forEach(key => { totals[key] += counts[key]; });
+        return { user: { _id: member._id, name: member.name, email: member.email }, ...summarizeDays(counts) };
+      });
+
+      return {
+        team: { _id: team._id, name: team.name },
+        members: members.sort((a, b) => a.user.name.localeCompare(b.user.name)),
+        totals: summarizeDays(totals)
+      };
+    })
+  };
+};
+
+export { buildComplianceReport };
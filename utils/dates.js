@@ -0,0 +1,144 @@
+// Calendar dates are 'YYYY-MM-DD' strings. A status belongs to a calendar day in
+// its member's timezone, so day arithmetic never goes through the server's local time.
+const CALENDAR_DATE_PATTERN = /^\d{4}-\d{2}-\d{2}$/;
+const DAY_MS = 24 * 60 * 60 * 1000;
+// Wall-clock times of day (schedules) are 'HH:mm' strings
+const TIME_OF_DAY_PATTERN = /^([01]\d|2[0-3]):[0-5]\d$/;
+
+const formatterCache = new Map();
+
+const getFormatter = (timeZone) => {
+  if (!formatterCache.has(timeZone)) {
+    formatterCache.set(timeZone, new Intl.DateTimeFormat('en-CA', {
+      timeZone,
+      year: 'numeric',
+      month: '2-digit',
+      day: '2-digit'
+    }));
+  }
+  return formatterCache.get(timeZone);
+};
+
+const isValidTimeZone = (timeZone) => {
+  if (!timeZone || typeof timeZone !== 'string') return false;
+
+  try {
+    getFormatter(timeZone);
+    return true;
+  } catch (error) {
+    return false;
+  }
+};
+
+const getDefaultTimeZone = () =>
+  isValidTimeZone(process.env.DEFAULT_TIMEZONE) ? process.env.DEFAULT_TIMEZONE : 'UTC';
+
+// First valid timezone of the candidates (e.g. user, then team), else the default
+const resolveTimeZone = (...candidates) =>
+  candidates.find(isValidTimeZone) || getDefaultTimeZone();
+
+// Midnight UTC of a calendar date; also how Status.date is stored
+const calendarDateToDate = (day) => new Date(`${day}T00:00:00.000Z`);
+
+const isCalendarDate = (value) => {
+  if (typeof value !== 'string' || !CALENDAR_DATE_PATTERN.test(value)) return false;
+
+  // Out-of-range parts (month 13) are invalid dates, overflowing days (Feb 30) roll over
+  const date = calendarDateToDate(value);
+  return !isNaN(date.getTime()) && date.toISOString().startsWith(value);
+};
+
+// Calendar date of a value in a timezone. Plain 'YYYY-MM-DD' strings are already
+// calendar dates and are returned unchanged; returns null for invalid input.
+const toCalendarDate = (value, timeZone = getDefaultTimeZone()) => {
+  if (isCalendarDate(value)) return value;
+  if (typeof value === 'string' && CALENDAR_DATE_PATTERN.test(value)) return null;
+  if (value === null || value === undefined || value === '') return null;
+
+  const date = value instanceof Date ? value : new Date(value);
+  if (isNaN(date.getTime())) return null;
+
+  return getFormatter(resolveTimeZone(timeZone)).format(date);
+};
+
+const getToday = (timeZone, now = new Date()) => toCalendarDate(now, timeZone);
+
+const addDays = (day, days) =>
+  new Date(calendarDateToDate(day).getTime() + days * DAY_MS).toISOString().slice(0, 10);
+
+// Whole days from one calendar date to another (negative when `to` is earlier)
+const diffDays = (from, to) =>
+  Math.round((calendarDateToDate(to) - calendarDateToDate(from)) / DAY_MS);
+
+// 0 = Sunday ... 6 = Saturday
+const getDayOfWeek = (day) => calendarDateToDate(day).getUTCDay();
+
+// Weekends are off; members' holiday calendars can say otherwise (see utils/holidays.js)
+const isWorkingDay = (day) => ![0, 6].includes(getDayOfWeek(day));
+
+// Every calendar date from start to end, inclusive
+const listDays = (start, end) => {
+  const days = [];
+  for (let day = start; day <= end; day = addDays(day, 1)) {
+    days.push(day);
+  }
+  return days;
+};
+
+// First and last calendar date of a 'YYYY-MM' month; null when malformed
+const getMonthRange = (month) => {
+  const match = /^(\d{4})-(\d{1,2})$/.exec(month || '');
+  if (!match) return null;
+
+  const year = parseInt(match[1]);
+  const monthIndex = parseInt(match[2]) - 1;
+  if (monthIndex < 0 || monthIndex > 11) return null;
+
+  const start = new Date(Date.UTC(year, monthIndex, 1)).toISOString().slice(0, 10);
+  const end = new Date(Date.UTC(year, monthIndex + 1, 0)).toISOString().slice(0, 10);
+  return { start, end };
+};
+
+const timeFormatterCache = new Map();
+
+// Minutes since local midnight of `now` in `timeZone`
+const getMinutesOfDay = (timeZone, now = new Date()) => {
+  if (!timeFormatterCache.has(timeZone)) {
+    timeFormatterCache.set(timeZone, new Intl.DateTimeFormat('en-GB', {
+      timeZone,
+      hour: '2-digit',
+      minute: '2-digit',
+      hourCycle: 'h23'
+    }));
+  }
+
+  const parts = timeFormatterCache.get(timeZone).formatToParts(now);
+  const hour = parseInt(parts.find(part => part.type === 'hour').value);
+  const minute = parseInt(parts.find(part => part.type === 'minute').value);
+  return hour * 60 + minute;
+};
+
+// Minutes since midnight of an 'HH:mm' time of day
+const parseTimeOfDay = (value) => {
+  const [hour, minute] = value.split(':').map(Number);
+  return hour * 60 + minute;
+};
+
+export {
+  TIME_OF_DAY_PATTERN,
+  isValidTimeZone,
+  getDefaultTimeZone,
+  resolveTimeZone,
+  calendarDateToDate,
+  isCalendarDate,
+  toCalendarDate,
+  getToday,
+  addDays,
+  diffDays,
+  getDayOfWeek,
+  isWorkingDay,
+  listDays,
+  getMonthRange,
+  getMinutesOfDay,
+  parseTimeOfDay
+};
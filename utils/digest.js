@@ -0,0 +1,304 @@
+import Project from '../models/Project.js';
+import Team from '../models/Team.js';
+import User from '../models/User.js';
+import Status from '../models/Status.js';
+import DigestRun from '../models/DigestRun.js';
+import { DIGEST_FREQUENCIES } from '../models/DigestSettings.js';
+import { getAccessibleProjectIds, hasPermission } from './permissions.js';
+import { sendMail, getAppUrl, escapeHtml } from './mailer.js';
+import { claimJob, createScheduler } from './scheduler.js';
+import { loadWorkingCalendar } from './holidays.js';
+import { getResponseRag } from './answers.js';
+import {
+  TIME_OF_DAY_PATTERN,
+  addDays,
+  getDayOfWeek,
+  getMinutesOfDay,
+  getToday,
+  isWorkingDay,
+  listDays,
+  parseTimeOfDay,
+  resolveTimeZone
+} from './dates.js';
+
+// 'Red' or 'Amber' for a response to flag: a RAG answer, or a text answer starting
+// with one of them (e.g. 'Amber - waiting on QA'); null otherwise
+const getRagLevel = (response) => {
+  const level = getResponseRag(response);
+  if (level === 'red') return 'Red';
+  return level === 'amber' ? 'Amber' : null;
+};
+
+// Check a request body's digest settings; returns { settings } with only known fields, or { error }
+const parseDigestSettings = (input) => {
+  if (!input || typeof input !== 'object' || Array.isArray(input)) {
+    return { error: 'Digest settings must be an object' };
+  }
+
+  const settings = {};
+
+  if (input.enabled !== undefined) {
+    if (typeof input.enabled !== 'boolean') {
+      return { error: 'enabled must be true or false' };
+    }
+    settings.enabled = input.enabled;
+  }
+
+  if (input.frequency !== undefined) {
+    if (!DIGEST_FREQUENCIES.includes(input.frequency)) {
+      return { error: `frequency must be one of: ${DIGEST_FREQUENCIES.join(', ')}` };
+    }
+    settings.frequency = input.frequency;
+  }
+
+  if (input.time !== undefined) {
+    if (typeof input.time !== 'string' || !TIME_OF_DAY_PATTERN.test(input.time)) {
+      return { error: 'time must be a time of day as HH:mm (e.g. 08:30)' };
+    }
+    settings.time = input.time;
+  }
+
+  if (input.weekday !== undefined) {
+    if (!Number.isInteger(input.weekday) || input.weekday < 0 || input.weekday > 6) {
+      return { error: 'weekday must be a day number from 0 (Sunday) to 6 (Saturday)' };
+    }
+    settings.weekday = input.weekday;
+  }
+
+  return { settings };
+};
+
+// Calendar dates covered by a digest sent on `day`: the previous working day
+// (so Monday's daily digest covers Friday), or the seven days before
+const getDigestPeriod = (frequency, day) => {
+  if (frequency === 'weekly') {
+    return { start: addDays(day, -7), end: addDays(day, -1) };
+  }
+
+  let end = addDays(day, -1);
+  while (!isWorkingDay(end)) end = addDays(end, -1);
+  return { start: end, end };
+};
+
+const byDay = (a, b) => a.localeCompare(b);
+
+// Gather, per project the user manages, each team's submitted / on leave / missing
+// members over the period and every Red or Amber answer
+const buildDigest = async (user, { start, end }) => {
+  const projectIds = await getAccessibleProjectIds(user, 'report.digest');
+  const projectFilter = { active: true };
+  if (projectIds !== null) projectFilter._id = { $in: projectIds };
+
+  const projects = await Project.find(projectFilter).select('name').sort({ name: 1 });
+  const teams = await Team.find({ project: { $in: projects.map(project => project._id) }, active: true })
+    .select('name project members')
+    .populate({ path: 'members', match: { status: 'active' }, select: 'name email location' })
+    .sort({ name: 1 });
+  const statuses = await Status.find({
+    team: { $in: teams.map(team => team._id) },
+    day: { $gte: start, $lte: end }
+  })
+    .select('user team day isLeave responses')
+    .populate('responses.question', 'text');
+
+  const periodDays = listDays(start, end);
+  const workingDays = periodDays.filter(isWorkingDay);
+  const workingCalendar = await loadWorkingCalendar(start, end);
+
+  const summarizeTeam = (team) => {
+    const teamStatuses = statuses.filter(status => status.team.toString() === team._id.toString());
+    const summary = {
+      team: { _id: team._id, name: team.name },
+      memberCount: team.members.length,
+      submitted: [],
+      onLeave: [],
+      missing: [],
+      flagged: []
+    };
+
+    team.members.forEach(member => {
+      const user = { _id: member._id, name: member.name, email: member.email };
+      const memberStatuses = teamStatuses.filter(status => status.user.toString() === member._id.toString());
+      const recordedDays = new Set(memberStatuses.map(status => status.day));
+
+      const submittedDays = memberStatuses.filter(status => !status.isLeave).map(status => status.day).sort(byDay);
+      const leaveDays = memberStatuses.filter(status => status.isLeave).map(status => status.day).sort(byDay);
+      // Only days the member was expected to work count as missed
+      const { isWorkingDay: isMemberWorkingDay } = workingCalendar.forMember({
+        project: team.project,
+        location: member.location
+      });
+      const missingDays = periodDays.filter(day => isMemberWorkingDay(day) && !recordedDays.has(day));
+
+      if (submittedDays.length > 0) summary.submitted.push({ user, days: submittedDays });
+      if (leaveDays.length > 0) summary.onLeave.push({ user, days: leaveDays });
+      if (missingDays.length > 0) summary.missing.push({ user, days: missingDays });
+
+      memberStatuses.forEach(status => {
+        status.responses.forEach(response => {
+          const level = getRagLevel(response);
+          if (level) {
+            summary.flagged.push({
+              user,
+              day: status.day,
+              question: response.question?.text || 'Deleted question',
+              answer: response.answer,
+              level
+            });
+          }
+        });
+      });
+    });
+
+    // Red before Amber, then oldest first
+    summary.flagged.sort((a, b) => (a.level === b.level ? byDay(a.day, b.day) : a.level === 'Red' ? -1 : 1));
+    return summary;
+  };
+
+  return {
+    start,
+    end,
+    workingDays: workingDays.length,
+    projects: projects.map(project => ({
+      project: { _id: project._id, name: project.name },
+      teams: teams
+        .filter(team => team.project.toString() === project._id.toString())
+        .map(summarizeTeam)
+    }))
+  };
+};
+
+const describePeriod = ({ start, end }) => (start === end ? start : `${start} to ${end}`);
+
+// Daily digests list names; weekly ones say how many days, or which days were missed
+const describeEntries = (entries, listDaysOf) => entries.map(({ user, days }) => {
+  if (listDaysOf) return `${user.name} (${days.join(', ')})`;
+  return days.length > 1 ? `${user.name} (${days.length} days)` : user.name;
+});
+
+// Render a digest as an email: { subject, text, html }
+const renderDigest = (digest, user) => {
+  const period = describePeriod(digest);
+  const isRange = digest.start !== digest.end;
+  const reportUrl = `${getAppUrl()}/reports`;
+  const subject = `Status digest for ${period}`;
+
+  const text = [`Hi ${user.name},`, '', `Here is what your teams reported for ${period}.`];
+  const html = [
+    `<p>Hi ${escapeHtml(user.name)},</p>`,
+    `<p>Here is what your teams reported for ${period}.</p>`
+  ];
+
+  digest.projects.forEach(({ project, teams }) => {
+    text.push('', `== ${project.name} ==`);
+    html.push(`<h2>${escapeHtml(project.name)}</h2>`);
+
+    if (teams.length === 0) {
+      text.push('No active teams.');
+      html.push('<p>No active teams.</p>');
+    }
+
+    teams.forEach(summary => {
+      const lines = [
+        ['Submitted', describeEntries(summary.submitted, false)],
+        ['On leave', describeEntries(summary.onLeave, false)],
+        ['Missing', describeEntries(summary.missing, isRange)]
+      ];
+
+      text.push('', `${summary.team.name} (${summary.memberCount} members)`);
+      html.push(`<h3>${escapeHtml(summary.team.name)} (${summary.memberCount} members)</h3>`, '<ul>');
+
+      lines.forEach(([label, names]) => {
+        text.push(`  ${label}: ${names.length > 0 ? names.join(', ') : '-'}`);
+        html.push(`<li><strong>${label}:</strong> ${names.length > 0 ? escapeHtml(names.join(', ')) : '-'}</li>`);
+      });
+      html.push('</ul>');
+
+      if (summary.flagged.length > 0) {
+        text.push('  Red/Amber:');
+        html.push('<table cellpadding="4" border="1" style="border-collapse: collapse">',
+          '<tr><th>RAG</th><th>Member</th><th>Date</th><th>Question</th><th>Answer</th></tr>');
+
+        summary.flagged.forEach(item => {
+          const color = item.level === 'Red' ? '#f8d7da' : '#fff3cd';
+          text.push(`    [${item.level}] ${item.user.name}, ${item.day} - ${item.question}: ${item.answer}`);
+          html.push(`<tr style="background: ${color}"><td>${item.level}</td>` +
+            `<td>${escapeHtml(item.user.name)}</td><td>${item.day}</td>` +
+            `<td>${escapeHtml(item.question)}</td><td>${escapeHtml(item.answer)}</td></tr>`);
+        });
+        html.push('</table>');
+      }
+    });
+  });
+
+  text.push('', `Full reports: ${reportUrl}`);
+  html.push(`<p><a href="${reportUrl}">Open reports</a></p>`);
+
+  return { subject, text: text.join('\n'), html: html.join('\n') };
+};
+
+// Send every digest that is due at `now` in its manager's timezone. A digest whose
+// time went by while the server was down still goes out, as long as it's the same day.
+const runDueDigests = async (now = new Date()) => {
+  const users = await User.find({ 'digestSettings.enabled': true, status: 'active' })
+    .select('name email role timezone digestSettings');
+  const runs = [];
+
+  for (const user of users) {
+    const settings = user.digestSettings;
+    if (!hasPermission(user.role, 'report.digest')) continue;
+
+    const timeZone = resolveTimeZone(user.timezone);
+    const today = getToday(timeZone, now);
+    if (settings.frequency === 'weekly' && getDayOfWeek(today) !== settings.weekday) continue;
+    if (getMinutesOfDay(timeZone, now) < parseTimeOfDay(settings.time)) continue;
+
+    try {
+      const run = await claimJob(DigestRun, { user: user._id, frequency: settings.frequency, day: today }, now);
+      if (!run) continue;
+
+      const period = getDigestPeriod(settings.frequency, today);
+      run.periodStart = period.start;
+      run.periodEnd = period.end;
+
+      try {
+        const digest = await buildDigest(user, period);
+        if (digest.projects.length === 0) {
+          run.state = 'skipped';
+        } else {
+          await sendMail({ to: user.email, ...renderDigest(digest, user) });
+          run.state = 'completed';
+        }
+      } catch (err) {
+        run.state = 'failed';
+        run.error = err.message;
+      }
+
+      run.completedAt = now;
+      await run.save();
+      runs.push(run);
+    } catch (err) {
+      console.error(`Digest failed for user ${user._id}:`, err.message);
+    }
+  }
+
+  return runs;
+};
+
+// Scheduler that sends due digests every `intervalMs` (see utils/scheduler.js)
+const createDigestScheduler = ({ clock, intervalMs } = {}) => createScheduler({
+  name: 'Digest',
+  task: runDueDigests,
+  clock,
+  intervalMs
+});
+
+export {
+  getRagLevel,
+  parseDigestSettings,
+  getDigestPeriod,
+  buildDigest,
+  renderDigest,
+  runDueDigests,
+  createDigestScheduler
+};
@@ -0,0 +1,85 @@
+import { EventEmitter } from 'events';
+import crypto from 'crypto';
+
+// Domain events published by the routes. Integrations (webhooks, ...) subscribe
+// with onEvent() instead of being called from every route that changes data.
+const EVENT_TYPES = [
+  'status.created',
+  'status.updated',
+  'status.deleted',
+  'leave.marked',
+  'leave.requested',
+  'leave.approved',
+  'leave.rejected',
+  'team.member.added'
+];
+
+const emitter = new EventEmitter();
+emitter.setMaxListeners(0);
+
+// Plain JSON copy of a document for an event payload
+const toEventData = (doc) =>
+  JSON.parse(JSON.stringify(doc?.toObject ? doc.toObject({ depopulate: true }) : doc));
+
+// Publish an event. `project` and `team` say where it happened, so subscribers can
+// filter on them; `data` is the payload body. Never throws: a failing subscriber
+// must not fail the request that caused the event.
+const emitEvent = (type, { project, team, actor, data }) => {
+  const event = {
+    id: crypto.randomUUID(),
+    type,
+    createdAt: new Date().toISOString(),
+    project: (project?._id || project)?.toString(),
+    team: (team?._id || team)?.toString(),
+    actor: (actor?._id || actor)?.toString(),
+    data
+  };
+
+  try {
+    emitter.emit('event', event);
+  } catch (err) {
+    console.error(`Failed to publish ${type} event:`, err.message);
+  }
+
+  return event;
+};
+
+// Subscribe to every event; returns a function that unsubscribes
+const onEvent = (listener) => {
+  emitter.on('event', listener);
+  return () => emitter.off('event', listener);
+};
+
+// status.created / status.updated for a saved status, plus leave.marked when it
+// has just become a leave day. `wasLeave` is whether it was leave before the change.
+const emitStatusSaved = (status, { created, wasLeave = false, actor }) => {
+  const scope = { project: status.project, team: status.team, actor };
+  const data = toEventData(status);
+
+  emitEvent(created ? 'status.created' : 'status.updated', { ...scope, data });
+  if (status.isLeave && !wasLeave) {
+    emitEvent('leave.marked', {
+      ...scope,
+      data: {
+        status: data._id,
+        user: data.user,
+        day: data.day,
+        leaveType: data.leaveType,
+        leaveDuration: data.leaveDuration,
+        leaveReason: data.leaveReason
+      }
+    });
+  }
+};
+
+// team.member.added for each of `userIds` joining `team` with `role`
+const emitMembersAdded = (team, userIds, { role = 'Member', actor }) => {
+  userIds.forEach(userId => emitEvent('team.member.added', {
+    project: team.project,
+    team: team._id,
+    actor,
+    data: { team: team._id.toString(), teamName: team.name, user: userId.toString(), role }
+  }));
+};
+
+export { EVENT_TYPES, emitEvent, onEvent, toEventData, emitStatusSaved, emitMembersAdded };
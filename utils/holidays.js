@@ -0,0 +1,276 @@
+import HolidayCalendar, { DEFAULT_WEEKLY_OFF_DAYS } from '../models/HolidayCalendar.js';
+import { addDays, diffDays, getDayOfWeek, isCalendarDate } from './dates.js';
+
+// Holiday calendars decide which days a member is expected to work: not their
+// calendar's weekly off-days and not its holidays. Members without a calendar
+// get weekends off, as before calendars existed.
+
+// Longest event an iCal import expands into holidays (e.g. a week-long closure)
+const MAX_HOLIDAY_EVENT_DAYS = 31;
+
+const toId = (value) => (value?._id || value)?.toString();
+
+const normalizeLocation = (location) => (location || '').trim().toLowerCase();
+
+// Check a request body's weekly off-days; returns { weeklyOffDays } or { error }
+const parseWeeklyOffDays = (input) => {
+  if (!Array.isArray(input) || !input.every(day => Number.isInteger(day) && day >= 0 && day <= 6)) {
+    return { error: 'weeklyOffDays must be a list of day numbers from 0 (Sunday) to 6 (Saturday)' };
+  }
+  if (input.length === 7) {
+    return { error: 'weeklyOffDays must leave at least one working day' };
+  }
+
+  return { weeklyOffDays: [...new Set(input)].sort((a, b) => a - b) };
+};
+
+// Check a request body's holiday list for a calendar year; returns { holidays } sorted by day, or { error }
+const parseHolidays = (input, year) => {
+  if (!Array.isArray(input)) {
+    return { error: 'Holidays must be an array of { day, name }' };
+  }
+
+  const holidays = [];
+
+  for (const holiday of input) {
+    if (!holiday || typeof holiday !== 'object' || !isCalendarDate(holiday.day)) {
+      return { error: 'Each holiday needs a day as YYYY-MM-DD' };
+    }
+    if (parseInt(holiday.day.slice(0, 4)) !== year) {
+      return { error: `Holiday on ${holiday.day} is not in ${year}` };
+    }
+    if (typeof holiday.name !== 'string' || !holiday.name.trim()) {
+      return { error: `Holiday on ${holiday.day} needs a name` };
+    }
+    if (holidays.some(existing => existing.day === holiday.day)) {
+      return { error: `${holiday.day} is listed twice` };
+    }
+
+    holidays.push({ day: holiday.day, name: holiday.name.trim() });
+  }
+
+  return { holidays: holidays.sort((a, b) => a.day.localeCompare(b.day)) };
+};
+
+// Split one CSV line into cells, honouring double-quoted cells ("Day ""One""")
+const splitCsvLine = (line) => {
+  const cells = [];
+  let cell = '';
+  let quoted = false;
+
+  for (let i = 0; i < line.length; i++) {
+    const char = line[i];
+    if (quoted) {
+      if (char === '"' && line[i + 1] === '"') {
+        cell += '"';
+        i++;
+      } else if (char === '"') {
+        quoted = false;
+      } else {
+        cell += char;
+      }
+    } else if (char === '"') {
+      quoted = true;
+    } else if (char === ',') {
+      cells.push(cell.trim());
+      cell = '';
+    } else {
+      cell += char;
+    }
+  }
+
+  cells.push(cell.trim());
+  return cells;
+};
+
+// Holidays from CSV text with a date (YYYY-MM-DD) and a name per line; a header line
+// is skipped. Returns { holidays } or { error } naming the first bad line.
+const parseHolidayCsv = (text) => {
+  const holidays = [];
+  const lines = text.replace(/^\uFEFF/, '').split(/\r?\n/);
+
+  for (const [index, line] of lines.entries()) {
+    if (!line.trim()) continue;
+
+    const [day, name] = splitCsvLine(line);
+    if (index === 0 && !isCalendarDate(day) && /date|day/i.test(day)) continue;
+
+    if (!isCalendarDate(day)) {
+      return { error: `Line ${index + 1}: "${day}" is not a date (YYYY-MM-DD)` };
+    }
+    if (!name) {
+      return { error: `Line ${index + 1}: the holiday on ${day} needs a name` };
+    }
+
+    holidays.push({ day, name });
+  }
+
+  return { holidays };
+};
+
+const unescapeIcalText = (value) => value
+  .replace(/\\n/gi, ' ')
+  .replace(/\\([,;\\])/g, '$1')
+  .trim();
+
+// 'YYYYMMDD' or 'YYYYMMDDTHHmmss[Z]' to a calendar date (the date part as written)
+const toIcalDay = (value) => {
+  const match = /^(\d{4})(\d{2})(\d{2})/.exec(value || '');
+  const day = match && `${match[1]}-${match[2]}-${match[3]}`;
+  return isCalendarDate(day) ? day : null;
+};
+
+// Holidays from the VEVENTs of an iCalendar (.ics) file. All-day events spanning
+// several days become one holiday per day (DTEND is exclusive). Returns { holidays } or { error }.
+const parseHolidayIcal = (text) => {
+  if (!/BEGIN:VCALENDAR/i.test(text)) {
+    return { error: 'Not an iCalendar file (BEGIN:VCALENDAR missing)' };
+  }
+
+  // Long lines are folded onto continuation lines starting with a space or tab
+  const lines = text.replace(/\r?\n[ \t]/g, '').split(/\r?\n/);
+  const holidays = [];
+  let event = null;
+
+  for (const line of lines) {
+    const separator = line.indexOf(':');
+    if (separator === -1) continue;
+
+    const name = line.slice(0, separator).split(';')[0].toUpperCase();
+    const value = line.slice(separator + 1);
+
+    if (name === 'BEGIN' && value.toUpperCase() === 'VEVENT') {
+      event = {};
+    } else if (name === 'END' && value.toUpperCase() === 'VEVENT' && event) {
+      const start = toIcalDay(event.DTSTART);
+      if (!start) {
+        return { error: `Event "${event.SUMMARY || 'untitled'}" has no valid DTSTART` };
+      }
+
+      const endExclusive = toIcalDay(event.DTEND);
+      const end = endExclusive && endExclusive > start ? addDays(endExclusive, -1) : start;
+      if (diffDays(start, end) >= MAX_HOLIDAY_EVENT_DAYS) {
+        return { error: `Event "${event.SUMMARY || start}" is longer than ${MAX_HOLIDAY_EVENT_DAYS} days` };
+      }
+
+      const holidayName = unescapeIcalText(event.SUMMARY || '') || 'Holiday';
+      for (let day = start; day <= end; day = addDays(day, 1)) {
+        holidays.push({ day, name: holidayName });
+      }
+      event = null;
+    } else if (event && ['DTSTART', 'DTEND', 'SUMMARY'].includes(name)) {
+      event[name] = value;
+    }
+  }
+
+  return { holidays };
+};
+
+// Add imported holidays to a calendar's list (or replace it). Days outside the
+// calendar's year are left out, and an imported day replaces an existing one.
+// Returns { holidays, imported, skipped }.
+const mergeHolidays = (existing, imported, year, { replace = false } = {}) => {
+  const inYear = imported.filter(holiday => parseInt(holiday.day.slice(0, 4)) === year);
+
+  // Several events on one day (e.g. regional variants) keep the first one's name
+  const importedByDay = new Map();
+  inYear.forEach(holiday => {
+    if (!importedByDay.has(holiday.day)) importedByDay.set(holiday.day, holiday);
+  });
+
+  const byDay = new Map(replace ? [] : existing.map(holiday => [holiday.day, { day: holiday.day, name: holiday.name }]));
+  importedByDay.forEach((holiday, day) => byDay.set(day, holiday));
+
+  return {
+    holidays: [...byDay.values()].sort((a, b) => a.day.localeCompare(b.day)),
+    imported: importedByDay.size,
+    skipped: imported.length - inYear.length
+  };
+};
+
+// How well a calendar fits a member: a location match counts more than a project
+// match; -1 when it doesn't apply to them at all
+const getCalendarFit = (calendar, project, location) => {
+  const calendarLocation = normalizeLocation(calendar.location);
+  if (calendarLocation && calendarLocation !== normalizeLocation(location)) return -1;
+
+  const projects = calendar.projects || [];
+  if (projects.length > 0 && !projects.some(id => toId(id) === toId(project))) return -1;
+
+  return (calendarLocation ? 2 : 0) + (projects.length > 0 ? 1 : 0);
+};
+
+// The calendar of `year` that applies to a member of `project` at `location`, or null
+const pickCalendar = (calendars, { project, location, year }) => {
+  let best = null;
+  let bestFit = -1;
+
+  calendars.forEach(calendar => {
+    if (calendar.year !== year) return;
+    const fit = getCalendarFit(calendar, project, location);
+    if (fit > bestFit) {
+      best = calendar;
+      bestFit = fit;
+    }
+  });
+
+  return best;
+};
+
+// Working-day checks over a set of loaded calendars. `forMember({ project, location })`
+// gives { isWorkingDay(day), getHoliday(day) } using the calendar of each day's year.
+const createWorkingCalendar = (calendars) => {
+  const forMember = ({ project, location }) => {
+    const cache = new Map();
+    const calendarFor = (day) => {
+      const year = parseInt(day.slice(0, 4));
+      if (!cache.has(year)) {
+        const calendar = pickCalendar(calendars, { project, location, year });
+        cache.set(year, calendar && {
+          weeklyOffDays: calendar.weeklyOffDays,
+          holidays: new Map(calendar.holidays.map(holiday => [holiday.day, holiday.name]))
+        });
+      }
+      return cache.get(year);
+    };
+
+    const getHoliday = (day) => calendarFor(day)?.holidays.get(day) || null;
+    const isWorkingDay = (day) => {
+      const calendar = calendarFor(day);
+      const weeklyOffDays = calendar?.weeklyOffDays || DEFAULT_WEEKLY_OFF_DAYS;
+      return !weeklyOffDays.includes(getDayOfWeek(day)) && !getHoliday(day);
+    };
+
+    return { isWorkingDay, getHoliday };
+  };
+
+  return { forMember };
+};
+
+// Load the calendars covering the calendar dates from `start` to `end`
+const loadWorkingCalendar = async (start, end) => {
+  const calendars = await HolidayCalendar.find({
+    year: { $gte: parseInt(start.slice(0, 4)), $lte: parseInt(end.slice(0, 4)) }
+  })
+    .select('year location projects weeklyOffDays holidays')
+    .sort({ createdAt: 1 })
+    .lean();
+
+  return createWorkingCalendar(calendars);
+};
+
+// Working-day checks for one member of `project` from `start` to `end`
+const loadMemberWorkingDays = async ({ project, location }, start, end) =>
+  (await loadWorkingCalendar(start, end)).forMember({ project, location });
+
+export {
+  parseWeeklyOffDays,
+  parseHolidays,
+  parseHolidayCsv,
+  parseHolidayIcal,
+  mergeHolidays,
+  pickCalendar,
+  createWorkingCalendar,
+  loadWorkingCalendar,
+  loadMemberWorkingDays
+};
@@ -0,0 +1,50 @@
+import User from '../models/User.js';
+import { generateOneTimeToken, hashToken } from './tokens.js';
+import { sendMail, getAppUrl, escapeHtml } from './mailer.js';
+
+const getInvitationTtlDays = () => parseInt(process.env.INVITATION_TTL_DAYS, 10) || 7;
+
+// Issue a fresh invitation link for a pending user and email it.
+// Any earlier link for the same user stops working.
+const sendInvitation = async (user, inviter) => {
+  const { token, tokenHash } = generateOneTimeToken();
+  const ttlDays = getInvitationTtlDays();
+
+  user.invitationTokenHash = tokenHash;
+  user.invitationExpires = new Date(Date.now() + ttlDays * 24 * 60 * 60 * 1000);
+  user.invitedAt = new Date();
+  await user.save();
+
+  const inviteUrl = `${getAppUrl()}/accept-invite?token=${token}`;
+  const invitedBy = inviter?.name ? ` by ${inviter.name}` : '';
+
+  await sendMail({
+    to: user.email,
+    subject: 'You have been invited to Status Tracker',
+    text: `Hi ${user.name},\n\nYou have been invited${invitedBy} to Status Tracker. ` +
+      `Open the link below to set your password. It expires in ${ttlDays} days.\n\n${inviteUrl}`,
+    html: `<p>Hi ${escapeHtml(user.name)},</p>` +
+      `<p>You have been invited${escapeHtml(invitedBy)} to Status Tracker. Open the link below to set your password. ` +
+      `It expires in ${ttlDays} days.</p>` +
+      `<p><a href="${inviteUrl}">Accept invitation</a></p>`
+  });
+
+  return user;
+};
+
+// Invalidate the outstanding invitation link; the user stays pending
+const revokeInvitation = async (user) => {
+  user.invitationTokenHash = undefined;
+  user.invitationExpires = undefined;
+  await user.save();
+  return user;
+};
+
+// Look up the pending user an invitation token belongs to
+const findUserByInvitationToken = (token) => User.findOne({
+  status: 'pending',
+  invitationTokenHash: hashToken(token),
+  invitationExpires: { $gt: new Date() }
+});
+
+export { sendInvitation, revokeInvitation, findUserByInvitationToken };
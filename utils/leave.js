@@ -0,0 +1,305 @@
+import mongoose from 'mongoose';
+import Status from '../models/Status.js';
+import LeaveAllowance from '../models/LeaveAllowance.js';
+import LeaveRequest from '../models/LeaveRequest.js';
+import { DEFAULT_LEAVE_TYPES, LEAVE_DURATIONS, LEAVE_TYPE_KEY_PATTERN } from '../models/LeaveType.js';
+import { diffDays, listDays, toCalendarDate } from './dates.js';
+import { loadMemberWorkingDays } from './holidays.js';
+
+// Leave types, allowances and balances. Leave is recorded as leave statuses (one per
+// day, see utils/statusSubmission.js); balances are worked out from those per
+// calendar year, so there is no running counter to drift out of sync.
+
+const HALF_DAY_DURATIONS = ['first_half', 'second_half'];
+
+// Longest stretch a single leave submission or request may cover
+const MAX_LEAVE_RANGE_DAYS = 60;
+
+const DURATION_LABELS = {
+  first_half: 'first half',
+  second_half: 'second half'
+};
+
+// Days a leave status (or a leave request's day) counts for, as a MongoDB expression
+const leaveDaysExpression = (durationField) => ({ $cond: [{ $in: [durationField, HALF_DAY_DURATIONS] }, 0.5, 1] });
+
+const toPlainLeaveType = (type) => (type?.toObject ? type.toObject() : { ...type });
+
+// A project's leave types, or the defaults when it hasn't configured any
+const resolveLeaveTypes = (project) => {
+  const configured = project?.leaveTypes || [];
+  return (configured.length > 0 ? configured : DEFAULT_LEAVE_TYPES).map(type => ({
+    allowance: null,
+    allowHalfDay: true,
+    active: true,
+    isDefault: false,
+    ...toPlainLeaveType(type)
+  }));
+};
+
+const isHalfDays = (value) => typeof value === 'number' && value >= 0 && Number.isInteger(value * 2);
+
+// Check a request body's leave type list; returns { leaveTypes } or { error }
+const parseLeaveTypes = (input) => {
+  if (!Array.isArray(input) || input.length === 0) {
+    return { error: 'Leave types must be a non-empty array' };
+  }
+
+  const leaveTypes = [];
+
+  for (const type of input) {
+    if (!type || typeof type !== 'object') {
+      return { error: 'Each leave type must be an object' };
+    }
+    if (!LEAVE_TYPE_KEY_PATTERN.test(type.key || '')) {
+      return { error: 'Leave type keys must be lowercase letters, digits or underscores (e.g. "sick")' };
+    }
+    if (leaveTypes.some(existing => existing.key === type.key)) {
+      return { error: `Leave type "${type.key}" is listed twice` };
+    }
+    if (typeof type.name !== 'string' || !type.name.trim()) {
+      return { error: `Leave type "${type.key}" needs a name` };
+    }
+    if (type.allowance !== undefined && type.allowance !== null && !isHalfDays(type.allowance)) {
+      return { error: `Allowance of "${type.key}" must be a number of days (in half days), or null for unlimited` };
+    }
+    for (const field of ['allowHalfDay', 'active', 'isDefault']) {
+      if (type[field] !== undefined && typeof type[field] !== 'boolean') {
+        return { error: `${field} of "${type.key}" must be true or false` };
+      }
+    }
+
+    leaveTypes.push({
+      key: type.key,
+      name: type.name.trim(),
+      allowance: type.allowance ?? null,
+      allowHalfDay: type.allowHalfDay ?? true,
+      active: type.active ?? true,
+      isDefault: type.isDefault ?? false
+    });
+  }
+
+  if (leaveTypes.filter(type => type.isDefault).length > 1) {
+    return { error: 'Only one leave type can be the default' };
+  }
+
+  return { leaveTypes };
+};
+
+const getLeaveDays = (status) => (HALF_DAY_DURATIONS.includes(status.leaveDuration) ? 0.5 : 1);
+
+// Label for a leave status in reports, e.g. "Sick leave (first half)"; leave recorded
+// before leave types existed shows its reason
+const describeLeave = (status, leaveTypes = []) => {
+  const type = leaveTypes.find(candidate => candidate.key === status.leaveType);
+  const label = type?.name || status.leaveType || status.leaveReason || 'Leave';
+  const duration = DURATION_LABELS[status.leaveDuration];
+
+  return duration ? `${label} (${duration})` : label;
+};
+
+// Working days from startDate to endDate (inclusive, read in `timeZone`) with the part
+// of each day taken: `duration` for a single day, otherwise the first day may start at
+// noon (startDuration 'second_half') and the last end at noon (endDuration 'first_half').
+// Working days are those of the member's holiday calendar (`project` and `location`,
+// see utils/holidays.js). Returns { days: [{ day, duration }], start, end, totalDays } or { error }.
+const buildLeaveDays = async ({
+  startDate,
+  endDate,
+  timeZone,
+  project,
+  location,
+  duration = 'full',
+  startDuration = 'full',
+  endDuration = 'full'
+}) => {
+  const start = toCalendarDate(startDate, timeZone);
+  const end = endDate ? toCalendarDate(endDate, timeZone) : start;
+
+  if (!start || !end) {
+    return { error: 'Invalid date range' };
+  }
+  if (end < start) {
+    return { error: 'End date must not be before the start date' };
+  }
+  if (diffDays(start, end) >= MAX_LEAVE_RANGE_DAYS) {
+    return { error: `Leave can cover at most ${MAX_LEAVE_RANGE_DAYS} days at a time` };
+  }
+
+  const { isWorkingDay } = await loadMemberWorkingDays({ project, location }, start, end);
+  const days = listDays(start, end).filter(isWorkingDay).map(day => ({
+    day,
+    duration: start === end ? duration : day === start ? startDuration : day === end ? endDuration : 'full'
+  }));
+  if (days.length === 0) {
+    return { error: 'There are no working days in this range' };
+  }
+
+  return {
+    days,
+    start,
+    end,
+    totalDays: days.reduce((total, { duration: leaveDuration }) => total + getLeaveDays({ leaveDuration }), 0)
+  };
+};
+
+const getYearRange = (year) => ({ start: `${year}-01-01`, end: `${year}-12-31` });
+
+const toObjectId = (id) => new mongoose.Types.ObjectId((id?._id || id).toString());
+
+// Leave days taken, summed per leave type and any further Status fields in `groupBy`
+// (e.g. ['project', 'user']). `match` is a Status filter; only leave statuses are counted.
+const sumLeaveDays = (match, groupBy = []) => Status.aggregate([
+  { $match: { ...match, isLeave: true } },
+  {
+    $group: {
+      _id: Object.fromEntries(['leaveType', ...groupBy].map(field => [field, `$${field}`])),
+      days: { $sum: leaveDaysExpression('$leaveDuration') },
+      entries: { $sum: 1 }
+    }
+  }
+]);
+
+// Days asked for in pending leave requests, summed per leave type. `match` is a
+// LeaveRequest filter, `dayFilter` a condition on the requested days.
+const sumPendingLeaveDays = (match, dayFilter) => LeaveRequest.aggregate([
+  { $match: { ...match, state: 'pending' } },
+  { $unwind: '$days' },
+  { $match: { 'days.day': dayFilter } },
+  { $group: { _id: '$leaveType', days: { $sum: leaveDaysExpression('$days.duration') } } }
+]);
+
+// Allowance, days used, days pending approval and days still available of every leave
+// type for a member in a project and year. `excludeDays` leaves out leave on those days
+// (about to be replaced) and `excludeRequest` a pending request (about to be approved).
+// Leave with an unknown or no type is listed too, without an allowance.
+const getLeaveBalances = async (userId, project, year, { excludeDays = [], excludeRequest } = {}) => {
+  const leaveTypes = resolveLeaveTypes(project);
+  const { start, end } = getYearRange(year);
+  const dayFilter = excludeDays.length > 0 ? { $gte: start, $lte: end, $nin: excludeDays } : { $gte: start, $lte: end };
+
+  const [allowances, usage, pending] = await Promise.all([
+    LeaveAllowance.find({ user: userId, project: project._id, year }).lean(),
+    sumLeaveDays({ user: toObjectId(userId), project: toObjectId(project), day: dayFilter }),
+    sumPendingLeaveDays({
+      user: toObjectId(userId),
+      project: toObjectId(project),
+      ...(excludeRequest ? { _id: { $ne: toObjectId(excludeRequest) } } : {})
+    }, dayFilter)
+  ]);
+
+  const usedByType = new Map(usage.map(entry => [entry._id.leaveType ?? null, entry.days]));
+  const pendingByType = new Map(pending.map(entry => [entry._id, entry.days]));
+
+  const balances = leaveTypes.map(type => {
+    const override = allowances.find(allowance => allowance.leaveType === type.key);
+    const allowance = override?.allowance ?? type.allowance;
+    const adjustment = override?.adjustment || 0;
+    const entitled = allowance === null ? null : allowance + adjustment;
+    const used = usedByType.get(type.key) || 0;
+    const pendingDays = pendingByType.get(type.key) || 0;
+
+    return {
+      leaveType: type.key,
+      name: type.name,
+      active: type.active,
+      allowance,
+      adjustment,
+      entitled,
+      used,
+      remaining: entitled === null ? null : entitled - used,
+      pending: pendingDays,
+      available: entitled === null ? null : entitled - used - pendingDays
+    };
+  });
+
+  usedByType.forEach((used, key) => {
+    if (leaveTypes.some(type => type.key === key)) return;
+    balances.push({
+      leaveType: key,
+      name: key ? `${key} (no longer configured)` : 'Unspecified',
+      active: false,
+      allowance: null,
+      adjustment: 0,
+      entitled: null,
+      used,
+      remaining: null,
+      pending: 0,
+      available: null
+    });
+  });
+
+  return balances;
+};
+
+// Check leave a member wants to take in a project: `days` is [{ day, duration }].
+// Leave without a type is taken as the project's default type, so it still counts
+// against a balance; without a default the type is required. The type must exist
+// and be active, allow half days if any are asked for, and have enough balance left
+// in every year the days fall in, counting leave still pending approval. Existing
+// leave on those days (and on `excludeDays`) doesn't count, as it is about to be
+// replaced, and neither does `excludeRequest` when approving it.
+// Returns { leaveType } (the type's settings) or { error }.
+const checkLeaveRequest = async (project, { user, leaveType, days, excludeDays = [], excludeRequest }) => {
+  const leaveTypes = resolveLeaveTypes(project);
+  const available = leaveTypes.filter(candidate => candidate.active).map(candidate => candidate.key);
+  const type = leaveType
+    ? leaveTypes.find(candidate => candidate.key === leaveType)
+    : leaveTypes.find(candidate => candidate.isDefault);
+
+  if (!type && !leaveType) {
+    return { error: `Leave type is required. Use one of: ${available.join(', ')}` };
+  }
+  if (!type) {
+    return { error: `Unknown leave type "${leaveType}". Use one of: ${available.join(', ')}` };
+  }
+  if (!type.active) {
+    return { error: `${type.name} can no longer be taken` };
+  }
+
+  const invalidDuration = days.find(({ duration }) => !LEAVE_DURATIONS.includes(duration));
+  if (invalidDuration) {
+    return { error: `Leave duration must be one of: ${LEAVE_DURATIONS.join(', ')}` };
+  }
+  if (!type.allowHalfDay && days.some(({ duration }) => HALF_DAY_DURATIONS.includes(duration))) {
+    return { error: `${type.name} can't be taken for half a day` };
+  }
+
+  const daysByYear = new Map();
+  days.forEach(({ day, duration }) => {
+    const year = parseInt(day.slice(0, 4));
+    if (!daysByYear.has(year)) daysByYear.set(year, []);
+    daysByYear.get(year).push({ day, duration });
+  });
+
+  for (const [year, yearDays] of daysByYear) {
+    const balances = await getLeaveBalances(user, project, year, {
+      excludeDays: [...yearDays.map(({ day }) => day), ...excludeDays],
+      excludeRequest
+    });
+    const { available, pending, entitled } = balances.find(balance => balance.leaveType === type.key);
+    const requested = yearDays.reduce((total, { duration }) => total + getLeaveDays({ leaveDuration: duration }), 0);
+
+    if (entitled !== null && requested > available) {
+      return {
+        error: `Not enough ${type.name} left in ${year}: ${Math.max(available, 0)} day(s) available` +
+          `${pending > 0 ? ` (${pending} pending approval)` : ''}, ${requested} requested`
+      };
+    }
+  }
+
+  return { leaveType: type };
+};
+
+export {
+  HALF_DAY_DURATIONS,
+  resolveLeaveTypes,
+  parseLeaveTypes,
+  getLeaveDays,
+  describeLeave,
+  buildLeaveDays,
+  getYearRange,
+  sumLeaveDays,
+  getLeaveBalances,
+  checkLeaveRequest
+};
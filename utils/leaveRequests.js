@@ -0,0 +1,263 @@
+import LeaveRequest from '../models/LeaveRequest.js';
+import Status from '../models/Status.js';
+import StatusRevision from '../models/StatusRevision.js';
+import Team from '../models/Team.js';
+import User from '../models/User.js';
+import { recordAudit } from './audit.js';
+import { notifyUsers } from './notifications.js';
+import { emitEvent, toEventData } from './events.js';
+import { buildLeaveDays, checkLeaveRequest, resolveLeaveTypes } from './leave.js';
+import { announceStatusSaved, loadSubmissionContext, saveStatus } from './statusSubmission.js';
+import { getToday, resolveTimeZone } from './dates.js';
+
+// Leave requests: members ask for future leave, the project's managers approve or
+// reject it, and approval creates the leave statuses. Like submitStatus these return
+// { error, httpStatus } instead of throwing for anything the caller got wrong.
+
+// "Sick leave, 2024-05-06 to 2024-05-08 (2.5 days)"
+const describeRequest = (request, project) => {
+  const type = resolveLeaveTypes(project).find(candidate => candidate.key === request.leaveType);
+  const dates = request.startDay === request.endDay ? request.startDay : `${request.startDay} to ${request.endDay}`;
+
+  return `${type?.name || request.leaveType}, ${dates} (${request.totalDays} day${request.totalDays === 1 ? '' : 's'})`;
+};
+
+const publishRequestEvent = (type, request, actor) => emitEvent(type, {
+  project: request.project,
+  team: request.team,
+  actor,
+  data: toEventData(request)
+});
+
+// Ask for leave for req.user in one of their teams, starting after today.
+// The days must fit the leave type's balance, counting other pending requests.
+const createLeaveRequest = async (req, { team, leaveType, startDate, endDate, reason, ...durations }) => {
+  const context = await loadSubmissionContext(req, team, req.user._id);
+  if (context.error) return context;
+  const { teamData, timezone, location } = context;
+
+  const range = await buildLeaveDays({
+    startDate,
+    endDate,
+    timeZone: timezone,
+    project: teamData.project._id,
+    location,
+    ...durations
+  });
+  if (range.error) {
+    return { error: range.error, httpStatus: 400 };
+  }
+  if (range.start <= getToday(timezone)) {
+    return { error: 'Leave requests are for future dates; mark leave for today or earlier directly', httpStatus: 400 };
+  }
+
+  const overlapping = await LeaveRequest.exists({
+    user: req.user._id,
+    state: { $in: ['pending', 'approved'] },
+    startDay: { $lte: range.end },
+    endDay: { $gte: range.start }
+  });
+  if (overlapping) {
+    return { error: 'You already have a pending or approved leave request for some of these days', httpStatus: 400 };
+  }
+
+  const leaveCheck = await checkLeaveRequest(teamData.project, { user: req.user._id, leaveType, days: range.days });
+  if (leaveCheck.error) {
+    return { error: leaveCheck.error, httpStatus: 400 };
+  }
+
+  const request = await LeaveRequest.create({
+    user: req.user._id,
+    team: teamData._id,
+    project: teamData.project._id,
+    leaveType: leaveCheck.leaveType.key,
+    startDay: range.start,
+    endDay: range.end,
+    days: range.days,
+    totalDays: range.totalDays,
+    reason
+  });
+
+  await recordAudit(req, { action: 'create', entityType: 'leaveRequest', after: request });
+
+  // The team's managers are the managers of its project
+  const approvers = teamData.project.managers.filter(manager => manager.toString() !== req.user._id.toString());
+  await notifyUsers(approvers, {
+    type: 'leaveRequested',
+    title: `${req.user.name} requested leave: ${describeRequest(request, teamData.project)}`,
+    message: reason,
+    link: '/leave/requests/pending',
+    actor: req.user._id,
+    data: { leaveRequest: request._id, team: teamData._id }
+  });
+  publishRequestEvent('leave.requested', request, req.user);
+
+  return { request };
+};
+
+// Put a claimed request back in the queue when approving it failed
+const releaseRequest = (request) => LeaveRequest.updateOne(
+  { _id: request._id },
+  { $set: { state: 'pending' }, $unset: { reviewedBy: 1, reviewedAt: 1, reviewComment: 1 } }
+);
+
+// Statuses of the member in the team on the days of a request
+const findRequestDayStatuses = (request, teamId) => Status.find({
+  user: request.user,
+  team: teamId,
+  day: { $in: request.days.map(({ day }) => day) }
+}).lean();
+
+// Undo what approving a request saved before it failed: statuses on its days that
+// didn't exist are deleted and those that did get back what they held (`originals`
+// by day), so nothing is left counting against the balance of a pending request.
+// The revisions those saves wrote go too, so the history matches the status again
+// and its next save can take the following revision number. Nothing was announced
+// yet, so there is nothing to take back from subscribers.
+const rollbackRequestStatuses = async (request, teamId, originals) => {
+  const current = await findRequestDayStatuses(request, teamId);
+
+  for (const status of current) {
+    const original = originals.get(status.day);
+    if (original) {
+      await Status.replaceOne({ _id: status._id }, original);
+      await StatusRevision.deleteMany({ status: status._id, revision: { $gt: original.revision || 0 } });
+    } else {
+      await Status.deleteOne({ _id: status._id });
+      await StatusRevision.deleteMany({ status: status._id });
+    }
+  }
+};
+
+// Create the leave statuses of an approved request without announcing them yet;
+// returns { saved } (saveStatus results, for announceStatusSaved) or { error, httpStatus }.
+// Throws after undoing what was saved when a day can't be saved.
+const createRequestStatuses = async (req, request) => {
+  const teamData = await Team.findById(request.team).populate('project');
+  const member = teamData && await User.findOne({ _id: request.user, teams: teamData._id }).select('timezone');
+  if (!member) {
+    return { error: 'The member is no longer in this team', httpStatus: 400 };
+  }
+
+  const leaveCheck = await checkLeaveRequest(teamData.project, {
+    user: request.user,
+    leaveType: request.leaveType,
+    days: request.days,
+    excludeRequest: request._id
+  });
+  if (leaveCheck.error) {
+    return { error: leaveCheck.error, httpStatus: 400 };
+  }
+
+  const timezone = resolveTimeZone(member.timezone, teamData.timezone);
+  const originals = new Map((await findRequestDayStatuses(request, teamData._id)).map(status => [status.day, status]));
+  const saved = [];
+
+  try {
+    for (const { day, duration } of request.days) {
+      saved.push(await saveStatus(req, {
+        teamData,
+        user: request.user,
+        day,
+        timezone,
+        leave: {
+          isLeave: true,
+          leaveReason: request.reason || leaveCheck.leaveType.name,
+          leaveType: request.leaveType,
+          leaveDuration: duration
+        },
+        announce: false
+      }));
+    }
+  } catch (err) {
+    await rollbackRequestStatuses(request, teamData._id, originals);
+    throw err;
+  }
+
+  return { saved, project: teamData.project };
+};
+
+// Approve or reject a pending request as req.user, with an optional comment.
+// Approving creates a leave status for each day of the request.
+// Returns { request } or { error, httpStatus }.
+const reviewLeaveRequest = async (req, request, { approve, comment }) => {
+  // Claim the request first so two reviewers can't both act on it
+  const claimed = await LeaveRequest.findOneAndUpdate(
+    { _id: request._id, state: 'pending' },
+    {
+      $set: {
+        state: approve ? 'approved' : 'rejected',
+        reviewedBy: req.user._id,
+        reviewedAt: new Date(),
+        reviewComment: comment,
+        updatedAt: new Date()
+      }
+    },
+    { new: true }
+  ).populate('project', 'name leaveTypes');
+
+  if (!claimed) {
+    return { error: 'This request has already been reviewed or cancelled', httpStatus: 409 };
+  }
+
+  if (approve) {
+    let result;
+    try {
+      result = await createRequestStatuses(req, claimed);
+    } catch (err) {
+      await releaseRequest(claimed);
+      throw err;
+    }
+
+    if (result.error) {
+      await releaseRequest(claimed);
+      return result;
+    }
+
+    claimed.statuses = result.saved.map(({ status }) => status._id);
+    await claimed.save();
+
+    // The requester hears about the approval instead of about every day
+    for (const saved of result.saved) {
+      await announceStatusSaved(req, { ...saved, notifyOwner: false });
+    }
+  }
+
+  const verb = approve ? 'approved' : 'rejected';
+  await recordAudit(req, {
+    action: approve ? 'approve' : 'reject',
+    entityType: 'leaveRequest',
+    before: request,
+    after: claimed
+  });
+
+  await notifyUsers([claimed.user], {
+    type: 'leaveReviewed',
+    title: `${req.user.name} ${verb} your leave request: ${describeRequest(claimed, claimed.project)}`,
+    message: comment,
+    link: `/leave/requests/${claimed._id}`,
+    actor: req.user._id,
+    data: { leaveRequest: claimed._id, state: claimed.state }
+  });
+  publishRequestEvent(`leave.${verb}`, claimed, req.user);
+
+  return { request: claimed };
+};
+
+// Withdraw a pending request as its requester
+const cancelLeaveRequest = async (req, request) => {
+  const cancelled = await LeaveRequest.findOneAndUpdate(
+    { _id: request._id, state: 'pending' },
+    { $set: { state: 'cancelled', updatedAt: new Date() } },
+    { new: true }
+  );
+
+  if (!cancelled) {
+    return { error: 'Only pending requests can be cancelled', httpStatus: 409 };
+  }
+
+  await recordAudit(req, { action: 'cancel', entityType: 'leaveRequest', before: request, after: cancelled });
+  return { request: cancelled };
+};
+
+export { createLeaveRequest, reviewLeaveRequest, cancelLeaveRequest };
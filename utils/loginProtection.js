@@ -0,0 +1,100 @@
+import User from '../models/User.js';
+import SecurityEvent from '../models/SecurityEvent.js';
+
+// Failed attempts allowed before delays kick in
+const FREE_ATTEMPTS = 3;
+const MAX_DELAY_SECONDS = 60;
+
+const getMaxAttempts = () => parseInt(process.env.LOGIN_MAX_ATTEMPTS, 10) || 8;
+const getLockMinutes = () => parseInt(process.env.LOGIN_LOCK_MINUTES, 10) || 15;
+
+// Seconds a user must wait after the last failure: 2s, 4s, 8s ... capped
+const getLoginDelaySeconds = (failedAttempts) => {
+  if (failedAttempts < FREE_ATTEMPTS) return 0;
+  return Math.min(2 ** (failedAttempts - FREE_ATTEMPTS + 1), MAX_DELAY_SECONDS);
+};
+
+// Decide whether a login attempt may be evaluated at all.
+// Returns null when allowed, otherwise { status, message, retryAfter }.
+const checkLoginAllowed = (user) => {
+  const now = Date.now();
+
+  if (user.isLocked()) {
+    return {
+      status: 423,
+      message: 'Account is temporarily locked due to too many failed login attempts',
+      retryAfter: Math.ceil((user.lockUntil.getTime() - now) / 1000)
+    };
+  }
+
+  const delay = getLoginDelaySeconds(user.failedLoginAttempts || 0);
+  if (delay > 0 && user.lastFailedLoginAt) {
+    const nextAllowedAt = user.lastFailedLoginAt.getTime() + delay * 1000;
+    if (nextAllowedAt > now) {
+      return {
+        status: 429,
+        message: 'Too many failed login attempts, please wait before trying again',
+        retryAfter: Math.ceil((nextAllowedAt - now) / 1000)
+      };
+    }
+  }
+
+  return null;
+};
+
+// Count a failed attempt and lock the account once the limit is reached
+const recordFailedLogin = async (user, ip) => {
+  const updated = await User.findByIdAndUpdate(
+    user._id,
+    { $inc: { failedLoginAttempts: 1 }, $set: { lastFailedLoginAt: new Date() } },
+    { new: true }
+  );
+
+  if (updated.failedLoginAttempts >= getMaxAttempts()) {
+    const lockMinutes = getLockMinutes();
+    await User.updateOne(
+      { _id: user._id },
+      {
+        $set: { lockUntil: new Date(Date.now() + lockMinutes * 60 * 1000), failedLoginAttempts: 0 },
+        $unset: { lastFailedLoginAt: 1 }
+      }
+    );
+
+    await SecurityEvent.create({
+      type: 'account_locked',
+      user: user._id,
+      email: user.email,
+      ip,
+      details: `Locked for ${lockMinutes} minutes after ${updated.failedLoginAttempts} failed login attempts`
+    });
+  }
+};
+
+// Clear failure tracking after a successful login
+const recordSuccessfulLogin = async (user) => {
+  if (!user.failedLoginAttempts && !user.lockUntil && !user.lastFailedLoginAt) return;
+
+  await User.updateOne(
+    { _id: user._id },
+    { $set: { failedLoginAttempts: 0 }, $unset: { lockUntil: 1, lastFailedLoginAt: 1 } }
+  );
+};
+
+// Lift a lockout manually (admin action)
+const unlockAccount = async (user, actor, ip) => {
+  await User.updateOne(
+    { _id: user._id },
+    { $set: { failedLoginAttempts: 0 }, $unset: { lockUntil: 1, lastFailedLoginAt: 1 } }
+  );
+
+  await SecurityEvent.create({
+    type: 'account_unlocked',
+    user: user._id,
+    email: user.email,
+    ip,
+    actor: actor._id,
+    details: `Unlocked by ${actor.name}`
+  });
+};
+
+export { getLoginDelaySeconds, checkLoginAllowed, recordFailedLogin, recordSuccessfulLogin, unlockAccount };
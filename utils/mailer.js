@@ -0,0 +1,72 @@
+import nodemailer from 'nodemailer';
+
+let transport = null;
+let usingLogTransport = false;
+
+// Build the transport from SMTP_* settings; without SMTP_HOST mails are
+// rendered to JSON and logged instead of sent
+const createDefaultTransport = () => {
+  if (process.env.SMTP_HOST) {
+    return nodemailer.createTransport({
+      host: process.env.SMTP_HOST,
+      port: parseInt(process.env.SMTP_PORT, 10) || 587,
+      secure: process.env.SMTP_SECURE === 'true',
+      auth: process.env.SMTP_USER
+        ? { user: process.env.SMTP_USER, pass: process.env.SMTP_PASSWORD }
+        : undefined
+    });
+  }
+
+  usingLogTransport = true;
+  return nodemailer.createTransport({ jsonTransport: true });
+};
+
+// Replace the transport, e.g. with a local SMTP stand-in or a stub in tests.
+// Accepts a nodemailer transporter (anything with sendMail) or transport options.
+const setMailTransport = (transportOrOptions) => {
+  usingLogTransport = false;
+  if (!transportOrOptions) {
+    transport = null;
+  } else if (typeof transportOrOptions.sendMail === 'function') {
+    transport = transportOrOptions;
+  } else {
+    transport = nodemailer.createTransport(transportOrOptions);
+  }
+};
+
+const getMailTransport = () => {
+  if (!transport) {
+    transport = createDefaultTransport();
+  }
+  return transport;
+};
+
+// Send an email through the configured transport
+const sendMail = async ({ to, subject, text, html }) => {
+  const info = await getMailTransport().sendMail({
+    from: process.env.MAIL_FROM || 'Status Tracker <no-reply@status-tracker.local>',
+    to,
+    subject,
+    text,
+    html
+  });
+
+  if (usingLogTransport) {
+    console.log(`Email to ${to} (not sent, SMTP_HOST not configured): ${subject}`);
+  }
+
+  return info;
+};
+
+// Escape user-supplied text before putting it into an HTML email body
+const escapeHtml = (value) => String(value ?? '')
+  .replace(/&/g, '&amp;')
+  .replace(/</g, '&lt;')
+  .replace(/>/g, '&gt;')
+  .replace(/"/g, '&quot;')
+  .replace(/'/g, '&#39;');
+
+// Base URL of the frontend, used to build links in emails
+const getAppUrl = () => (process.env.APP_URL || 'http://localhost:5173').replace(/\/$/, '');
+
+export { sendMail, setMailTransport, getMailTransport, getAppUrl, escapeHtml };
@@ -0,0 +1,115 @@
+import Notification, { DEFAULT_NOTIFICATION_CHANNELS, NOTIFICATION_CHANNELS } from '../models/Notification.js';
+import User from '../models/User.js';
+import { sendMail, getAppUrl, escapeHtml } from './mailer.js';
+import { emitMembersAdded } from './events.js';
+
+// The user's channel for each notification type, with defaults filled in
+const resolveNotificationPreferences = (user) => {
+  const saved = user?.notificationPreferences?.toObject
+    ? user.notificationPreferences.toObject()
+    : user?.notificationPreferences || {};
+  const resolved = { ...DEFAULT_NOTIFICATION_CHANNELS };
+
+  Object.keys(resolved).forEach(type => {
+    if (saved[type]) resolved[type] = saved[type];
+  });
+
+  return resolved;
+};
+
+// Check a request body's preferences; returns { preferences } or { error }.
+// A null channel goes back to the type's default.
+const parseNotificationPreferences = (input) => {
+  if (!input || typeof input !== 'object' || Array.isArray(input)) {
+    return { error: 'Notification preferences must be an object' };
+  }
+
+  const preferences = {};
+
+  for (const [type, channel] of Object.entries(input)) {
+    if (!(type in DEFAULT_NOTIFICATION_CHANNELS)) {
+      return { error: `Unknown notification type: ${type}` };
+    }
+    if (channel !== null && !NOTIFICATION_CHANNELS.includes(channel)) {
+      return { error: `${type} must be one of: ${NOTIFICATION_CHANNELS.join(', ')}` };
+    }
+    preferences[type] = channel ?? undefined;
+  }
+
+  return { preferences };
+};
+
+// Deliver a notification according to the recipient's preference for its type.
+// `email` overrides the subject/text/html of the email copy. Email goes out before the
+// inbox entry is written, so a send failure throws without leaving a half-delivered
+// notification behind. Returns the Notification, or null when the user opted out.
+const notify = async (recipient, { type, title, message, link, actor, data, email = {} }) => {
+  const isLoaded = recipient instanceof User &&
+    recipient.isSelected('email') && recipient.isSelected('notificationPreferences');
+  const user = isLoaded
+    ? recipient
+    : await User.findById(recipient?._id || recipient).select('name email notificationPreferences');
+
+  if (!user) return null;
+
+  const channel = resolveNotificationPreferences(user)[type];
+  if (channel === 'none') return null;
+
+  if (channel === 'email') {
+    const url = link ? `${getAppUrl()}${link}` : getAppUrl();
+    await sendMail({
+      to: user.email,
+      subject: email.subject || title,
+      text: email.text || `Hi ${user.name},\n\n${message || title}\n\n${url}`,
+      html: email.html || `<p>Hi ${escapeHtml(user.name)},</p>` +
+        `<p>${escapeHtml(message || title)}</p>` +
+        `<p><a href="${url}">Open Status Tracker</a></p>`
+    });
+  }
+
+  return Notification.create({
+    recipient: user._id,
+    type,
+    title,
+    message,
+    link,
+    actor: actor?._id || actor,
+    data,
+    emailed: channel === 'email'
+  });
+};
+
+// Notify several users from a request handler; failures are logged, never thrown,
+// so a broken mail server can't fail the change that triggered the notification
+const notifyUsers = async (recipients, notification) => {
+  for (const recipient of recipients) {
+    try {
+      await notify(recipient, notification);
+    } catch (err) {
+      console.error('Failed to send notification:', err.message);
+    }
+  }
+};
+
+// Tell users they were added to a team, and publish team.member.added for each
+const announceNewMembers = async (team, userIds, actor, role = 'Member') => {
+  const project = team.project?._id || team.project;
+
+  emitMembersAdded(team, userIds, { role, actor });
+
+  await notifyUsers(userIds, {
+    type: 'teamAdded',
+    title: `${actor.name} added you to the ${team.name} team`,
+    link: `/teams/${team._id}`,
+    actor: actor._id,
+    data: { team: team._id, project }
+  });
+};
+
+export {
+  resolveNotificationPreferences,
+  parseNotificationPreferences,
+  notify,
+  notifyUsers,
+  announceNewMembers
+};
@@ -0,0 +1,264 @@
+import crypto from 'crypto';
+import jwt from 'jsonwebtoken';
+import User from '../models/User.js';
+
+// OpenID Connect authorization-code flow with PKCE. Everything is configured
+// through OIDC_* environment variables so a local mock provider can stand in
+// for the company IdP.
+const DISCOVERY_TTL_MS = 60 * 60 * 1000;
+const ROLE_PRIORITY = ['admin', 'manager', 'employee'];
+const ID_TOKEN_ALGORITHMS = ['RS256', 'RS384', 'RS512', 'PS256', 'PS384', 'PS512', 'ES256', 'ES384', 'ES512'];
+
+let discoveryCache = null;
+let jwksCache = null;
+
+const getOidcConfig = () => {
+  let roleMapping = {};
+  if (process.env.OIDC_ROLE_MAPPING) {
+    try {
+      roleMapping = JSON.parse(process.env.OIDC_ROLE_MAPPING);
+    } catch (error) {
+      console.error('OIDC_ROLE_MAPPING is not valid JSON, ignoring it');
+    }
+  }
+
+  return {
+    issuer: (process.env.OIDC_ISSUER || '').replace(/\/$/, ''),
+    clientId: process.env.OIDC_CLIENT_ID,
+    clientSecret: process.env.OIDC_CLIENT_SECRET,
+    redirectUri: process.env.OIDC_REDIRECT_URI,
+    scopes: process.env.OIDC_SCOPES || 'openid email profile',
+    groupsClaim: process.env.OIDC_GROUPS_CLAIM || 'groups',
+    roleMapping,
+    defaultRole: process.env.OIDC_DEFAULT_ROLE || 'employee',
+    allowProvisioning: process.env.OIDC_ALLOW_PROVISIONING !== 'false'
+  };
+};
+
+const isOidcEnabled = () => {
+  const config = getOidcConfig();
+  return !!(config.issuer && config.clientId && config.redirectUri);
+};
+
+const base64url = (buffer) => buffer.toString('base64url');
+
+const createRandomValue = () => base64url(crypto.randomBytes(32));
+
+// PKCE: the verifier stays on the server, the S256 challenge goes to the provider
+const createPkcePair = () => {
+  const codeVerifier = createRandomValue();
+  const codeChallenge = base64url(crypto.createHash('sha256').update(codeVerifier).digest());
+  return { codeVerifier, codeChallenge };
+};
+
+const fetchJson = async (url, options) => {
+  const response = await fetch(url, options);
+  const body = await response.json().catch(() => ({}));
+
+  if (!response.ok) {
+    const reason = body.error_description || body.error || response.statusText;
+    throw new Error(`OIDC request to ${url} failed: ${reason}`);
+  }
+
+  return body;
+};
+
+// Load (and cache) the provider metadata from its discovery document
+const discover = async () => {
+  const { issuer } = getOidcConfig();
+
+  if (discoveryCache && discoveryCache.issuer === issuer && discoveryCache.expiresAt > Date.now()) {
+    return discoveryCache.metadata;
+  }
+
+  const metadata = await fetchJson(`${issuer}/.well-known/openid-configuration`);
+  if (metadata.issuer.replace(/\/$/, '') !== issuer) {
+    throw new Error('OIDC discovery document issuer does not match OIDC_ISSUER');
+  }
+
+  discoveryCache = { issuer, metadata, expiresAt: Date.now() + DISCOVERY_TTL_MS };
+  jwksCache = null;
+  return metadata;
+};
+
+// Find the provider signing key for a token, refetching the JWKS once on unknown kids
+const getSigningKey = async (kid) => {
+  const metadata = await discover();
+
+  const findKey = () => jwksCache?.keys.find(key => !kid || key.kid === kid);
+
+  if (!findKey()) {
+    jwksCache = await fetchJson(metadata.jwks_uri);
+  }
+
+  const jwk = findKey();
+  if (!jwk) {
+    throw new Error('No matching OIDC signing key found');
+  }
+
+  return crypto.createPublicKey({ key: jwk, format: 'jwk' });
+};
+
+const buildAuthorizationUrl = async ({ state, nonce, codeChallenge }) => {
+  const config = getOidcConfig();
+  const metadata = await discover();
+
+  const params = new URLSearchParams({
+    response_type: 'code',
+    client_id: config.clientId,
+    redirect_uri: config.redirectUri,
+    scope: config.scopes,
+    state,
+    nonce,
+    code_challenge: codeChallenge,
+    code_challenge_method: 'S256'
+  });
+
+  return `${metadata.authorization_endpoint}?${params.toString()}`;
+};
+
+// Exchange the authorization code (plus PKCE verifier) for tokens
+const exchangeCode = async (code, codeVerifier) => {
+  const config = getOidcConfig();
+  const metadata = await discover();
+
+  const body = new URLSearchParams({
+    grant_type: 'authorization_code',
+    code,
+    redirect_uri: config.redirectUri,
+    code_verifier: codeVerifier,
+    client_id: config.clientId
+  });
+
+  const headers = { 'Content-Type': 'application/x-www-form-urlencoded', Accept: 'application/json' };
+  if (config.clientSecret) {
+    const credentials = `${encodeURIComponent(config.clientId)}:${encodeURIComponent(config.clientSecret)}`;
+    headers.Authorization = `Basic ${Buffer.from(credentials).toString('base64')}`;
+  }
+
+  return fetchJson(metadata.token_endpoint, { method: 'POST', headers, body });
+};
+
+// Verify the ID token signature, issuer, audience, expiry and nonce
+const verifyIdToken = async (idToken, nonce) => {
+  const config = getOidcConfig();
+  const decoded = jwt.decode(idToken, { complete: true });
+
+  if (!decoded) {
+    throw new Error('ID token is malformed');
+  }
+
+  const key = await getSigningKey(decoded.header.kid);
+  const claims = jwt.verify(idToken, key, {
+    algorithms: ID_TOKEN_ALGORITHMS,
+    issuer: [config.issuer, `${config.issuer}/`],
+    audience: config.clientId
+  });
+
+  if (claims.nonce !== nonce) {
+    throw new Error('ID token nonce mismatch');
+  }
+
+  return claims;
+};
+
+// Fill in claims the ID token left out (some providers only put email in userinfo)
+const fetchUserInfo = async (accessToken) => {
+  const metadata = await discover();
+  if (!metadata.userinfo_endpoint || !accessToken) return {};
+
+  return fetchJson(metadata.userinfo_endpoint, {
+    headers: { Authorization: `Bearer ${accessToken}` }
+  });
+};
+
+const isLowerRole = (role, than) => ROLE_PRIORITY.indexOf(role) > ROLE_PRIORITY.indexOf(than);
+
+// Map IdP groups to the highest matching role; null when no mapping applies
+const mapGroupsToRole = (groups) => {
+  const { roleMapping } = getOidcConfig();
+  const list = Array.isArray(groups) ? groups : (groups ? [groups] : []);
+
+  const roles = list.map(group => roleMapping[group]).filter(role => ROLE_PRIORITY.includes(role));
+  if (roles.length === 0) return null;
+
+  return ROLE_PRIORITY.find(role => roles.includes(role));
+};
+
+// Resolve the local user for verified claims: by subject, then by email,
+// otherwise create one just in time. Throws when the login must be refused.
+const findOrProvisionUser = async (claims) => {
+  const config = getOidcConfig();
+  const email = claims.email?.toLowerCase();
+  const mappedRole = mapGroupsToRole(claims[config.groupsClaim]);
+
+  let user = await User.findOne({ oidcIssuer: config.issuer, oidcSubject: claims.sub });
+
+  if (!user) {
+    if (!email) {
+      throw new Error('Identity provider did not return an email address');
+    }
+    if (claims.email_verified === false || claims.email_verified === 'false') {
+      throw new Error('Email address is not verified with the identity provider');
+    }
+
+    user = await User.findOne({ email });
+
+    // Linking by email hands the account to whoever holds that address at the IdP,
+    // so the IdP has to vouch for it; an absent claim is not enough
+    if (user && claims.email_verified !== true && claims.email_verified !== 'true') {
+      throw new Error('Email address is not verified with the identity provider');
+    }
+
+    if (user) {
+      user.oidcIssuer = config.issuer;
+      user.oidcSubject = claims.sub;
+    } else {
+      if (!config.allowProvisioning) {
+        throw new Error('No account exists for this email address');
+      }
+
+      user = new User({
+        name: claims.name || [claims.given_name, claims.family_name].filter(Boolean).join(' ') || email,
+        email,
+        role: mappedRole || config.defaultRole,
+        oidcIssuer: config.issuer,
+        oidcSubject: claims.sub
+      });
+    }
+  }
+
+  // Signing in through the IdP counts as accepting a pending invitation
+  if (user.status === 'pending') {
+    user.status = 'active';
+    user.invitationTokenHash = undefined;
+    user.invitationExpires = undefined;
+    user.invitationAcceptedAt = new Date();
+  }
+
+  // Group mapping can lower an existing user's role but never raise it; raising
+  // a role stays with an admin in the app
+  if (mappedRole && user.role !== mappedRole && (user.isNew || isLowerRole(mappedRole, user.role))) {
+    user.role = mappedRole;
+  }
+
+  if (user.isNew || user.isModified()) {
+    user.updatedAt = Date.now();
+    await user.save();
+  }
+
+  return user;
+};
+
+export {
+  getOidcConfig,
+  isOidcEnabled,
+  createRandomValue,
+  createPkcePair,
+  buildAuthorizationUrl,
+  exchangeCode,
+  verifyIdToken,
+  fetchUserInfo,
+  mapGroupsToRole,
+  findOrProvisionUser
+};
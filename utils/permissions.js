@@ -0,0 +1,250 @@
+import Project from '../models/Project.js';
+import Team from '../models/Team.js';
+
+// Central access policy. Every route asks here instead of checking roles itself.
+//
+// Each role maps a named permission to the scopes it holds it in:
+//   'all'     - any resource
+//   'managed' - resources in projects the user manages (Project.managers)
+//   'member'  - resources in teams the user belongs to (User.teams)
+//   'lead'    - resources in teams the user leads (Team.leads)
+//   'own'     - resources owned by the user (resource.user)
+//   'created' - resources the user created (resource.createdBy)
+// A permission missing from a role is not granted at all.
+// Admin-only permissions (user.admin, user.delete, user.role.assign,
+// user.teams.assign, user.projects.assign, apikey.manage, audit.view) come from the wildcard.
+const ROLE_PERMISSIONS = {
+  admin: {
+    '*': ['all']
+  },
+  manager: {
+    'status.view.own': ['own'],
+    'status.edit.own': ['own'],
+    'status.view.others': ['managed', 'lead'],
+    'status.edit.others': ['managed', 'lead'],
+    'status.delete': ['managed'],
+    'status.restore': ['managed'],
+    'status.override': ['managed'],
+    'report.export': ['managed', 'lead'],
+    'report.digest': ['managed'],
+    'leave.view': ['own', 'managed', 'lead'],
+    'leave.manage': ['managed'],
+    'leave.approve': ['managed'],
+    'holiday.manage': ['managed'],
+    'import.status': ['managed'],
+    'webhook.manage': ['managed'],
+    'reminder.send': ['managed', 'lead'],
+    'team.view': ['managed', 'member'],
+    'team.create': ['managed'],
+    'team.update': ['managed'],
+    'team.delete': ['managed'],
+    'team.members.manage': ['managed'],
+    'project.view': ['managed', 'member'],
+    'question.view': ['managed', 'member'],
+    'question.create': ['managed'],
+    'question.manage': ['created'],
+    'question.stats': ['all'],
+    'user.view': ['own', 'created', 'managed', 'member'],
+    'user.create': ['all'],
+    'user.update': ['own', 'created'],
+    'user.invite': ['created'],
+    'security.view': ['created', 'managed', 'member']
+  },
+  employee: {
+    'status.view.own': ['own'],
+    'status.edit.own': ['own'],
+    'status.view.others': ['lead'],
+    'status.edit.others': ['lead'],
+    'report.export': ['lead'],
+    'leave.view': ['own', 'lead'],
+    'reminder.send': ['lead'],
+    'team.view': ['member'],
+    'project.view': ['member'],
+    'question.view': ['member'],
+    'user.view': ['own', 'member'],
+    'user.update': ['own']
+  }
+};
+
+const PERMISSIONS = [...new Set(
+  Object.values(ROLE_PERMISSIONS).flatMap(permissions => Object.keys(permissions))
+)].filter(permission => permission !== '*');
+
+const toId = (value) => (value?._id || value)?.toString();
+
+// Scopes in which a role holds a permission (empty when not granted)
+const getPermissionScopes = (role, permission) => {
+  const permissions = ROLE_PERMISSIONS[role] || {};
+  return permissions[permission] || permissions['*'] || [];
+};
+
+// Whether a role holds a permission in any scope
+const hasPermission = (role, permission) => getPermissionScopes(role, permission).length > 0;
+
+const includesId = (ids, value) => (ids || []).some(id => toId(id) === toId(value));
+
+// Pure scope check; `scope` is what getAccessScope returns. `resource` may carry
+// user, createdBy, team, project, and for users teams/projects (plain or populated ids)
+const isInScope = (scopes, user, scope, resource = {}) => scopes.some(kind => {
+  switch (kind) {
+    case 'all':
+      return true;
+    case 'own':
+      return !!resource.user && toId(resource.user) === toId(user);
+    case 'created':
+      return !!resource.createdBy && toId(resource.createdBy) === toId(user);
+    case 'managed':
+      return (!!resource.project && scope.managedProjectIds.has(toId(resource.project))) ||
+        (resource.projects || []).some(project => scope.managedProjectIds.has(toId(project)));
+    case 'member':
+      // Team resources need membership of that team; project resources of any team in it
+      if (resource.team) return scope.memberTeamIds.has(toId(resource.team));
+      if (resource.teams) return resource.teams.some(team => scope.memberTeamIds.has(toId(team)));
+      return !!resource.project && scope.memberProjectIds.has(toId(resource.project));
+    case 'lead':
+      if (resource.team) return scope.leadTeamIds.has(toId(resource.team));
+      return (resource.teams || []).some(team => scope.leadTeamIds.has(toId(team)));
+    default:
+      return false;
+  }
+});
+
+// Scope data is loaded once per user document (i.e. once per request)
+const scopeCache = new WeakMap();
+
+// Projects the user manages, teams/projects they are a member of and teams they lead
+const getAccessScope = async (user) => {
+  if (scopeCache.has(user)) {
+    return scopeCache.get(user);
+  }
+
+  const [managedProjects, memberTeams, ledTeams] = await Promise.all([
+    Project.find({ managers: user._id }).select('_id').lean(),
+    Team.find({ _id: { $in: user.teams || [] } }).select('_id project').lean(),
+    Team.find({ leads: user._id }).select('_id').lean()
+  ]);
+
+  const scope = {
+    managedProjectIds: new Set(managedProjects.map(project => project._id.toString())),
+    memberTeamIds: new Set(memberTeams.map(team => team._id.toString())),
+    memberProjectIds: new Set(memberTeams.map(team => toId(team.project))),
+    leadTeamIds: new Set(ledTeams.map(team => team._id.toString()))
+  };
+
+  scopeCache.set(user, scope);
+  return scope;
+};
+
+// Fill in the projects of a resource that only names its team(s)
+const resolveResource = async (resource) => {
+  if (resource.team && !resource.project) {
+    const team = resource.team.project
+      ? resource.team
+      : await Team.findById(toId(resource.team)).select('project').lean();
+
+    return { ...resource, project: team?.project };
+  }
+
+  if (resource.teams && !resource.projects) {
+    const teams = await Team.find({ _id: { $in: resource.teams.map(toId) } }).select('project').lean();
+    return { ...resource, projects: teams.map(team => team.project) };
+  }
+
+  return resource;
+};
+
+// Whether a user holds a permission for at least something. Unlike hasPermission
+// this looks past the role: a permission granted only to team leads needs a led team.
+const holdsPermission = async (user, permission) => {
+  const scopes = getPermissionScopes(user.role, permission);
+  if (scopes.some(kind => kind !== 'lead')) return true;
+  if (scopes.length === 0) return false;
+
+  const scope = await getAccessScope(user);
+  return scope.leadTeamIds.size > 0;
+};
+
+// Check whether a user holds a permission for a resource ({ user, team, project })
+const can = async (user, permission, resource = {}) => {
+  const scopes = getPermissionScopes(user.role, permission);
+  if (scopes.length === 0) return false;
+  if (scopes.includes('all')) return true;
+
+  const scope = await getAccessScope(user);
+  return isInScope(scopes, user, scope, await resolveResource(resource));
+};
+
+// Team ids a user holds a permission for; null means no restriction (every team).
+// 'own' scopes don't grant whole teams and are ignored here.
+const getAccessibleTeamIds = async (user, permission) => {
+  const scopes = getPermissionScopes(user.role, permission);
+  if (scopes.includes('all')) return null;
+
+  const scope = await getAccessScope(user);
+  const teamIds = new Set();
+
+  if (scopes.includes('managed') && scope.managedProjectIds.size > 0) {
+    const managedTeams = await Team.find({ project: { $in: [...scope.managedProjectIds] } }).select('_id').lean();
+    managedTeams.forEach(team => teamIds.add(team._id.toString()));
+  }
+
+  if (scopes.includes('member')) {
+    scope.memberTeamIds.forEach(teamId => teamIds.add(teamId));
+  }
+
+  if (scopes.includes('lead')) {
+    scope.leadTeamIds.forEach(teamId => teamIds.add(teamId));
+  }
+
+  return [...teamIds];
+};
+
+// Project ids a user holds a permission for; null means no restriction
+const getAccessibleProjectIds = async (user, permission) => {
+  const scopes = getPermissionScopes(user.role, permission);
+  if (scopes.includes('all')) return null;
+
+  const scope = await getAccessScope(user);
+  const projectIds = new Set();
+
+  if (scopes.includes('managed')) {
+    scope.managedProjectIds.forEach(projectId => projectIds.add(projectId));
+  }
+
+  if (scopes.includes('member')) {
+    scope.memberProjectIds.forEach(projectId => projectIds.add(projectId));
+  }
+
+  return [...projectIds];
+};
+
+// Mongo filter for the users a user may see with a permission; null means every user
+const getUserFilter = async (user, permission) => {
+  const scopes = getPermissionScopes(user.role, permission);
+  if (scopes.includes('all')) return null;
+
+  const conditions = [];
+  if (scopes.includes('own')) conditions.push({ _id: user._id });
+  if (scopes.includes('created')) conditions.push({ createdBy: user._id });
+
+  const teamIds = await getAccessibleTeamIds(user, permission);
+  if (teamIds.length > 0) conditions.push({ teams: { $in: teamIds } });
+
+  // Nothing matches an empty $or, so fall back to a condition that never does
+  return conditions.length > 0 ? { $or: conditions } : { _id: null };
+};
+
+export {
+  ROLE_PERMISSIONS,
+  PERMISSIONS,
+  getPermissionScopes,
+  hasPermission,
+  holdsPermission,
+  isInScope,
+  getAccessScope,
+  can,
+  getAccessibleTeamIds,
+  getAccessibleProjectIds,
+  getUserFilter,
+  includesId
+};
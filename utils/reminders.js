@@ -0,0 +1,217 @@
+import Team from '../models/Team.js';
+import User from '../models/User.js';
+import Status from '../models/Status.js';
+import Project from '../models/Project.js';
+import ReminderRun from '../models/ReminderRun.js';
+import { getAppUrl, escapeHtml } from './mailer.js';
+import { notify } from './notifications.js';
+import { claimJob, createScheduler } from './scheduler.js';
+import { loadWorkingCalendar } from './holidays.js';
+import { TIME_OF_DAY_PATTERN, getDayOfWeek, getMinutesOfDay, getToday, parseTimeOfDay, resolveTimeZone } from './dates.js';
+
+// Check a request body's reminder settings; returns { settings } with only known fields, or { error }
+const parseReminderSettings = (input) => {
+  if (!input || typeof input !== 'object' || Array.isArray(input)) {
+    return { error: 'Reminder settings must be an object' };
+  }
+
+  const settings = {};
+
+  if (input.enabled !== undefined) {
+    if (typeof input.enabled !== 'boolean') {
+      return { error: 'enabled must be true or false' };
+    }
+    settings.enabled = input.enabled;
+  }
+
+  for (const field of ['reminderTime', 'escalationTime']) {
+    if (input[field] === undefined) continue;
+    if (typeof input[field] !== 'string' || !TIME_OF_DAY_PATTERN.test(input[field])) {
+      return { error: `${field} must be a time of day as HH:mm (e.g. 17:30)` };
+    }
+    settings[field] = input[field];
+  }
+
+  if (input.weekdays !== undefined) {
+    if (!Array.isArray(input.weekdays) ||
+      !input.weekdays.every(day => Number.isInteger(day) && day >= 0 && day <= 6)) {
+      return { error: 'weekdays must be a list of day numbers from 0 (Sunday) to 6 (Saturday)' };
+    }
+    settings.weekdays = [...new Set(input.weekdays)].sort((a, b) => a - b);
+  }
+
+  return { settings };
+};
+
+// Active members of the team with neither a status nor leave recorded for `day`,
+// leaving out those for whom it is a holiday or weekly off-day
+const findMissingMembers = async (team, day) => {
+  const submitted = await Status.distinct('user', { team: team._id, day });
+  const submittedIds = new Set(submitted.map(id => id.toString()));
+
+  const members = await User.find({ _id: { $in: team.members }, status: 'active' })
+    .select('name email notificationPreferences location');
+  const workingCalendar = await loadWorkingCalendar(day, day);
+
+  return members.filter(member =>
+    !submittedIds.has(member._id.toString()) &&
+    workingCalendar.forMember({ project: team.project, location: member.location }).isWorkingDay(day)
+  );
+};
+
+// Project managers and team leads, who hear about members still missing at the escalation time
+const findEscalationRecipients = async (team) => {
+  const project = await Project.findById(team.project).select('managers');
+  const ids = [...(project?.managers || []), ...(team.leads || [])];
+
+  return User.find({ _id: { $in: ids }, status: 'active' }).select('name email notificationPreferences');
+};
+
+// Tell one member their status for `day` is missing (by email and/or inbox, per their preferences)
+const sendStatusReminder = (user, team, day) => {
+  const link = '/status';
+  const statusUrl = `${getAppUrl()}${link}`;
+
+  return notify(user, {
+    type: 'statusReminder',
+    title: `Submit your status for ${day}`,
+    message: `We haven't received your ${team.name} status for ${day}.`,
+    link,
+    data: { team: team._id, day },
+    email: {
+      subject: `Reminder: submit your status for ${day}`,
+      text: `Hi ${user.name},\n\nWe haven't received your ${team.name} status for ${day}. ` +
+        `Please submit it, or mark the day as leave, here:\n\n${statusUrl}`,
+      html: `<p>Hi ${escapeHtml(user.name)},</p>` +
+        `<p>We haven't received your ${escapeHtml(team.name)} status for ${day}. ` +
+        `Please submit it, or mark the day as leave.</p>` +
+        `<p><a href="${statusUrl}">Submit status</a></p>`
+    }
+  });
+};
+
+// Tell a manager which members of `team` are still missing a status for `day`
+const sendEscalation = (manager, team, day, missing) => {
+  const names = missing.map(member => `${member.name} <${member.email}>`);
+  const subject = `${missing.length} status(es) missing for ${team.name} on ${day}`;
+
+  return notify(manager, {
+    type: 'statusEscalation',
+    title: subject,
+    message: `Still missing: ${missing.map(member => member.name).join(', ')}`,
+    link: `/teams/${team._id}`,
+    data: { team: team._id, day, missingUsers: missing.map(member => member._id) },
+    email: {
+      subject,
+      text: `Hi ${manager.name},\n\nThese members of ${team.name} still haven't submitted a status ` +
+        `or marked leave for ${day}:\n\n${names.map(name => `- ${name}`).join('\n')}`,
+      html: `<p>Hi ${escapeHtml(manager.name)},</p>` +
+        `<p>These members of ${escapeHtml(team.name)} still haven't submitted a status ` +
+        `or marked leave for ${day}:</p>` +
+        `<ul>${names.map(name => `<li>${escapeHtml(name)}</li>`).join('')}</ul>`
+    }
+  });
+};
+
+// Notify each recipient once, skipping anyone a previous attempt already reached
+const notifyAll = async (run, recipients, send) => {
+  const alreadyNotified = new Set(run.notifiedUsers.map(id => id.toString()));
+  const failures = [];
+
+  for (const recipient of recipients) {
+    if (alreadyNotified.has(recipient._id.toString())) continue;
+
+    try {
+      await send(recipient);
+      run.notifiedUsers.push(recipient._id);
+    } catch (err) {
+      failures.push(`${recipient.email}: ${err.message}`);
+    }
+  }
+
+  return failures;
+};
+
+const runStage = async (team, day, stage, now) => {
+  const run = await claimJob(ReminderRun, { team: team._id, day, stage }, now);
+  if (!run) return null;
+
+  try {
+    const missing = await findMissingMembers(team, day);
+    run.missingUsers = missing.map(member => member._id);
+
+    let failures = [];
+    if (stage === 'reminder') {
+      failures = await notifyAll(run, missing, member => sendStatusReminder(member, team, day));
+    } else if (missing.length > 0) {
+      const recipients = await findEscalationRecipients(team);
+      failures = await notifyAll(run, recipients, manager => sendEscalation(manager, team, day, missing));
+    }
+
+    run.state = failures.length > 0 ? 'failed' : 'completed';
+    run.error = failures.length > 0 ? failures.join('; ') : undefined;
+  } catch (err) {
+    run.state = 'failed';
+    run.error = err.message;
+  }
+
+  run.completedAt = now;
+  await run.save();
+  return run;
+};
+
+// Run whichever of the team's passes are due at `now` in the team's timezone. A pass
+// whose time went by while the server was down still runs, as long as it's the same day.
+const runTeamReminders = async (team, now = new Date()) => {
+  const settings = team.reminderSettings;
+  if (!team.active || !settings?.enabled) return [];
+
+  const timeZone = resolveTimeZone(team.timezone);
+  const day = getToday(timeZone, now);
+  if (!settings.weekdays.includes(getDayOfWeek(day))) return [];
+
+  const minutes = getMinutesOfDay(timeZone, now);
+  const runs = [];
+
+  if (minutes >= parseTimeOfDay(settings.reminderTime)) {
+    runs.push(await runStage(team, day, 'reminder', now));
+  }
+  if (minutes >= parseTimeOfDay(settings.escalationTime)) {
+    runs.push(await runStage(team, day, 'escalation', now));
+  }
+
+  return runs.filter(Boolean);
+};
+
+// Check every team with reminders switched on
+const runDueReminders = async (now = new Date()) => {
+  const teams = await Team.find({ active: true, 'reminderSettings.enabled': true });
+  const runs = [];
+
+  for (const team of teams) {
+    try {
+      runs.push(...await runTeamReminders(team, now));
+    } catch (err) {
+      console.error(`Reminder check failed for team ${team._id}:`, err.message);
+    }
+  }
+
+  return runs;
+};
+
+// Scheduler that checks for due reminders every `intervalMs` (see utils/scheduler.js)
+const createReminderScheduler = ({ clock, intervalMs } = {}) => createScheduler({
+  name: 'Reminder',
+  task: runDueReminders,
+  clock,
+  intervalMs
+});
+
+export {
+  parseReminderSettings,
+  findMissingMembers,
+  sendStatusReminder,
+  runTeamReminders,
+  runDueReminders,
+  createReminderScheduler
+};
@@ -0,0 +1,73 @@
+import { systemClock } from './clock.js';
+
+const DEFAULT_INTERVAL_MS = 60 * 1000;
+const MAX_JOB_ATTEMPTS = 3;
+// A job still 'running' after this long belonged to a process that died mid-run
+const STALE_JOB_MS = 15 * 60 * 1000;
+
+// Take ownership of the job identified by `key` in a run-log model (one with state,
+// attempts, startedAt and error fields and a unique index over the key). Returns null
+// when another process already ran it or is running it; failed and abandoned jobs are
+// retried up to MAX_JOB_ATTEMPTS times.
+const claimJob = async (Model, key, now = new Date()) => {
+  try {
+    return await Model.findOneAndUpdate(
+      {
+        ...key,
+        attempts: { $lt: MAX_JOB_ATTEMPTS },
+        $or: [
+          { state: 'failed' },
+          { state: 'running', startedAt: { $lt: new Date(now.getTime() - STALE_JOB_MS) } }
+        ]
+      },
+      {
+        $set: { state: 'running', startedAt: now },
+        $unset: { error: 1 },
+        $inc: { attempts: 1 }
+      },
+      { upsert: true, new: true, setDefaultsOnInsert: true }
+    );
+  } catch (err) {
+    // The upsert lost to an existing job that isn't up for retry
+    if (err.code === 11000) return null;
+    throw err;
+  }
+};
+
+// In-process scheduler that calls `task(now)` every `intervalMs`, starting straight
+// away so anything that fell due while the server was down is caught up. Pass a
+// fake clock (utils/clock.js) to drive it without waiting on real time.
+const createScheduler = ({ name, task, clock = systemClock, intervalMs = DEFAULT_INTERVAL_MS }) => {
+  let timer = null;
+  let running = false;
+
+  const tick = () => task(clock.now());
+
+  const scheduleNext = (delay) => {
+    timer = clock.setTimeout(async () => {
+      try {
+        await tick();
+      } catch (err) {
+        console.error(`${name} scheduler error:`, err.message);
+      }
+      if (running) scheduleNext(intervalMs);
+    }, delay);
+  };
+
+  return {
+    start() {
+      if (running) return;
+      running = true;
+      scheduleNext(0);
+    },
+    stop() {
+      running = false;
+      if (timer !== null) clock.clearTimeout(timer);
+      timer = null;
+    },
+    tick,
+    isRunning: () => running
+  };
+};
+
+export { claimJob, createScheduler };
@@ -0,0 +1,99 @@
+import crypto from 'crypto';
+import { onEvent } from './events.js';
+
+// Server-Sent Events feed of status changes (GET /api/status/stream).
+// Events get a sequential ID "<stream>-<n>" and the most recent ones are kept in
+// memory, so a client reconnecting with Last-Event-ID is sent what it missed. The
+// stream part changes on every restart; a client whose ID is unknown or too old
+// to replay gets a `reset` event and should reload GET /api/status.
+const STREAM_EVENT_TYPES = ['status.created', 'status.updated', 'status.deleted', 'leave.marked'];
+const BUFFER_SIZE = 1000;
+const HEARTBEAT_MS = 25 * 1000;
+const RETRY_MS = 5 * 1000;
+
+const streamId = crypto.randomBytes(4).toString('hex');
+const buffer = [];
+const subscribers = new Set();
+let sequence = 0;
+
+onEvent(event => {
+  if (!STREAM_EVENT_TYPES.includes(event.type)) return;
+
+  const entry = { id: `${streamId}-${++sequence}`, sequence, event };
+  buffer.push(entry);
+  if (buffer.length > BUFFER_SIZE) buffer.shift();
+
+  subscribers.forEach(subscriber => subscriber(entry));
+});
+
+// Buffered entries after `lastEventId`; null when they can't all be replayed
+const getEntriesSince = (lastEventId) => {
+  const [stream, last] = (lastEventId || '').split('-');
+  const lastSequence = parseInt(last, 10);
+
+  if (stream !== streamId || !(lastSequence >= 0) || lastSequence > sequence) return null;
+  if (lastSequence === sequence) return [];
+
+  const oldest = buffer[0]?.sequence;
+  if (!oldest || lastSequence < oldest - 1) return null;
+
+  return buffer.filter(entry => entry.sequence > lastSequence);
+};
+
+const writeEvent = (res, { id, type, data }) => {
+  if (id) res.write(`id: ${id}\n`);
+  res.write(`event: ${type}\ndata: ${JSON.stringify(data)}\n\n`);
+};
+
+// Stream events to `res` until the client disconnects. `canSee(event)` decides
+// which events this client may receive; `isAuthorized()` is re-checked on every
+// heartbeat and the stream ends with a `revoked` event once it resolves false.
+const openStatusStream = (req, res, { lastEventId, canSee, isAuthorized }) => {
+  res.set({
+    'Content-Type': 'text/event-stream',
+    'Cache-Control': 'no-cache, no-transform',
+    Connection: 'keep-alive',
+    // Stop nginx and similar proxies from holding events back
+    'X-Accel-Buffering': 'no'
+  });
+  res.flushHeaders();
+  res.write(`retry: ${RETRY_MS}\n\n`);
+
+  const send = (entry) => {
+    if (canSee(entry.event)) writeEvent(res, { id: entry.id, type: entry.event.type, data: entry.event });
+  };
+
+  if (lastEventId) {
+    const missed = getEntriesSince(lastEventId);
+    if (missed) {
+      missed.forEach(send);
+    } else {
+      writeEvent(res, { id: `${streamId}-${sequence}`, type: 'reset', data: { reason: 'Missed events are no longer available' } });
+    }
+  }
+
+  writeEvent(res, { type: 'ready', data: { lastEventId: `${streamId}-${sequence}` } });
+  subscribers.add(send);
+
+  const close = () => {
+    clearInterval(heartbeat);
+    subscribers.delete(send);
+  };
+
+  // Comment lines keep idle connections from being closed by proxies
+  const heartbeat = setInterval(async () => {
+    // A check that fails ends the stream too; the client reconnects and is checked afresh
+    const authorized = !isAuthorized || await isAuthorized().catch(() => false);
+    if (res.destroyed) return;
+    if (!authorized) {
+      close();
+      writeEvent(res, { type: 'revoked', data: { reason: 'Access has expired or been revoked' } });
+      return res.end();
+    }
+    res.write(': heartbeat\n\n');
+  }, HEARTBEAT_MS);
+
+  req.on('close', close);
+};
+
+export { STREAM_EVENT_TYPES, openStatusStream };
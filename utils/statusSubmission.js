@@ -0,0 +1,322 @@
+import mongoose from 'mongoose';
+import { check, validationResult } from 'express-validator';
+import Status from '../models/Status.js';
+import Team from '../models/Team.js';
+import User from '../models/User.js';
+import { can } from './permissions.js';
+import { recordAudit, toAuditSnapshot } from './audit.js';
+import { notifyUsers } from './notifications.js';
+import { emitStatusSaved } from './events.js';
+import { resolveSubmissionPolicy, checkSubmissionDate } from './submissionPolicy.js';
+import { buildLeaveDays, checkLeaveRequest } from './leave.js';
+import { parseResponses } from './answers.js';
+import { LEAVE_DURATIONS } from '../models/LeaveType.js';
+import { getToday, resolveTimeZone, toCalendarDate } from './dates.js';
+
+// Creating a status or marking leave, shared by POST /api/status and the chat
+// command endpoint so both go through exactly the same checks.
+
+// Request-body rules for a status submission
+const statusSubmissionValidation = [
+  check('team', 'Team is required').not().isEmpty(),
+  check('user', 'User is required').not().isEmpty(),
+  check('date', 'Date is required').isISO8601(),
+  // Conditional validation based on isLeave
+  check('isLeave').optional().isBoolean(),
+  // Typed leave falls back to the type's name as its reason
+  check('leaveReason').if(check('isLeave').equals('true')).if(check('leaveType').not().exists({ values: 'falsy' })).not().isEmpty().withMessage('Leave reason is required when marking leave'),
+  check('leaveType', 'Leave type must be a leave type key').optional().isString(),
+  check('leaveDuration', `Leave duration must be one of: ${LEAVE_DURATIONS.join(', ')}`).optional().isIn(LEAVE_DURATIONS),
+  check('responses').if(check('isLeave').not().equals('true')).isArray().not().isEmpty().withMessage('Responses are required for status updates'),
+  // Blank answers are checked per question (optional questions may be left blank)
+  check('responses.*.question').if(check('isLeave').not().equals('true')).not().isEmpty().withMessage('Question ID is required for each response')
+];
+
+// Run the rules above on a body that didn't come in as an HTTP request body; returns the error list
+const validateStatusSubmission = async (body) => {
+  const req = { body };
+  await Promise.all(statusSubmissionValidation.map(rule => rule.run(req)));
+  return validationResult(req).array();
+};
+
+// Check a status date against the team's submission policy
+// (team must have its project populated)
+const checkStatusDate = async (user, day, team, timeZone) => {
+  const policy = resolveSubmissionPolicy(team, team.project);
+  const canOverride = await can(user, 'status.override', {
+    team: team._id,
+    project: team.project._id
+  });
+
+  return checkSubmissionDate(day, policy, { canOverride, timeZone });
+};
+
+// Let a member know when someone else (a manager or team lead) changed their status
+const notifyStatusEdited = async (status, editor, verb) => {
+  if (status.user.toString() === editor._id.toString()) return;
+
+  await notifyUsers([status.user], {
+    type: 'statusEdited',
+    title: `${editor.name} ${verb} your status for ${status.day}`,
+    link: '/status',
+    actor: editor._id,
+    data: { status: status._id, team: status.team, day: status.day }
+  });
+};
+
+// Team (with project), the member's timezone and location for a submission by req.user
+// about `user`, after checking the caller may edit that member's statuses in the team.
+// Returns { teamData, timezone, location } or { error, httpStatus }.
+const loadSubmissionContext = async (req, team, user) => {
+  // Check if updating own status or manager updating team member status
+  const isOwnStatus = req.user._id.toString() === user.toString();
+  const teamData = await Team.findById(team).populate('project');
+
+  if (!teamData) {
+    return { error: 'Team not found', httpStatus: 404 };
+  }
+
+  if (req.apiKey && !req.apiKey.allowsTeam(teamData._id, teamData.project._id)) {
+    return { error: 'API key is not allowed for this team', httpStatus: 403 };
+  }
+
+  // Check permissions
+  const canEdit = await can(req.user, isOwnStatus ? 'status.edit.own' : 'status.edit.others', {
+    user,
+    team: teamData._id,
+    project: teamData.project._id
+  });
+
+  if (!canEdit) {
+    return { error: 'Not authorized to update status for this user', httpStatus: 403 };
+  }
+
+  // Check if user is in the team
+  const member = await User.findOne({ _id: user, teams: team }).select('timezone location');
+  if (!member) {
+    return { error: 'User is not a member of this team', httpStatus: 400 };
+  }
+
+  return {
+    teamData,
+    timezone: resolveTimeZone(member.timezone, teamData.timezone),
+    location: member.location
+  };
+};
+
+// Leave for days after today has to go through a leave request, unless the caller
+// is someone who could approve it. Returns { allowed, message }.
+const checkFutureLeave = async (user, days, teamData, timezone) => {
+  const today = getToday(timezone);
+  if (!days.some(day => day > today)) return { allowed: true };
+
+  const canApprove = await can(user, 'leave.approve', {
+    team: teamData._id,
+    project: teamData.project._id
+  });
+
+  return canApprove
+    ? { allowed: true }
+    : { allowed: false, message: 'Leave for future dates has to be requested for approval (POST /api/leave/requests)' };
+};
+
+// Record the audit entry for a status saveStatus wrote, let the member know when
+// someone else changed it (unless `notifyOwner` is false) and publish the status
+// events. `before` is the audit snapshot of the status it replaced, if any.
+const announceStatusSaved = async (req, { status, created, before, notifyOwner = true }) => {
+  await recordAudit(req, created
+    ? { action: 'create', entityType: 'status', after: status }
+    : { action: 'update', entityType: 'status', before, after: status });
+
+  if (notifyOwner) {
+    await notifyStatusEdited(status, req.user, created ? 'added' : 'updated');
+  }
+  emitStatusSaved(status, { created, wasLeave: before?.isLeave, actor: req.user });
+};
+
+// Create the member's status for `day`, or replace the one that exists, as req.user.
+// `leave` holds isLeave, leaveReason, leaveType and leaveDuration. `isLate` only
+// applies to a new status; a replaced one keeps the flag it got when first reported.
+// Announces the save through announceStatusSaved unless `announce` is false, for
+// callers that save several days and announce them once all have been saved.
+// Returns { status, created, before }.
+const saveStatus = async (req, { teamData, user, day, timezone, isLate = false, responses = [], leave, notifyOwner = true, announce = true }) => {
+  // Check if status already exists for this date and user
+  const existingStatus = await Status.findOne({ user, team: teamData._id, day });
+
+  let status;
+  let before = null;
+
+  if (existingStatus) {
+    // Update existing status
+    before = toAuditSnapshot(existingStatus);
+    existingStatus.set(leave);
+    existingStatus.responses = leave.isLeave ? [] : responses;
+    existingStatus.updatedBy = req.user._id;
+    existingStatus.updatedAt = new Date();
+
+    status = await existingStatus.save();
+  } else {
+    // Create new status update
+    status = new Status({
+      user,
+      team: teamData._id,
+      project: teamData.project._id,
+      responses: leave.isLeave ? [] : responses,
+      day,
+      timezone,
+      ...leave,
+      isLate,
+      updatedBy: req.user._id,
+    });
+
+    await status.save();
+  }
+
+  const saved = { status, created: !existingStatus, before };
+  if (announce) {
+    await announceStatusSaved(req, { ...saved, notifyOwner });
+  }
+
+  return saved;
+};
+
+// Save a validated submission as req.user: creates the member's status for the day,
+// or replaces it when one exists. Answers are checked against their questions and
+// the team's required questions have to be answered. Returns { status, created } or
+// { error, httpStatus }, with fieldErrors by question ID when answers are rejected.
+const submitStatus = async (req, { team, user, responses = [], date, isLeave = false, leaveReason, leaveType, leaveDuration = 'full' }) => {
+  const context = await loadSubmissionContext(req, team, user);
+  if (context.error) return context;
+  const { teamData, timezone } = context;
+
+  // The status belongs to a calendar day in the member's timezone
+  const day = toCalendarDate(date, timezone);
+  if (!day) {
+    return { error: 'Invalid date', httpStatus: 400 };
+  }
+
+  // Check date restrictions
+  const dateCheck = await checkStatusDate(req.user, day, teamData, timezone);
+  if (!dateCheck.allowed) {
+    return { error: dateCheck.message, httpStatus: 400 };
+  }
+
+  let answers = [];
+  if (!isLeave) {
+    const parsed = await parseResponses(responses, { team: teamData._id });
+    if (parsed.error) {
+      return { error: parsed.error, fieldErrors: parsed.fieldErrors, httpStatus: 400 };
+    }
+    answers = parsed.responses;
+  }
+
+  let type = null;
+  if (isLeave) {
+    const futureCheck = await checkFutureLeave(req.user, [day], teamData, timezone);
+    if (!futureCheck.allowed) {
+      return { error: futureCheck.message, httpStatus: 400 };
+    }
+
+    // The leave type (the project's default when left out) must be available to the member
+    const leaveCheck = await checkLeaveRequest(teamData.project, { user, leaveType, days: [{ day, duration: leaveDuration }] });
+    if (leaveCheck.error) {
+      return { error: leaveCheck.error, httpStatus: 400 };
+    }
+    type = leaveCheck.leaveType;
+  }
+
+  try {
+    return await saveStatus(req, {
+      teamData,
+      user,
+      day,
+      timezone,
+      isLate: dateCheck.isLate,
+      responses: answers,
+      leave: {
+        isLeave,
+        leaveReason: isLeave ? leaveReason || type?.name : undefined,
+        leaveType: isLeave && type ? type.key : undefined,
+        leaveDuration: isLeave ? leaveDuration : undefined
+      }
+    });
+  } catch (err) {
+    // Someone else saved or created this day's status in the meantime
+    if (err instanceof mongoose.Error.VersionError || err.code === 11000) {
+      return { error: 'This status was changed by someone else; try again', httpStatus: 409 };
+    }
+    throw err;
+  }
+};
+
+// Mark leave from startDate to endDate (inclusive) as req.user: one leave status per
+// working day of the member's holiday calendar. The first and last day may be half
+// days (`duration` for a single day). Every day is checked before any is saved.
+// Returns { statuses, days } (days of leave taken) or { error, httpStatus }.
+const submitLeave = async (req, { team, user, startDate, endDate, leaveType, leaveReason, ...durations }) => {
+  const context = await loadSubmissionContext(req, team, user);
+  if (context.error) return context;
+  const { teamData, timezone, location } = context;
+
+  const range = await buildLeaveDays({
+    startDate,
+    endDate,
+    timeZone: timezone,
+    project: teamData.project._id,
+    location,
+    ...durations
+  });
+  if (range.error) {
+    return { error: range.error, httpStatus: 400 };
+  }
+  const { days } = range;
+
+  const dateChecks = [];
+  for (const { day } of days) {
+    const dateCheck = await checkStatusDate(req.user, day, teamData, timezone);
+    if (!dateCheck.allowed) {
+      return { error: `${day}: ${dateCheck.message}`, httpStatus: 400 };
+    }
+    dateChecks.push(dateCheck);
+  }
+
+  const futureCheck = await checkFutureLeave(req.user, days.map(({ day }) => day), teamData, timezone);
+  if (!futureCheck.allowed) {
+    return { error: futureCheck.message, httpStatus: 400 };
+  }
+
+  const leaveCheck = await checkLeaveRequest(teamData.project, { user, leaveType, days });
+  if (leaveCheck.error) {
+    return { error: leaveCheck.error, httpStatus: 400 };
+  }
+  const type = leaveCheck.leaveType;
+
+  const statuses = [];
+  for (const [index, { day, duration }] of days.entries()) {
+    const { status } = await saveStatus(req, {
+      teamData,
+      user,
+      day,
+      timezone,
+      isLate: dateChecks[index].isLate,
+      leave: { isLeave: true, leaveReason: leaveReason || type.name, leaveType: type.key, leaveDuration: duration }
+    });
+    statuses.push(status);
+  }
+
+  return { statuses, days: range.totalDays };
+};
+
+export {
+  statusSubmissionValidation,
+  validateStatusSubmission,
+  checkStatusDate,
+  notifyStatusEdited,
+  loadSubmissionContext,
+  checkFutureLeave,
+  saveStatus,
+  announceStatusSaved,
+  submitStatus,
+  submitLeave
+};
@@ -0,0 +1,99 @@
+import { diffDays, getToday, toCalendarDate } from './dates.js';
+
+// Which dates a status can be created or edited for, per team/project
+const DEFAULT_SUBMISSION_POLICY = {
+  daysBack: 2,
+  daysForward: 0,
+  allowLate: false,
+  managerOverride: true
+};
+
+const POLICY_FIELDS = Object.keys(DEFAULT_SUBMISSION_POLICY);
+
+const toPlainPolicy = (policy) => (policy?.toObject ? policy.toObject() : policy) || {};
+
+// Team settings win over project settings, which win over the defaults
+const resolveSubmissionPolicy = (team, project) => {
+  const resolved = { ...DEFAULT_SUBMISSION_POLICY };
+
+  [toPlainPolicy(project?.submissionPolicy), toPlainPolicy(team?.submissionPolicy)].forEach(policy => {
+    POLICY_FIELDS.forEach(field => {
+      if (policy[field] !== undefined && policy[field] !== null) {
+        resolved[field] = policy[field];
+      }
+    });
+  });
+
+  return resolved;
+};
+
+// Check a request body's policy; returns { policy } with only known fields, or { error }.
+// A null field clears it so the project/default value applies again.
+const parseSubmissionPolicy = (input) => {
+  if (!input || typeof input !== 'object' || Array.isArray(input)) {
+    return { error: 'Submission policy must be an object' };
+  }
+
+  const policy = {};
+
+  for (const field of ['daysBack', 'daysForward']) {
+    if (input[field] === undefined) continue;
+    if (input[field] !== null && !(Number.isInteger(input[field]) && input[field] >= 0)) {
+      return { error: `${field} must be a whole number of days (0 or more)` };
+    }
+    policy[field] = input[field] ?? undefined;
+  }
+
+  for (const field of ['allowLate', 'managerOverride']) {
+    if (input[field] === undefined) continue;
+    if (input[field] !== null && typeof input[field] !== 'boolean') {
+      return { error: `${field} must be true or false` };
+    }
+    policy[field] = input[field] ?? undefined;
+  }
+
+  return { policy };
+};
+
+// Whole calendar days from today (in `timeZone`) to `date` (negative for past dates)
+const daysFromToday = (date, timeZone, now = new Date()) =>
+  diffDays(getToday(timeZone, now), toCalendarDate(date, timeZone));
+
+// Decide whether a status may be saved for `date` (a calendar date, or a moment
+// read in `timeZone`). Returns { allowed, isLate, message } where message explains a refusal.
+const checkSubmissionDate = (date, policy, { canOverride = false, now = new Date(), timeZone } = {}) => {
+  const offset = daysFromToday(date, timeZone, now);
+  const override = canOverride && policy.managerOverride;
+
+  if (offset > policy.daysForward) {
+    if (override) return { allowed: true, isLate: false };
+    return {
+      allowed: false,
+      isLate: false,
+      message: policy.daysForward === 0
+        ? 'Statuses cannot be submitted for future dates'
+        : `Statuses can only be submitted up to ${policy.daysForward} day(s) ahead`
+    };
+  }
+
+  if (-offset > policy.daysBack) {
+    if (policy.allowLate || override) return { allowed: true, isLate: true };
+    return {
+      allowed: false,
+      isLate: true,
+      message: policy.daysBack === 0
+        ? 'You can only submit a status for today'
+        : `You can only submit a status for today or the last ${policy.daysBack} day(s)`
+    };
+  }
+
+  return { allowed: true, isLate: false };
+};
+
+export {
+  DEFAULT_SUBMISSION_POLICY,
+  resolveSubmissionPolicy,
+  parseSubmissionPolicy,
+  daysFromToday,
+  checkSubmissionDate
+};
@@ -0,0 +1,109 @@
+import crypto from 'crypto';
+import jwt from 'jsonwebtoken';
+import RefreshToken from '../models/RefreshToken.js';
+import User from '../models/User.js';
+
+const DEFAULT_ACCESS_TOKEN_TTL = '15m';
+const DEFAULT_REFRESH_TOKEN_DAYS = 7;
+
+// Hash a random token before it is stored or looked up
+const hashToken = (token) => crypto.createHash('sha256').update(token).digest('hex');
+
+const generateRandomToken = () => crypto.randomBytes(48).toString('hex');
+
+// Create a single-use token for emailed links; only the hash is persisted
+const generateOneTimeToken = () => {
+  const token = crypto.randomBytes(32).toString('hex');
+  return { token, tokenHash: hashToken(token) };
+};
+
+const getRefreshTokenDays = () =>
+  parseInt(process.env.REFRESH_TOKEN_DAYS, 10) || DEFAULT_REFRESH_TOKEN_DAYS;
+
+// Create a short-lived access token bound to the user's token version and session
+const signAccessToken = (user, family) => jwt.sign(
+  {
+    userId: user._id,
+    tokenVersion: user.tokenVersion || 0,
+    sid: family
+  },
+  process.env.JWT_SECRET,
+  { expiresIn: process.env.ACCESS_TOKEN_TTL || DEFAULT_ACCESS_TOKEN_TTL }
+);
+
+// Store a new refresh token for the session and return its raw value
+const createRefreshToken = async (user, family, ip) => {
+  const token = generateRandomToken();
+  const expiresAt = new Date();
+  expiresAt.setDate(expiresAt.getDate() + getRefreshTokenDays());
+
+  await RefreshToken.create({
+    user: user._id,
+    tokenHash: hashToken(token),
+    family,
+    expiresAt,
+    createdByIp: ip
+  });
+
+  return token;
+};
+
+// Start a new login session: access token plus refresh token
+const issueAuthTokens = async (user, ip) => {
+  const family = crypto.randomUUID();
+  const refreshToken = await createRefreshToken(user, family, ip);
+
+  return {
+    token: signAccessToken(user, family),
+    refreshToken
+  };
+};
+
+// Exchange a refresh token for a new pair. Returns null when the token is unknown,
+// expired or revoked; presenting an already rotated token revokes the whole session.
+const rotateRefreshToken = async (token, ip) => {
+  const existing = await RefreshToken.findOne({ tokenHash: hashToken(token) }).populate('user');
+
+  if (!existing || !existing.user) {
+    return null;
+  }
+
+  if (existing.revokedAt) {
+    // Reuse of a rotated token means it leaked; kill the session
+    await RefreshToken.revokeFamily(existing.family);
+    return null;
+  }
+
+  if (!existing.isActive()) {
+    return null;
+  }
+
+  const refreshToken = await createRefreshToken(existing.user, existing.family, ip);
+
+  existing.revokedAt = new Date();
+  existing.replacedBy = hashToken(refreshToken);
+  await existing.save();
+
+  return {
+    user: existing.user,
+    token: signAccessToken(existing.user, existing.family),
+    refreshToken
+  };
+};
+
+// Log a user out everywhere: outstanding access tokens stop verifying and
+// every refresh token is revoked
+const revokeUserSessions = async (userId) => {
+  await User.updateOne({ _id: userId }, { $inc: { tokenVersion: 1 } });
+  await RefreshToken.revokeAllForUser(userId);
+};
+
+export {
+  hashToken,
+  generateRandomToken,
+  generateOneTimeToken,
+  signAccessToken,
+  issueAuthTokens,
+  rotateRefreshToken,
+  revokeUserSessions
+};
@@ -0,0 +1,262 @@
+import crypto from 'crypto';
+import dns from 'dns';
+import net from 'net';
+import { Agent, fetch as undiciFetch } from 'undici';
+import Webhook from '../models/Webhook.js';
+import WebhookDelivery from '../models/WebhookDelivery.js';
+import { onEvent } from './events.js';
+import { systemClock } from './clock.js';
+import { createScheduler } from './scheduler.js';
+
+// Wait before each retry; a delivery has failed for good once these run out
+const RETRY_DELAYS_MS = [1, 5, 30, 120, 720].map(minutes => minutes * 60 * 1000);
+const DISPATCH_INTERVAL_MS = 15 * 1000;
+const DISPATCH_BATCH_SIZE = 50;
+const REQUEST_TIMEOUT_MS = 10 * 1000;
+// How long a dispatcher may hold a delivery before another process can take it over
+const LOCK_MS = 60 * 1000;
+const MAX_RESPONSE_BODY_LENGTH = 2000;
+
+// Addresses a webhook may not reach: loopback, private, link-local (cloud metadata),
+// carrier-grade NAT, unspecified, multicast and reserved ranges. Set
+// WEBHOOK_ALLOW_PRIVATE_HOSTS=true to deliver to local receivers in development.
+const BLOCKED_ADDRESSES = new net.BlockList();
+[
+  ['0.0.0.0', 8], ['10.0.0.0', 8], ['100.64.0.0', 10], ['127.0.0.0', 8], ['169.254.0.0', 16],
+  ['172.16.0.0', 12], ['192.0.0.0', 24], ['192.168.0.0', 16], ['198.18.0.0', 15], ['224.0.0.0', 3]
+].forEach(([address, prefix]) => BLOCKED_ADDRESSES.addSubnet(address, prefix, 'ipv4'));
+[
+  ['::', 128], ['::1', 128], ['64:ff9b::', 96], ['fc00::', 7], ['fe80::', 10], ['ff00::', 8]
+].forEach(([address, prefix]) => BLOCKED_ADDRESSES.addSubnet(address, prefix, 'ipv6'));
+
+const isBlockedAddress = (address) => {
+  // IPv4-mapped IPv6 (::ffff:127.0.0.1) is checked as the IPv4 address
+  const mapped = /^::ffff:(\d+\.\d+\.\d+\.\d+)$/i.exec(address);
+  if (mapped) return BLOCKED_ADDRESSES.check(mapped[1], 'ipv4');
+  return BLOCKED_ADDRESSES.check(address, net.isIPv6(address) ? 'ipv6' : 'ipv4');
+};
+
+// Check a webhook URL is http(s) and that its host only resolves to public addresses,
+// so webhooks can't be used to reach internal services. Returns { error } or {}.
+const checkWebhookUrl = async (url, lookup = dns.promises.lookup) => {
+  let parsed;
+  try {
+    parsed = new URL(url);
+  } catch {
+    return { error: 'URL must be an http(s) URL' };
+  }
+  if (!['http:', 'https:'].includes(parsed.protocol)) {
+    return { error: 'URL must be an http(s) URL' };
+  }
+  if (allowsPrivateHosts()) return {};
+
+  const host = parsed.hostname.replace(/^\[|\]$/g, '');
+  let addresses;
+  try {
+    addresses = net.isIP(host) ? [{ address: host }] : await lookup(host, { all: true });
+  } catch {
+    return { error: `Could not resolve ${host}` };
+  }
+
+  if (addresses.length === 0 || addresses.some(({ address }) => isBlockedAddress(address))) {
+    return { error: 'URL must not point at a private, loopback or link-local address' };
+  }
+  return {};
+};
+
+const allowsPrivateHosts = () => process.env.WEBHOOK_ALLOW_PRIVATE_HOSTS === 'true';
+
+// dns.lookup for webhook connections that refuses blocked addresses. checkWebhookUrl
+// resolves the host once; this makes the connection itself use a checked address,
+// so a host can't pass the check and then resolve somewhere internal.
+const lookupPublicAddress = (hostname, options, callback) => {
+  dns.lookup(hostname, { ...options, all: true }, (err, addresses) => {
+    if (err) return callback(err);
+    if (!allowsPrivateHosts() && addresses.some(({ address }) => isBlockedAddress(address))) {
+      return callback(new Error(`${hostname} resolves to a private, loopback or link-local address`));
+    }
+    if (options.all) return callback(null, addresses);
+    callback(null, addresses[0].address, addresses[0].family);
+  });
+};
+
+const webhookAgent = new Agent({ connect: { lookup: lookupPublicAddress } });
+
+const defaultHttpClient = (url, options) => undiciFetch(url, { ...options, dispatcher: webhookAgent });
+let httpClient = defaultHttpClient;
+
+// Replace the HTTP client (same signature as fetch), e.g. with a stub in tests
+const setWebhookHttpClient = (client) => {
+  httpClient = client || defaultHttpClient;
+};
+
+const generateWebhookSecret = () => `whsec_${crypto.randomBytes(24).toString('hex')}`;
+
+// X-Webhook-Signature header: t=<unix seconds>,v1=<hex HMAC-SHA256 of "<t>.<body>" with the secret>.
+// Receivers recompute it over the raw body and should reject old timestamps.
+const signPayload = (secret, body, timestamp) => {
+  const signature = crypto.createHmac('sha256', secret).update(`${timestamp}.${body}`).digest('hex');
+  return `t=${timestamp},v1=${signature}`;
+};
+
+// Lock a due delivery for sending; null when none is due or another process has it
+const claimDelivery = (filter, now) => WebhookDelivery.findOneAndUpdate(
+  {
+    ...filter,
+    state: 'pending',
+    nextAttemptAt: { $lte: now },
+    $or: [{ lockedUntil: null }, { lockedUntil: { $lt: now } }]
+  },
+  { $set: { lockedUntil: new Date(now.getTime() + LOCK_MS) } },
+  { new: true, sort: { nextAttemptAt: 1 } }
+);
+
+// POST a claimed delivery to its webhook and record the outcome, scheduling a retry on failure
+const sendDelivery = async (delivery, now) => {
+  const webhook = await Webhook.findById(delivery.webhook).select('+secret');
+
+  delivery.attempts += 1;
+  delivery.lastAttemptAt = now;
+  delivery.lockedUntil = undefined;
+  delivery.responseStatus = undefined;
+  delivery.responseBody = undefined;
+  delivery.error = undefined;
+
+  if (!webhook || !webhook.active) {
+    delivery.state = 'failed';
+    delivery.error = webhook ? 'Webhook is disabled' : 'Webhook was deleted';
+    return delivery.save();
+  }
+
+  const body = JSON.stringify(delivery.payload);
+  const startedAt = Date.now();
+  let succeeded = false;
+
+  try {
+    // Checked again on every send: the host may resolve differently than when saved
+    const urlCheck = await checkWebhookUrl(webhook.url);
+    if (urlCheck.error) throw new Error(urlCheck.error);
+
+    const response = await httpClient(webhook.url, {
+      method: 'POST',
+      // A redirect could lead anywhere, so it counts as a failed delivery
+      redirect: 'manual',
+      headers: {
+        'Content-Type': 'application/json',
+        'User-Agent': 'StatusTracker-Webhooks/1.0',
+        'X-Webhook-Event': delivery.event,
+        'X-Webhook-Delivery': delivery._id.toString(),
+        'X-Webhook-Signature': signPayload(webhook.secret, body, Math.floor(now.getTime() / 1000))
+      },
+      body,
+      signal: AbortSignal.timeout(REQUEST_TIMEOUT_MS)
+    });
+
+    delivery.responseStatus = response.status;
+    delivery.responseBody = (await response.text().catch(() => '')).slice(0, MAX_RESPONSE_BODY_LENGTH);
+    succeeded = response.ok;
+    if (!succeeded) delivery.error = `Receiver responded with HTTP ${response.status}`;
+  } catch (err) {
+    // fetch reports connection failures (including refused addresses) as err.cause
+    delivery.error = err.name === 'TimeoutError' ? 'Request timed out' : err.cause?.message || err.message;
+  }
+
+  delivery.durationMs = Date.now() - startedAt;
+
+  if (succeeded) {
+    delivery.state = 'succeeded';
+  } else if (delivery.attempts > RETRY_DELAYS_MS.length) {
+    delivery.state = 'failed';
+  } else {
+    delivery.nextAttemptAt = new Date(now.getTime() + RETRY_DELAYS_MS[delivery.attempts - 1]);
+  }
+
+  return delivery.save();
+};
+
+// Send one delivery now if it is due and nobody else is sending it
+const attemptDelivery = async (deliveryId, now = new Date()) => {
+  const delivery = await claimDelivery({ _id: deliveryId }, now);
+  return delivery ? sendDelivery(delivery, now) : null;
+};
+
+// Queue an event for every webhook subscribed to it and try each right away
+const enqueueEvent = async (event, now = new Date()) => {
+  const webhooks = (await Webhook.find({ active: true })).filter(webhook => webhook.matches(event));
+  if (webhooks.length === 0) return [];
+
+  const deliveries = await WebhookDelivery.insertMany(webhooks.map(webhook => ({
+    webhook: webhook._id,
+    event: event.type,
+    eventId: event.id,
+    payload: event,
+    nextAttemptAt: now
+  })));
+
+  return Promise.all(deliveries.map(delivery => attemptDelivery(delivery._id, now)));
+};
+
+// Send a past delivery's payload again as a new delivery
+const redeliver = async (delivery, now = new Date()) => {
+  const copy = await WebhookDelivery.create({
+    webhook: delivery.webhook,
+    event: delivery.event,
+    eventId: delivery.eventId,
+    payload: delivery.payload,
+    nextAttemptAt: now,
+    redeliveryOf: delivery._id
+  });
+
+  return (await attemptDelivery(copy._id, now)) || copy;
+};
+
+// Retry deliveries whose next attempt is due
+const dispatchDueDeliveries = async (now = new Date()) => {
+  const sent = [];
+
+  for (let i = 0; i < DISPATCH_BATCH_SIZE; i++) {
+    const delivery = await claimDelivery({}, now);
+    if (!delivery) break;
+    sent.push(await sendDelivery(delivery, now));
+  }
+
+  return sent;
+};
+
+// Subscribes to events while started and retries due deliveries every `intervalMs`.
+// Pass a fake clock (utils/clock.js) and setWebhookHttpClient() to test without a network.
+const createWebhookDispatcher = ({ clock = systemClock, intervalMs = DISPATCH_INTERVAL_MS } = {}) => {
+  const scheduler = createScheduler({ name: 'Webhook', task: dispatchDueDeliveries, clock, intervalMs });
+  let unsubscribe = null;
+
+  return {
+    ...scheduler,
+    start() {
+      if (!unsubscribe) {
+        unsubscribe = onEvent(event => {
+          enqueueEvent(event, clock.now()).catch(err => {
+            console.error(`Failed to queue webhooks for ${event.type}:`, err.message);
+          });
+        });
+      }
+      scheduler.start();
+    },
+    stop() {
+      if (unsubscribe) unsubscribe();
+      unsubscribe = null;
+      scheduler.stop();
+    }
+  };
+};
+
+export {
+  RETRY_DELAYS_MS,
+  setWebhookHttpClient,
+  generateWebhookSecret,
+  signPayload,
+  checkWebhookUrl,
+  enqueueEvent,
+  redeliver,
+  dispatchDueDeliveries,
+  createWebhookDispatcher
+};